@@ -3,17 +3,33 @@ const express = require("express");
 var cors = require("cors");
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./config/swagger");
-const { google } = require("googleapis");
 const rateLimit = require("./middleware/rateLimit");
+const usageQuota = require("./middleware/usageQuota");
 const videoRoutes = require("./routes/videoRoutes");
 const linkRoutes = require("./routes/linkRoutes");
 const travelPreferenceRoutes = require("./routes/travelPreferenceRoutes");
 const tripSuggestionRoutes = require("./routes/tripSuggestionRoutes");
 const tripRoutes = require("./routes/tripRoutes");
+const tripMemberRoutes = require("./routes/tripMemberRoutes");
 const travelConfirmationRoutes = require("./routes/travelConfirmationRoutes");
 const fcmTokenRoutes = require("./routes/fcmTokenRoutes");
+const gmailRoutes = require("./routes/gmailRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const budgetRoutes = require("./routes/budgetRoutes");
+const tripShareRoutes = require("./routes/tripShareRoutes");
+const tripTemplateRoutes = require("./routes/tripTemplateRoutes");
+const tripVersionRoutes = require("./routes/tripVersionRoutes");
+const usageRoutes = require("./routes/usageRoutes");
 const { initializeFirebase } = require("./config/database");
-const { syncGmail } = require("./controllers/travelConfirmationController");
+const {
+  redirectToGmailAuth,
+  handleGmailOAuthCallback,
+  runGmailSyncCron,
+} = require("./controllers/gmailController");
+const { getSubscribedCalendar } = require("./controllers/calendarController");
+const { getSharedTripController } = require("./controllers/tripShareController");
+const { startGmailSyncScheduler } = require("./services/gmailSyncScheduler");
+const { startInspirationJobWorker } = require("./services/inspirationJobWorker");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,7 +49,11 @@ app.use(
 initializeFirebase();
 app.use(cors());
 app.use(express.json());
-app.use(rateLimit());
+// Public routes are limited by IP here; /api routes are limited per user after authentication
+app.use(rateLimit({ skip: (req) => req.path.startsWith("/api/") }));
+const userRateLimit = rateLimit();
+// Monthly AI quotas per plan; also bills each request's model calls to its user
+const userUsageQuota = usageQuota();
 
 // Swagger Documentation
 // app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
@@ -55,9 +75,8 @@ const protectEndpoint = (req, res, next) => {
       return res.status(401).send("Unauthorized: Invalid or missing session.");
     }
     req.userId = auth.userId;
-    
 
-    next();
+    return userRateLimit(req, res, () => userUsageQuota(req, res, next));
   } catch (error) {
     console.error("Error verifying Clerk session:", error);
     return res.status(401).send("Unauthorized: Session verification failed.");
@@ -72,13 +91,27 @@ async function loadClerkAndStartServer() {
     getAuth = importedGetAuth;
 
     app.use(clerkMiddleware());
-    app.use("/api/inspiration", protectEndpoint, videoRoutes);
-    app.use("/api/inspiration", protectEndpoint, linkRoutes);
-    app.use("/api", protectEndpoint, travelPreferenceRoutes);
-    app.use("/api", protectEndpoint, tripSuggestionRoutes);
-    app.use("/api", protectEndpoint, tripRoutes);
-    app.use("/api/travel-confirmations", protectEndpoint, travelConfirmationRoutes);
-    app.use("/api", protectEndpoint, fcmTokenRoutes);
+    // Authenticate, rate limit and meter once per request: a request falls through every router
+    // mounted on /api before reaching its own, so protectEndpoint must not be mounted per router
+    app.use("/api", protectEndpoint);
+    app.use("/api/inspiration", videoRoutes);
+    app.use("/api/inspiration", linkRoutes);
+    app.use("/api", travelPreferenceRoutes);
+    app.use("/api", tripSuggestionRoutes);
+    app.use("/api", tripRoutes);
+    app.use("/api", tripMemberRoutes);
+    app.use("/api/travel-confirmations", travelConfirmationRoutes);
+    app.use("/api", fcmTokenRoutes);
+    app.use("/api", gmailRoutes);
+    app.use("/api", calendarRoutes);
+    app.use("/api", budgetRoutes);
+    app.use("/api", tripShareRoutes);
+    app.use("/api", tripTemplateRoutes);
+    app.use("/api", tripVersionRoutes);
+    app.use("/api", usageRoutes);
+
+    // Needs Clerk session so the OAuth state can be bound to the signed-in user
+    app.get("/gmail/auth", protectEndpoint, redirectToGmailAuth);
   } catch (error) {
     console.error("Failed to load Clerk module:", error);
   }
@@ -88,80 +121,28 @@ loadClerkAndStartServer();
 // -------------------------
 // 📧 GMAIL + AI EXTRACTION
 // -------------------------
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
+// 1️⃣ Redirect user to Gmail Consent Screen: GET /gmail/auth (registered after Clerk loads)
 
-// 1️⃣ Redirect user to Gmail Consent Screen
-app.get("/gmail/auth", (req, res) => {
-  const url = oauth2Client.generateAuthUrl({
-    access_type: "offline",
-    scope: ["https://www.googleapis.com/auth/gmail.readonly"],
-    prompt: "consent",
-  });
-  res.redirect(url);
-});
+// 2️⃣ Handle OAuth Callback (Google → Our Server): tokens are stored per user
+app.get("/auth/google/callback", handleGmailOAuthCallback);
 
-// 2️⃣ Handle OAuth Callback (Google → Our Server)
-app.get("/auth/google/callback", async (req, res) => {
-  try {
-    const { code } = req.query;
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
-
-    console.log(tokens);
-
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8" />
-        <title>Gmail Connected</title>
-        <style>
-          body { font-family: Arial, sans-serif; background: #f9f9f9; text-align: center; padding: 40px; }
-          h2 { color: #2b7de9; }
-          button {
-            background: #2b7de9; color: white; border: none; padding: 12px 20px;
-            border-radius: 6px; cursor: pointer; font-size: 16px;
-          }
-          button:hover { background: #1a5fd0; }
-        </style>
-      </head>
-      <body>
-        <h2>✅ Gmail Connected Successfully!</h2>
-        <p>Click below to sync your emails and generate booking summaries.</p>
-        <form action="/gmail/sync" method="GET">
-          <button type="submit">SYNC MY EMAILS + Generate Summary from Booking Confirmations</button>
-        </form>
-      </body>
-      </html>
-    `);
-  } catch (error) {
-    console.error("OAuth Error:", error);
-    res.status(500).send("Failed to authenticate with Gmail.");
-  }
-});
+// 3️⃣ Booking emails then sync in the background (gmailSyncScheduler) or via
+//     POST /api/travel-confirmations/sync-gmail
 
-// 3️⃣ Sync Booking Confirmation Emails (uses travelConfirmationController.syncGmail)
-app.get("/gmail/sync", async (req, res) => {
-  const credentials = oauth2Client.credentials;
-  if (!credentials?.access_token) {
-    return res.redirect("/gmail/auth");
-  }
+// Public: serverless deployments (no long-lived timer) trigger background sync here; CRON_SECRET authenticates
+app.get("/cron/gmail-sync", runGmailSyncCron);
 
-  const syncReq = {
-    userId: req.userId || process.env.GMAIL_DEMO_USER_ID || "gmail-demo-user",
-    body: {
-      accessToken: credentials.access_token,
-      refreshToken: credentials.refresh_token || undefined,
-      tripId: req.query.tripId || undefined,
-    },
-  };
+// -------------------------
+// 📅 CALENDAR SUBSCRIPTIONS
+// -------------------------
+// Public: calendar apps can't send Clerk tokens, so the secret in the URL authenticates
+app.get("/calendar/:token/trips/:tripId.ics", getSubscribedCalendar);
 
-  return syncGmail(syncReq, res);
-});
+// -------------------------
+// 🔗 PUBLIC SHARE LINKS
+// -------------------------
+// Public: read-only itinerary (JSON or HTML page); the share token authenticates
+app.get("/share/:token", getSharedTripController);
 
 // Root route with BOTH UIs
 app.get("/", (req, res) => {
@@ -246,6 +227,8 @@ app.get("/", (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
+  startGmailSyncScheduler();
+  startInspirationJobWorker();
 });
 
 module.exports = app;
@@ -27,6 +27,38 @@ const options = {
             "Clerk authentication token. Get this from your Clerk session.",
         },
       },
+      parameters: {
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          required: false,
+          schema: { type: "string" },
+          description:
+            'Optimistic concurrency. Send the trip ETag (e.g. "12") to fail with 409 if anything on the trip changed, or day tags (e.g. "day2:5", from itinerary.day2.revision) to only fail if that day changed. Several tags may be comma separated.',
+          example: '"12"',
+        },
+      },
+      responses: {
+        RevisionConflict: {
+          description:
+            "Revision conflict - the trip or day changed since the If-Match revision. data holds the current trip and the ETag header its revision.",
+          headers: {
+            ETag: { schema: { type: "string" }, description: "Current trip revision" },
+          },
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: false },
+                  message: { type: "string", example: "Revision conflict: trip is at revision 13, not 12" },
+                  data: { $ref: "#/components/schemas/Trip" },
+                },
+              },
+            },
+          },
+        },
+      },
       schemas: {
         Error: {
           type: "object",
@@ -211,6 +243,92 @@ const options = {
               description: "Location of the activity",
               example: "Sorsogon Airport",
             },
+            startTime: {
+              type: "string",
+              description: "Exact start time (HH:MM), assigned when the trip uses exact scheduling",
+              example: "10:00",
+            },
+            endTime: {
+              type: "string",
+              description: "Exact end time (HH:MM), assigned when the trip uses exact scheduling",
+              example: "11:00",
+            },
+            durationMinutes: {
+              type: "integer",
+              description: "Activity duration in minutes. Set it to override the default duration for the activity type.",
+              example: 60,
+            },
+            estimatedCost: {
+              $ref: "#/components/schemas/MoneyAmount",
+            },
+          },
+        },
+        MoneyAmount: {
+          type: "object",
+          properties: {
+            amount: { type: "number", example: 25 },
+            currency: {
+              type: "string",
+              nullable: true,
+              description: "ISO 4217 currency code",
+              example: "EUR",
+            },
+          },
+        },
+        ScheduleConflict: {
+          type: "object",
+          description: "An overlap, or an activity running past midnight, found while assigning exact times (stored on the day as scheduleConflicts). Times are clamped to 23:59.",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["overlap", "fixed_overlap", "exceeds_day"],
+              example: "overlap",
+            },
+            activityId: { type: "string" },
+            activityName: { type: "string", example: "Lunch at Time Out Market" },
+            startTime: { type: "string", example: "10:30" },
+            endTime: { type: "string", example: "12:00" },
+            conflictingActivityId: { type: "string" },
+            conflictingActivityName: { type: "string", example: "Flight TP1234" },
+            conflictingStartTime: { type: "string", example: "10:00" },
+            conflictingEndTime: { type: "string", example: "11:00" },
+            message: { type: "string" },
+          },
+        },
+        DayTravel: {
+          type: "object",
+          description: "Transit legs between consecutive stops, stored on a day as `travel` after auto-arrangement or regeneration. Any other change to the day's activities removes it, since the legs would be stale.",
+          properties: {
+            activityIds: {
+              type: "array",
+              items: { type: "string" },
+              description: "The day's activity IDs in the visiting order the legs were planned for",
+            },
+            legs: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  fromActivityId: { type: "string" },
+                  fromActivityName: { type: "string" },
+                  toActivityId: { type: "string" },
+                  toActivityName: { type: "string" },
+                  distanceMeters: { type: "integer", example: 2400 },
+                  durationMinutes: { type: "integer", example: 12 },
+                  mode: { type: "string", example: "transit" },
+                  provider: { type: "string", example: "haversine" },
+                },
+              },
+            },
+            totalTravelMinutes: { type: "integer", example: 54 },
+            totalDistanceMeters: { type: "integer", example: 11800 },
+            isUnrealistic: {
+              type: "boolean",
+              description: "True when total travel or a single leg exceeds the configured limits",
+            },
+            warnings: { type: "array", items: { type: "string" } },
+            ungeocodedActivityCount: { type: "integer", example: 0 },
+            computedAt: { type: "string", format: "date-time" },
           },
         },
         UpdateActivitiesRequest: {
@@ -254,6 +372,40 @@ const options = {
             selectedTrip: {
               type: "object",
             },
+            revision: {
+              type: "integer",
+              description: "Bumped on every itinerary change; returned as the ETag. Each itinerary day also carries its own revision.",
+              example: 12,
+            },
+            generation: {
+              type: "object",
+              description: "Only on trips created with POST /trips/stream: how far day-by-day generation has got",
+              properties: {
+                status: { type: "string", enum: ["generating", "complete", "failed"], example: "generating" },
+                completedDays: { type: "integer", example: 2 },
+                totalDays: { type: "integer", example: 5 },
+              },
+            },
+            schedulingMode: {
+              type: "string",
+              enum: ["timeBlock", "exact"],
+              description: "timeBlock (default) or exact. Exact-mode days also carry scheduleConflicts (see ScheduleConflict).",
+              example: "timeBlock",
+            },
+            rejectedActivities: {
+              type: "array",
+              description: "Activities swapped out for an alternative (most recent last); suggestions leave these out",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", example: "Louvre Museum" },
+                  dayNumber: { type: "integer", example: 2 },
+                  replacedBy: { type: "string", example: "Musée d'Orsay" },
+                  rejectedBy: { type: "string", example: "user_abc123" },
+                  rejectedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
             itinerary: {
               type: "object",
               properties: {
@@ -353,6 +505,95 @@ const options = {
             },
           },
         },
+        TripBudgetSummary: {
+          type: "object",
+          description: "Trip spend from linked confirmations (confirmed) and activity cost estimates (estimated), converted to the user's home currency. Items whose exchange rate is unknown are listed in unconvertedItems instead of being added up.",
+          properties: {
+            currency: {
+              type: "string",
+              description: "Home currency from travel preferences",
+              example: "USD",
+            },
+            budget: {
+              type: "object",
+              properties: {
+                amount: { type: "number", nullable: true, example: 2000 },
+                currency: { type: "string", nullable: true, example: "EUR" },
+                convertedAmount: {
+                  type: "number",
+                  nullable: true,
+                  description: "Budget amount in the home currency",
+                  example: 2083.33,
+                },
+                tier: {
+                  type: "string",
+                  nullable: true,
+                  description: "Qualitative budget level when no amount was set (e.g., mid)",
+                },
+              },
+            },
+            totals: {
+              type: "object",
+              properties: {
+                confirmed: { type: "number", example: 1292.19 },
+                estimated: { type: "number", example: 322.92 },
+                total: { type: "number", example: 1615.11 },
+              },
+            },
+            remaining: { type: "number", nullable: true, example: 468.22 },
+            isOverBudget: { type: "boolean", nullable: true, example: false },
+            percentUsed: { type: "number", nullable: true, example: 77.5 },
+            byDay: {
+              type: "object",
+              description: "Keyed by day1, day2, ... (plus unassigned for bookings without a day)",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  confirmed: { type: "number" },
+                  estimated: { type: "number" },
+                  total: { type: "number" },
+                },
+              },
+            },
+            byCategory: {
+              type: "object",
+              description: "Confirmation category or activity type to amount",
+              additionalProperties: { type: "number" },
+              example: { hotel: 1020.83, flight: 271.36, restaurant: 187.5, attraction: 135.42 },
+            },
+            items: {
+              type: "array",
+              description: "Line items in the home currency, with originalAmount and originalCurrency",
+              items: { type: "object" },
+            },
+            unconvertedItems: { type: "array", items: { type: "object" } },
+            unparsedConfirmations: {
+              type: "array",
+              description: "Linked confirmations whose totalAmount could not be read",
+              items: { type: "object" },
+            },
+          },
+        },
+        ConfirmationTotals: {
+          type: "object",
+          description: "Sum of confirmation totalAmount values converted to the user's home currency",
+          properties: {
+            currency: { type: "string", example: "USD" },
+            amount: { type: "number", example: 1612.4 },
+            unconverted: {
+              type: "array",
+              description: "Confirmations whose currency is missing or has no known exchange rate",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: "string" },
+                  amount: { type: "number" },
+                  currency: { type: "string", nullable: true },
+                },
+              },
+            },
+          },
+        },
         LoyaltyProgram: {
           type: "object",
           properties: {
@@ -445,6 +686,11 @@ const options = {
               description: "Loyalty program preference (e.g. both, airline_only, hotel_only, none)",
               example: "both",
             },
+            homeCurrency: {
+              type: "string",
+              description: "ISO 4217 code that budgets and confirmation totals are reported in",
+              example: "USD",
+            },
             interestsAndVibes: {
               type: "array",
               items: {
@@ -508,6 +754,10 @@ const options = {
               type: "string",
               example: "both",
             },
+            homeCurrency: {
+              type: "string",
+              example: "USD",
+            },
             interestsAndVibes: {
               type: "array",
               items: {
@@ -576,6 +826,337 @@ const options = {
             },
           },
         },
+        InspirationJob: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            type: { type: "string", example: "video_analysis" },
+            url: { type: "string" },
+            platform: { type: "string", example: "tiktok" },
+            status: {
+              type: "string",
+              enum: ["queued", "processing", "completed", "failed"],
+            },
+            stage: {
+              type: "string",
+              nullable: true,
+              enum: ["fetching", "uploading", "analyzing", "summarizing", "saving"],
+            },
+            stages: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", example: "analyzing" },
+                  status: {
+                    type: "string",
+                    enum: ["pending", "in_progress", "completed", "failed"],
+                  },
+                  startedAt: { type: "string", format: "date-time", nullable: true },
+                  completedAt: { type: "string", format: "date-time", nullable: true },
+                },
+              },
+            },
+            progress: { type: "integer", description: "0-100", example: 40 },
+            attempts: { type: "integer", example: 1 },
+            maxAttempts: { type: "integer", example: 3 },
+            nextAttemptAt: {
+              type: "string",
+              format: "date-time",
+              description: "When a queued (or retrying) job becomes runnable",
+            },
+            result: {
+              type: "object",
+              nullable: true,
+              properties: {
+                itemCount: { type: "integer", example: 4 },
+                items: { type: "array", items: { $ref: "#/components/schemas/TikTokAnalysisItem" } },
+              },
+            },
+            error: {
+              type: "object",
+              nullable: true,
+              properties: {
+                message: { type: "string" },
+                stage: { type: "string", nullable: true },
+                attempt: { type: "integer" },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+            completedAt: { type: "string", format: "date-time", nullable: true },
+          },
+        },
+        UsageTotals: {
+          type: "object",
+          description: "Model usage for one feature (or all of them); requests only appears on quota features",
+          properties: {
+            requests: { type: "integer", description: "Requests counted against the quota (failed requests are given back)", example: 2 },
+            calls: { type: "integer", description: "Model calls, repair rounds included", example: 9 },
+            promptTokens: { type: "integer", example: 14200 },
+            completionTokens: { type: "integer", example: 5100 },
+            totalTokens: { type: "integer", example: 19300 },
+            images: { type: "integer", example: 0 },
+            minutes: { type: "number", description: "Minutes of video analyzed", example: 0 },
+            estimatedCostUsd: { type: "number", example: 0.00519 },
+          },
+        },
+        UsageReport: {
+          type: "object",
+          properties: {
+            plan: { type: "string", enum: ["free", "premium"], example: "free" },
+            period: { type: "string", description: "Calendar month (UTC)", example: "2026-10" },
+            resetAt: { type: "string", format: "date-time", description: "When the month's quotas reset" },
+            quotas: {
+              type: "object",
+              description: "Monthly quota per feature: itinerary, day-regeneration, activity-alternatives, video-analysis, cover-photo",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  limit: { type: "integer", example: 5 },
+                  used: { type: "integer", example: 2 },
+                  remaining: { type: "integer", example: 3 },
+                },
+              },
+            },
+            features: {
+              type: "object",
+              description: "Usage per feature, including features without a quota (trip-suggestions, link-summary, ...)",
+              additionalProperties: { $ref: "#/components/schemas/UsageTotals" },
+            },
+            totals: { $ref: "#/components/schemas/UsageTotals" },
+          },
+        },
+        TripVersion: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            authorId: { type: "string", description: "User who made the change" },
+            action: {
+              type: "string",
+              enum: [
+                "create",
+                "generate",
+                "regenerate",
+                "inspiration_add",
+                "confirmation_link",
+                "manual_edit",
+                "swap_alternative",
+                "move",
+                "date_change",
+                "legs",
+                "cost_estimate",
+                "snapshot",
+                "restore",
+              ],
+            },
+            name: { type: "string", nullable: true, example: "Before asking the group" },
+            restoredFromVersionId: { type: "string", description: "Only on restore versions" },
+            diff: {
+              type: "object",
+              properties: {
+                days: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      dayNumber: { type: "integer" },
+                      added: {
+                        type: "array",
+                        items: { type: "object", properties: { id: { type: "string" }, name: { type: "string" } } },
+                      },
+                      removed: {
+                        type: "array",
+                        items: { type: "object", properties: { id: { type: "string" }, name: { type: "string" } } },
+                      },
+                      changed: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            id: { type: "string" },
+                            name: { type: "string" },
+                            fields: { type: "array", items: { type: "string" }, example: ["timeBlock"] },
+                            changes: {
+                              type: "array",
+                              items: {
+                                type: "object",
+                                properties: {
+                                  field: { type: "string" },
+                                  from: {},
+                                  to: {},
+                                },
+                              },
+                            },
+                            reordered: { type: "boolean" },
+                          },
+                        },
+                      },
+                      summaryChanged: { type: "boolean" },
+                    },
+                  },
+                },
+                addedDays: { type: "array", items: { type: "integer" } },
+                removedDays: { type: "array", items: { type: "integer" } },
+                totals: {
+                  type: "object",
+                  properties: {
+                    added: { type: "integer" },
+                    removed: { type: "integer" },
+                    changed: { type: "integer" },
+                  },
+                },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        TripLeg: {
+          type: "object",
+          description: "One stop of a multi-destination trip. The first day of every leg after the first is a transfer day.",
+          required: ["city", "startDate", "endDate"],
+          properties: {
+            id: { type: "string", description: "Generated when omitted" },
+            city: { type: "string", example: "Kyoto" },
+            country: { type: "string", nullable: true, example: "Japan" },
+            startDate: { type: "string", format: "date", description: "Arrival day", example: "2026-05-04" },
+            endDate: {
+              type: "string",
+              format: "date",
+              description: "Departure day (may be the next leg's startDate)",
+              example: "2026-05-07",
+            },
+            accommodation: {
+              type: "object",
+              nullable: true,
+              description: "Filled in from a matching hotel confirmation",
+              properties: {
+                name: { type: "string", nullable: true },
+                address: { type: "string", nullable: true },
+                confirmationId: { type: "string", nullable: true },
+                checkInDate: { type: "string", format: "date", nullable: true },
+                checkOutDate: { type: "string", format: "date", nullable: true },
+              },
+            },
+          },
+        },
+        TripDateChange: {
+          type: "object",
+          properties: {
+            previous: {
+              type: "object",
+              properties: {
+                startDate: { type: "string", nullable: true },
+                endDate: { type: "string", nullable: true },
+                totalDays: { type: "integer" },
+              },
+            },
+            current: {
+              type: "object",
+              properties: {
+                startDate: { type: "string" },
+                endDate: { type: "string" },
+                totalDays: { type: "integer" },
+              },
+            },
+            addedDays: { type: "array", items: { type: "integer" }, example: [4, 5] },
+            removedDays: { type: "array", items: { type: "integer" } },
+            movedActivities: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  activityId: { type: "string" },
+                  name: { type: "string" },
+                  fromDay: { type: "integer" },
+                  toDay: { type: "integer" },
+                  reason: { type: "string", enum: ["booking_date", "removed_day"] },
+                },
+              },
+            },
+            droppedActivities: {
+              type: "array",
+              description: "Flexible activities that were on removed days",
+              items: {
+                type: "object",
+                properties: {
+                  activityId: { type: "string" },
+                  name: { type: "string" },
+                  fromDay: { type: "integer" },
+                },
+              },
+            },
+            conflicts: {
+              type: "array",
+              description: "Linked bookings whose date is outside the new trip dates",
+              items: {
+                type: "object",
+                properties: {
+                  type: { type: "string", example: "booking_outside_trip_dates" },
+                  activityId: { type: "string", nullable: true },
+                  confirmationId: { type: "string" },
+                  name: { type: "string" },
+                  fromDay: { type: "integer", nullable: true },
+                  bookingDate: { type: "string", format: "date" },
+                },
+              },
+            },
+            fillFailed: {
+              type: "boolean",
+              description: "Present when activities couldn't be generated for added days",
+            },
+          },
+        },
+        TripTemplate: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            userId: { type: "string" },
+            name: { type: "string", example: "Long weekend in Tokyo" },
+            description: { type: "string" },
+            sourceTripId: { type: "string" },
+            tripDetails: {
+              type: "object",
+              description: "Trip details reused when creating a trip from the template",
+              properties: {
+                destination: { type: "string", example: "Tokyo, Japan" },
+                description: { type: "string" },
+                travelers: { type: "string", example: "2" },
+                budget: { type: "string", example: "mid" },
+                vibe: { type: "array", items: { type: "string" } },
+              },
+            },
+            schedulingMode: { type: "string", enum: ["timeBlock", "exact"] },
+            durationDays: { type: "integer", example: 3 },
+            activityCount: { type: "integer", description: "Only in list responses", example: 12 },
+            days: {
+              type: "array",
+              description: "Day-by-day activities without dates or IDs (omitted in list responses)",
+              items: {
+                type: "object",
+                properties: {
+                  summary: { type: "string" },
+                  activities: { type: "array", items: { $ref: "#/components/schemas/Activity" } },
+                },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+          },
+        },
+        ShareLink: {
+          type: "object",
+          properties: {
+            token: { type: "string", description: "Secret share token" },
+            url: { type: "string", example: "https://your-app.vercel.app/share/3f9c..." },
+            tripId: { type: "string" },
+            createdBy: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time", nullable: true },
+            revokedAt: { type: "string", format: "date-time", nullable: true },
+            isActive: { type: "boolean", example: true },
+          },
+        },
         SuggestedActivity: {
           type: "object",
           properties: {
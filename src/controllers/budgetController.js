@@ -0,0 +1,149 @@
+const {
+  getTripBudget,
+  setTripBudget,
+  estimateTripActivityCosts,
+} = require("../services/budgetService");
+const { LLMOutputError } = require("../services/llmGateway");
+
+/**
+ * Map budget service errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleBudgetError = (res, error, fallbackMessage) => {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Unauthorized")) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Invalid budget") || error.message.includes("Invalid currency")) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error instanceof LLMOutputError) {
+    return res.status(502).json({
+      success: false,
+      message: "The AI returned an unusable response, please try again",
+      error: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * Get the budget breakdown for a trip
+ * GET /api/trips/:tripId/budget
+ */
+const getTripBudgetController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const budget = await getTripBudget(tripId, userId);
+
+    return res.status(200).json({
+      success: true,
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Error in getTripBudgetController:", error);
+    return handleBudgetError(res, error, "Failed to get trip budget");
+  }
+};
+
+/**
+ * Set the budget amount for a trip
+ * PUT /api/trips/:tripId/budget
+ */
+const setTripBudgetController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { amount, currency } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (amount === undefined || amount === null) {
+      return res.status(400).json({
+        success: false,
+        message: "amount is required",
+      });
+    }
+
+    const budget = await setTripBudget(tripId, userId, { amount, currency });
+
+    return res.status(200).json({
+      success: true,
+      message: "Trip budget updated successfully",
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Error in setTripBudgetController:", error);
+    return handleBudgetError(res, error, "Failed to update trip budget");
+  }
+};
+
+/**
+ * Fill in AI cost estimates for activities that don't have one
+ * POST /api/trips/:tripId/budget/estimates
+ */
+const estimateTripCostsController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const budget = await estimateTripActivityCosts(tripId, userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Activity cost estimates updated successfully",
+      data: budget,
+    });
+  } catch (error) {
+    console.error("Error in estimateTripCostsController:", error);
+    return handleBudgetError(res, error, "Failed to estimate activity costs");
+  }
+};
+
+module.exports = {
+  getTripBudgetController,
+  setTripBudgetController,
+  estimateTripCostsController,
+};
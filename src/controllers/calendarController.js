@@ -0,0 +1,183 @@
+const {
+  getTripCalendar,
+  getOrCreateSubscriptionToken,
+  rotateSubscriptionToken,
+  getSubscribedTripCalendar,
+} = require("../services/calendarService");
+
+/**
+ * Base URL used for subscription links (APP_BASE_URL, or derived from the request)
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const getBaseUrl = (req) =>
+  (process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+
+/**
+ * Send an iCalendar document
+ * @param {object} res - Express response
+ * @param {string} tripId - Trip ID (used for the filename)
+ * @param {string} calendar - iCalendar text
+ */
+const sendCalendar = (res, tripId, calendar) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="trip-${tripId}.ics"`);
+  res.set("Cache-Control", "no-cache");
+  return res.status(200).send(calendar);
+};
+
+/**
+ * Export a trip itinerary as iCalendar
+ * GET /api/trips/:tripId/calendar.ics
+ */
+const exportTripCalendar = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const calendar = await getTripCalendar(tripId, userId);
+    return sendCalendar(res, tripId, calendar);
+  } catch (error) {
+    console.error("Error in exportTripCalendar controller:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to export trip calendar",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the secret subscription URL for a trip calendar
+ * GET /api/trips/:tripId/calendar/subscription
+ */
+const getTripCalendarSubscription = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    // Validates the trip exists and the user can view it before handing out a URL
+    await getTripCalendar(tripId, userId);
+
+    const token = await getOrCreateSubscriptionToken(userId);
+    const url = `${getBaseUrl(req)}/calendar/${token}/trips/${tripId}.ics`;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:\/\//, "webcal://"),
+      },
+    });
+  } catch (error) {
+    console.error("Error in getTripCalendarSubscription controller:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get calendar subscription",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Rotate the user's calendar subscription secret (invalidates old feed URLs)
+ * POST /api/calendar/subscription/rotate
+ */
+const rotateCalendarSubscription = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    await rotateSubscriptionToken(userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Calendar subscription URLs rotated. Previously shared URLs no longer work.",
+    });
+  } catch (error) {
+    console.error("Error in rotateCalendarSubscription controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to rotate calendar subscription",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Public subscription feed (authenticated by the secret token in the URL)
+ * GET /calendar/:token/trips/:tripId.ics
+ */
+const getSubscribedCalendar = async (req, res) => {
+  try {
+    const { token, tripId } = req.params;
+    const calendar = await getSubscribedTripCalendar(token, tripId);
+    return sendCalendar(res, tripId, calendar);
+  } catch (error) {
+    console.error("Error in getSubscribedCalendar controller:", error);
+
+    // Don't reveal whether the token or the trip was the problem
+    if (error.message.includes("not found") || error.message.includes("Unauthorized")) {
+      return res.status(404).send("Calendar not found");
+    }
+
+    return res.status(500).send("Failed to load calendar");
+  }
+};
+
+module.exports = {
+  exportTripCalendar,
+  getTripCalendarSubscription,
+  rotateCalendarSubscription,
+  getSubscribedCalendar,
+};
@@ -0,0 +1,238 @@
+const {
+  createGmailAuthUrl,
+  consumeOAuthState,
+  createOAuth2Client,
+  saveGmailTokens,
+  getGmailConnection,
+  deleteGmailConnection,
+} = require("../services/gmailTokenService");
+const { syncGmailForUser } = require("../services/gmailSyncService");
+const { runGmailSyncCycle } = require("../services/gmailSyncScheduler");
+const { runWithUsageContext } = require("../services/usageService");
+
+/**
+ * Get a Gmail consent URL bound to the authenticated user
+ * GET /api/gmail/auth-url
+ */
+const getGmailAuthUrl = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const url = await createGmailAuthUrl(userId);
+
+    return res.status(200).json({
+      success: true,
+      data: { url },
+    });
+  } catch (error) {
+    console.error("Error in getGmailAuthUrl controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create Gmail authorization URL",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Redirect the authenticated user to the Gmail consent screen
+ * GET /gmail/auth
+ */
+const redirectToGmailAuth = async (req, res) => {
+  try {
+    const url = await createGmailAuthUrl(req.userId);
+    return res.redirect(url);
+  } catch (error) {
+    console.error("Error in redirectToGmailAuth controller:", error);
+    return res.status(500).send("Failed to start Gmail authorization.");
+  }
+};
+
+/**
+ * Handle the OAuth callback from Google: resolve the user from the state
+ * parameter, store their tokens and kick off the first sync
+ * GET /auth/google/callback
+ */
+const handleGmailOAuthCallback = async (req, res) => {
+  try {
+    const { code, state, error: oauthError } = req.query;
+
+    if (oauthError) {
+      return res.status(400).send(`Gmail authorization was not granted: ${oauthError}`);
+    }
+
+    if (!code) {
+      return res.status(400).send("Missing authorization code.");
+    }
+
+    let userId;
+    try {
+      userId = await consumeOAuthState(state);
+    } catch (stateError) {
+      return res.status(400).send("Invalid or expired authorization request. Please try connecting Gmail again.");
+    }
+
+    const { tokens } = await createOAuth2Client().getToken(code);
+    await saveGmailTokens(userId, tokens);
+    console.log(`✅ Gmail connected for user ${userId}`);
+
+    // Initial sync runs in the background; later syncs are incremental via the scheduler.
+    // The callback is public (no usage context), so bill booking extraction to the mailbox owner.
+    runWithUsageContext({ userId }, () => syncGmailForUser(userId)).catch((err) =>
+      console.error(`Initial Gmail sync failed for user ${userId}:`, err)
+    );
+
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>Gmail Connected</title>
+        <style>
+          body { font-family: Arial, sans-serif; background: #f9f9f9; text-align: center; padding: 40px; }
+          h2 { color: #2b7de9; }
+        </style>
+      </head>
+      <body>
+        <h2>✅ Gmail Connected Successfully!</h2>
+        <p>We're scanning your recent booking emails now. New booking confirmations will sync automatically.</p>
+        <p>You can close this window.</p>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error("OAuth Error:", error);
+    return res.status(500).send("Failed to authenticate with Gmail.");
+  }
+};
+
+/**
+ * Get the authenticated user's Gmail connection status
+ * GET /api/gmail/connection
+ */
+const getGmailConnectionStatus = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const connection = await getGmailConnection(userId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        connected: connection?.status === "connected",
+        status: connection?.status || "disconnected",
+        lastSyncedAt: connection?.lastSyncedAt || null,
+        lastSyncError: connection?.lastSyncError || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getGmailConnectionStatus controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get Gmail connection status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Disconnect Gmail for the authenticated user
+ * DELETE /api/gmail/connection
+ */
+const disconnectGmail = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const deleted = await deleteGmailConnection(userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Gmail connection not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Gmail disconnected successfully",
+    });
+  } catch (error) {
+    console.error("Error in disconnectGmail controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to disconnect Gmail",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Run one background Gmail sync pass, for schedulers that can't keep an in-process timer (Vercel Cron)
+ * GET /cron/gmail-sync
+ * Public route: authenticated with "Authorization: Bearer <CRON_SECRET>"
+ */
+const runGmailSyncCron = async (req, res) => {
+  try {
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret || req.get("Authorization") !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized",
+      });
+    }
+
+    if (process.env.GMAIL_SYNC_ENABLED === "false") {
+      return res.status(200).json({
+        success: true,
+        message: "Gmail background sync is disabled",
+        data: { synced: 0, failed: 0, skipped: true },
+      });
+    }
+
+    const result = await runGmailSyncCycle();
+
+    return res.status(200).json({
+      success: true,
+      message: "Gmail sync cycle finished",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error in runGmailSyncCron controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run Gmail sync cycle",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getGmailAuthUrl,
+  redirectToGmailAuth,
+  handleGmailOAuthCallback,
+  getGmailConnectionStatus,
+  disconnectGmail,
+  runGmailSyncCron,
+};
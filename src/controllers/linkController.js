@@ -1,6 +1,7 @@
 const { summarizeLinkContent } = require("../services/linkSummaryService");
 const { saveCategorizedContent } = require("../services/categorizationService.js");
 const { sendInspirationProcessedNotification } = require("../services/pushNotificationService.js");
+const { LLMOutputError } = require("../services/llmGateway");
 
 const summarizeLink = async (req, res) => {
   try {
@@ -55,6 +56,15 @@ const summarizeLink = async (req, res) => {
     return res.json({ success: true, data: responseData });
   } catch (err) {
     console.error("❌ Error summarizing link:", err.message);
+
+    if (err instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: err.message,
+      });
+    }
+
     return res
       .status(500)
       .json({ success: false, message: "Failed to summarize link content" });
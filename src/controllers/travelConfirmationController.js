@@ -1,5 +1,3 @@
-const { google } = require("googleapis");
-const OpenAI = require("openai");
 const pdf = require("pdf-parse");
 const {
   extractBookingData,
@@ -21,62 +19,15 @@ const {
   checkDuplicateWithAI,
 } = require("../services/travelConfirmationService");
 const { getTripById, updateDayActivities } = require("../services/tripService");
-const { arrangeDayWithConfirmation } = require("../services/autoArrangementService");
+const { arrangeDayWithConfirmation, planDayTravel } = require("../services/autoArrangementService");
 const { sendTravelConfirmationProcessedNotification, sendNoConfirmationsFoundNotification } = require("../services/pushNotificationService");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Helper to create OAuth2 client
-const createOAuth2Client = () => {
-  return new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-};
-
-// Helper: recursively extract plain text from Gmail message
-function extractPlainText(payload) {
-  let text = "";
-  if (!payload) return text;
-
-  if (payload.mimeType === "text/plain" && payload.body?.data) {
-    text += Buffer.from(payload.body.data, "base64").toString("utf-8");
-  }
-
-  if (payload.parts) {
-    for (const part of payload.parts) {
-      text += extractPlainText(part);
-    }
-  }
-
-  return text;
-}
-
-/** True if the confirmation has no meaningful booking data (would create an "empty" confirmation doc). */
-function isEmptyConfirmation(data) {
-  if (!data || typeof data !== "object") return true;
-  const s = (v) => (v && String(v).trim()) || "";
-  const hasId = s(data.bookingId);
-  const hasName =
-    s(data.hotelName) ||
-    s(data.restaurantName) ||
-    s(data.eventName) ||
-    s(data.airline) ||
-    s(data.rentalCompany) ||
-    s(data.carModel) ||
-    s(data.venue) ||
-    s(data.performer) ||
-    s(data.ticketType);
-  const hasSummary =
-    s(data.summary) && data.summary !== "Failed to parse AI response.";
-  return !(hasId || hasName || hasSummary);
-}
+const { saveGmailTokens, getGmailConnection } = require("../services/gmailTokenService");
+const { syncGmailForUser, isEmptyConfirmation } = require("../services/gmailSyncService");
+const { getHomeCurrency, withHomeCurrencyTotals } = require("../services/currencyService");
+const { LLMOutputError } = require("../services/llmGateway");
 
 /**
- * Sync Gmail and extract booking confirmations
+ * Sync Gmail and extract booking confirmations using the user's stored Gmail tokens
  * POST /api/travel-confirmations/sync-gmail
  */
 const syncGmail = async (req, res) => {
@@ -90,83 +41,35 @@ const syncGmail = async (req, res) => {
       });
     }
 
-    // Get OAuth tokens from request (should be stored per user in production)
-    // For now, we'll use the existing oauth2Client setup
-    // In production, you'd retrieve tokens from database based on userId
     const { accessToken, refreshToken, tripId, start_date, end_date } = req.body;
 
-    if (!accessToken) {
-      return res.status(400).json({
-        success: false,
-        message: "Access token is required. Please authenticate with Gmail first.",
+    // Older clients still post raw tokens; store them so later syncs (and the scheduler) can use them
+    if (accessToken) {
+      await saveGmailTokens(userId, {
+        access_token: accessToken,
+        refresh_token: refreshToken,
       });
     }
 
-    // Create a new OAuth2 client for this request to avoid race conditions
-    const oauth2Client = createOAuth2Client();
-    oauth2Client.setCredentials({
-      access_token: accessToken,
-      refresh_token: refreshToken,
-    });
-
-    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
-
-    // Gmail API q parameter: after/before use YYYY/MM/DD per https://developers.google.com/workspace/gmail/api/guides/filtering
-    const baseQuery = `(subject:(booking OR reservation OR confirmation OR itinerary OR ticket OR booked OR "e-ticket" OR voucher OR receipt OR invoice OR "boarding pass" OR "check-in" OR "booking reference" OR "confirmation number" OR "reservation number" OR "your order" OR admission OR tour OR experience) OR from:(noreply OR reservations OR bookings OR tickets))`;
-    const dateFilter =
-      start_date && end_date
-        ? ` after:${start_date.replace(/-/g, "/")} before:${end_date.replace(/-/g, "/")}`
-        : " newer_than:7d";
-    const listRes = await gmail.users.messages.list({
-      userId: "me",
-      q: baseQuery + dateFilter,
-      maxResults: 50,
-    });
-
-    const messages = listRes.data.messages || [];
-    if (messages.length === 0) {
-      sendNoConfirmationsFoundNotification(userId)
-        .catch((err) => console.error("Failed to send no-confirmations push notification:", err));
-      return res.json({
-        success: true,
-        data: [],
-        message: "No confirmations found,We didn't find any recent booking emails, You can add confirmations by uploading a PDF or photo of your booking, or try again after you receive new confirmation emails.",
+    const connection = await getGmailConnection(userId);
+    if (!connection) {
+      return res.status(400).json({
+        success: false,
+        message: "Gmail is not connected. Please authenticate with Gmail first.",
       });
     }
 
-    // extractBookingData returns an array of bookings per email (empty array if none found)
-    const allExtracted = [];
-
-    for (const msg of messages) {
-      const fullEmail = await gmail.users.messages.get({
-        userId: "me",
-        id: msg.id,
-        format: "full",
-      });
-
-      const emailText = extractPlainText(fullEmail.data.payload);
-      if (!emailText.trim()) continue;
-
-      try {
-        const items = await extractBookingData(emailText);
-        const list = Array.isArray(items) ? items : items ? [items] : [];
-        list.forEach((structuredData) => {
-          allExtracted.push({ emailId: msg.id, structuredData });
-        });
-      } catch (error) {
-        console.error(`Error processing email ${msg.id}:`, error);
-        // Continue with next email even if one fails
+    const { validResults, savedConfirmations, duplicatedItems } = await syncGmailForUser(
+      userId,
+      {
+        tripId,
+        startDate: start_date,
+        endDate: end_date,
       }
-    }
-
-    // Only keep confirmations that have meaningful data (avoid saving "empty" docs)
-    const validResults = allExtracted.filter(
-      ({ structuredData }) => !isEmptyConfirmation(structuredData)
     );
-    const confirmationsData = validResults.map((r) => r.structuredData);
 
-    // No valid confirmations — treat like "confirmation not found", don't save anything
-    if (confirmationsData.length === 0) {
+    // No valid confirmations — treat like "confirmation not found", nothing was saved
+    if (validResults.length === 0) {
       sendNoConfirmationsFoundNotification(userId)
         .catch((err) => console.error("Failed to send no-confirmations push notification:", err));
       return res.json({
@@ -176,40 +79,6 @@ const syncGmail = async (req, res) => {
       });
     }
 
-    // AI duplicate detection: collect duplicates and only save non-duplicates
-    const duplicatedItems = [];
-    const confirmationsToSave = [];
-    for (const confirmation of confirmationsData) {
-      const { isDuplicate, duplicateDocuments } = await findDuplicateConfirmationForUser(
-        userId,
-        confirmation
-      );
-      if (isDuplicate && duplicateDocuments.length > 0) {
-        duplicatedItems.push(...duplicateDocuments);
-      } else {
-        confirmationsToSave.push(confirmation);
-      }
-    }
-
-    // Save only non-duplicate confirmations to Firestore
-    let savedConfirmations = [];
-    try {
-      savedConfirmations =
-        confirmationsToSave.length > 0
-          ? await saveConfirmations(userId, confirmationsToSave, tripId || null)
-          : [];
-      console.log(`✅ Saved ${savedConfirmations.length} confirmations to Firestore`);
-
-      if (savedConfirmations.length > 0) {
-        const categories = confirmationsToSave.map((d) => d.category).filter(Boolean);
-        const mostCommonCategory = categories.length > 0 ? categories[0] : "travel";
-        sendTravelConfirmationProcessedNotification(userId, savedConfirmations.length, mostCommonCategory)
-          .catch((err) => console.error("Failed to send confirmation notification:", err));
-      }
-    } catch (saveError) {
-      console.error("Error saving confirmations to Firestore:", saveError);
-    }
-
     // Group by category for response
     const grouped = validResults.reduce((acc, { structuredData }) => {
       const category = structuredData.category || "unknown";
@@ -233,6 +102,14 @@ const syncGmail = async (req, res) => {
     });
   } catch (error) {
     console.error("Gmail Sync Error:", error);
+
+    if (error.message.includes("invalid_grant")) {
+      return res.status(400).json({
+        success: false,
+        message: "Gmail access has expired or was revoked. Please reconnect Gmail.",
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to sync Gmail messages.",
@@ -342,6 +219,14 @@ const uploadPDF = async (req, res) => {
     });
   } catch (error) {
     console.error("PDF Upload Error:", error);
+    if (error instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to process PDF.",
@@ -443,6 +328,14 @@ const uploadImage = async (req, res) => {
     });
   } catch (error) {
     console.error("Image Upload Error:", error);
+    if (error instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to process image.",
@@ -466,11 +359,16 @@ const getConfirmations = async (req, res) => {
       });
     }
 
-    const confirmations = await getUserConfirmations(userId);
+    const homeCurrency = await getHomeCurrency(userId);
+    const { confirmations, totals } = await withHomeCurrencyTotals(
+      await getUserConfirmations(userId),
+      homeCurrency
+    );
 
     return res.json({
       success: true,
       data: confirmations,
+      totals,
     });
   } catch (error) {
     console.error("Error getting confirmations:", error);
@@ -505,14 +403,34 @@ const getConfirmationsByTrip = async (req, res) => {
       });
     }
 
-    const confirmations = await getTripConfirmations(tripId, userId);
+    const homeCurrency = await getHomeCurrency(userId);
+    const { confirmations, totals } = await withHomeCurrencyTotals(
+      await getTripConfirmations(tripId, userId),
+      homeCurrency
+    );
 
     return res.json({
       success: true,
       data: confirmations,
+      totals,
     });
   } catch (error) {
     console.error("Error getting trip confirmations:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to get trip confirmations.",
@@ -761,8 +679,13 @@ const linkConfirmationsToTripDays = async (req, res) => {
             confirmationActivity
           );
 
-          // Update the trip with rearranged activities
-          trip = await updateDayActivities(tripId, userId, dayNum, rearrangedActivities);
+          const { activities, travel } = await planDayTravel(trip, rearrangedActivities);
+
+          // Update the trip with rearranged activities and their transit legs
+          trip = await updateDayActivities(tripId, userId, dayNum, activities, {
+            travel,
+            action: "confirmation_link",
+          });
         }
 
         console.log(`✅ Auto-sloted confirmations into day ${dayNum}`);
@@ -809,7 +732,7 @@ const linkConfirmationsToTripDays = async (req, res) => {
 const getFilteredConfirmations = async (req, res) => {
   try {
     const userId = req.userId;
-    const { assignment = "all", category = "all" } = req.query;
+    const { assignment = "all", category = "all", minAmount, maxAmount } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -818,18 +741,38 @@ const getFilteredConfirmations = async (req, res) => {
       });
     }
 
-    const confirmations = await filterConfirmations(userId, { assignment, category });
+    const homeCurrency = await getHomeCurrency(userId);
+    const filtered = await filterConfirmations(userId, {
+      assignment,
+      category,
+      minAmount,
+      maxAmount,
+      homeCurrency,
+    });
+    const { confirmations, totals } = await withHomeCurrencyTotals(filtered, homeCurrency);
 
     return res.json({
       success: true,
       data: confirmations,
+      totals,
       filters: {
         assignment: assignment || "all",
         category: category || "all",
+        ...(minAmount !== undefined && { minAmount: Number(minAmount) }),
+        ...(maxAmount !== undefined && { maxAmount: Number(maxAmount) }),
+        ...((minAmount !== undefined || maxAmount !== undefined) && { currency: homeCurrency }),
       },
     });
   } catch (error) {
     console.error("Error filtering confirmations:", error);
+
+    if (error.message.includes("Invalid amount filter")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to filter confirmations.",
@@ -39,6 +39,14 @@ const savePreferences = async (req, res) => {
     });
   } catch (error) {
     console.error("Error in savePreferences controller:", error);
+
+    if (error.message.includes("Invalid home currency")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to save travel preferences",
@@ -129,6 +137,14 @@ const updatePreferences = async (req, res) => {
     });
   } catch (error) {
     console.error("Error in updatePreferences controller:", error);
+
+    if (error.message.includes("Invalid home currency")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to update travel preferences",
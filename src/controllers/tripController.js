@@ -1,9 +1,39 @@
-const { saveTrip, getUserTrips, getTripById, updateDayActivities, addDayActivities, addInspirationItemsToTrip, updateActivity, deleteActivity, updateTripStatus, regenerateDayActivities, getDayVersionHistory, rollbackToVersion, deleteTrip, updateTripName, updateTripCoverPhotoUrl } = require("../services/tripService");
-const { generateItinerary, generateItineraryWithCollaboration } = require("../services/itineraryService");
+const { saveTrip, saveGeneratedDay, finishTripGeneration, getUserTrips, getTripById, updateDayActivities, addDayActivities, addInspirationItemsToTrip, updateActivity, applyActivityAlternative, deleteActivity, updateTripStatus, regenerateDayActivities, getDayVersionHistory, rollbackToVersion, deleteTrip, updateTripName, updateTripCoverPhotoUrl, updateTripSchedulingMode, cloneTrip, changeTripDates, moveActivity, buildTripETag, parseIfMatch } = require("../services/tripService");
+const { getTemplateById, seedItineraryFromTemplate } = require("../services/tripTemplateService");
+const { normalizeLegs, updateTripLegs, syncHotelConfirmationsToLegs } = require("../services/tripLegService");
+const { generateItinerary, planItinerary, generateItineraryDay, generateItineraryWithCollaboration } = require("../services/itineraryService");
 const { getInspirationItemsByIds, formatInspirationItemsToActivities } = require("../services/categorizationService");
 const { generateTripCoverPhoto } = require("../services/imageGenerationService");
 const { uploadImageToGCS } = require("../services/gcsService");
 const { sendTripItineraryCreatedNotification } = require("../services/pushNotificationService");
+const { LLMOutputError } = require("../services/llmGateway");
+
+/**
+ * Send the trip's revision as its ETag
+ * @param {object} res - Express response
+ * @param {object|null} trip - Trip document
+ */
+const setTripETag = (res, trip) => {
+  if (trip) {
+    res.set("ETag", buildTripETag(trip));
+  }
+};
+
+/**
+ * Respond 409 with the trip as it is now, so the client can merge and retry with the new ETag
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Error} error - The revision conflict error
+ */
+const sendRevisionConflict = async (req, res, error) => {
+  const currentTrip = await getTripById(req.params.tripId, req.userId).catch(() => null);
+  setTripETag(res, currentTrip);
+  return res.status(409).json({
+    success: false,
+    message: error.message,
+    data: currentTrip,
+  });
+};
 
 /**
  * Create a new trip with generated itinerary
@@ -29,6 +59,11 @@ const createTrip = async (req, res) => {
       });
     }
 
+    // Multi-destination trips: store normalized legs (with IDs) on selectedTrip
+    if (selectedTrip.legs !== undefined) {
+      selectedTrip.legs = normalizeLegs(selectedTrip.legs);
+    }
+
     // Generate 3-day itinerary using AI
     console.log("🎯 Generating itinerary for trip...");
     const itinerary = await generateItinerary(selectedTrip);
@@ -55,7 +90,12 @@ const createTrip = async (req, res) => {
     }
 
     // Save trip with itinerary and cover photo to Firestore
-    const savedTrip = await saveTrip(userId, selectedTrip, itinerary, coverPhotoUrl);
+    let savedTrip = await saveTrip(userId, selectedTrip, itinerary, coverPhotoUrl);
+
+    // Link hotel bookings to their legs
+    if (await syncHotelConfirmationsToLegs(savedTrip.id)) {
+      savedTrip = await getTripById(savedTrip.id, userId);
+    }
 
     // Send push notification to user (fire and forget - don't wait for it)
     const tripName = selectedTrip.destination || selectedTrip.name || "your trip";
@@ -72,12 +112,223 @@ const createTrip = async (req, res) => {
     });
   } catch (error) {
     console.error("Error in createTrip controller:", error);
+
+    if (error.message.includes("Invalid legs")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create trip",
+      error: error.message,
+    });
+  }
+};
+
+// Comment line sent between events so proxies don't close a stream that is waiting on the AI
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Write one Server-Sent Event (skipped once the stream has ended or the client has gone)
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - Event payload, sent as JSON
+ */
+const sendEvent = (res, event, data) => {
+  if (!res.writableEnded && !res.destroyed) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+};
+
+/**
+ * Give back the request's quota reservation after a stream failed (the 200 is already sent)
+ * @param {object} res - Express response
+ */
+const failStreamQuota = (res) => {
+  res.locals.quotaFailed = true;
+  // The client may be gone already, in which case the quota middleware has settled without us
+  if (res.destroyed && res.locals.settleUsageQuota) {
+    res.locals.settleUsageQuota();
+  }
+};
+
+/**
+ * Start a Server-Sent Events response with a heartbeat
+ * @param {object} res - Express response
+ * @returns {function} - Stops the heartbeat
+ */
+const openEventStream = (res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.status(200);
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(": keep-alive\n\n");
+    }
+  }, SSE_HEARTBEAT_MS);
+  // The response (not the request, which closes once its body is read) closes when the client goes away
+  res.on("close", () => clearInterval(heartbeat));
+  return () => clearInterval(heartbeat);
+};
+
+/**
+ * Generate a trip cover photo and upload it to GCS
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} destination - Destination shown on the photo
+ * @returns {Promise<string|null>} - The GCS URL, or null if generation failed (trips are saved without one)
+ */
+const generateCoverPhotoUrl = async (userId, destination) => {
+  try {
+    console.log("🖼️ Generating cover photo for trip...");
+    const imageBuffer = await generateTripCoverPhoto(destination);
+    const timestamp = Date.now();
+    const filename = `trip-covers/${userId}/${timestamp}_cover.png`;
+    const coverPhotoUrl = await uploadImageToGCS(imageBuffer, filename);
+    console.log("✅ Cover photo generated and saved successfully");
+    return coverPhotoUrl;
+  } catch (coverPhotoError) {
+    console.error("⚠️ Error generating cover photo (continuing without it):", coverPhotoError.message);
+    return null;
+  }
+};
+
+/**
+ * Create a new trip and generate its itinerary one day at a time, streamed as Server-Sent Events:
+ * progress ({ tripId, completedDays, totalDays }), day ({ tripId, dayNumber, day, revision }),
+ * done ({ trip }) and error ({ tripId, message, error }).
+ * Each day is saved as soon as it is generated. If the client disconnects, generation carries on
+ * so the trip still ends up complete (trip.generation tracks how far it has got).
+ * POST /api/trips/stream
+ */
+const createTripStream = async (req, res) => {
+  const userId = req.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorized: User ID not found",
+    });
+  }
+
+  const { selectedTrip } = req.body;
+
+  if (!selectedTrip) {
+    return res.status(400).json({
+      success: false,
+      message: "Selected trip data is required",
+    });
+  }
+
+  let itinerary;
+  try {
+    // Multi-destination trips: store normalized legs (with IDs) on selectedTrip
+    if (selectedTrip.legs !== undefined) {
+      selectedTrip.legs = normalizeLegs(selectedTrip.legs);
+    }
+    itinerary = planItinerary(selectedTrip);
+  } catch (error) {
+    console.error("Error in createTripStream controller:", error);
+
+    if (error.message.includes("Invalid legs")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to create trip",
       error: error.message,
     });
   }
+
+  const stopHeartbeat = openEventStream(res);
+
+  // The cover photo doesn't depend on the itinerary, so it is generated alongside the days
+  const coverPhotoPromise = generateCoverPhotoUrl(
+    userId,
+    selectedTrip.destination || selectedTrip.name || "travel destination"
+  );
+
+  const totalDays = itinerary.total_days;
+  let plannedTrip = null;
+
+  try {
+    plannedTrip = await saveTrip(userId, selectedTrip, itinerary, null, { generatingDays: totalDays });
+    const tripId = plannedTrip.id;
+    sendEvent(res, "progress", { tripId, completedDays: 0, totalDays });
+
+    console.log(`🎯 Generating itinerary for trip ${tripId} day by day...`);
+    for (let dayNumber = 1; dayNumber <= totalDays; dayNumber++) {
+      const day = await generateItineraryDay(selectedTrip, itinerary, dayNumber);
+      const updatedTrip = await saveGeneratedDay(tripId, userId, dayNumber, day);
+      itinerary = updatedTrip.itinerary;
+
+      sendEvent(res, "day", { tripId, dayNumber, day: itinerary[`day${dayNumber}`], revision: updatedTrip.revision });
+      sendEvent(res, "progress", { tripId, completedDays: dayNumber, totalDays });
+    }
+    console.log("✅ Itinerary generated successfully");
+
+    const coverPhotoUrl = await coverPhotoPromise;
+    let savedTrip = await finishTripGeneration(tripId, userId, { status: "complete", coverPhotoUrl, before: plannedTrip });
+
+    // Link hotel bookings to their legs
+    if (await syncHotelConfirmationsToLegs(tripId)) {
+      savedTrip = await getTripById(tripId, userId);
+    }
+
+    // Send push notification to user (fire and forget - don't wait for it)
+    const tripName = selectedTrip.destination || selectedTrip.name || "your trip";
+    sendTripItineraryCreatedNotification(userId, tripId, tripName)
+      .catch((error) => {
+        // Log error but don't fail the request
+        console.error("Failed to send push notification:", error);
+      });
+
+    sendEvent(res, "done", { trip: savedTrip });
+  } catch (error) {
+    console.error("Error in createTripStream controller:", error);
+
+    const tripId = plannedTrip?.id || null;
+    if (tripId) {
+      // Keep the days generated so far; the trip is marked failed so the client can offer to regenerate the rest
+      const coverPhotoUrl = await coverPhotoPromise;
+      await finishTripGeneration(tripId, userId, { status: "failed", coverPhotoUrl, before: plannedTrip }).catch(
+        (finishError) => console.error("Failed to mark trip generation as failed:", finishError)
+      );
+    }
+
+    failStreamQuota(res);
+    sendEvent(res, "error", {
+      tripId,
+      message:
+        error instanceof LLMOutputError
+          ? "The AI returned an unusable response, please try again"
+          : "Failed to create trip",
+      error: error.message,
+    });
+  } finally {
+    stopHeartbeat();
+    res.end();
+  }
 };
 
 /**
@@ -143,6 +394,8 @@ const getTrip = async (req, res) => {
       });
     }
 
+    setTripETag(res, trip);
+
     return res.status(200).json({
       success: true,
       data: trip,
@@ -204,7 +457,10 @@ const updateActivities = async (req, res) => {
       });
     }
 
-    const updatedTrip = await updateDayActivities(tripId, userId, dayNum, activities);
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await updateDayActivities(tripId, userId, dayNum, activities, { expectedRevision });
+
+    setTripETag(res, updatedTrip);
 
     return res.status(200).json({
       success: true,
@@ -214,6 +470,17 @@ const updateActivities = async (req, res) => {
   } catch (error) {
     console.error("Error in updateActivities controller:", error);
     
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("not found")) {
       return res.status(404).json({
         success: false,
@@ -275,7 +542,10 @@ const addActivities = async (req, res) => {
       });
     }
 
-    const updatedTrip = await addDayActivities(tripId, userId, dayNum, activities);
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await addDayActivities(tripId, userId, dayNum, activities, { expectedRevision });
+
+    setTripETag(res, updatedTrip);
 
     return res.status(200).json({
       success: true,
@@ -285,6 +555,17 @@ const addActivities = async (req, res) => {
   } catch (error) {
     console.error("Error in addActivities controller:", error);
     
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("not found")) {
       return res.status(404).json({
         success: false,
@@ -385,6 +666,8 @@ const addInspirationsToTrip = async (req, res) => {
       }
     }
 
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+
     console.log(`✨ Getting ${itemIds.length} inspiration item(s) and formatting them...`);
     
     // Get inspiration items by IDs
@@ -408,7 +691,7 @@ const addInspirationsToTrip = async (req, res) => {
       // Auto-arrange: Use AI to rearrange the day
       console.log("🔄 Auto-arranging day to fit new inspiration(s)...");
       
-      const { arrangeDayWithInspiration } = require("../services/autoArrangementService");
+      const { arrangeDayWithInspiration, planDayTravel } = require("../services/autoArrangementService");
       const trip = await getTripById(tripId, userId);
       
       if (!trip) {
@@ -427,17 +710,31 @@ const addInspirationsToTrip = async (req, res) => {
           activity
         );
         
-        // Update the trip with rearranged activities
-        currentTrip = await updateDayActivities(tripId, userId, dayNum, rearrangedActivities);
+        const { activities, travel } = await planDayTravel(currentTrip, rearrangedActivities);
+
+        // Update the trip with rearranged activities and their transit legs
+        currentTrip = await updateDayActivities(tripId, userId, dayNum, activities, {
+          travel,
+          action: "inspiration_add",
+          // After the first write, each step must build on the revision the previous one produced
+          expectedRevision:
+            expectedRevision && currentTrip !== trip
+              ? { tripRevisions: [currentTrip.revision || 0], dayRevisions: {} }
+              : expectedRevision,
+        });
       }
       
       updatedTrip = currentTrip;
       console.log("✅ Day auto-arranged successfully");
     } else {
       // Manual placement: Just add activities
-      updatedTrip = await addInspirationItemsToTrip(tripId, userId, dayNum, formattedActivities);
+      updatedTrip = await addInspirationItemsToTrip(tripId, userId, dayNum, formattedActivities, {
+        expectedRevision,
+      });
     }
 
+    setTripETag(res, updatedTrip);
+
     return res.status(200).json({
       success: true,
       message: `Successfully added ${formattedActivities.length} inspiration item(s) to day ${dayNum}${autoArrange ? " with auto-arrangement" : ""}`,
@@ -446,6 +743,17 @@ const addInspirationsToTrip = async (req, res) => {
   } catch (error) {
     console.error("Error in addInspirationsToTrip controller:", error);
     
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("not found")) {
       return res.status(404).json({
         success: false,
@@ -510,7 +818,12 @@ const updateActivityById = async (req, res) => {
     // Remove id from updatedActivityData if present (shouldn't be changed)
     const { id, ...activityUpdateData } = updatedActivityData;
 
-    const updatedTrip = await updateActivity(tripId, userId, dayNum, activityId, activityUpdateData);
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await updateActivity(tripId, userId, dayNum, activityId, activityUpdateData, {
+      expectedRevision,
+    });
+
+    setTripETag(res, updatedTrip);
 
     return res.status(200).json({
       success: true,
@@ -520,6 +833,17 @@ const updateActivityById = async (req, res) => {
   } catch (error) {
     console.error("Error in updateActivityById controller:", error);
     
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("not found")) {
       return res.status(404).json({
         success: false,
@@ -573,7 +897,10 @@ const deleteActivityById = async (req, res) => {
       });
     }
 
-    const updatedTrip = await deleteActivity(tripId, userId, dayNum, activityId);
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await deleteActivity(tripId, userId, dayNum, activityId, { expectedRevision });
+
+    setTripETag(res, updatedTrip);
 
     return res.status(200).json({
       success: true,
@@ -583,6 +910,17 @@ const deleteActivityById = async (req, res) => {
   } catch (error) {
     console.error("Error in deleteActivityById controller:", error);
     
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     if (error.message.includes("not found")) {
       return res.status(404).json({
         success: false,
@@ -785,13 +1123,17 @@ const getActivityAlternatives = async (req, res) => {
       });
     }
 
-    // Get alternatives
-    const { getActivityAlternatives: getAlternatives } = require("../services/activityRecommendationService");
+    // Get alternatives and cache them so one can be applied by its alternativeToken
+    const {
+      getActivityAlternatives: getAlternatives,
+      cacheActivityAlternatives,
+    } = require("../services/activityRecommendationService");
     const alternatives = await getAlternatives(trip, dayNum, activityId, timeBlock || null);
+    const tokenizedAlternatives = await cacheActivityAlternatives(tripId, userId, dayNum, activityId, alternatives);
 
     return res.status(200).json({
       success: true,
-      data: alternatives,
+      data: tokenizedAlternatives,
     });
   } catch (error) {
     console.error("Error in getActivityAlternatives controller:", error);
@@ -810,6 +1152,14 @@ const getActivityAlternatives = async (req, res) => {
       });
     }
 
+    if (error instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to get activity alternatives",
@@ -818,6 +1168,92 @@ const getActivityAlternatives = async (req, res) => {
   }
 };
 
+/**
+ * Replace an activity with one of its alternatives
+ * POST /api/trips/:tripId/days/:dayNumber/activities/:activityId/alternatives/apply
+ * Body: { alternativeToken } (from the GET) or { alternative }
+ */
+const applyActivityAlternativeController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, dayNumber, activityId } = req.params;
+    const { alternativeToken, alternative } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const dayNum = parseInt(dayNumber, 10);
+    if (isNaN(dayNum) || dayNum < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Day number must be a positive integer",
+      });
+    }
+
+    if (!alternativeToken === !alternative) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide either alternativeToken or alternative",
+      });
+    }
+
+    const { getCachedAlternative } = require("../services/activityRecommendationService");
+    const chosenAlternative = alternativeToken
+      ? await getCachedAlternative(tripId, dayNum, activityId, alternativeToken)
+      : alternative;
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await applyActivityAlternative(tripId, userId, dayNum, activityId, chosenAlternative, {
+      expectedRevision,
+    });
+
+    setTripETag(res, updatedTrip);
+
+    return res.status(200).json({
+      success: true,
+      message: `Activity replaced successfully for day ${dayNum}`,
+      data: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error in applyActivityAlternativeController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to apply activity alternative",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get version history for a specific day
  * GET /api/trips/:tripId/days/:dayNumber/versions
@@ -958,6 +1394,104 @@ const rollbackDayVersion = async (req, res) => {
   }
 };
 
+/**
+ * Read the trip details of a collaboration request; a saved template fills in any the request leaves out
+ * and multi-destination legs also fill in the destination and dates
+ * @param {object} body - Request body
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<object>} - { template, legs, tripData, selectedTrip, confirmationIDs, inspirationIDs }
+ */
+const resolveCollaborationTrip = async (body, userId) => {
+  const template = body.templateId ? await getTemplateById(body.templateId, userId) : null;
+  const templateDetails = template?.tripDetails || {};
+  const legs = normalizeLegs(body.legs);
+
+  const {
+    trip_name = template?.name,
+    destination = templateDetails.destination || (legs.length > 0 ? legs.map((leg) => leg.city).join(" → ") : undefined),
+    description = templateDetails.description,
+    start_date = legs[0]?.startDate,
+    end_date = legs[legs.length - 1]?.endDate,
+    durationDays = template && !body.end_date ? template.durationDays : undefined,
+    travelers = templateDetails.travelers,
+    budget = templateDetails.budget,
+    interestAndVibes = templateDetails.vibe,
+    inspirationIDs = [],
+    confirmationIDs = [],
+  } = body;
+
+  const tripData = {
+    trip_name,
+    destination,
+    description: description || "",
+    start_date,
+    end_date,
+    durationDays: durationDays || 0,
+    travelers: travelers || "",
+    budget: budget || "",
+    interestAndVibes: interestAndVibes || [],
+    legs,
+  };
+
+  // Prepare selectedTrip object for saving (matches existing structure)
+  const selectedTrip = {
+    name: trip_name,
+    destination,
+    description,
+    start_date,
+    end_date,
+    durationDays,
+    travelers,
+    budget,
+    vibe: interestAndVibes,
+  };
+  if (legs.length > 0) {
+    selectedTrip.legs = legs;
+  }
+
+  return { template, legs, tripData, selectedTrip, confirmationIDs, inspirationIDs };
+};
+
+/**
+ * Place the chosen confirmations and inspirations on the trip's days around the template's plan,
+ * then lay the template's activities on
+ * @param {object} collaboration - Output of resolveCollaborationTrip
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<object>} - The itinerary
+ */
+const generateCollaborationItinerary = async (
+  { template, tripData, confirmationIDs, inspirationIDs },
+  userId
+) => {
+  console.log("🎯 Generating itinerary with AI collaboration...");
+  const itinerary = await generateItineraryWithCollaboration(
+    tripData,
+    confirmationIDs,
+    inspirationIDs,
+    userId,
+    { templateDays: template?.days || [] }
+  );
+  if (template) {
+    seedItineraryFromTemplate(template, itinerary);
+    console.log(`📋 Seeded itinerary from template ${template.id}`);
+  }
+  console.log("✅ Itinerary generated successfully");
+  return itinerary;
+};
+
+/**
+ * Map a collaboration request error to an HTTP status
+ * @param {Error} error
+ * @returns {number}
+ */
+const collaborationErrorStatus = (error) => {
+  if (error.message.includes("Invalid legs")) return 400;
+  if (error.message.includes("Template not found")) return 404;
+  if (error.message.includes("Unauthorized")) return 403;
+  if (error instanceof LLMOutputError) return 502;
+  return 500;
+};
+
 /**
  * Create a trip with AI collaboration - user has full control
  * POST /api/trips/collaborate
@@ -973,82 +1507,33 @@ const createTripWithCollaboration = async (req, res) => {
       });
     }
 
-    const {
-      trip_name,
-      destination,
-      description,
-      start_date,
-      end_date,
-      durationDays,
-      travelers,
-      budget,
-      interestAndVibes,
-      inspirationIDs = [],
-      confirmationIDs = [],
-    } = req.body;
+    const collaboration = await resolveCollaborationTrip(req.body, userId);
+    const { tripData, selectedTrip } = collaboration;
 
     // Validate required fields
-    if (!trip_name || !destination) {
+    if (!tripData.trip_name || !tripData.destination) {
       return res.status(400).json({
         success: false,
         message: "trip_name and destination are required",
       });
     }
 
-    // Prepare trip data
-    const tripData = {
-      trip_name,
-      destination,
-      description: description || "",
-      start_date,
-      end_date,
-      durationDays: durationDays || 0,
-      travelers: travelers || "",
-      budget: budget || "",
-      interestAndVibes: interestAndVibes || [],
-    };
-
     // Generate itinerary with AI collaboration
-    console.log("🎯 Generating itinerary with AI collaboration...");
-    const itinerary = await generateItineraryWithCollaboration(
-      tripData,
-      confirmationIDs,
-      inspirationIDs,
-      userId
-    );
-    console.log("✅ Itinerary generated successfully");
+    const itinerary = await generateCollaborationItinerary(collaboration, userId);
 
     // Generate and save trip cover photo
-    let coverPhotoUrl = null;
-    try {
-      console.log("🖼️ Generating cover photo for trip...");
-      const imageBuffer = await generateTripCoverPhoto(destination);
-      const timestamp = Date.now();
-      const filename = `trip-covers/${userId}/${timestamp}_cover.png`;
-      coverPhotoUrl = await uploadImageToGCS(imageBuffer, filename);
-      console.log("✅ Cover photo generated and saved successfully");
-    } catch (coverPhotoError) {
-      console.error("⚠️ Error generating cover photo (continuing without it):", coverPhotoError.message);
-    }
-
-    // Prepare selectedTrip object for saving (matches existing structure)
-    const selectedTrip = {
-      name: trip_name,
-      destination,
-      description,
-      start_date,
-      end_date,
-      durationDays,
-      travelers,
-      budget,
-      vibe: interestAndVibes,
-    };
+    const coverPhotoUrl = await generateCoverPhotoUrl(userId, tripData.destination);
 
     // Save trip with itinerary and cover photo to Firestore
-    const savedTrip = await saveTrip(userId, selectedTrip, itinerary, coverPhotoUrl);
+    let savedTrip = await saveTrip(userId, selectedTrip, itinerary, coverPhotoUrl);
+
+    // Link hotel bookings to their legs
+    if (await syncHotelConfirmationsToLegs(savedTrip.id)) {
+      savedTrip = await getTripById(savedTrip.id, userId);
+    }
 
     // Send push notification to user (fire and forget)
-    sendTripItineraryCreatedNotification(userId, savedTrip.id, trip_name)
+    sendTripItineraryCreatedNotification(userId, savedTrip.id, tripData.trip_name)
       .catch((error) => {
         console.error("Failed to send push notification:", error);
       });
@@ -1060,6 +1545,23 @@ const createTripWithCollaboration = async (req, res) => {
     });
   } catch (error) {
     console.error("Error in createTripWithCollaboration controller:", error);
+
+    const status = collaborationErrorStatus(error);
+    if (status === 502) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
+    if (status !== 500) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to create trip with AI collaboration",
@@ -1068,6 +1570,111 @@ const createTripWithCollaboration = async (req, res) => {
   }
 };
 
+/**
+ * Create a trip with AI collaboration, streamed as Server-Sent Events with the same events as
+ * POST /api/trips/stream. The trip is saved straight away with its planned (empty) days; once the
+ * confirmations and inspirations are placed, each day is saved and sent. If the client disconnects,
+ * generation carries on.
+ * POST /api/trips/collaborate/stream
+ */
+const createTripWithCollaborationStream = async (req, res) => {
+  const userId = req.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorized: User ID not found",
+    });
+  }
+
+  let collaboration;
+  let plannedItinerary;
+  try {
+    collaboration = await resolveCollaborationTrip(req.body, userId);
+    plannedItinerary = planItinerary(collaboration.selectedTrip);
+  } catch (error) {
+    console.error("Error in createTripWithCollaborationStream controller:", error);
+
+    const status = collaborationErrorStatus(error);
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to create trip with AI collaboration" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+
+  const { tripData, selectedTrip } = collaboration;
+
+  if (!tripData.trip_name || !tripData.destination) {
+    return res.status(400).json({
+      success: false,
+      message: "trip_name and destination are required",
+    });
+  }
+
+  const stopHeartbeat = openEventStream(res);
+  const coverPhotoPromise = generateCoverPhotoUrl(userId, tripData.destination);
+  const totalDays = plannedItinerary.total_days;
+  let plannedTrip = null;
+
+  try {
+    plannedTrip = await saveTrip(userId, selectedTrip, plannedItinerary, null, { generatingDays: totalDays });
+    const tripId = plannedTrip.id;
+    sendEvent(res, "progress", { tripId, completedDays: 0, totalDays });
+
+    const itinerary = await generateCollaborationItinerary(collaboration, userId);
+    for (let dayNumber = 1; dayNumber <= totalDays; dayNumber++) {
+      const dayKey = `day${dayNumber}`;
+      const day = itinerary[dayKey] || plannedItinerary[dayKey];
+      const updatedTrip = await saveGeneratedDay(tripId, userId, dayNumber, {
+        ...day,
+        activities: day.activities || [],
+      });
+
+      sendEvent(res, "day", { tripId, dayNumber, day: updatedTrip.itinerary[dayKey], revision: updatedTrip.revision });
+      sendEvent(res, "progress", { tripId, completedDays: dayNumber, totalDays });
+    }
+
+    const coverPhotoUrl = await coverPhotoPromise;
+    let savedTrip = await finishTripGeneration(tripId, userId, { status: "complete", coverPhotoUrl, before: plannedTrip });
+
+    // Link hotel bookings to their legs
+    if (await syncHotelConfirmationsToLegs(tripId)) {
+      savedTrip = await getTripById(tripId, userId);
+    }
+
+    sendTripItineraryCreatedNotification(userId, tripId, tripData.trip_name)
+      .catch((error) => {
+        console.error("Failed to send push notification:", error);
+      });
+
+    sendEvent(res, "done", { trip: savedTrip });
+  } catch (error) {
+    console.error("Error in createTripWithCollaborationStream controller:", error);
+
+    const tripId = plannedTrip?.id || null;
+    if (tripId) {
+      const coverPhotoUrl = await coverPhotoPromise;
+      await finishTripGeneration(tripId, userId, { status: "failed", coverPhotoUrl, before: plannedTrip }).catch(
+        (finishError) => console.error("Failed to mark trip generation as failed:", finishError)
+      );
+    }
+
+    failStreamQuota(res);
+    sendEvent(res, "error", {
+      tripId,
+      message:
+        error instanceof LLMOutputError
+          ? "The AI returned an unusable response, please try again"
+          : "Failed to create trip with AI collaboration",
+      error: error.message,
+    });
+  } finally {
+    stopHeartbeat();
+    res.end();
+  }
+};
+
 /**
  * Delete a trip
  * DELETE /api/trips/:tripId
@@ -1284,9 +1891,396 @@ const updateTripCoverPhotoUrlController = async (req, res) => {
   }
 };
 
+/**
+ * Switch a trip between time-block and exact-time scheduling
+ * PATCH /api/trips/:tripId/scheduling-mode
+ */
+const updateTripSchedulingModeController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { schedulingMode } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!schedulingMode) {
+      return res.status(400).json({
+        success: false,
+        message: "Scheduling mode is required",
+      });
+    }
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await updateTripSchedulingMode(tripId, userId, schedulingMode, { expectedRevision });
+
+    setTripETag(res, updatedTrip);
+
+    return res.status(200).json({
+      success: true,
+      message: `Trip scheduling mode set to ${schedulingMode}`,
+      data: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error in updateTripSchedulingModeController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Invalid scheduling mode")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update trip scheduling mode",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Copy a trip to new dates as a new trip owned by the user
+ * POST /api/trips/:tripId/clone
+ */
+const cloneTripController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { startDate, destination, name } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate is required",
+      });
+    }
+
+    const clonedTrip = await cloneTrip(tripId, userId, { startDate, destination, name });
+
+    return res.status(201).json({
+      success: true,
+      message: "Trip cloned successfully",
+      data: clonedTrip,
+    });
+  } catch (error) {
+    console.error("Error in cloneTripController:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Invalid startDate")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to clone trip",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a trip to new dates and adjust its length
+ * PATCH /api/trips/:tripId/dates
+ */
+const changeTripDatesController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { startDate, endDate, fillNewDays = true } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate and endDate are required",
+      });
+    }
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const { trip, dateChange } = await changeTripDates(tripId, userId, {
+      startDate,
+      endDate,
+      fillNewDays: fillNewDays !== false,
+      expectedRevision,
+    });
+
+    setTripETag(res, trip);
+
+    return res.status(200).json({
+      success: true,
+      message: dateChange.conflicts.length > 0
+        ? `Trip dates updated with ${dateChange.conflicts.length} booking conflict(s)`
+        : "Trip dates updated successfully",
+      data: trip,
+      dateChange,
+    });
+  } catch (error) {
+    console.error("Error in changeTripDatesController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Invalid startDate") || error.message.includes("Invalid endDate") || error.message.includes("Invalid date range")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to change trip dates",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move an activity to another day or reorder it within a day
+ * POST /api/trips/:tripId/activities/:activityId/move
+ */
+const moveActivityController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, activityId } = req.params;
+    const { fromDay, toDay, timeBlock, position } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (toDay === undefined || toDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: "toDay is required",
+      });
+    }
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await moveActivity(tripId, userId, activityId, {
+      toDay: Number(toDay),
+      fromDay: fromDay !== undefined && fromDay !== null ? Number(fromDay) : undefined,
+      timeBlock,
+      position: position !== undefined && position !== null ? Number(position) : undefined,
+      expectedRevision,
+    });
+
+    setTripETag(res, updatedTrip);
+
+    return res.status(200).json({
+      success: true,
+      message: "Activity moved successfully",
+      data: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error in moveActivityController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Cannot move booking")) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to move activity",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Set the destinations (legs) of a multi-destination trip
+ * PUT /api/trips/:tripId/legs
+ */
+const updateTripLegsController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { legs } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!Array.isArray(legs)) {
+      return res.status(400).json({
+        success: false,
+        message: "legs array is required",
+      });
+    }
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await updateTripLegs(tripId, userId, legs, { expectedRevision });
+
+    setTripETag(res, updatedTrip);
+
+    return res.status(200).json({
+      success: true,
+      message: "Trip legs updated successfully",
+      data: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error in updateTripLegsController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      return await sendRevisionConflict(req, res, error);
+    }
+
+    if (error.message.includes("Invalid If-Match")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Unauthorized")) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes("Invalid legs")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update trip legs",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   createTrip,
+  createTripStream,
   createTripWithCollaboration,
+  createTripWithCollaborationStream,
   getTrips,
   getTrip,
   updateActivities,
@@ -1297,9 +2291,15 @@ module.exports = {
   updateTripStatusController,
   regenerateDay,
   getActivityAlternatives,
+  applyActivityAlternativeController,
   getDayVersions,
   rollbackDayVersion,
   deleteTripController,
   updateTripNameController,
   updateTripCoverPhotoUrlController,
+  updateTripSchedulingModeController,
+  cloneTripController,
+  changeTripDatesController,
+  moveActivityController,
+  updateTripLegsController,
 };
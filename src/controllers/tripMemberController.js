@@ -0,0 +1,247 @@
+const {
+  getTripMembers,
+  createInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember,
+} = require("../services/tripMemberService");
+
+/**
+ * Map trip member service errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - The thrown error
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleMemberError = (res, error, fallbackMessage) => {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Unauthorized")) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (
+    error.message.includes("Invalid role") ||
+    error.message.includes("no longer pending") ||
+    error.message.includes("expired") ||
+    error.message.includes("already a member") ||
+    error.message.includes("cannot be removed")
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * List members of a trip
+ * GET /api/trips/:tripId/members
+ */
+const getMembers = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const members = await getTripMembers(tripId, userId);
+
+    return res.status(200).json({
+      success: true,
+      data: members,
+    });
+  } catch (error) {
+    console.error("Error in getMembers controller:", error);
+    return handleMemberError(res, error, "Failed to get trip members");
+  }
+};
+
+/**
+ * Invite someone to a trip
+ * POST /api/trips/:tripId/members/invitations
+ */
+const inviteMember = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { role, email } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role is required",
+      });
+    }
+
+    const invitation = await createInvitation(tripId, userId, { role, email });
+
+    return res.status(201).json({
+      success: true,
+      message: "Invitation created successfully",
+      data: invitation,
+    });
+  } catch (error) {
+    console.error("Error in inviteMember controller:", error);
+    return handleMemberError(res, error, "Failed to create invitation");
+  }
+};
+
+/**
+ * Accept a trip invitation
+ * POST /api/trips/:tripId/members/invitations/:token/accept
+ */
+const acceptMemberInvitation = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, token } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const membership = await acceptInvitation(tripId, token, userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitation accepted successfully",
+      data: membership,
+    });
+  } catch (error) {
+    console.error("Error in acceptMemberInvitation controller:", error);
+    return handleMemberError(res, error, "Failed to accept invitation");
+  }
+};
+
+/**
+ * Decline a trip invitation
+ * POST /api/trips/:tripId/members/invitations/:token/decline
+ */
+const declineMemberInvitation = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, token } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const result = await declineInvitation(tripId, token, userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitation declined",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error in declineMemberInvitation controller:", error);
+    return handleMemberError(res, error, "Failed to decline invitation");
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/trips/:tripId/members/:memberId
+ */
+const updateMember = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, memberId } = req.params;
+    const { role } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role is required",
+      });
+    }
+
+    const membership = await updateMemberRole(tripId, userId, memberId, role);
+
+    return res.status(200).json({
+      success: true,
+      message: "Member role updated successfully",
+      data: membership,
+    });
+  } catch (error) {
+    console.error("Error in updateMember controller:", error);
+    return handleMemberError(res, error, "Failed to update member role");
+  }
+};
+
+/**
+ * Remove a member from a trip (or leave a trip)
+ * DELETE /api/trips/:tripId/members/:memberId
+ */
+const deleteMember = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, memberId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const result = await removeMember(tripId, userId, memberId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error in deleteMember controller:", error);
+    return handleMemberError(res, error, "Failed to remove member");
+  }
+};
+
+module.exports = {
+  getMembers,
+  inviteMember,
+  acceptMemberInvitation,
+  declineMemberInvitation,
+  updateMember,
+  deleteMember,
+};
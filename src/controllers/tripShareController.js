@@ -0,0 +1,200 @@
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedTrip,
+  renderSharedTripHtml,
+} = require("../services/tripShareService");
+
+/**
+ * Base URL used for share links (APP_BASE_URL, or derived from the request)
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const getBaseUrl = (req) =>
+  (process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+
+/**
+ * Add the public URL to a share link
+ * @param {object} req - Express request
+ * @param {object} link - Share link from the service
+ * @returns {object}
+ */
+const withShareUrl = (req, link) => ({
+  ...link,
+  url: `${getBaseUrl(req)}/share/${link.token}`,
+});
+
+/**
+ * Map share link service errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleShareError = (res, error, fallbackMessage) => {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Unauthorized")) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Invalid expiresInDays")) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * Create a public share link for a trip
+ * POST /api/trips/:tripId/share-links
+ */
+const createShareLinkController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { expiresInDays } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const link = await createShareLink(tripId, userId, { expiresInDays });
+
+    return res.status(201).json({
+      success: true,
+      message: "Share link created successfully",
+      data: withShareUrl(req, link),
+    });
+  } catch (error) {
+    console.error("Error in createShareLinkController:", error);
+    return handleShareError(res, error, "Failed to create share link");
+  }
+};
+
+/**
+ * List share links for a trip
+ * GET /api/trips/:tripId/share-links
+ */
+const getShareLinksController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const links = await getShareLinks(tripId, userId);
+
+    return res.status(200).json({
+      success: true,
+      data: links.map((link) => withShareUrl(req, link)),
+    });
+  } catch (error) {
+    console.error("Error in getShareLinksController:", error);
+    return handleShareError(res, error, "Failed to get share links");
+  }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /api/trips/:tripId/share-links/:token
+ */
+const revokeShareLinkController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, token } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const link = await revokeShareLink(tripId, userId, token);
+
+    return res.status(200).json({
+      success: true,
+      message: "Share link revoked successfully",
+      data: withShareUrl(req, link),
+    });
+  } catch (error) {
+    console.error("Error in revokeShareLinkController:", error);
+    return handleShareError(res, error, "Failed to revoke share link");
+  }
+};
+
+/**
+ * Public read-only view of a shared trip (no authentication; the token is the secret).
+ * Serves JSON by default and an HTML page to browsers; ?format=json|html overrides.
+ * GET /share/:token
+ */
+const getSharedTripController = async (req, res) => {
+  const wantsHtml = () =>
+    req.query.format === "html" ||
+    (req.query.format !== "json" && req.accepts(["json", "html"]) === "html");
+
+  try {
+    const sharedTrip = await getSharedTrip(req.params.token);
+
+    res.set("Cache-Control", "no-store");
+    res.set("X-Robots-Tag", "noindex");
+
+    if (wantsHtml()) {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(renderSharedTripHtml(sharedTrip));
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: sharedTrip,
+    });
+  } catch (error) {
+    console.error("Error in getSharedTripController:", error);
+
+    const status = error.message.includes("not found") ? 404 : 500;
+    const message = status === 404 ? error.message : "Failed to load shared trip";
+
+    if (wantsHtml()) {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res
+        .status(status)
+        .send(`<!DOCTYPE html><html><head><meta charset="UTF-8" /><title>${message}</title></head><body><h1>${message}</h1></body></html>`);
+    }
+
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+};
+
+module.exports = {
+  createShareLinkController,
+  getShareLinksController,
+  revokeShareLinkController,
+  getSharedTripController,
+};
@@ -1,4 +1,5 @@
 const { generateTripSuggestions } = require("../services/tripSuggestionService");
+const { LLMOutputError } = require("../services/llmGateway");
 
 /**
  * Generate trip suggestions for the current user
@@ -62,6 +63,14 @@ const createTripSuggestions = async (req, res) => {
       });
     }
 
+    if (error instanceof LLMOutputError) {
+      return res.status(502).json({
+        success: false,
+        message: "The AI returned an unusable response, please try again",
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to generate trip suggestions",
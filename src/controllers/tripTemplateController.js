@@ -0,0 +1,161 @@
+const {
+  createTemplateFromTrip,
+  getUserTemplates,
+  getTemplateById,
+  deleteTemplate,
+} = require("../services/tripTemplateService");
+
+/**
+ * Map template service errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleTemplateError = (res, error, fallbackMessage) => {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Unauthorized")) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("no itinerary")) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * Save a trip as a template in the user's library
+ * POST /api/trips/:tripId/template
+ */
+const createTemplateController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { name, description } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const template = await createTemplateFromTrip(tripId, userId, { name, description });
+
+    return res.status(201).json({
+      success: true,
+      message: "Trip saved as template",
+      data: template,
+    });
+  } catch (error) {
+    console.error("Error in createTemplateController:", error);
+    return handleTemplateError(res, error, "Failed to save trip as template");
+  }
+};
+
+/**
+ * List the user's trip templates
+ * GET /api/trip-templates
+ */
+const getTemplatesController = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const templates = await getUserTemplates(userId);
+
+    return res.status(200).json({
+      success: true,
+      data: templates,
+    });
+  } catch (error) {
+    console.error("Error in getTemplatesController:", error);
+    return handleTemplateError(res, error, "Failed to get trip templates");
+  }
+};
+
+/**
+ * Get a trip template with its day-by-day activities
+ * GET /api/trip-templates/:templateId
+ */
+const getTemplateController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { templateId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const template = await getTemplateById(templateId, userId);
+
+    return res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error("Error in getTemplateController:", error);
+    return handleTemplateError(res, error, "Failed to get trip template");
+  }
+};
+
+/**
+ * Delete a trip template
+ * DELETE /api/trip-templates/:templateId
+ */
+const deleteTemplateController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { templateId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    await deleteTemplate(templateId, userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteTemplateController:", error);
+    return handleTemplateError(res, error, "Failed to delete trip template");
+  }
+};
+
+module.exports = {
+  createTemplateController,
+  getTemplatesController,
+  getTemplateController,
+  deleteTemplateController,
+};
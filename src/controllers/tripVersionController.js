@@ -0,0 +1,224 @@
+const {
+  getTripVersions,
+  getTripVersion,
+  createNamedSnapshot,
+  nameTripVersion,
+  restoreTripVersion,
+} = require("../services/tripVersionService");
+const { getTripById, buildTripETag, parseIfMatch } = require("../services/tripService");
+
+/**
+ * Map version history service errors to HTTP responses
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleVersionError = (res, error, fallbackMessage) => {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Unauthorized")) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.message.includes("Invalid")) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+/**
+ * List a trip's versions, newest first
+ * GET /api/trips/:tripId/versions?limit=20&cursor=<versionId>
+ */
+const getTripVersionsController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { limit, cursor } = req.query;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const { versions, nextCursor } = await getTripVersions(tripId, userId, { limit, cursor });
+
+    return res.status(200).json({
+      success: true,
+      data: versions,
+      nextCursor,
+    });
+  } catch (error) {
+    console.error("Error in getTripVersionsController:", error);
+    return handleVersionError(res, error, "Failed to get trip versions");
+  }
+};
+
+/**
+ * Get one version of a trip, including its snapshot
+ * GET /api/trips/:tripId/versions/:versionId
+ */
+const getTripVersionController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, versionId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const version = await getTripVersion(tripId, userId, versionId);
+
+    return res.status(200).json({
+      success: true,
+      data: version,
+    });
+  } catch (error) {
+    console.error("Error in getTripVersionController:", error);
+    return handleVersionError(res, error, "Failed to get trip version");
+  }
+};
+
+/**
+ * Save the trip as it is now as a named version
+ * POST /api/trips/:tripId/versions
+ */
+const createNamedSnapshotController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId } = req.params;
+    const { name } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const version = await createNamedSnapshot(tripId, userId, name);
+
+    return res.status(201).json({
+      success: true,
+      message: "Snapshot saved successfully",
+      data: version,
+    });
+  } catch (error) {
+    console.error("Error in createNamedSnapshotController:", error);
+    return handleVersionError(res, error, "Failed to save snapshot");
+  }
+};
+
+/**
+ * Name, rename or unname a version
+ * PATCH /api/trips/:tripId/versions/:versionId
+ */
+const nameTripVersionController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, versionId } = req.params;
+    const { name } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const version = await nameTripVersion(tripId, userId, versionId, name ?? null);
+
+    return res.status(200).json({
+      success: true,
+      message: "Version updated successfully",
+      data: version,
+    });
+  } catch (error) {
+    console.error("Error in nameTripVersionController:", error);
+    return handleVersionError(res, error, "Failed to update version");
+  }
+};
+
+/**
+ * Restore the whole trip, or one day, from a version
+ * POST /api/trips/:tripId/versions/:versionId/restore
+ */
+const restoreTripVersionController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { tripId, versionId } = req.params;
+    const { dayNumber } = req.body || {};
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const dayNum = dayNumber === undefined || dayNumber === null ? undefined : parseInt(dayNumber, 10);
+    if (dayNum !== undefined && (isNaN(dayNum) || dayNum < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid dayNumber. Must be a positive integer",
+      });
+    }
+
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    const updatedTrip = await restoreTripVersion(tripId, userId, versionId, { dayNumber: dayNum, expectedRevision });
+
+    res.set("ETag", buildTripETag(updatedTrip));
+
+    return res.status(200).json({
+      success: true,
+      message: dayNum ? `Day ${dayNum} restored successfully` : "Trip restored successfully",
+      data: updatedTrip,
+    });
+  } catch (error) {
+    console.error("Error in restoreTripVersionController:", error);
+
+    if (error.message.includes("Revision conflict")) {
+      // Send the trip as it is now, so the client can retry with its new ETag
+      const currentTrip = await getTripById(req.params.tripId, req.userId).catch(() => null);
+      if (currentTrip) {
+        res.set("ETag", buildTripETag(currentTrip));
+      }
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: currentTrip,
+      });
+    }
+
+    return handleVersionError(res, error, "Failed to restore version");
+  }
+};
+
+module.exports = {
+  getTripVersionsController,
+  getTripVersionController,
+  createNamedSnapshotController,
+  nameTripVersionController,
+  restoreTripVersionController,
+};
@@ -0,0 +1,43 @@
+const { getUsageReport } = require("../services/usageService");
+
+/**
+ * Get the current user's AI usage and what is left of their monthly quotas
+ * GET /api/usage?period=YYYY-MM
+ */
+const getUsageController = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const report = await getUsageReport(userId, req.query.period || undefined);
+
+    return res.status(200).json({
+      success: true,
+      message: "Usage retrieved successfully",
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error in getUsageController:", error);
+
+    if (error.message.includes("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get usage",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = { getUsageController };
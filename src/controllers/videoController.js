@@ -1,13 +1,10 @@
-const { getTikTokVideo } = require("../services/tiktokService.js");
-const { uploadToGCS,deleteFromGCS } = require("../services/gcsService.js");
-const { analyzeVideo } = require("../services/videoAIService.js");
-const { generateAISummary } = require("../services/aiSummaryService.js");
-const { saveCategorizedContent, getAllCategories, deleteInspirationItems, filterInspirations } = require("../services/categorizationService.js");
-const { sendInspirationProcessedNotification } = require("../services/pushNotificationService.js");
+const { getVideoSourceAdapter, getSupportedVideoPlatforms } = require("../services/videoSourceService.js");
+const { processVideoInspiration } = require("../services/videoInspirationService.js");
+const { createVideoAnalysisJob, getJobById } = require("../services/inspirationJobService.js");
+const { triggerInspirationJobWorker } = require("../services/inspirationJobWorker.js");
+const { getInspirationsPage, deleteInspirationItems, filterInspirations } = require("../services/categorizationService.js");
 
 const analyzeTikTok = async (req, res) => {
-  let gcsUri = null;
-  let filename = null;
   try {
     const userId = req.userId;
     if (!userId) {
@@ -17,67 +14,108 @@ const analyzeTikTok = async (req, res) => {
     const { url } = req.body;
     if (!url) return res.status(400).json({ error: "TikTok URL required" });
 
-    console.log("🎥 Fetching TikTok video info...");
-    const { downloadUrl, description } = await getTikTokVideo(url);
-
-    filename = `tiktok_${Date.now()}.mp4`;
-
-    console.log("⬇️ Downloading & uploading video to GCS...");
-    gcsUri = await uploadToGCS(downloadUrl, filename);
-    // const gcsUri = "gs://nomad-navigator-bucker/tiktok_1762158146471.mp4";
-
-    console.log("🧠 Analyzing video content...");
-    console.log("gcsUri", gcsUri);
-    const { labels, texts, transcript } = await analyzeVideo(gcsUri);
-
-    console.log("✨ Generating AI summary...");
-    const summary = await generateAISummary(labels, texts, transcript, description);
-    console.log("✅ Done creating AI summary...");
-
-    // Auto-categorize and save content by location
-    console.log("📂 Auto-categorizing content by location...");
-    let responseData = summary;
-    try {
-      const categorizationResult = await saveCategorizedContent(
-        summary,
-        "video",
-        url,
-        userId
-      );
-      console.log("✅ Content categorized and saved:", categorizationResult);
-      // Use savedItems with IDs if available, otherwise fall back to original summary
-      responseData = categorizationResult.savedItems && categorizationResult.savedItems.length > 0 
-        ? categorizationResult.savedItems 
-        : summary;
-
-      // Send push notification (fire and forget - don't wait for it)
-      const itemCount = categorizationResult.savedItems?.length || summary.length || 0;
-      if (itemCount > 0) {
-        sendInspirationProcessedNotification(userId, itemCount, "video")
-          .catch((error) => {
-            // Log error but don't fail the request
-            console.error("Failed to send push notification:", error);
-          });
-      }
-    } catch (categorizationError) {
-      console.error("⚠️ Error during categorization (continuing anyway):", categorizationError.message);
+    const adapter = getVideoSourceAdapter(url);
+    if (!adapter || adapter.name !== "tiktok") {
+      return res.status(400).json({ error: "Not a TikTok URL. Use /api/inspiration/analyze-video for other platforms." });
     }
 
+    const responseData = await processVideoInspiration(url, userId, adapter);
+
     return res.json({ success: true, data: responseData });
   } catch (err) {
     console.error("❌ Error:", err.message);
     res.status(500).json({ success: false, message: err.message });
-  } finally {
-    if (gcsUri && filename) {
-      console.log("🗑️ Deleting video from GCS...");
-      try {
-        // Assuming deleteFromGCS takes the filename, e.g., 'tiktok_1762158146471.mp4'
-        await deleteFromGCS(filename); 
-        console.log("✅ GCS cleanup successful.");
-      } catch (cleanupErr) {
-        console.error("❌ Failed to clean up GCS file:", cleanupErr.message);
-      }
+  }
+};
+
+const analyzeVideoController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!userId) {
+      return res.status(401).json({ error: "Unauthorized: User ID not found" });
+    }
+
+    const { url } = req.body;
+    if (!url) return res.status(400).json({ error: "Video URL required" });
+
+    const adapter = getVideoSourceAdapter(url);
+    if (!adapter) {
+      return res.status(400).json({
+        error: `Unsupported video URL. Supported platforms: ${getSupportedVideoPlatforms().join(", ")}`,
+      });
     }
+
+    const responseData = await processVideoInspiration(url, userId, adapter);
+
+    return res.json({ success: true, platform: adapter.name, data: responseData });
+  } catch (err) {
+    console.error("❌ Error analyzing video:", err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+const createVideoAnalysisJobController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const { url } = req.body;
+    if (!url) {
+      return res.status(400).json({ success: false, message: "Video URL required" });
+    }
+
+    const adapter = getVideoSourceAdapter(url);
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported video URL. Supported platforms: ${getSupportedVideoPlatforms().join(", ")}`,
+      });
+    }
+
+    // The job outlives this 202, so it gives the quota reservation back itself if it fails for good
+    const job = await createVideoAnalysisJob(userId, url, adapter.name, {
+      quota: res.locals.usageQuota || null,
+    });
+    triggerInspirationJobWorker();
+
+    return res.status(202).json({
+      success: true,
+      message: "Video analysis queued",
+      data: job,
+    });
+  } catch (err) {
+    console.error("❌ Error queueing video analysis:", err.message);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+const getInspirationJobController = async (req, res) => {
+  try {
+    const userId = req.userId;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized: User ID not found",
+      });
+    }
+
+    const job = await getJobById(req.params.jobId, userId);
+
+    return res.json({ success: true, data: job });
+  } catch (err) {
+    console.error("❌ Error fetching inspiration job:", err.message);
+
+    // Don't reveal other users' job IDs
+    if (err.message.includes("not found") || err.message.includes("Unauthorized")) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    return res.status(500).json({ success: false, message: err.message });
   }
 };
 
@@ -91,34 +129,25 @@ const getAllInspirations = async (req, res) => {
       });
     }
 
-    console.log("📚 Fetching all inspirations...");
-    const categories = await getAllCategories(userId);
-    
-    // Transform the data organized by location
-    const organizedByLocation = categories.map((category) => ({
-      location: category.location,
-      itemCount: category.itemCount,
-      items: category.items || [],
-      createdAt: category.createdAt,
-      updatedAt: category.updatedAt,
-    }));
-
-    // Calculate total items across all categories
-    const totalItems = organizedByLocation.reduce(
-      (sum, category) => sum + category.itemCount,
-      0
-    );
+    const { limit, cursor, location } = req.query;
+
+    console.log("📚 Fetching inspirations...");
+    const page = await getInspirationsPage(userId, { limit, cursor, location });
 
     return res.json({
       success: true,
-      data: {
-        organizedByLocation,
-        totalCategories: categories.length,
-        totalItems,
-      },
+      data: page,
     });
   } catch (err) {
     console.error("❌ Error fetching inspirations:", err.message);
+
+    if (err.message.includes("Invalid cursor")) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -186,12 +215,15 @@ const filterInspirationsController = async (req, res) => {
     }
 
     // Get filter parameters from query string
-    const { status, tripId, category } = req.query;
+    const { status, tripId, category, location, limit, cursor } = req.query;
     
     const filters = {
       status: status || "All Inspiration",
       tripId: tripId || "all",
       category: category || null,
+      location: location || null,
+      limit,
+      cursor,
     };
 
     console.log("🔍 Filtering inspirations with filters:", filters);
@@ -204,7 +236,11 @@ const filterInspirationsController = async (req, res) => {
   } catch (err) {
     console.error("❌ Error filtering inspirations:", err.message);
     
-    if (err.message.includes("Invalid status") || err.message.includes("Invalid category")) {
+    if (
+      err.message.includes("Invalid status") ||
+      err.message.includes("Invalid category") ||
+      err.message.includes("Invalid cursor")
+    ) {
       return res.status(400).json({
         success: false,
         message: err.message,
@@ -218,4 +254,4 @@ const filterInspirationsController = async (req, res) => {
   }
 };
 
-module.exports = { analyzeTikTok, getAllInspirations, deleteInspirations, filterInspirationsController };
+module.exports = { analyzeTikTok, analyzeVideoController, createVideoAnalysisJobController, getInspirationJobController, getAllInspirations, deleteInspirations, filterInspirationsController };
@@ -1,28 +1,133 @@
-// Simple in-memory IP-based rate limiter to protect public endpoints.
-// For production scale, consider Redis-backed limiters to avoid single-instance caps.
-const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000); // 15 minutes
-const MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX || 100); // max requests per window per IP
+// Fixed-window rate limiter with pluggable stores (see rateLimitStores.js).
+// Requests are keyed by Clerk userId when authenticated, otherwise by IP, and each
+// route group has its own budget so LLM-heavy endpoints can be limited more tightly.
+// Every run counts a request, so mount a limiter once per path prefix rather than in front of
+// each router: app.js runs the per-user limiter once on /api, after authentication.
+const { createStoreFromEnv } = require("./rateLimitStores");
 
-const buckets = new Map();
+const DEFAULT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000); // 15 minutes
+const DEFAULT_MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX || 100); // max requests per window
 
-module.exports = function createRateLimiter() {
-  return function rateLimiter(req, res, next) {
-    const now = Date.now();
-    const windowStart = now - WINDOW_MS;
-    const key = req.ip || req.headers["x-forwarded-for"] || "global";
+/**
+ * Read a per-group override, e.g. RATE_LIMIT_LLM_HEAVY_MAX
+ * @param {string} group - Group name
+ * @param {string} suffix - "MAX" or "WINDOW_MS"
+ * @param {number} fallback
+ * @returns {number}
+ */
+const groupSetting = (group, suffix, fallback) => {
+  const value = Number(process.env[`RATE_LIMIT_${group.toUpperCase().replace(/-/g, "_")}_${suffix}`]);
+  return value > 0 ? value : fallback;
+};
+
+// First matching group wins; paths are matched against the full URL path
+const DEFAULT_ROUTE_GROUPS = [
+  {
+    name: "llm-heavy",
+    routes: [
+      { method: "POST", path: /^\/api\/trips\/[^/]+\/days\/[^/]+\/regenerate$/ },
+      { method: "POST", path: /^\/api\/inspiration\/(analyze-tiktok|analyze-video|jobs)$/ },
+    ],
+    max: groupSetting("llm-heavy", "MAX", 10),
+    windowMs: groupSetting("llm-heavy", "WINDOW_MS", 60 * 60 * 1000),
+  },
+  {
+    name: "ai",
+    routes: [
+      { method: "POST", path: /^\/api\/trips$/ },
+      { method: "POST", path: /^\/api\/trips\/stream$/ },
+      { method: "POST", path: /^\/api\/trips\/collaborate(\/stream)?$/ },
+      { method: "POST", path: /^\/api\/trip-suggestions$/ },
+      { method: "POST", path: /^\/api\/inspiration\/summarize-link$/ },
+      { method: "GET", path: /^\/api\/trips\/[^/]+\/days\/[^/]+\/activities\/[^/]+\/alternatives$/ },
+      { method: "POST", path: /^\/api\/trips\/[^/]+\/budget\/estimates$/ },
+      { method: "PATCH", path: /^\/api\/trips\/[^/]+\/dates$/ },
+      { method: "POST", path: /^\/api\/travel-confirmations\/(sync-gmail|upload-pdf|upload-image)$/ },
+    ],
+    max: groupSetting("ai", "MAX", 30),
+    windowMs: groupSetting("ai", "WINDOW_MS", 60 * 60 * 1000),
+  },
+  {
+    name: "default",
+    routes: [{ path: /.*/ }],
+    max: DEFAULT_MAX_REQUESTS,
+    windowMs: DEFAULT_WINDOW_MS,
+  },
+];
+
+/**
+ * Find the route group for a request
+ * @param {Array} groups - Route groups
+ * @param {object} req - Express request
+ * @returns {object|null}
+ */
+const findGroup = (groups, req) => {
+  const path = (req.originalUrl || req.url).split("?")[0].replace(/\/$/, "") || "/";
+  return (
+    groups.find((group) =>
+      group.routes.some(
+        (route) => (!route.method || route.method === req.method) && route.path.test(path)
+      )
+    ) || null
+  );
+};
+
+/**
+ * Default request key: Clerk userId when authenticated, otherwise client IP
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const defaultKeyGenerator = (req) =>
+  req.userId ? `user:${req.userId}` : `ip:${req.ip || req.headers["x-forwarded-for"] || "global"}`;
+
+/**
+ * Create a rate limiting middleware
+ * @param {object} options
+ * @param {object} [options.store] - Rate limit store (defaults to RATE_LIMIT_STORE)
+ * @param {Array} [options.groups] - Route groups ({ name, routes: [{ method?, path }], max, windowMs })
+ * @param {function} [options.keyGenerator] - (req) => string
+ * @param {function} [options.skip] - (req) => boolean; skipped requests aren't counted
+ * @returns {function} - Express middleware
+ */
+module.exports = function createRateLimiter({
+  store = createStoreFromEnv(),
+  groups = DEFAULT_ROUTE_GROUPS,
+  keyGenerator = defaultKeyGenerator,
+  skip = null,
+} = {}) {
+  return async function rateLimiter(req, res, next) {
+    if (skip && skip(req)) return next();
+
+    const group = findGroup(groups, req);
+    if (!group) return next();
+
+    let result;
+    try {
+      result = await store.increment(`${group.name}:${keyGenerator(req)}`, group.windowMs);
+    } catch (error) {
+      // Fail open: a store outage shouldn't take the API down
+      console.error(`Rate limit store "${store.name}" failed:`, error.message);
+      return next();
+    }
+
+    const remaining = Math.max(0, group.max - result.count);
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
 
-    const history = buckets.get(key) || [];
-    const recent = history.filter((ts) => ts > windowStart);
+    // IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers)
+    res.set("RateLimit-Limit", String(group.max));
+    res.set("RateLimit-Remaining", String(remaining));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    res.set("RateLimit-Policy", `${group.max};w=${Math.round(group.windowMs / 1000)}`);
 
-    if (recent.length >= MAX_REQUESTS) {
+    if (result.count > group.max) {
+      res.set("Retry-After", String(resetSeconds));
       return res
         .status(429)
         .json({ error: "Too many requests, please try again later." });
     }
 
-    recent.push(now);
-    buckets.set(key, recent);
     return next();
   };
 };
 
+module.exports.DEFAULT_ROUTE_GROUPS = DEFAULT_ROUTE_GROUPS;
@@ -0,0 +1,148 @@
+const axios = require("axios");
+
+/**
+ * Rate limit stores
+ *
+ * A store is a plain object:
+ *   {
+ *     name: string,
+ *     increment: async (key, windowMs) => ({ count, resetAt }),  // resetAt in epoch ms
+ *   }
+ * Counters are fixed windows: the first hit creates the counter with a TTL of windowMs,
+ * later hits in the same window increment it.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 2000;
+
+/**
+ * In-memory store (per instance; counters reset on restart/cold start).
+ * Expired counters are swept periodically so the map doesn't grow without bound.
+ * @returns {object} - Rate limit store
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweep.unref();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+};
+
+/**
+ * Minimal client for Redis-over-HTTP services that accept command pipelines
+ * (Upstash REST API and compatible proxies)
+ * @param {string} url - REST endpoint, e.g. https://xxx.upstash.io
+ * @param {string} token - Bearer token
+ * @returns {{pipeline: function}} - pipeline(commands) resolves to an array of results
+ */
+const createRedisRestClient = (url, token) => ({
+  pipeline: async (commands) => {
+    const { data } = await axios.post(`${url.replace(/\/$/, "")}/pipeline`, commands, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return data.map((entry) => {
+      if (entry.error) throw new Error(`Redis error: ${entry.error}`);
+      return entry.result;
+    });
+  },
+});
+
+/**
+ * Adapt a node-redis (sendCommand) or ioredis (call) client to the pipeline shape
+ * @param {object} client - Connected Redis client
+ * @returns {{pipeline: function}}
+ */
+const wrapRedisClient = (client) => {
+  const send = typeof client.sendCommand === "function"
+    ? (args) => client.sendCommand(args.map(String))
+    : (args) => client.call(...args.map(String));
+
+  return {
+    pipeline: async (commands) => {
+      const results = [];
+      for (const command of commands) {
+        results.push(await send(command));
+      }
+      return results;
+    },
+  };
+};
+
+/**
+ * Redis-backed store, shared by every instance
+ * @param {object} options
+ * @param {object} [options.client] - node-redis or ioredis client
+ * @param {string} [options.url] - Redis REST URL (used when no client is given)
+ * @param {string} [options.token] - Redis REST token
+ * @param {string} [options.prefix="ratelimit:"] - Key prefix
+ * @returns {object} - Rate limit store
+ */
+const createRedisStore = ({ client, url, token, prefix = "ratelimit:" } = {}) => {
+  let transport;
+  if (client) {
+    transport = wrapRedisClient(client);
+  } else if (url && token) {
+    transport = createRedisRestClient(url, token);
+  } else {
+    throw new Error("Redis rate limit store needs a client or a REST url and token");
+  }
+
+  return {
+    name: "redis",
+    increment: async (key, windowMs) => {
+      const redisKey = `${prefix}${key}`;
+      // NX only sets the TTL on the first hit of the window
+      const [count, , ttl] = await transport.pipeline([
+        ["INCR", redisKey],
+        ["PEXPIRE", redisKey, windowMs, "NX"],
+        ["PTTL", redisKey],
+      ]);
+      const ttlMs = Number(ttl) > 0 ? Number(ttl) : windowMs;
+      return { count: Number(count), resetAt: Date.now() + ttlMs };
+    },
+  };
+};
+
+/**
+ * Build the store selected by RATE_LIMIT_STORE ("memory" or "redis")
+ * @returns {object} - Rate limit store
+ */
+const createStoreFromEnv = () => {
+  if (process.env.RATE_LIMIT_STORE === "redis") {
+    try {
+      return createRedisStore({
+        url: process.env.REDIS_REST_URL,
+        token: process.env.REDIS_REST_TOKEN,
+      });
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}; falling back to in-memory rate limiting`);
+    }
+  }
+  return createMemoryStore();
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createStoreFromEnv,
+};
@@ -0,0 +1,91 @@
+// Monthly AI quotas per plan (see usageService). A request to a metered route reserves one request
+// of the user's quota for its feature, is refused with 429 once the quota is used up, and gives the
+// reservation back if it fails. Responses that report failure after a success status (SSE streams,
+// queued jobs) give it back themselves through res.locals (see below). Every request also runs in a
+// usage context, so the model calls it makes are billed to the user.
+const { runWithUsageContext, reserveFeatureRequest, releaseFeatureRequest } = require("../services/usageService");
+
+// First matching route wins; paths are matched against the full URL path
+const DEFAULT_QUOTA_ROUTES = [
+  { feature: "itinerary", method: "POST", path: /^\/api\/trips(\/stream|\/collaborate(\/stream)?)?$/ },
+  { feature: "day-regeneration", method: "POST", path: /^\/api\/trips\/[^/]+\/days\/[^/]+\/regenerate$/ },
+  { feature: "activity-alternatives", method: "GET", path: /^\/api\/trips\/[^/]+\/days\/[^/]+\/activities\/[^/]+\/alternatives$/ },
+  { feature: "video-analysis", method: "POST", path: /^\/api\/inspiration\/(analyze-tiktok|analyze-video|jobs)$/ },
+  { feature: "cover-photo", method: "PATCH", path: /^\/api\/trips\/[^/]+\/coverPhotoUrl$/ },
+];
+
+/**
+ * Find the quota route for a request
+ * @param {Array} routes - Quota routes
+ * @param {object} req - Express request
+ * @returns {object|null}
+ */
+const findRoute = (routes, req) => {
+  const path = (req.originalUrl || req.url).split("?")[0].replace(/\/$/, "") || "/";
+  return routes.find((route) => route.method === req.method && route.path.test(path)) || null;
+};
+
+/**
+ * Create the usage quota middleware; it must run after authentication (needs req.userId)
+ * @param {object} options
+ * @param {Array} [options.routes] - Metered routes ({ feature, method, path })
+ * @returns {function} - Express middleware
+ */
+module.exports = function createUsageQuota({ routes = DEFAULT_QUOTA_ROUTES } = {}) {
+  return async function usageQuota(req, res, next) {
+    // Meter each request once, even if the middleware is reached more than once
+    if (req.usageQuotaApplied) return next();
+    req.usageQuotaApplied = true;
+
+    const context = { userId: req.userId };
+    const route = req.userId ? findRoute(routes, req) : null;
+    if (!route) return runWithUsageContext(context, next);
+
+    let quota;
+    try {
+      quota = await reserveFeatureRequest(req.userId, route.feature);
+    } catch (error) {
+      // Fail open: a Firestore hiccup shouldn't block generation
+      console.error(`Usage quota check for "${route.feature}" failed:`, error.message);
+      return runWithUsageContext(context, next);
+    }
+
+    if (!quota.reserved) {
+      res.set("Retry-After", String(Math.max(0, Math.ceil((quota.resetAt - Date.now()) / 1000))));
+      return res.status(429).json({
+        success: false,
+        message: `Monthly ${route.feature} quota of the ${quota.plan} plan used up`,
+        data: {
+          plan: quota.plan,
+          feature: quota.feature,
+          limit: quota.limit,
+          used: quota.used,
+          remaining: quota.remaining,
+          resetAt: quota.resetAt.toISOString(),
+        },
+      });
+    }
+
+    // Give the reservation back only if the request failed: an error status, or res.locals.quotaFailed
+    // set by a stream whose generation failed after the 200 went out. A stream that opened successfully
+    // keeps it when the client disconnects, since generation carries on; if that generation fails
+    // later, the stream calls res.locals.settleUsageQuota itself ("finish" never fires then).
+    let released = false;
+    const settle = () => {
+      if (released || (res.statusCode < 400 && !res.locals.quotaFailed)) return;
+      released = true;
+      releaseFeatureRequest(req.userId, route.feature, quota.period).catch((error) =>
+        console.error(`Failed to release "${route.feature}" request:`, error.message)
+      );
+    };
+    res.on("finish", settle);
+    res.on("close", settle);
+    res.locals.settleUsageQuota = settle;
+    // Lets work that outlives the request (queued jobs) give the reservation back when it fails
+    res.locals.usageQuota = { feature: route.feature, period: quota.period };
+
+    return runWithUsageContext(context, next);
+  };
+};
+
+module.exports.DEFAULT_QUOTA_ROUTES = DEFAULT_QUOTA_ROUTES;
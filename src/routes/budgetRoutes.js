@@ -0,0 +1,149 @@
+const express = require("express");
+const {
+  getTripBudgetController,
+  setTripBudgetController,
+  estimateTripCostsController,
+} = require("../controllers/budgetController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/budget:
+ *   get:
+ *     summary: Get trip budget breakdown
+ *     description: Sums booked amounts from linked confirmations (totalAmount) and estimated costs of itinerary activities, broken down by day and category, and compares the total with the budget set for the trip. Activities created from a confirmation are not counted twice.
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: Budget breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TripBudgetSummary'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Set trip budget
+ *     description: Sets the total budget amount the trip is compared against. Requires editor access.
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 2000
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency code
+ *                 example: EUR
+ *     responses:
+ *       200:
+ *         description: Budget updated; returns the new breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TripBudgetSummary'
+ *       400:
+ *         description: Invalid amount or currency
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user cannot edit this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/budget", getTripBudgetController);
+router.put("/trips/:tripId/budget", setTripBudgetController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/budget/estimates:
+ *   post:
+ *     summary: Estimate missing activity costs
+ *     description: Uses AI to add an estimatedCost to every non-confirmation activity that doesn't have one, then returns the updated breakdown. Requires editor access.
+ *     tags: [Budget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: Estimates added; returns the new breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TripBudgetSummary'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user cannot edit this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
+ */
+router.post("/trips/:tripId/budget/estimates", estimateTripCostsController);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require("express");
+const {
+  exportTripCalendar,
+  getTripCalendarSubscription,
+  rotateCalendarSubscription,
+} = require("../controllers/calendarController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/calendar.ics:
+ *   get:
+ *     summary: Export trip itinerary as iCalendar
+ *     description: Returns every itinerary activity as a VEVENT. Activities with a clock time start at that time; others are spread across their time block window (morning 09:00-12:00, afternoon 13:00-17:00, evening 18:00-21:00). Times are floating local times at the destination.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/calendar.ics", exportTripCalendar);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/calendar/subscription:
+ *   get:
+ *     summary: Get calendar subscription URL for a trip
+ *     description: Returns a secret, unauthenticated feed URL that calendar apps can subscribe to. The feed is rebuilt on every request so it stays in sync as days are edited or regenerated.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: Subscription URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "https://api.example.com/calendar/3f9a.../trips/abc123.ics"
+ *                     webcalUrl:
+ *                       type: string
+ *                       example: "webcal://api.example.com/calendar/3f9a.../trips/abc123.ics"
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/calendar/subscription", getTripCalendarSubscription);
+
+/**
+ * @swagger
+ * /api/calendar/subscription/rotate:
+ *   post:
+ *     summary: Rotate calendar subscription secret
+ *     description: Replaces the user's subscription secret. All previously issued feed URLs stop working.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription secret rotated
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/calendar/subscription/rotate", rotateCalendarSubscription);
+
+module.exports = router;
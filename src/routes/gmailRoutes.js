@@ -0,0 +1,104 @@
+const express = require("express");
+const {
+  getGmailAuthUrl,
+  getGmailConnectionStatus,
+  disconnectGmail,
+} = require("../controllers/gmailController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/gmail/auth-url:
+ *   get:
+ *     summary: Get Gmail authorization URL
+ *     description: Returns a Google consent URL whose OAuth state is bound to the authenticated user. Open it in a browser; on callback the tokens are stored (encrypted) for this user and background sync starts.
+ *     tags: [Gmail]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/gmail/auth-url", getGmailAuthUrl);
+
+/**
+ * @swagger
+ * /api/gmail/connection:
+ *   get:
+ *     summary: Get Gmail connection status
+ *     description: Returns whether Gmail is connected for the authenticated user and when it was last synced
+ *     tags: [Gmail]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Connection status retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     connected:
+ *                       type: boolean
+ *                     status:
+ *                       type: string
+ *                       enum: [connected, reauth_required, disconnected]
+ *                     lastSyncedAt:
+ *                       type: object
+ *                       nullable: true
+ *                     lastSyncError:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/gmail/connection", getGmailConnectionStatus);
+
+/**
+ * @swagger
+ * /api/gmail/connection:
+ *   delete:
+ *     summary: Disconnect Gmail
+ *     description: Revokes the stored Gmail tokens and stops background sync for the authenticated user
+ *     tags: [Gmail]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Gmail disconnected successfully
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       404:
+ *         description: Gmail connection not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/gmail/connection", disconnectGmail);
+
+module.exports = router;
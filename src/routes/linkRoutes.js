@@ -50,6 +50,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post("/summarize-link", summarizeLink);
 
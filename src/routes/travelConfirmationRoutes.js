@@ -26,7 +26,7 @@ const upload = multer({
  * /api/travel-confirmations/filter:
  *   get:
  *     summary: Filter travel confirmations
- *     description: Filter confirmations by assignment status (all, assigned, unassigned) and category (all, flight, hotel, car, restaurant, activity, other).
+ *     description: Filter confirmations by assignment status (all, assigned, unassigned), category (all, flight, hotel, car, restaurant, activity, other) and amount. Amount filters and the returned totals use the home currency from the user's travel preferences.
  *     tags: [Travel Confirmations]
  *     parameters:
  *       - in: query
@@ -43,11 +43,23 @@ const upload = multer({
  *           type: string
  *           enum: [all, flight, hotel, car, restaurant, activity, other]
  *         description: Filter by confirmation category. Defaults to all.
+ *       - in: query
+ *         name: minAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Minimum totalAmount in the home currency. Confirmations without a convertible amount are excluded when set.
+ *       - in: query
+ *         name: maxAmount
+ *         required: false
+ *         schema:
+ *           type: number
+ *         description: Maximum totalAmount in the home currency
  *     responses:
  *       200:
- *         description: Successfully retrieved filtered confirmations
+ *         description: Successfully retrieved filtered confirmations. Each confirmation with a readable totalAmount has an amount object (amount, currency, homeAmount, homeCurrency); totals is a ConfirmationTotals object.
  *       400:
- *         description: Bad request
+ *         description: Bad request (e.g. non-numeric amount filter)
  *       401:
  *         description: Unauthorized
  *       500:
@@ -60,22 +72,21 @@ router.get("/filter", getFilteredConfirmations);
  * /api/travel-confirmations/sync-gmail:
  *   post:
  *     summary: Sync Gmail and extract booking confirmations
+ *     description: Scans the authenticated user's connected Gmail mailbox (see GET /api/gmail/auth-url) using their stored tokens. Raw tokens may still be posted by older clients; they are stored for the user before syncing.
  *     tags: [Travel Confirmations]
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - accessToken
  *             properties:
  *               accessToken:
  *                 type: string
- *                 description: Gmail OAuth access token
+ *                 description: "Deprecated: Gmail OAuth access token. Stored for the user if provided."
  *               refreshToken:
  *                 type: string
- *                 description: Gmail OAuth refresh token (optional)
+ *                 description: "Deprecated: Gmail OAuth refresh token. Stored for the user if provided."
  *               tripId:
  *                 type: string
  *                 description: Optional trip ID to link confirmations to
@@ -91,7 +102,7 @@ router.get("/filter", getFilteredConfirmations);
  *       200:
  *         description: Successfully synced and extracted booking confirmations
  *       400:
- *         description: Missing access token
+ *         description: Gmail not connected, or access was revoked and must be reconnected
  *       500:
  *         description: Server error
  */
@@ -118,6 +129,8 @@ router.post("/sync-gmail", syncGmail);
  *         description: Invalid file or missing PDF
  *       500:
  *         description: Server error
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
  */
 router.post("/upload-pdf", upload.single("file"), uploadPDF);
 
@@ -142,6 +155,8 @@ router.post("/upload-pdf", upload.single("file"), uploadPDF);
  *         description: Invalid file or missing image
  *       500:
  *         description: Server error
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
  */
 router.post("/upload-image", upload.single("file"), uploadImage);
 
@@ -153,7 +168,7 @@ router.post("/upload-image", upload.single("file"), uploadImage);
  *     tags: [Travel Confirmations]
  *     responses:
  *       200:
- *         description: Successfully retrieved confirmations
+ *         description: Successfully retrieved confirmations, with totals in the home currency (ConfirmationTotals)
  *       401:
  *         description: Unauthorized
  *       500:
@@ -176,7 +191,7 @@ router.get("/", getConfirmations);
  *         description: The trip ID
  *     responses:
  *       200:
- *         description: Successfully retrieved trip confirmations
+ *         description: Successfully retrieved trip confirmations, with totals in the home currency (ConfirmationTotals)
  *       400:
  *         description: Missing trip ID
  *       401:
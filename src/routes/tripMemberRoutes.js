@@ -0,0 +1,304 @@
+const express = require("express");
+const {
+  getMembers,
+  inviteMember,
+  acceptMemberInvitation,
+  declineMemberInvitation,
+  updateMember,
+  deleteMember,
+} = require("../controllers/tripMemberController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members:
+ *   get:
+ *     summary: List trip members
+ *     description: Returns the owner and all collaborators of a trip with their roles. Any member can view the list.
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, editor, viewer]
+ *                       invitedBy:
+ *                         type: string
+ *                         nullable: true
+ *                       addedAt:
+ *                         type: string
+ *                         nullable: true
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/members", getMembers);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members/invitations:
+ *   post:
+ *     summary: Invite a collaborator
+ *     description: Creates an invitation token granting the editor or viewer role. Only the trip owner can invite. Invitations expire after TRIP_INVITATION_TTL_DAYS (default 7).
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [editor, viewer]
+ *                 example: "editor"
+ *               email:
+ *                 type: string
+ *                 description: Optional email of the invitee, stored for reference
+ *                 example: "friend@example.com"
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Invitation created successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     tripId:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                       nullable: true
+ *                     status:
+ *                       type: string
+ *                       example: "pending"
+ *                     expiresAt:
+ *                       type: string
+ *       400:
+ *         description: Bad request - missing or invalid role
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - only the owner can invite
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/members/invitations", inviteMember);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a trip invitation
+ *     description: Adds the authenticated user to the trip with the role stored on the invitation
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invitation token
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully
+ *       400:
+ *         description: Invitation expired, no longer pending, or user is already a member
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       404:
+ *         description: Trip or invitation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/members/invitations/:token/accept", acceptMemberInvitation);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members/invitations/{token}/decline:
+ *   post:
+ *     summary: Decline a trip invitation
+ *     description: Marks the invitation as declined so it can no longer be used
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The invitation token
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invitation expired or no longer pending
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       404:
+ *         description: Invitation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/members/invitations/:token/decline", declineMemberInvitation);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members/{memberId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Switches a collaborator between editor and viewer. Only the trip owner can change roles.
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The member's user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Bad request - missing or invalid role
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - only the owner can change roles
+ *       404:
+ *         description: Trip or member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/trips/:tripId/members/:memberId", updateMember);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/members/{memberId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: The owner can remove any collaborator; a collaborator can remove themselves to leave the trip. The owner cannot be removed.
+ *     tags: [Trip Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The member's user ID
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The trip owner cannot be removed
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user cannot remove this member
+ *       404:
+ *         description: Trip or member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/trips/:tripId/members/:memberId", deleteMember);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require("express");
 const {
   createTrip,
+  createTripStream,
   createTripWithCollaboration,
+  createTripWithCollaborationStream,
   getTrips,
   getTrip,
   updateActivities,
@@ -12,11 +14,17 @@ const {
   updateTripStatusController,
   regenerateDay,
   getActivityAlternatives,
+  applyActivityAlternativeController,
   getDayVersions,
   rollbackDayVersion,
   deleteTripController,
   updateTripNameController,
   updateTripCoverPhotoUrlController,
+  updateTripSchedulingModeController,
+  cloneTripController,
+  changeTripDatesController,
+  moveActivityController,
+  updateTripLegsController,
 } = require("../controllers/tripController");
 const { linkConfirmationsToTripDays } = require("../controllers/travelConfirmationController");
 
@@ -66,15 +74,87 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Monthly itinerary quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post("/trips", createTrip);
 
+/**
+ * @swagger
+ * /api/trips/stream:
+ *   post:
+ *     summary: Create a new trip and stream its itinerary day by day
+ *     description: |
+ *       Same request as POST /api/trips, but the itinerary is generated one day at a time and
+ *       streamed back as Server-Sent Events. The trip is saved straight away with empty days
+ *       (trip.generation.status "generating") and each day is saved as soon as it is generated.
+ *
+ *       Events (data is JSON):
+ *       - progress: { tripId, completedDays, totalDays } - once the trip is saved, then after every day
+ *       - day: { tripId, dayNumber, day, revision } - a generated day, with activity IDs
+ *       - done: { trip } - the finished trip (generation.status "complete")
+ *       - error: { tripId, message, error } - generation stopped; days already sent are kept and the trip is marked "failed"
+ *
+ *       If the client disconnects, generation carries on; fetch the trip later to pick up the remaining days.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTripRequest'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: progress
+ *                 data: {"tripId":"trip123","completedDays":0,"totalDays":4}
+ *
+ *                 event: day
+ *                 data: {"tripId":"trip123","dayNumber":1,"day":{"date":"2025-02-10","summary":"...","activities":[]},"revision":2}
+ *       400:
+ *         description: Bad request - missing selected trip or invalid legs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Monthly itinerary quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/trips/stream", createTripStream);
+
 /**
  * @swagger
  * /api/trips/collaborate:
@@ -146,6 +226,15 @@ router.post("/trips", createTrip);
  *                   type: string
  *                 description: Optional array of confirmation IDs to include
  *                 example: ["conf1", "conf2"]
+ *               templateId:
+ *                 type: string
+ *                 description: Optional trip template to seed the itinerary from. Confirmations and inspirations are planned around the template, whose activities are laid onto the new dates day by day in time-block order; trip details left out of the request (name, destination, duration, travelers, budget, vibes) are taken from the template, so trip_name and destination become optional.
+ *               legs:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TripLeg'
+ *                 description: Optional stops for a multi-destination trip. Each day is planned in its leg's city, transfer days get a travel activity in the morning, and hotel confirmations are matched to legs. When given, destination and dates default from the legs.
+ *                 example: "tmpl123"
  *           example:
  *             trip_name: "Summer Adventure in Tokyo"
  *             destination: "Tokyo, Japan"
@@ -177,15 +266,85 @@ router.post("/trips", createTrip);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - template belongs to another user
+ *       404:
+ *         description: Template not found
+ *       429:
+ *         description: Monthly itinerary quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post("/trips/collaborate", createTripWithCollaboration);
 
+/**
+ * @swagger
+ * /api/trips/collaborate/stream:
+ *   post:
+ *     summary: Create a trip with AI collaboration and stream its days
+ *     description: |
+ *       Same request as POST /api/trips/collaborate, streamed back as Server-Sent Events with the same
+ *       events as POST /api/trips/stream. The trip is saved straight away with its planned, empty days
+ *       (trip.generation.status "generating"); once the confirmations and inspirations are placed, each
+ *       day is saved and sent as a day event.
+ *
+ *       If the client disconnects, generation carries on; fetch the trip later to pick up the remaining days.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Same body as POST /api/trips/collaborate
+ *     responses:
+ *       200:
+ *         description: Event stream (progress, day, done and error events)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - missing required fields or invalid legs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - template belongs to another user
+ *       404:
+ *         description: Template not found
+ *       429:
+ *         description: Monthly itinerary quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/trips/collaborate/stream", createTripWithCollaborationStream);
+
 /**
  * @swagger
  * /api/trips:
@@ -305,6 +464,7 @@ router.get("/trips/:tripId", getTrip);
  *           minimum: 1
  *         description: The day number (1, 2, 3, etc.)
  *         example: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -363,6 +523,8 @@ router.get("/trips/:tripId", getTrip);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
  *       500:
  *         description: Internal server error
  *         content:
@@ -397,6 +559,7 @@ router.put("/trips/:tripId/days/:dayNumber/activities", updateActivities);
  *           minimum: 1
  *         description: The day number (1, 2, 3, etc.)
  *         example: 2
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -455,6 +618,8 @@ router.put("/trips/:tripId/days/:dayNumber/activities", updateActivities);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
  *       500:
  *         description: Internal server error
  *         content:
@@ -489,6 +654,7 @@ router.post("/trips/:tripId/days/:dayNumber/activities", addActivities);
  *           minimum: 1
  *         description: The day number (1, 2, 3, etc.)
  *         example: 1
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -562,6 +728,8 @@ router.post("/trips/:tripId/days/:dayNumber/activities", addActivities);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
  *       500:
  *         description: Internal server error
  *         content:
@@ -689,6 +857,7 @@ router.post("/trips/:tripId/confirmations", linkConfirmationsToTripDays);
  *           type: string
  *         description: The unique identifier of the activity
  *         example: "activity123"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -756,6 +925,8 @@ router.post("/trips/:tripId/confirmations", linkConfirmationsToTripDays);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
  *       500:
  *         description: Internal server error
  *         content:
@@ -797,6 +968,7 @@ router.put("/trips/:tripId/days/:dayNumber/activities/:activityId", updateActivi
  *           type: string
  *         description: The unique identifier of the activity
  *         example: "activity123"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Activity deleted successfully
@@ -837,6 +1009,8 @@ router.put("/trips/:tripId/days/:dayNumber/activities/:activityId", updateActivi
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1005,6 +1179,75 @@ router.patch("/trips/:tripId/status", updateTripStatusController);
  */
 router.patch("/trips/:tripId/name", updateTripNameController);
 
+/**
+ * @swagger
+ * /api/trips/{tripId}/scheduling-mode:
+ *   patch:
+ *     summary: Set trip scheduling mode
+ *     description: |
+ *       Switches between "timeBlock" (morning/afternoon/evening only, the default) and "exact" scheduling.
+ *       In exact mode every save assigns each activity a startTime, endTime and durationMinutes.
+ *       Fixed activities (isFixed) and activities with a clock `time` are never moved; if they overlap a fixed
+ *       activity the overlap is reported in the day's `scheduleConflicts` instead of being silently reordered.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique identifier of the trip
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - schedulingMode
+ *             properties:
+ *               schedulingMode:
+ *                 type: string
+ *                 enum: [timeBlock, exact]
+ *                 example: "exact"
+ *     responses:
+ *       200:
+ *         description: Scheduling mode updated; in exact mode each day includes scheduleConflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Trip scheduling mode set to exact"
+ *                 data:
+ *                   $ref: '#/components/schemas/Trip'
+ *       400:
+ *         description: Bad request - missing or invalid scheduling mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user cannot edit this trip
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/trips/:tripId/scheduling-mode", updateTripSchedulingModeController);
+
 /**
  * @swagger
  * /api/trips/{tripId}/coverPhotoUrl:
@@ -1056,6 +1299,12 @@ router.patch("/trips/:tripId/name", updateTripNameController);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Monthly cover-photo quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error - failed to generate or upload cover photo
  *         content:
@@ -1112,6 +1361,12 @@ router.patch("/trips/:tripId/coverPhotoUrl", updateTripCoverPhotoUrlController);
  *         description: Unauthorized
  *       404:
  *         description: Trip not found
+ *       429:
+ *         description: Monthly day-regeneration quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  */
@@ -1122,7 +1377,7 @@ router.post("/trips/:tripId/days/:dayNumber/regenerate", regenerateDay);
  * /api/trips/{tripId}/days/{dayNumber}/activities/{activityId}/alternatives:
  *   get:
  *     summary: Get alternative activity recommendations
- *     description: Returns alternative activity options to replace an existing activity. Uses AI to generate relevant alternatives based on the trip context.
+ *     description: Returns alternative activity options to replace an existing activity. Uses AI to generate relevant alternatives based on the trip context, leaving out activities the travelers swapped out before. Each alternative comes with an alternativeToken that can be passed to the apply endpoint for a limited time (ACTIVITY_ALTERNATIVES_TTL_MINUTES, default 60).
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
@@ -1184,23 +1439,119 @@ router.post("/trips/:tripId/days/:dayNumber/regenerate", regenerateDay);
  *                         type: string
  *                       location:
  *                         type: string
+ *                       alternativeToken:
+ *                         type: string
+ *                         description: Pass to the apply endpoint to swap this alternative in
+ *                         example: "9f2c4e1a7b3d5f608c1e2a4b.0"
  *       400:
  *         description: Bad request - invalid parameters
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Trip or activity not found
+ *       429:
+ *         description: Monthly activity-alternatives quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
+ *       502:
+ *         description: The AI response did not match the expected format after repair attempts
  */
 router.get("/trips/:tripId/days/:dayNumber/activities/:activityId/alternatives", getActivityAlternatives);
 
+/**
+ * @swagger
+ * /api/trips/{tripId}/days/{dayNumber}/activities/{activityId}/alternatives/apply:
+ *   post:
+ *     summary: Swap in an activity alternative
+ *     description: |
+ *       Replaces the activity with an alternative, in place: the replacement keeps the activity's position, time block and time, and gets a new ID.
+ *       Send either the alternativeToken returned by the alternatives endpoint or the alternative itself.
+ *       The replaced activity is remembered on the trip (rejectedActivities) so later suggestions leave it out, and the swap is recorded as a trip version.
+ *       Activities from travel confirmations can't be swapped. Requires editor access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique identifier of the trip
+ *         example: "trip123"
+ *       - in: path
+ *         name: dayNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: The day number (1, 2, 3, etc.)
+ *         example: 1
+ *       - in: path
+ *         name: activityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The unique identifier of the activity to replace
+ *         example: "activity123"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alternativeToken:
+ *                 type: string
+ *                 description: Token of an alternative returned by the alternatives endpoint
+ *                 example: "9f2c4e1a7b3d5f608c1e2a4b.0"
+ *               alternative:
+ *                 type: object
+ *                 description: The alternative to swap in, when not using a token
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                   location:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Activity replaced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripResponse'
+ *       400:
+ *         description: Missing, invalid or expired alternative, or a confirmation activity
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip or activity not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/days/:dayNumber/activities/:activityId/alternatives/apply", applyActivityAlternativeController);
+
 /**
  * @swagger
  * /api/trips/{tripId}/days/{dayNumber}/versions:
  *   get:
  *     summary: Get version history for a specific day
- *     description: Returns the version history (up to 2 versions) for activities on a specific day. Versions are automatically saved when activities are regenerated.
+ *     description: Returns the version history (up to 2 versions) for activities on a specific day. Versions are automatically saved when activities are regenerated. For the full, unlimited history of the whole trip see GET /api/trips/{tripId}/versions.
  *     tags: [Trips]
  *     security:
  *       - bearerAuth: []
@@ -1322,6 +1673,276 @@ router.get("/trips/:tripId/days/:dayNumber/versions", getDayVersions);
  */
 router.post("/trips/:tripId/days/:dayNumber/versions/:versionNumber/rollback", rollbackDayVersion);
 
+/**
+ * @swagger
+ * /api/trips/{tripId}/activities/{activityId}/move:
+ *   post:
+ *     summary: Move or reorder an activity
+ *     description: Moves an activity to another day and/or time block, or reorders it within its day. The activity keeps its id, sourceId and isFixed. Both affected days get a version history snapshot. Activities created from a confirmation can only move to the day their booking date falls on. Changing the time block clears the activity's clock time. Requires editor access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: activityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The activity ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toDay
+ *             properties:
+ *               toDay:
+ *                 type: integer
+ *                 description: Destination day number (use the current day to reorder)
+ *                 example: 4
+ *               fromDay:
+ *                 type: integer
+ *                 description: Current day number (looked up when omitted)
+ *                 example: 2
+ *               timeBlock:
+ *                 type: string
+ *                 enum: [morning, afternoon, evening]
+ *                 description: Destination time block (defaults to the activity's current one)
+ *               position:
+ *                 type: integer
+ *                 description: 0-based position among the activities in the destination time block (defaults to the end)
+ *                 example: 0
+ *     responses:
+ *       200:
+ *         description: Activity moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripResponse'
+ *       400:
+ *         description: Invalid day, time block or position
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip or activity not found
+ *       409:
+ *         description: The activity is a booking for a different day, or the trip changed since the If-Match ETag (the response then carries the current trip and ETag)
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/activities/:activityId/move", moveActivityController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/dates:
+ *   patch:
+ *     summary: Change trip dates and length
+ *     description: |
+ *       Moves the trip to new dates. Days keep their order (day 1 stays day 1) and get the new dates.
+ *       - Linked confirmations are placed on the day their booking date now falls on.
+ *       - Bookings dated outside the new range are taken off the itinerary and reported in dateChange.conflicts.
+ *       - When days are removed, fixed activities move to the last remaining day and other activities on those days are dropped.
+ *       - Added days are filled with AI-suggested activities that don't repeat anything already on the trip (unless fillNewDays is false).
+ *       Days whose activities change get a version history snapshot. Requires editor access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-05-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Inclusive last day (at most 30 days after startDate)
+ *                 example: "2026-05-05"
+ *               fillNewDays:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Generate activities for added days
+ *     responses:
+ *       200:
+ *         description: Trip dates updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Trip'
+ *                 dateChange:
+ *                   $ref: '#/components/schemas/TripDateChange'
+ *       400:
+ *         description: Missing or invalid dates
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       500:
+ *         description: Internal server error
+ */
+router.patch("/trips/:tripId/dates", changeTripDatesController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/legs:
+ *   put:
+ *     summary: Set the legs of a multi-destination trip
+ *     description: |
+ *       Replaces the trip's legs (an empty array makes it a single-destination trip again).
+ *       Every day is labelled with its leg and base city, transfer days get a travel activity in the morning,
+ *       and the trip's hotel confirmations are matched to legs by check-in date or city.
+ *       Existing activities are kept; regenerate a day to re-plan it for its new city. Requires editor access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - legs
+ *             properties:
+ *               legs:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TripLeg'
+ *           example:
+ *             legs:
+ *               - city: "Tokyo"
+ *                 startDate: "2026-05-01"
+ *                 endDate: "2026-05-04"
+ *               - city: "Kyoto"
+ *                 startDate: "2026-05-04"
+ *                 endDate: "2026-05-07"
+ *     responses:
+ *       200:
+ *         description: Legs updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripResponse'
+ *       400:
+ *         description: Invalid legs (missing city or dates, or overlapping legs)
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/trips/:tripId/legs", updateTripLegsController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/clone:
+ *   post:
+ *     summary: Clone a trip to new dates
+ *     description: Creates a new draft trip owned by the current user with a copy of the trip details and itinerary, shifted to start on startDate. Every activity gets a new ID. Activities created from travel confirmations, version history, schedule conflicts and travel legs are not copied. Any trip member can clone.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip to copy
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the new trip (YYYY-MM-DD). The end date follows from the number of days.
+ *                 example: "2026-05-01"
+ *               destination:
+ *                 type: string
+ *                 description: Optional new destination name
+ *                 example: "Lisbon, Portugal"
+ *               name:
+ *                 type: string
+ *                 description: Optional new trip name
+ *                 example: "Lisbon long weekend"
+ *     responses:
+ *       201:
+ *         description: Trip cloned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripResponse'
+ *       400:
+ *         description: Missing or invalid startDate
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/clone", cloneTripController);
+
 /**
  * @swagger
  * /api/trips/{tripId}:
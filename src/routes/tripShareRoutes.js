@@ -0,0 +1,150 @@
+const express = require("express");
+const {
+  createShareLinkController,
+  getShareLinksController,
+  revokeShareLinkController,
+} = require("../controllers/tripShareController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/share-links:
+ *   post:
+ *     summary: Create a public share link
+ *     description: Creates a read-only link to the trip itinerary that works without signing in. Booking IDs, traveller names, members and budget are never included in the shared view. Requires editor access.
+ *     tags: [Trip Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: number
+ *                 description: Days until the link stops working. Omit for a link that only stops working when revoked.
+ *                 example: 30
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiresInDays
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: List share links
+ *     description: Lists every share link created for the trip, including revoked and expired ones. Requires editor access.
+ *     tags: [Trip Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     responses:
+ *       200:
+ *         description: Share links, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/share-links", createShareLinkController);
+router.get("/trips/:tripId/share-links", getShareLinksController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/share-links/{token}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately. Requires editor access.
+ *     tags: [Trip Sharing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The share token
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip or share link not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/trips/:tripId/share-links/:token", revokeShareLinkController);
+
+module.exports = router;
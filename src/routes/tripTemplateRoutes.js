@@ -0,0 +1,163 @@
+const express = require("express");
+const {
+  createTemplateController,
+  getTemplatesController,
+  getTemplateController,
+  deleteTemplateController,
+} = require("../controllers/tripTemplateController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/template:
+ *   post:
+ *     summary: Save a trip as a template
+ *     description: Adds the trip's itinerary to the current user's template library. Dates, activity IDs and activities created from travel confirmations are not saved. Use the template with POST /api/trips/collaborate (templateId). Any trip member can save a template.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Template name (defaults to the trip name)
+ *                 example: "Long weekend in Tokyo"
+ *               description:
+ *                 type: string
+ *                 description: Template description (defaults to the trip description)
+ *     responses:
+ *       201:
+ *         description: Template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TripTemplate'
+ *       400:
+ *         description: Trip has no itinerary
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/template", createTemplateController);
+
+/**
+ * @swagger
+ * /api/trip-templates:
+ *   get:
+ *     summary: List trip templates
+ *     description: Lists the current user's templates, newest first. Day-by-day activities are left out; fetch a single template to get them.
+ *     tags: [Trip Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TripTemplate'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trip-templates", getTemplatesController);
+
+/**
+ * @swagger
+ * /api/trip-templates/{templateId}:
+ *   get:
+ *     summary: Get a trip template
+ *     tags: [Trip Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *     responses:
+ *       200:
+ *         description: Template with its days
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TripTemplate'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - template belongs to another user
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a trip template
+ *     tags: [Trip Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - template belongs to another user
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trip-templates/:templateId", getTemplateController);
+router.delete("/trip-templates/:templateId", deleteTemplateController);
+
+module.exports = router;
@@ -0,0 +1,296 @@
+const express = require("express");
+const {
+  getTripVersionsController,
+  getTripVersionController,
+  createNamedSnapshotController,
+  nameTripVersionController,
+  restoreTripVersionController,
+} = require("../controllers/tripVersionController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/versions:
+ *   get:
+ *     summary: List trip versions
+ *     description: Lists the trip's version history, newest first. Every itinerary change (regenerate, inspiration add, confirmation link, manual edit, move, date change, restore...) records a version with its author, action and a diff of the activities that were added, removed or changed. Snapshots are left out; fetch a single version to get one. Any trip member can read the history.
+ *     tags: [Trip Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: Versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TripVersion'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid cursor
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Save a named snapshot
+ *     description: Records the trip as it is now as a named version, so it is easy to find and restore later. Requires editor access.
+ *     tags: [Trip Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Before asking the group"
+ *     responses:
+ *       201:
+ *         description: Snapshot saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TripVersion'
+ *       400:
+ *         description: Missing name
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/versions", getTripVersionsController);
+router.post("/trips/:tripId/versions", createNamedSnapshotController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/versions/{versionId}:
+ *   get:
+ *     summary: Get a trip version
+ *     description: Returns one version including the snapshot of the itinerary and trip details after that change. Any trip member can read it.
+ *     tags: [Trip Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version ID
+ *     responses:
+ *       200:
+ *         description: Version with snapshot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TripVersion'
+ *                     - type: object
+ *                       properties:
+ *                         snapshot:
+ *                           type: object
+ *                           properties:
+ *                             itinerary:
+ *                               type: object
+ *                             selectedTrip:
+ *                               type: object
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not a member of this trip
+ *       404:
+ *         description: Trip or version not found
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     summary: Name a trip version
+ *     description: Sets, changes or (with an empty name or null) clears a version's name. Requires editor access.
+ *     tags: [Trip Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *                 example: "Final plan"
+ *     responses:
+ *       200:
+ *         description: Version updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TripVersion'
+ *       400:
+ *         description: Invalid name
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip or version not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/trips/:tripId/versions/:versionId", getTripVersionController);
+router.patch("/trips/:tripId/versions/:versionId", nameTripVersionController);
+
+/**
+ * @swagger
+ * /api/trips/{tripId}/versions/{versionId}/restore:
+ *   post:
+ *     summary: Restore a trip version
+ *     description: |
+ *       Without a dayNumber the whole trip goes back to the version: its itinerary and trip details (dates, legs).
+ *       With a dayNumber only that day's activities, summary and travel are restored; the day keeps its current date.
+ *       The restore is recorded as a new version, so it can be undone. Linked confirmations keep their days. Requires editor access.
+ *     tags: [Trip Versions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The trip ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The version ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dayNumber:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Restore only this day
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Trip restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripResponse'
+ *       400:
+ *         description: Invalid dayNumber
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       403:
+ *         description: Forbidden - user is not an editor of this trip
+ *       404:
+ *         description: Trip, version or day not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/trips/:tripId/versions/:versionId/restore", restoreTripVersionController);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require("express");
+const { getUsageController } = require("../controllers/usageController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/usage:
+ *   get:
+ *     summary: Get AI usage and remaining quotas
+ *     description: Returns the user's plan, what is left of each monthly quota (itinerary generation, day regeneration, activity alternatives, video analysis, cover photos) and the tokens and estimated cost of their AI usage per feature. Quotas count successful requests and reset at the start of each calendar month (UTC); once one is used up, its endpoints answer 429 until resetAt.
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           example: "2026-10"
+ *         description: Month to report (YYYY-MM); defaults to the current month
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Usage retrieved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         description: Invalid period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/usage", getUsageController);
+
+module.exports = router;
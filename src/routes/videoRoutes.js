@@ -1,5 +1,5 @@
 const express = require("express");
-const { analyzeTikTok, getAllInspirations, deleteInspirations, filterInspirationsController } = require("../controllers/videoController.js");
+const { analyzeTikTok, analyzeVideoController, createVideoAnalysisJobController, getInspirationJobController, getAllInspirations, deleteInspirations, filterInspirationsController } = require("../controllers/videoController.js");
 
 const router = express.Router();
 
@@ -44,6 +44,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Monthly video-analysis quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -53,15 +59,187 @@ const router = express.Router();
  */
 router.post("/analyze-tiktok", analyzeTikTok);
 
+/**
+ * @swagger
+ * /api/inspiration/analyze-video:
+ *   post:
+ *     summary: Analyze a short-form video to extract travel inspiration
+ *     description: Picks a source adapter from the URL (TikTok, Instagram Reels, YouTube Shorts), downloads the video, analyzes it and saves the extracted inspiration items by location. Instagram posts that don't expose the video publicly and all YouTube Shorts are resolved through the configured downloader API. Regular YouTube videos (watch and youtu.be links) are not supported.
+ *     tags: [Inspiration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: TikTok, Instagram Reel or YouTube Shorts URL
+ *                 example: "https://www.instagram.com/reel/C1a2b3c4d5e/"
+ *     responses:
+ *       200:
+ *         description: Successfully analyzed video and extracted inspiration items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TikTokAnalysisResponse'
+ *                 - type: object
+ *                   properties:
+ *                     platform:
+ *                       type: string
+ *                       enum: [tiktok, instagram, youtube]
+ *                       example: instagram
+ *       400:
+ *         description: Bad request - missing URL or unsupported platform
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Monthly video-analysis quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/analyze-video", analyzeVideoController);
+
+/**
+ * @swagger
+ * /api/inspiration/jobs:
+ *   post:
+ *     summary: Queue a video for background analysis
+ *     description: Returns immediately with a job. The video is downloaded, analyzed and categorized by a background worker; poll GET /api/inspiration/jobs/{jobId} for progress. A push notification is sent when inspiration items are saved. Failed attempts are retried with exponential backoff.
+ *     tags: [Inspiration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: TikTok, Instagram Reel or YouTube Shorts URL
+ *                 example: "https://www.tiktok.com/@user/video/1234567890"
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Video analysis queued"
+ *                 data:
+ *                   $ref: '#/components/schemas/InspirationJob'
+ *       400:
+ *         description: Bad request - missing URL or unsupported platform
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       429:
+ *         description: Monthly video-analysis quota of the user's plan used up (see GET /api/usage)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/jobs", createVideoAnalysisJobController);
+
+/**
+ * @swagger
+ * /api/inspiration/jobs/{jobId}:
+ *   get:
+ *     summary: Get video analysis job status
+ *     tags: [Inspiration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The job ID returned when the job was queued
+ *     responses:
+ *       200:
+ *         description: Job status, stage progress and (when completed) the saved items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InspirationJob'
+ *       401:
+ *         description: Unauthorized - missing or invalid authentication
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/jobs/:jobId", getInspirationJobController);
+
 /**
  * @swagger
  * /api/inspiration:
  *   get:
- *     summary: Get all saved inspirations
- *     description: Retrieves all inspiration items organized by location categories. Returns both organized by location and a flat list of all items.
+ *     summary: Get saved inspirations
+ *     description: Retrieves a page of inspiration items, newest first, grouped by location. Pass nextCursor back as cursor to get the next page. itemCount, totalCategories and totalItems count all saved items, not just this page.
  *     tags: [Inspiration]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Only items of this location (as returned in organizedByLocation)
+ *         example: "Paris"
  *     responses:
  *       200:
  *         description: Successfully retrieved all inspirations
@@ -78,21 +256,26 @@ router.post("/analyze-tiktok", analyzeTikTok);
  *                   properties:
  *                     organizedByLocation:
  *                       type: array
- *                       description: Inspirations grouped by location
+ *                       description: This page's inspirations grouped by location
  *                       items:
  *                         type: object
  *                         properties:
+ *                           id:
+ *                             type: string
  *                           location:
  *                             type: string
  *                             example: "Paris"
  *                           itemCount:
  *                             type: number
+ *                             description: Items saved for this location in total
  *                             example: 5
  *                           items:
  *                             type: array
  *                             items:
  *                               type: object
  *                               properties:
+ *                                 id:
+ *                                   type: string
  *                                 title:
  *                                   type: string
  *                                 description:
@@ -112,6 +295,16 @@ router.post("/analyze-tiktok", analyzeTikTok);
  *                     totalItems:
  *                       type: number
  *                       example: 45
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the next page, null on the last page
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - missing or invalid authentication
  *         content:
@@ -225,7 +418,7 @@ router.delete("/", deleteInspirations);
  * /api/inspiration/filter:
  *   get:
  *     summary: Filter inspiration items
- *     description: Filter inspiration items by assignment status (Unassigned, Assigned to trip, All Inspiration), trip (all trips or specific trip ID), and category (Restaurant, Activity, Landmark, Shop, Accomodation, Other)
+ *     description: Filter inspiration items by assignment status (Unassigned, Assigned to trip, All Inspiration), trip (all trips or specific trip ID), category (Restaurant, Activity, Landmark, Shop, Accomodation, Other) and location. Results are paginated newest first; counts describe the returned page. Pass nextCursor back as cursor to get the next page.
  *     tags: [Inspiration]
  *     security:
  *       - bearerAuth: []
@@ -251,6 +444,24 @@ router.delete("/", deleteInspirations);
  *           enum: [Restaurant, Activity, Landmark, Shop, Accomodation, Other]
  *         description: "Filter by inspiration category (Note: Accomodation is spelled with one 'm' to match existing data)"
  *         example: "Restaurant"
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Filter by location (as returned in organizedByLocation)
+ *         example: "Paris"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
  *     responses:
  *       200:
  *         description: Successfully filtered inspirations
@@ -309,6 +520,10 @@ router.delete("/", deleteInspirations);
  *                     totalItems:
  *                       type: number
  *                       example: 5
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor for the next page, null on the last page
  *                     filters:
  *                       type: object
  *                       properties:
@@ -319,8 +534,11 @@ router.delete("/", deleteInspirations);
  *                         category:
  *                           type: string
  *                           nullable: true
+ *                         location:
+ *                           type: string
+ *                           nullable: true
  *       400:
- *         description: Bad request - invalid filter parameters
+ *         description: Bad request - invalid filter parameters or cursor
  *         content:
  *           application/json:
  *             schema:
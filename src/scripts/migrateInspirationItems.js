@@ -0,0 +1,86 @@
+/**
+ * Move inspiration items out of the per-location `items` arrays into one document per item.
+ *
+ * Usage:
+ *   npm run migrate:inspirations              # migrate every category still holding an items array
+ *   npm run migrate:inspirations -- --dry-run # only report what would be migrated
+ *
+ * Categories are also migrated on demand when their user next reads or saves inspirations;
+ * this script does all of them at once. Migrated categories are skipped, so it can be re-run safely.
+ */
+
+require("dotenv").config();
+const { initializeFirebase, getFirestore } = require("../config/database");
+const { migrateLegacyCategory } = require("../services/categorizationService");
+
+const PAGE_SIZE = 100;
+
+/**
+ * Page through all categories and migrate the ones still holding an items array
+ * @param {object} options
+ * @param {boolean} options.dryRun - Only report what would be migrated
+ */
+const migrateInspirationItems = async ({ dryRun = false } = {}) => {
+  await initializeFirebase();
+  const db = getFirestore();
+  const categoriesRef = db.collection("inspirationsCollection");
+
+  let lastDoc = null;
+  let scanned = 0;
+  let migrated = 0;
+  let items = 0;
+  let failed = 0;
+
+  while (true) {
+    let query = categoriesRef.orderBy("__name__").limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+
+      const legacyItems = doc.data().items;
+      if (!Array.isArray(legacyItems)) {
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          console.log(`[dry run] would migrate ${legacyItems.length} item(s) of category ${doc.id}`);
+        } else {
+          await migrateLegacyCategory(db, doc);
+        }
+        migrated += 1;
+        items += legacyItems.length;
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ Error migrating category ${doc.id}:`, error);
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(
+    `Done. Scanned ${scanned} categories: ${migrated} ${dryRun ? "to migrate" : "migrated"} (${items} items), ${failed} failed.`
+  );
+
+  return { scanned, migrated, items, failed };
+};
+
+if (require.main === module) {
+  migrateInspirationItems({ dryRun: process.argv.includes("--dry-run") })
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error("❌ Inspiration migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateInspirationItems };
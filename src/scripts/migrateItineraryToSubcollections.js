@@ -0,0 +1,157 @@
+/**
+ * Move trip itineraries from the trip document into the days/activities subcollections.
+ *
+ * Usage:
+ *   npm run migrate:itinerary              # migrate every trip still stored inline
+ *   npm run migrate:itinerary -- --dry-run # only report what would be migrated
+ *
+ * Trips already using subcollections are skipped, so the script can be re-run safely.
+ * Each trip document is updated last, after its day and activity docs are written, so a trip
+ * interrupted halfway is still read from its inline itinerary and is picked up on the next run.
+ */
+
+require("dotenv").config();
+const { initializeFirebase, getFirestore } = require("../config/database");
+const { usesSubcollections, writeItinerary } = require("../services/tripItineraryStore");
+
+const PAGE_SIZE = 100;
+// Firestore allows 500 writes per batch; leave room for the trip document update
+const MAX_BATCH_WRITES = 400;
+
+/**
+ * Create a writer with the batch set/delete interface that commits every MAX_BATCH_WRITES writes
+ * @param {object} db - Firestore instance
+ * @returns {{set: Function, delete: Function, commit: Function, count: Function}}
+ */
+const createChunkedWriter = (db) => {
+  let batch = db.batch();
+  let pending = 0;
+  let total = 0;
+  const commits = [];
+
+  const track = () => {
+    pending += 1;
+    total += 1;
+    if (pending >= MAX_BATCH_WRITES) {
+      commits.push(batch.commit());
+      batch = db.batch();
+      pending = 0;
+    }
+  };
+
+  return {
+    set: (ref, data) => {
+      batch.set(ref, data);
+      track();
+    },
+    delete: (ref) => {
+      batch.delete(ref);
+      track();
+    },
+    commit: async () => {
+      await Promise.all(commits);
+      if (pending > 0) {
+        await batch.commit();
+      }
+    },
+    count: () => total,
+  };
+};
+
+/**
+ * Migrate one trip's itinerary
+ * @param {object} db - Firestore instance
+ * @param {object} doc - Trip document snapshot
+ * @param {boolean} dryRun - Only count the writes
+ * @returns {Promise<number>} - Number of day/activity docs written
+ */
+const migrateTrip = async (db, doc, dryRun) => {
+  const tripData = doc.data();
+  const itinerary = tripData.itinerary || {};
+
+  if (dryRun) {
+    let writes = 0;
+    const countWrite = () => {
+      writes += 1;
+    };
+    writeItinerary({ set: countWrite, delete: countWrite }, doc.ref, null, itinerary);
+    return writes;
+  }
+
+  const subcollectionWriter = createChunkedWriter(db);
+  const tripFields = writeItinerary(subcollectionWriter, doc.ref, null, itinerary);
+  const written = subcollectionWriter.count();
+  await subcollectionWriter.commit();
+
+  // Switching the trip document over is what makes readers use the subcollections. The precondition
+  // fails if the trip was edited meanwhile; the app then migrates it itself on that edit, or the next run does.
+  await doc.ref.update(tripFields, { lastUpdateTime: doc.updateTime });
+
+  return written;
+};
+
+/**
+ * Page through all trips and migrate the ones still stored inline
+ * @param {object} options
+ * @param {boolean} options.dryRun - Only report what would be migrated
+ */
+const migrateItineraries = async ({ dryRun = false } = {}) => {
+  await initializeFirebase();
+  const db = getFirestore();
+  const tripsRef = db.collection("trips");
+
+  let lastDoc = null;
+  let scanned = 0;
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  while (true) {
+    let query = tripsRef.orderBy("__name__").limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+
+      if (usesSubcollections(doc.data())) {
+        skipped += 1;
+        continue;
+      }
+
+      try {
+        const written = await migrateTrip(db, doc, dryRun);
+        migrated += 1;
+        console.log(`${dryRun ? "[dry run] would migrate" : "✅ Migrated"} trip ${doc.id} (${written} docs)`);
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ Error migrating trip ${doc.id}:`, error);
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(
+    `Done. Scanned ${scanned} trips: ${migrated} ${dryRun ? "to migrate" : "migrated"}, ${skipped} already migrated, ${failed} failed.`
+  );
+
+  return { scanned, migrated, skipped, failed };
+};
+
+if (require.main === module) {
+  migrateItineraries({ dryRun: process.argv.includes("--dry-run") })
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error("❌ Itinerary migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateItineraries };
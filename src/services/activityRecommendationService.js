@@ -1,8 +1,28 @@
-const OpenAI = require("openai");
+const { completeJSON } = require("./llmGateway");
+const { activityListSchema } = require("./llmSchemas");
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { getFirestore } = require("../config/database");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const TRIPS_COLLECTION = "trips";
+const ALTERNATIVES_SUBCOLLECTION = "activityAlternatives";
+const ALTERNATIVES_TTL_MS = (parseInt(process.env.ACTIVITY_ALTERNATIVES_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// How many swapped-out activities a trip remembers
+const MAX_REJECTED_ACTIVITIES = 50;
+
+/**
+ * Get the names of activities the travelers swapped out, normalized for matching
+ * @param {object} trip - The trip object
+ * @returns {Set<string>} - Lowercased, trimmed activity names
+ */
+const getRejectedActivityNames = (trip) => {
+  return new Set(
+    (trip?.rejectedActivities || [])
+      .map((rejected) => (rejected.name || "").toLowerCase().trim())
+      .filter(Boolean)
+  );
+};
 
 /**
  * Get alternative activity recommendations for replacing an existing activity
@@ -50,6 +70,12 @@ const getActivityAlternatives = async (trip, dayNumber, activityId, timeBlock =
       travelers: trip.selectedTrip?.travelers || 1,
     };
 
+    // Activities swapped out earlier shouldn't come back, nor should the one being replaced
+    const rejectedNames = getRejectedActivityNames(trip);
+    if (activityToReplace.name) {
+      rejectedNames.add(activityToReplace.name.toLowerCase().trim());
+    }
+
     // Get other activities for the same day for context
     const otherDayActivities = existingActivities.filter((a) => a.id !== activityId);
 
@@ -76,13 +102,16 @@ Requirements:
 Activities Already Scheduled (DO NOT duplicate):
 ${Array.from(allActivityNames).join(", ")}
 
+Activities the Travelers Turned Down (DO NOT suggest):
+${Array.from(rejectedNames).join(", ")}
+
 Task:
 Generate 3-5 alternative activities that:
 1. Fit the same time block (${targetTimeBlock})
 2. Match or complement the activity type (${activityToReplace.type || "activity"})
 3. Are appropriate for the destination and trip vibe
 4. Fit within the budget
-5. Are NOT in the "Already Scheduled" list
+5. Are NOT in the "Already Scheduled" or "Turned Down" lists
 6. Make sense in the context of other day activities
 
 Return ONLY a valid JSON array of alternative activities in this exact format (no markdown, no explanations):
@@ -105,31 +134,117 @@ Rules:
 - Activities should be diverse and interesting
 - Each activity should be a viable replacement option`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: alternatives } = await completeJSON("activity-alternatives", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.8, // Slightly higher for more variety
+      schema: activityListSchema,
     });
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/```json\s*/g, "").replace(/```/g, "").trim();
-
-    const alternatives = JSON.parse(content);
-
     // Ensure all alternatives have required fields
-    return alternatives.map((activity) => ({
-      ...activity,
-      timeBlock: activity.timeBlock || targetTimeBlock,
-      type: activity.type || activityToReplace.type || "activity",
-      sourceType: "ai",
-    }));
+    return alternatives
+      .filter((activity) => {
+        const key = (activity.name || "").toLowerCase().trim();
+        return key && !rejectedNames.has(key) && !allActivityNames.has(key);
+      })
+      .map((activity) => ({
+        ...activity,
+        timeBlock: activity.timeBlock || targetTimeBlock,
+        type: activity.type || activityToReplace.type || "activity",
+        sourceType: "ai",
+      }));
   } catch (error) {
     console.error("Error getting activity alternatives:", error);
     throw error;
   }
 };
 
+/**
+ * Cache alternatives so the client can apply one by token instead of sending it back
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk
+ * @param {number} dayNumber - The day number
+ * @param {string} activityId - The ID of the activity the alternatives replace
+ * @param {Array} alternatives - Alternatives from getActivityAlternatives
+ * @returns {Promise<Array>} - The alternatives, each with an alternativeToken
+ */
+const cacheActivityAlternatives = async (tripId, userId, dayNumber, activityId, alternatives) => {
+  try {
+    const db = getFirestore();
+    const setId = crypto.randomBytes(12).toString("hex");
+
+    await db
+      .collection(TRIPS_COLLECTION)
+      .doc(tripId)
+      .collection(ALTERNATIVES_SUBCOLLECTION)
+      .doc(setId)
+      .set({
+        dayNumber,
+        activityId,
+        alternatives,
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ALTERNATIVES_TTL_MS),
+      });
+
+    return alternatives.map((alternative, index) => ({
+      ...alternative,
+      alternativeToken: `${setId}.${index}`,
+    }));
+  } catch (error) {
+    console.error("Error caching activity alternatives:", error);
+    throw error;
+  }
+};
+
+/**
+ * Look up an alternative cached by cacheActivityAlternatives
+ * @param {string} tripId - The trip document ID
+ * @param {number} dayNumber - The day number the alternative must be for
+ * @param {string} activityId - The activity the alternative must replace
+ * @param {string} alternativeToken - Token returned with the alternative
+ * @returns {Promise<object>} - The alternative
+ */
+const getCachedAlternative = async (tripId, dayNumber, activityId, alternativeToken) => {
+  try {
+    const [setId, indexText] = String(alternativeToken || "").split(".");
+    const index = parseInt(indexText, 10);
+    if (!setId || isNaN(index)) {
+      throw new Error("Invalid alternativeToken");
+    }
+
+    const db = getFirestore();
+    const doc = await db
+      .collection(TRIPS_COLLECTION)
+      .doc(tripId)
+      .collection(ALTERNATIVES_SUBCOLLECTION)
+      .doc(setId)
+      .get();
+
+    if (!doc.exists) {
+      throw new Error("Invalid alternativeToken");
+    }
+
+    const cached = doc.data();
+    if (cached.dayNumber !== dayNumber || cached.activityId !== activityId || !cached.alternatives?.[index]) {
+      throw new Error("Invalid alternativeToken for this activity");
+    }
+
+    if (cached.expiresAt && cached.expiresAt.toMillis() < Date.now()) {
+      throw new Error("Invalid alternativeToken: it has expired, fetch alternatives again");
+    }
+
+    return cached.alternatives[index];
+  } catch (error) {
+    console.error("Error getting cached alternative:", error);
+    throw error;
+  }
+};
+
 module.exports = {
+  MAX_REJECTED_ACTIVITIES,
+  getRejectedActivityNames,
   getActivityAlternatives,
+  cacheActivityAlternatives,
+  getCachedAlternative,
 };
 
@@ -1,8 +1,5 @@
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { completeJSON, LLMOutputError } = require("./llmGateway");
+const { videoSummarySchema } = require("./llmSchemas");
 
 const generateAISummary = async (labels, texts, transcript, description) => {
   const allTranscript = transcript?.join(" ") || "none";
@@ -51,8 +48,7 @@ Return ONLY a valid JSON object with a "venues" key containing an array:
 `.trim();
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data } = await completeJSON("video-summary", {
       messages: [
         { 
           role: "system", 
@@ -60,27 +56,12 @@ Return ONLY a valid JSON object with a "venues" key containing an array:
         },
         { role: "user", content: prompt }
       ],
-      response_format: { type: "json_object" },
+      responseFormat: "json",
       temperature: 0.1,
+      schema: videoSummarySchema,
     });
 
-    const content = response.choices[0].message.content.trim();
-    console.log("🔍 Raw AI response:", content.substring(0, 500)); // Log first 500 chars for debugging
-    
-    const parsedData = JSON.parse(content);
-    
-    // Extract the array from the "venues" key, or fallback to first array value
-    let results = parsedData.venues;
-    
-    // Fallback: if "venues" key doesn't exist, try to find the first array value
-    if (!Array.isArray(results)) {
-      results = Array.isArray(parsedData) ? parsedData : Object.values(parsedData).find(val => Array.isArray(val));
-    }
-
-    if (!Array.isArray(results)) {
-      console.warn("⚠️ AI response did not contain a valid array. Parsed data:", JSON.stringify(parsedData, null, 2));
-      return [];
-    }
+    const results = data.venues;
 
     console.log(`✅ Extracted and summarized ${results.length} venues.`);
     if (results.length > 0) {
@@ -89,6 +70,10 @@ Return ONLY a valid JSON object with a "venues" key containing an array:
     return results;
 
   } catch (err) {
+    // A malformed answer fails the analysis instead of looking like a video without venues
+    if (err instanceof LLMOutputError) {
+      throw err;
+    }
     console.error("❌ generateAISummary failed:", err.message);
     return [];
   }
@@ -1,8 +1,33 @@
-const OpenAI = require("openai");
+const { completeJSON } = require("./llmGateway");
+const { activityListSchema } = require("./llmSchemas");
+const { geocodePlace, getTravelTime, estimateTravelTime } = require("./routingService");
+
+// Per-trip scheduling modes: coarse time blocks (default) or exact start/end times
+const SCHEDULING_MODES = ["timeBlock", "exact"];
+
+// Local-time windows (minutes after midnight) used when an activity only has a timeBlock
+const TIME_BLOCK_WINDOWS = {
+  morning: { start: 9 * 60, end: 12 * 60 },
+  afternoon: { start: 13 * 60, end: 17 * 60 },
+  evening: { start: 18 * 60, end: 21 * 60 },
+};
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const DEFAULT_DURATION_MINUTES_BY_TYPE = {
+  attraction: 120,
+  activity: 120,
+  restaurant: 90,
+  transport: 60,
+  accommodation: 30,
+  other: 60,
+};
+const SCHEDULE_BUFFER_MINUTES = 15;
+const DAY_END_MINUTES = 24 * 60;
+
+// A day is flagged when total travel or any single leg exceeds these limits
+const MAX_DAILY_TRAVEL_MINUTES = Number(process.env.MAX_DAILY_TRAVEL_MINUTES) || 180;
+const MAX_LEG_TRAVEL_MINUTES = Number(process.env.MAX_LEG_TRAVEL_MINUTES) || 90;
+// Pairwise travel hints grow quadratically; skip them for very busy days
+const MAX_TRAVEL_HINT_ACTIVITIES = 12;
 
 /**
  * Determine time block from a time string or activity type
@@ -53,6 +78,343 @@ const determineTimeBlock = (time, activityType = null) => {
   return "morning";
 };
 
+/**
+ * Parse an activity time string ("9:30 AM", "14:00", "7pm") into minutes after midnight
+ * @param {string|null} time - Time string
+ * @returns {number|null} - Minutes after midnight, or null if the string has no clock time
+ */
+const parseTimeToMinutes = (time) => {
+  if (!time || typeof time !== "string") return null;
+  const timeStr = time.toLowerCase().trim();
+
+  const twelveHour = timeStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/i);
+  if (twelveHour) {
+    let hours = parseInt(twelveHour[1], 10);
+    const minutes = twelveHour[2] ? parseInt(twelveHour[2], 10) : 0;
+    const isPm = twelveHour[3].startsWith("p");
+    if (isPm && hours !== 12) hours += 12;
+    if (!isPm && hours === 12) hours = 0;
+    return hours * 60 + minutes;
+  }
+
+  const twentyFourHour = timeStr.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) {
+    return parseInt(twentyFourHour[1], 10) * 60 + parseInt(twentyFourHour[2], 10);
+  }
+
+  return null;
+};
+
+/**
+ * Format minutes after midnight as "HH:MM", clamped to the day (00:00-23:59) so the result always
+ * parses as a clock time; activities running past midnight are reported as exceeds_day conflicts
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string}
+ */
+const formatMinutes = (minutes) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  const clamped = Math.min(Math.max(Math.round(minutes), 0), DAY_END_MINUTES - 1);
+  return `${pad(Math.floor(clamped / 60))}:${pad(clamped % 60)}`;
+};
+
+/**
+ * Time block that a start time falls into
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - "morning", "afternoon", or "evening"
+ */
+const timeBlockForMinutes = (minutes) => {
+  if (minutes >= 6 * 60 && minutes < 12 * 60) return "morning";
+  if (minutes >= 12 * 60 && minutes < 18 * 60) return "afternoon";
+  return "evening";
+};
+
+/**
+ * Build a structured conflict between two overlapping activities
+ * @param {string} type - Conflict type ("overlap" or "fixed_overlap")
+ * @param {object} entry - Scheduled entry that conflicts
+ * @param {object} fixedEntry - Entry it overlaps with (fixed, or timed when both are flexible)
+ * @returns {object}
+ */
+const buildOverlapConflict = (type, entry, fixedEntry) => ({
+  type,
+  activityId: entry.activity.id || null,
+  activityName: entry.activity.name || null,
+  startTime: formatMinutes(entry.start),
+  endTime: formatMinutes(entry.end),
+  conflictingActivityId: fixedEntry.activity.id || null,
+  conflictingActivityName: fixedEntry.activity.name || null,
+  conflictingStartTime: formatMinutes(fixedEntry.start),
+  conflictingEndTime: formatMinutes(fixedEntry.end),
+  message: `"${entry.activity.name}" (${formatMinutes(entry.start)}-${formatMinutes(entry.end)}) overlaps ${fixedEntry.activity.isFixed === true ? "fixed activity " : ""}"${fixedEntry.activity.name}" (${formatMinutes(fixedEntry.start)}-${formatMinutes(fixedEntry.end)})`,
+});
+
+/**
+ * Assign exact start/end times and durations to a day's activities.
+ * - Fixed activities (isFixed) and activities with a clock `time` keep that time
+ * - Other activities are placed in order inside their timeBlock window, in the first
+ *   gap that doesn't overlap anything already placed
+ * - Timed activities that overlap a fixed or another timed activity are NOT moved; they are reported as conflicts
+ * - Activities that end after midnight are reported as exceeds_day conflicts (their times are clamped to 23:59)
+ * @param {Array} activities - Day activities
+ * @returns {{activities: Array, conflicts: Array}} - Activities (sorted by start time) and structured conflicts
+ */
+const scheduleDayExactTimes = (activities = []) => {
+  const blockOrder = { morning: 0, afternoon: 1, evening: 2 };
+  const conflicts = [];
+
+  const entries = activities.map((activity, index) => {
+    const block = TIME_BLOCK_WINDOWS[activity.timeBlock]
+      ? activity.timeBlock
+      : determineTimeBlock(activity.time, activity.type);
+    const duration =
+      Number(activity.durationMinutes) > 0
+        ? Number(activity.durationMinutes)
+        : DEFAULT_DURATION_MINUTES_BY_TYPE[activity.type] || DEFAULT_DURATION_MINUTES_BY_TYPE.other;
+    // A fixed activity without a clock time keeps a previously assigned start, else its block start
+    let pinnedStart = parseTimeToMinutes(activity.time);
+    if (pinnedStart === null && activity.isFixed === true) {
+      pinnedStart = parseTimeToMinutes(activity.startTime) ?? TIME_BLOCK_WINDOWS[block].start;
+    }
+    return { activity, index, block, duration, pinnedStart, start: null, end: null };
+  });
+
+  const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+  // 1. Fixed activities first: they never move
+  const fixedEntries = entries.filter((e) => e.activity.isFixed === true);
+  fixedEntries.forEach((entry) => {
+    entry.start = entry.pinnedStart;
+    entry.end = entry.start + entry.duration;
+  });
+  fixedEntries.forEach((entry, i) => {
+    fixedEntries.slice(i + 1).forEach((other) => {
+      if (overlaps(entry, other)) {
+        conflicts.push(buildOverlapConflict("fixed_overlap", other, entry));
+      }
+    });
+  });
+
+  // 2. Flexible activities with a clock time keep it; overlaps with fixed and earlier timed activities are reported
+  const timedEntries = entries.filter(
+    (e) => e.activity.isFixed !== true && e.pinnedStart !== null
+  );
+  timedEntries.forEach((entry, i) => {
+    entry.start = entry.pinnedStart;
+    entry.end = entry.start + entry.duration;
+    [...fixedEntries, ...timedEntries.slice(0, i)].forEach((other) => {
+      if (overlaps(entry, other)) {
+        conflicts.push(buildOverlapConflict("overlap", entry, other));
+      }
+    });
+  });
+
+  // 3. Remaining activities fill gaps in order, starting at their block window
+  const occupied = [...fixedEntries, ...timedEntries].sort((a, b) => a.start - b.start);
+  const untimedEntries = entries
+    .filter((e) => e.start === null)
+    .sort((a, b) => blockOrder[a.block] - blockOrder[b.block] || a.index - b.index);
+
+  let cursor = 0;
+  untimedEntries.forEach((entry) => {
+    let start = Math.max(TIME_BLOCK_WINDOWS[entry.block].start, cursor);
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const busy of occupied) {
+        if (
+          start < busy.end + SCHEDULE_BUFFER_MINUTES &&
+          busy.start < start + entry.duration + SCHEDULE_BUFFER_MINUTES
+        ) {
+          start = busy.end + SCHEDULE_BUFFER_MINUTES;
+          moved = true;
+        }
+      }
+    }
+
+    entry.start = start;
+    entry.end = start + entry.duration;
+    cursor = entry.end + SCHEDULE_BUFFER_MINUTES;
+    occupied.push(entry);
+  });
+
+  // 4. Anything running past midnight, fixed and timed activities included
+  entries
+    .filter((entry) => entry.end > DAY_END_MINUTES)
+    .forEach((entry) => {
+      conflicts.push({
+        type: "exceeds_day",
+        activityId: entry.activity.id || null,
+        activityName: entry.activity.name || null,
+        startTime: formatMinutes(entry.start),
+        endTime: formatMinutes(entry.end),
+        message: `"${entry.activity.name}" does not fit before the end of the day`,
+      });
+    });
+
+  const scheduledActivities = entries
+    .sort((a, b) => a.start - b.start || a.index - b.index)
+    .map((entry) => ({
+      ...entry.activity,
+      startTime: formatMinutes(entry.start),
+      endTime: formatMinutes(entry.end),
+      durationMinutes: entry.duration,
+      timeBlock: timeBlockForMinutes(entry.start),
+    }));
+
+  return { activities: scheduledActivities, conflicts };
+};
+
+/**
+ * Geocode activities that don't have coordinates yet (location/name + trip destination)
+ * @param {Array} activities - Activities to geocode
+ * @param {string} destination - Trip destination, appended to improve geocoding accuracy
+ * @returns {Promise<Array>} - Activities with `coordinates` where a match was found
+ */
+const geocodeActivities = async (activities, destination) => {
+  const geocoded = [];
+
+  // Sequential on purpose: free geocoders rate-limit parallel requests
+  for (const activity of activities) {
+    if (activity.coordinates?.lat !== undefined || !(activity.location || activity.name)) {
+      geocoded.push(activity);
+      continue;
+    }
+
+    const query = [activity.location || activity.name, destination].filter(Boolean).join(", ");
+    const result = await geocodePlace(query);
+    geocoded.push(
+      result ? { ...activity, coordinates: { lat: result.lat, lng: result.lng } } : activity
+    );
+  }
+
+  return geocoded;
+};
+
+/**
+ * Build a prompt section with approximate travel times between every pair of geocoded activities
+ * @param {Array} activities - Geocoded activities
+ * @returns {string} - Prompt text (empty if there is nothing useful to say)
+ */
+const buildTravelTimeHints = (activities) => {
+  const located = activities.filter((a) => a.coordinates?.lat !== undefined);
+  if (located.length < 2 || located.length > MAX_TRAVEL_HINT_ACTIVITIES) return "";
+
+  const lines = [];
+  located.forEach((from, i) => {
+    located.slice(i + 1).forEach((to) => {
+      const { durationMinutes, mode } = estimateTravelTime(from.coordinates, to.coordinates);
+      lines.push(`- "${from.name}" <-> "${to.name}": ~${durationMinutes} min (${mode})`);
+    });
+  });
+
+  return `
+Approximate Travel Times Between Activities:
+${lines.join("\n")}
+`;
+};
+
+/**
+ * Order activities the way they will be visited (startTime in exact mode, otherwise time block then list order)
+ * @param {Array} activities - Day activities
+ * @returns {Array}
+ */
+const orderActivitiesForTravel = (activities) => {
+  const blockOrder = { morning: 0, afternoon: 1, evening: 2 };
+  return activities
+    .map((activity, index) => ({ activity, index }))
+    .sort((a, b) => {
+      const aStart = parseTimeToMinutes(a.activity.startTime);
+      const bStart = parseTimeToMinutes(b.activity.startTime);
+      if (aStart !== null && bStart !== null && aStart !== bStart) return aStart - bStart;
+      const blockDiff =
+        (blockOrder[a.activity.timeBlock] ?? 0) - (blockOrder[b.activity.timeBlock] ?? 0);
+      return blockDiff || a.index - b.index;
+    })
+    .map(({ activity }) => activity);
+};
+
+/**
+ * Whether a travel summary was planned for the day's current visit order
+ * @param {object|undefined} travel - Travel summary from planDayTravel
+ * @param {Array} activities - Day activities as they will be saved
+ * @returns {boolean}
+ */
+const isTravelCurrent = (travel, activities) => {
+  if (!Array.isArray(travel?.activityIds)) return false;
+  const orderedIds = orderActivitiesForTravel(activities).map((activity) => activity.id);
+  return (
+    orderedIds.length === travel.activityIds.length &&
+    orderedIds.every((id, i) => id === travel.activityIds[i])
+  );
+};
+
+/**
+ * Geocode a day's activities and compute transit legs between consecutive stops.
+ * IDs and the trip's scheduling mode are applied first, so the legs follow the order that is saved.
+ * @param {object} trip - The trip object
+ * @param {Array} activities - Arranged day activities
+ * @returns {Promise<{activities: Array, travel: object}>} - Scheduled, geocoded activities and the day's travel summary
+ */
+const planDayTravel = async (trip, activities) => {
+  const { ensureActivitiesHaveIds } = require("./tripService");
+  const activitiesWithIds = ensureActivitiesHaveIds(activities);
+  const { activities: scheduledActivities } =
+    trip.schedulingMode === "exact"
+      ? scheduleDayExactTimes(activitiesWithIds)
+      : { activities: activitiesWithIds };
+
+  const destination = trip.selectedTrip?.destination || "";
+  const geocodedActivities = await geocodeActivities(scheduledActivities, destination);
+  const orderedActivities = orderActivitiesForTravel(geocodedActivities);
+
+  const legs = [];
+  const warnings = [];
+  for (let i = 0; i < orderedActivities.length - 1; i++) {
+    const from = orderedActivities[i];
+    const to = orderedActivities[i + 1];
+    if (!from.coordinates || !to.coordinates) continue;
+
+    const leg = await getTravelTime(from.coordinates, to.coordinates);
+    legs.push({
+      fromActivityId: from.id,
+      fromActivityName: from.name || null,
+      toActivityId: to.id,
+      toActivityName: to.name || null,
+      ...leg,
+    });
+
+    if (leg.durationMinutes > MAX_LEG_TRAVEL_MINUTES) {
+      warnings.push(
+        `Travel from "${from.name}" to "${to.name}" takes about ${leg.durationMinutes} minutes`
+      );
+    }
+  }
+
+  const totalTravelMinutes = legs.reduce((sum, leg) => sum + leg.durationMinutes, 0);
+  const totalDistanceMeters = legs.reduce((sum, leg) => sum + leg.distanceMeters, 0);
+  if (totalTravelMinutes > MAX_DAILY_TRAVEL_MINUTES) {
+    warnings.unshift(
+      `Total travel time of ${totalTravelMinutes} minutes exceeds the ${MAX_DAILY_TRAVEL_MINUTES}-minute daily limit`
+    );
+  }
+
+  const ungeocoded = geocodedActivities.filter((a) => !a.coordinates).length;
+
+  return {
+    activities: geocodedActivities,
+    travel: {
+      activityIds: orderedActivities.map((activity) => activity.id),
+      legs,
+      totalTravelMinutes,
+      totalDistanceMeters,
+      isUnrealistic: warnings.length > 0,
+      warnings,
+      ungeocodedActivityCount: ungeocoded,
+      computedAt: new Date().toISOString(),
+    },
+  };
+};
+
 /**
  * Rearrange a day's activities to fit a new inspiration activity
  * @param {object} trip - The trip object
@@ -66,6 +428,17 @@ const arrangeDayWithInspiration = async (trip, dayNumber, inspirationActivity) =
     const itinerary = trip.itinerary || {};
     const day = itinerary[dayKey] || {};
     const existingActivities = day.activities || [];
+    const destination = trip.selectedTrip?.destination || "";
+
+    // Geocode everything so the model can see how far apart the stops are
+    const [geocodedInspiration] = await geocodeActivities([inspirationActivity], destination);
+    if (geocodedInspiration.coordinates) {
+      inspirationActivity.coordinates = geocodedInspiration.coordinates;
+    }
+    const travelHints = buildTravelTimeHints([
+      ...(await geocodeActivities(existingActivities, destination)),
+      inspirationActivity,
+    ]);
 
     // Ensure inspiration activity has timeBlock
     if (!inspirationActivity.timeBlock) {
@@ -99,13 +472,14 @@ ${JSON.stringify(existingActivities, null, 2)}
 
 New Inspiration Activity to Add:
 ${JSON.stringify(inspirationActivity, null, 2)}
-
+${travelHints}
 Task:
 1. Add the new inspiration activity to the appropriate time block (${inspirationActivity.timeBlock})
 2. Rearrange existing activities to create a logical flow throughout the day
 3. Maintain a good distribution across morning, afternoon, and evening time blocks
 4. Ensure activities make sense sequentially (e.g., breakfast before lunch)
 5. Keep fixed activities (those with isFixed: true) in their current positions
+6. Minimize travel: group nearby activities in the same time block and avoid backtracking across the city
 
 Return ONLY a valid JSON array of activities in this exact format (no markdown, no explanations):
 [
@@ -130,17 +504,12 @@ Rules:
 - Do not duplicate activities
 - Ensure the new inspiration activity is included in the result`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: rearrangedActivities } = await completeJSON("arrange-inspiration", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.7,
+      schema: activityListSchema,
     });
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/```json\s*/g, "").replace(/```/g, "").trim();
-
-    const rearrangedActivities = JSON.parse(content);
-
     // Validate that all existing activity IDs are preserved
     const existingIds = new Set(existingActivities.map((a) => a.id).filter(Boolean));
     const resultIds = new Set(rearrangedActivities.map((a) => a.id).filter(Boolean));
@@ -253,17 +622,12 @@ Rules:
 - Preserve all activity IDs from existing activities
 - Do not duplicate activities`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: rearrangedActivities } = await completeJSON("arrange-confirmation", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.7,
+      schema: activityListSchema,
     });
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/```json\s*/g, "").replace(/```/g, "").trim();
-
-    const rearrangedActivities = JSON.parse(content);
-
     // Ensure confirmation is included
     const hasConfirmation = rearrangedActivities.some(
       (a) => a.isFixed === true && a.sourceType === "confirmation"
@@ -332,6 +696,10 @@ const regenerateDayActivities = async (trip, dayNumber, excludeActivityIds = [])
       vibe: trip.selectedTrip?.vibe || trip.selectedTrip?.theme || "mixed",
     };
 
+    const travelHints = buildTravelTimeHints(
+      await geocodeActivities(existingActivities, trip.selectedTrip?.destination || "")
+    );
+
     const prompt = `You are an expert travel planner. Reshuffle the activities for day ${dayNumber} by redistributing them across time blocks.
 
 Trip Context:
@@ -343,7 +711,7 @@ ${JSON.stringify(fixedActivities, null, 2)}
 
 Flexible Activities (these need to be reshuffled across time blocks: morning, afternoon, evening):
 ${JSON.stringify(flexibleActivities, null, 2)}
-
+${travelHints}
 Task:
 1. Keep ALL fixed activities exactly as they are (same timeBlock, same position)
 2. Reshuffle ONLY the flexible activities across the three time blocks: morning, afternoon, evening
@@ -351,6 +719,7 @@ Task:
 4. Create a logical flow throughout the day
 5. DO NOT create new activities - only use the existing flexible activities
 6. DO NOT change any activity properties except timeBlock (and optionally time for better flow)
+7. Minimize travel: put nearby activities in the same time block and avoid backtracking across the city
 
 Return ONLY a valid JSON array of ALL activities (fixed + reshuffled flexible) in this exact format (no markdown, no explanations):
 [
@@ -376,17 +745,12 @@ Rules:
 - Do NOT create, remove, or modify any activities beyond changing timeBlock for flexible ones
 - Ensure good distribution across the three time blocks`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: reshuffledActivities } = await completeJSON("day-reshuffle", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.7,
+      schema: activityListSchema,
     });
 
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/```json\s*/g, "").replace(/```/g, "").trim();
-
-    const reshuffledActivities = JSON.parse(content);
-
     // Validate that all activities are preserved
     const existingIds = new Set(existingActivities.map((a) => a.id).filter(Boolean));
     const resultIds = new Set(reshuffledActivities.map((a) => a.id).filter(Boolean));
@@ -493,7 +857,13 @@ const simpleReshuffle = (activities, fixedActivityIds = []) => {
 };
 
 module.exports = {
+  SCHEDULING_MODES,
+  TIME_BLOCK_WINDOWS,
   determineTimeBlock,
+  parseTimeToMinutes,
+  scheduleDayExactTimes,
+  planDayTravel,
+  isTravelCurrent,
   arrangeDayWithInspiration,
   arrangeDayWithConfirmation,
   regenerateDayActivities,
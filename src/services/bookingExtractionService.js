@@ -1,8 +1,5 @@
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { completeJSON } = require("./llmGateway");
+const { bookingOrListSchema } = require("./llmSchemas");
 
 /**
  * Extract structured booking data from text content using AI
@@ -161,8 +158,7 @@ Content to extract from:
 `;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: parsed } = await completeJSON("booking-extraction-text", {
       messages: [
         {
           role: "system",
@@ -171,24 +167,11 @@ Content to extract from:
         { role: "user", content: prompt },
       ],
       temperature: 0,
+      schema: bookingOrListSchema,
     });
 
-    let parsed;
-    try {
-      const content = completion.choices[0].message.content.trim();
-      // Remove markdown formatting if present
-      const cleanedContent = content
-        .replace(/```json\s*/g, "")
-        .replace(/```/g, "")
-        .trim();
-      parsed = JSON.parse(cleanedContent);
-    } catch (parseError) {
-      console.error("JSON parsing failed:", parseError);
-      return [];
-    }
-
     // Prompt asks for an array; normalize so we never return a single object that gets saved as "empty nest"
-    const arr = Array.isArray(parsed) ? parsed : parsed && typeof parsed === "object" ? [parsed] : [];
+    const arr = Array.isArray(parsed) ? parsed : [parsed];
     return arr.filter((item) => item && typeof item === "object" && (item.category || item.bookingId || item.summary));
   } catch (error) {
     console.error("Error extracting booking data:", error);
@@ -197,7 +180,7 @@ Content to extract from:
 };
 
 /**
- * Extract booking data from an image using OpenAI Vision API
+ * Extract booking data from an image using a vision model
  * @param {Buffer} imageBuffer - The image buffer
  * @param {string} mimeType - The image MIME type (e.g., 'image/png', 'image/jpeg')
  * @returns {Promise<Object>} - Structured booking data
@@ -356,8 +339,7 @@ EXTRACTION GUIDELINES:
 `;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const { data: parsed } = await completeJSON("booking-extraction-image", {
       messages: [
         {
           role: "system",
@@ -380,26 +362,11 @@ EXTRACTION GUIDELINES:
         },
       ],
       temperature: 0,
+      schema: bookingOrListSchema,
     });
 
-    let structuredData;
-    try {
-      const content = completion.choices[0].message.content.trim();
-      // Remove markdown formatting if present
-      const cleanedContent = content
-        .replace(/```json\s*/g, "")
-        .replace(/```/g, "")
-        .trim();
-      const parsed = JSON.parse(cleanedContent);
-      // AI may return a single object or an array of bookings; controller expects one object
-      structuredData = Array.isArray(parsed) && parsed.length > 0 ? parsed[0] : parsed;
-    } catch (parseError) {
-      console.error("JSON parsing failed:", parseError);
-      structuredData = {
-        category: "unknown",
-        summary: "Failed to parse AI response.",
-      };
-    }
+    // AI may return a single object or an array of bookings; controller expects one object
+    const structuredData = Array.isArray(parsed) && parsed.length > 0 ? parsed[0] : parsed;
 
     return structuredData;
   } catch (error) {
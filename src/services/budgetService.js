@@ -0,0 +1,319 @@
+const { completeJSON } = require("./llmGateway");
+const { costEstimatesSchema } = require("./llmSchemas");
+const {
+  getTripById,
+  updateDayActivities,
+  updateTripBudgetAmount,
+} = require("./tripService");
+const {
+  getTripConfirmations,
+  determineDayFromConfirmation,
+} = require("./travelConfirmationService");
+const {
+  parseMoney,
+  normalizeCurrencyCode,
+  convertAmount,
+  getHomeCurrency,
+} = require("./currencyService");
+
+// Qualitative budget tiers used by trip suggestions ("low", "mid", ...) have no amount
+const BUDGET_TIERS = ["low", "budget", "mid", "moderate", "high", "luxury"];
+
+/**
+ * Resolve the budget the user set for a trip
+ * Prefers trip.budgetAmount, then a numeric selectedTrip.budget; qualitative tiers are returned as-is
+ * @param {object} trip - Trip document
+ * @returns {{amount: number|null, currency: string|null, tier: string|null}}
+ */
+const resolveTripBudget = (trip) => {
+  if (trip.budgetAmount?.amount !== undefined) {
+    return {
+      amount: Number(trip.budgetAmount.amount),
+      currency: trip.budgetAmount.currency || null,
+      tier: null,
+    };
+  }
+
+  const raw = trip.selectedTrip?.budget;
+  if (raw && BUDGET_TIERS.includes(String(raw).trim().toLowerCase())) {
+    return { amount: null, currency: null, tier: String(raw).trim().toLowerCase() };
+  }
+
+  const parsed = parseMoney(raw);
+  return parsed
+    ? { amount: parsed.amount, currency: parsed.currency, tier: null }
+    : { amount: null, currency: null, tier: null };
+};
+
+/**
+ * Build the spend line items for a trip: booked confirmations plus estimated activity costs.
+ * Activities created from a confirmation are skipped so the booking isn't counted twice.
+ * @param {object} trip - Trip document
+ * @param {Array} confirmations - Confirmations linked to the trip
+ * @returns {{items: Array, unparsedConfirmations: Array}}
+ */
+const buildBudgetItems = (trip, confirmations) => {
+  const items = [];
+  const unparsedConfirmations = [];
+
+  confirmations.forEach((confirmation) => {
+    const data = confirmation.confirmationData || {};
+    const money = parseMoney(data.totalAmount);
+    if (!money) {
+      unparsedConfirmations.push({ id: confirmation.id, totalAmount: data.totalAmount || null });
+      return;
+    }
+
+    const day =
+      (Array.isArray(confirmation.days) && confirmation.days[0]) ||
+      determineDayFromConfirmation(confirmation, trip) ||
+      null;
+
+    items.push({
+      kind: "confirmed",
+      sourceId: confirmation.id,
+      name:
+        data.hotelName || data.restaurantName || data.eventName ||
+        (data.flightNumber && `Flight ${data.flightNumber}`) || data.airline ||
+        data.rentalCompany || data.category || "Booking",
+      category: data.category || "other",
+      day,
+      amount: money.amount,
+      currency: money.currency,
+    });
+  });
+
+  Object.entries(trip.itinerary || {}).forEach(([dayKey, dayData]) => {
+    const dayNumber = parseInt(dayKey.replace("day", ""), 10);
+    if (isNaN(dayNumber) || !Array.isArray(dayData?.activities)) return;
+
+    dayData.activities.forEach((activity) => {
+      if (activity.sourceType === "confirmation") return;
+      const money = parseMoney(activity.estimatedCost);
+      if (!money) return;
+
+      items.push({
+        kind: "estimated",
+        sourceId: activity.id,
+        name: activity.name,
+        category: activity.type || "other",
+        day: dayNumber,
+        amount: money.amount,
+        currency: money.currency,
+      });
+    });
+  });
+
+  return { items, unparsedConfirmations };
+};
+
+/**
+ * Summarize spend for a trip in the user's home currency and compare it with the budget.
+ * Items without a currency are assumed to be in the budget currency (else the home currency);
+ * items whose rate is unknown are listed separately instead of being added up.
+ * @param {object} trip - Trip document
+ * @param {Array} confirmations - Confirmations linked to the trip
+ * @param {string} homeCurrency - ISO code to report in
+ * @returns {Promise<object>} - Budget summary
+ */
+const summarizeBudget = async (trip, confirmations, homeCurrency) => {
+  const budget = resolveTripBudget(trip);
+  const { items, unparsedConfirmations } = buildBudgetItems(trip, confirmations);
+  const currency = homeCurrency;
+  const assumedCurrency = budget.currency || currency;
+
+  const converted = [];
+  const unconvertedItems = [];
+  for (const item of items) {
+    const itemCurrency = item.currency || assumedCurrency;
+    const amount = await convertAmount(item.amount, itemCurrency, currency);
+    if (amount === null) {
+      unconvertedItems.push(item);
+    } else {
+      converted.push({
+        ...item,
+        originalAmount: item.amount,
+        originalCurrency: itemCurrency,
+        amount,
+        currency,
+      });
+    }
+  }
+
+  const totals = { confirmed: 0, estimated: 0, total: 0 };
+  const byDay = {};
+  const byCategory = {};
+
+  converted.forEach((item) => {
+    totals[item.kind] = Math.round((totals[item.kind] + item.amount) * 100) / 100;
+    totals.total = Math.round((totals.total + item.amount) * 100) / 100;
+
+    const dayKey = item.day ? `day${item.day}` : "unassigned";
+    if (!byDay[dayKey]) byDay[dayKey] = { confirmed: 0, estimated: 0, total: 0 };
+    byDay[dayKey][item.kind] = Math.round((byDay[dayKey][item.kind] + item.amount) * 100) / 100;
+    byDay[dayKey].total = Math.round((byDay[dayKey].total + item.amount) * 100) / 100;
+
+    if (!byCategory[item.category]) byCategory[item.category] = 0;
+    byCategory[item.category] = Math.round((byCategory[item.category] + item.amount) * 100) / 100;
+  });
+
+  const budgetAmount = budget.amount !== null
+    ? await convertAmount(budget.amount, budget.currency || currency, currency)
+    : null;
+
+  const hasTarget = budgetAmount !== null;
+  return {
+    currency,
+    budget: { ...budget, convertedAmount: budgetAmount },
+    totals,
+    remaining: hasTarget ? Math.round((budgetAmount - totals.total) * 100) / 100 : null,
+    isOverBudget: hasTarget ? totals.total > budgetAmount : null,
+    percentUsed: hasTarget && budgetAmount > 0
+      ? Math.round((totals.total / budgetAmount) * 1000) / 10
+      : null,
+    byDay,
+    byCategory,
+    items: converted,
+    unconvertedItems,
+    unparsedConfirmations,
+  };
+};
+
+/**
+ * Get the budget breakdown for a trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<object>} - Budget summary
+ */
+const getTripBudget = async (tripId, userId) => {
+  try {
+    const trip = await getTripById(tripId, userId);
+    if (!trip) {
+      throw new Error("Trip not found");
+    }
+
+    const confirmations = await getTripConfirmations(tripId, userId);
+    const homeCurrency = await getHomeCurrency(userId);
+    return await summarizeBudget(trip, confirmations, homeCurrency);
+  } catch (error) {
+    console.error("Error getting trip budget:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set the budget amount for a trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {object} budget - { amount, currency }
+ * @returns {Promise<object>} - Updated budget summary
+ */
+const setTripBudget = async (tripId, userId, { amount, currency }) => {
+  try {
+    const numericAmount = Number(amount);
+    if (!isFinite(numericAmount) || numericAmount < 0) {
+      throw new Error("Invalid budget amount");
+    }
+    if (currency && !normalizeCurrencyCode(currency)) {
+      throw new Error("Invalid currency code");
+    }
+
+    await updateTripBudgetAmount(tripId, userId, {
+      amount: numericAmount,
+      currency: normalizeCurrencyCode(currency),
+    });
+
+    return await getTripBudget(tripId, userId);
+  } catch (error) {
+    console.error("Error setting trip budget:", error);
+    throw error;
+  }
+};
+
+/**
+ * Ask the AI for cost estimates for activities that don't have one
+ * @param {object} trip - Trip document
+ * @param {Array} activities - Activities to estimate
+ * @returns {Promise<object>} - Map of activity ID to { amount, currency }
+ */
+const requestCostEstimates = async (trip, activities) => {
+  const selectedTrip = trip.selectedTrip || {};
+  const prompt = `You are a travel cost expert. Estimate the cost of each activity below for the whole travel party.
+
+Trip Context:
+- Destination: ${selectedTrip.destination || "unknown"}
+- Travelers: ${selectedTrip.travelers || "1"}
+- Budget level: ${selectedTrip.budget || "mid"}
+
+Activities:
+${JSON.stringify(activities.map((a) => ({ id: a.id, name: a.name, type: a.type, description: a.description })), null, 2)}
+
+Return ONLY a valid JSON object mapping each activity id to its estimate (no markdown, no explanations):
+{
+  "<activity id>": { "amount": number, "currency": "ISO 4217 code of the local currency" }
+}
+
+Rules:
+- Use 0 for free activities (walks, viewpoints, free museums)
+- Restaurants: typical meal cost for the party at the trip's budget level
+- Use the destination's local currency for every activity`;
+
+  const { data } = await completeJSON("cost-estimates", {
+    messages: [{ role: "user", content: prompt }],
+    temperature: 0.3,
+    schema: costEstimatesSchema,
+  });
+
+  return data;
+};
+
+/**
+ * Attach AI cost estimates to every non-confirmation activity that doesn't have one yet
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<object>} - Updated budget summary
+ */
+const estimateTripActivityCosts = async (tripId, userId) => {
+  try {
+    let trip = await getTripById(tripId, userId);
+    if (!trip) {
+      throw new Error("Trip not found");
+    }
+
+    const dayKeys = Object.keys(trip.itinerary || {}).filter((key) => key.startsWith("day"));
+    for (const dayKey of dayKeys) {
+      const activities = trip.itinerary[dayKey]?.activities || [];
+      const missing = activities.filter(
+        (a) => a.sourceType !== "confirmation" && !parseMoney(a.estimatedCost)
+      );
+      if (missing.length === 0) continue;
+
+      const estimates = await requestCostEstimates(trip, missing);
+      const updatedActivities = activities.map((activity) => {
+        const estimate = parseMoney(estimates[activity.id]);
+        return estimate && !parseMoney(activity.estimatedCost)
+          ? { ...activity, estimatedCost: estimate }
+          : activity;
+      });
+
+      const dayNumber = parseInt(dayKey.replace("day", ""), 10);
+      trip = await updateDayActivities(tripId, userId, dayNumber, updatedActivities, {
+        travel: trip.itinerary[dayKey]?.travel,
+        action: "cost_estimate",
+      });
+    }
+
+    const confirmations = await getTripConfirmations(tripId, userId);
+    const homeCurrency = await getHomeCurrency(userId);
+    return await summarizeBudget(trip, confirmations, homeCurrency);
+  } catch (error) {
+    console.error("Error estimating trip activity costs:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getTripBudget,
+  setTripBudget,
+  estimateTripActivityCosts,
+};
@@ -0,0 +1,313 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { getTripById } = require("./tripService");
+const {
+  TIME_BLOCK_WINDOWS,
+  determineTimeBlock,
+  parseTimeToMinutes,
+} = require("./autoArrangementService");
+
+const SUBSCRIPTIONS_COLLECTION = "calendarSubscriptions";
+
+const DEFAULT_ACTIVITY_DURATION_MINUTES = 90;
+
+/**
+ * Escape a value for an iCalendar TEXT property (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Format a "YYYY-MM-DD" date plus minutes after midnight as a floating local date-time
+ * (no timezone: events show at the destination's wall-clock time)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} minutes - Minutes after midnight (may exceed a day)
+ * @returns {string} - e.g. "20250210T093000"
+ */
+const formatLocalDateTime = (date, minutes) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const value = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+    `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}00`
+  );
+};
+
+/**
+ * Format a Date as a UTC iCalendar date-time (used for DTSTAMP)
+ * @param {Date} date
+ * @returns {string} - e.g. "20250210T093000Z"
+ */
+const formatUtcDateTime = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Resolve the calendar date of a trip day, falling back to the trip's start date + offset
+ * @param {object} trip - Trip document
+ * @param {number} dayNumber - Day number (1-based)
+ * @returns {string|null} - Date in YYYY-MM-DD format, or null if unknown
+ */
+const getDayDate = (trip, dayNumber) => {
+  const dayDate = trip.itinerary?.[`day${dayNumber}`]?.date;
+  if (dayDate && /^\d{4}-\d{2}-\d{2}/.test(dayDate)) {
+    return dayDate.slice(0, 10);
+  }
+
+  const startDate = trip.selectedTrip?.start_date || trip.selectedTrip?.startDate;
+  if (!startDate || !/^\d{4}-\d{2}-\d{2}/.test(startDate)) return null;
+
+  const [year, month, day] = startDate.slice(0, 10).split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + dayNumber - 1));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Work out start/end minutes for each activity of a day.
+ * Exact-scheduled activities use startTime/endTime, activities with a clock time use it,
+ * and the rest are spread evenly across their timeBlock window.
+ * @param {Array} activities - Day activities
+ * @returns {Array<{activity: object, start: number, end: number}>}
+ */
+const scheduleDayActivities = (activities) => {
+  const untimedByBlock = { morning: [], afternoon: [], evening: [] };
+  const scheduled = [];
+
+  activities.forEach((activity) => {
+    // Exact-scheduled activities already carry startTime/endTime
+    const exactStart = parseTimeToMinutes(activity.startTime);
+    const exactEnd = parseTimeToMinutes(activity.endTime);
+    if (exactStart !== null && exactEnd !== null) {
+      scheduled.push({
+        activity,
+        start: exactStart,
+        end: exactEnd > exactStart ? exactEnd : exactEnd + 24 * 60,
+      });
+      return;
+    }
+
+    const start = parseTimeToMinutes(activity.time);
+    if (start !== null) {
+      scheduled.push({
+        activity,
+        start,
+        end: start + DEFAULT_ACTIVITY_DURATION_MINUTES,
+      });
+      return;
+    }
+
+    const block = TIME_BLOCK_WINDOWS[activity.timeBlock]
+      ? activity.timeBlock
+      : determineTimeBlock(activity.time, activity.type);
+    untimedByBlock[block].push(activity);
+  });
+
+  Object.entries(untimedByBlock).forEach(([block, blockActivities]) => {
+    if (blockActivities.length === 0) return;
+    const window = TIME_BLOCK_WINDOWS[block];
+    const slot = Math.floor((window.end - window.start) / blockActivities.length);
+    blockActivities.forEach((activity, index) => {
+      const start = window.start + slot * index;
+      scheduled.push({ activity, start, end: start + slot });
+    });
+  });
+
+  return scheduled.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Convert a trip itinerary into an iCalendar (.ics) document
+ * @param {object} trip - Trip document (with id, itinerary and selectedTrip)
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildTripCalendar = (trip) => {
+  const tripTitle =
+    trip.selectedTrip?.name || trip.selectedTrip?.title || trip.selectedTrip?.destination || "Trip";
+  const destination = trip.selectedTrip?.destination || "";
+  const dtStamp = formatUtcDateTime(new Date());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Nomad Navigator//Trip Itinerary//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(tripTitle)}`,
+  ];
+
+  const dayNumbers = Object.keys(trip.itinerary || {})
+    .map((key) => parseInt(key.replace("day", ""), 10))
+    .filter((n) => !isNaN(n))
+    .sort((a, b) => a - b);
+
+  dayNumbers.forEach((dayNumber) => {
+    const day = trip.itinerary[`day${dayNumber}`];
+    const date = getDayDate(trip, dayNumber);
+    if (!date || !Array.isArray(day?.activities)) return;
+
+    scheduleDayActivities(day.activities).forEach(({ activity, start, end }, index) => {
+      const uidSource = activity.id || `day${dayNumber}-${index}`;
+      const description = [activity.description, activity.type && `Type: ${activity.type}`]
+        .filter(Boolean)
+        .join("\n");
+      const location = activity.location || destination;
+
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uidSource}-${trip.id}@nomad-navigator`,
+        `DTSTAMP:${dtStamp}`,
+        `DTSTART:${formatLocalDateTime(date, start)}`,
+        `DTEND:${formatLocalDateTime(date, end)}`,
+        `SUMMARY:${escapeText(activity.name || "Activity")}`
+      );
+      if (location) lines.push(`LOCATION:${escapeText(location)}`);
+      if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+      lines.push("END:VEVENT");
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * Build the iCalendar feed for a trip the user can view
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<string>} - iCalendar text
+ */
+const getTripCalendar = async (tripId, userId) => {
+  try {
+    const trip = await getTripById(tripId, userId);
+
+    // Deleted trips are only archived; keep them out of downloads and subscribed feeds
+    if (!trip || trip.status === "archive") {
+      throw new Error("Trip not found");
+    }
+
+    return buildTripCalendar(trip);
+  } catch (error) {
+    console.error("Error building trip calendar:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get (or create) the user's secret calendar subscription token
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<string>} - Subscription token
+ */
+const getOrCreateSubscriptionToken = async (userId) => {
+  try {
+    const db = getFirestore();
+    const snapshot = await db
+      .collection(SUBSCRIPTIONS_COLLECTION)
+      .where("userId", "==", userId)
+      .limit(1)
+      .get();
+
+    if (!snapshot.empty) {
+      return snapshot.docs[0].id;
+    }
+
+    const token = crypto.randomBytes(24).toString("hex");
+    await db.collection(SUBSCRIPTIONS_COLLECTION).doc(token).set({
+      userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return token;
+  } catch (error) {
+    console.error("Error getting calendar subscription token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the user's subscription token, invalidating every previously shared feed URL
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<string>} - The new subscription token
+ */
+const rotateSubscriptionToken = async (userId) => {
+  try {
+    const db = getFirestore();
+    const snapshot = await db
+      .collection(SUBSCRIPTIONS_COLLECTION)
+      .where("userId", "==", userId)
+      .get();
+
+    const token = crypto.randomBytes(24).toString("hex");
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    batch.set(db.collection(SUBSCRIPTIONS_COLLECTION).doc(token), {
+      userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    return token;
+  } catch (error) {
+    console.error("Error rotating calendar subscription token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build the iCalendar feed for a subscription URL. Membership is re-checked on
+ * every request so removed collaborators stop receiving updates.
+ * @param {string} token - Subscription token from the URL
+ * @param {string} tripId - The trip document ID
+ * @returns {Promise<string>} - iCalendar text
+ */
+const getSubscribedTripCalendar = async (token, tripId) => {
+  try {
+    const db = getFirestore();
+    const subscriptionDoc = await db.collection(SUBSCRIPTIONS_COLLECTION).doc(token).get();
+
+    if (!subscriptionDoc.exists) {
+      throw new Error("Calendar subscription not found");
+    }
+
+    return await getTripCalendar(tripId, subscriptionDoc.data().userId);
+  } catch (error) {
+    console.error("Error building subscribed trip calendar:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  buildTripCalendar,
+  getTripCalendar,
+  getOrCreateSubscriptionToken,
+  rotateSubscriptionToken,
+  getSubscribedTripCalendar,
+};
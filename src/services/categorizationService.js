@@ -3,7 +3,13 @@ const { getFirestore } = require("../config/database");
 const { extractLocations } = require("./locationExtractionService");
 const crypto = require("crypto");
 
+// One document per user and location (location, itemCount); the items themselves live in ITEMS_COLLECTION
 const COLLECTION_NAME = "inspirationsCollection";
+const ITEMS_COLLECTION = "inspirationItems";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const FILTER_SCAN_SIZE = 100;
+const MAX_BATCH_WRITES = 400;
 
 /**
  * Generate a unique ID for an inspiration item
@@ -121,6 +127,117 @@ const areLocationsMatching = (location1, location2) => {
   return false;
 };
 
+/**
+ * Capitalize each word of a location name for storage (e.g. "new york" -> "New York")
+ * @param {string} location - Location name
+ * @returns {string}
+ */
+const normalizeLocationName = (location) => {
+  return location
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ");
+};
+
+/**
+ * Strip the index fields from a stored inspiration item
+ * @param {object} doc - Inspiration item document snapshot
+ * @returns {object} - Item as returned by the API
+ */
+const formatInspirationItem = (doc) => {
+  const { userId, categoryId, location, ...item } = doc.data();
+  return { ...item, id: doc.id };
+};
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested page size
+ * @returns {number}
+ */
+const getPageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * Load the document a pagination cursor points at
+ * @param {object} db - Firestore instance
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} cursor - Item ID (nextCursor of the previous page)
+ * @returns {Promise<object>} - Document snapshot to start after
+ */
+const getCursorDoc = async (db, userId, cursor) => {
+  const cursorDoc = await db.collection(ITEMS_COLLECTION).doc(cursor).get();
+  if (!cursorDoc.exists || cursorDoc.data().userId !== userId) {
+    throw new Error("Invalid cursor");
+  }
+  return cursorDoc;
+};
+
+/**
+ * Move the items array of a category document written before items had their own documents
+ * into the inspiration items collection
+ * @param {object} db - Firestore instance
+ * @param {object} categoryDoc - Category document snapshot with an `items` array
+ * @returns {Promise<number>} - Number of items moved
+ */
+const migrateLegacyCategory = async (db, categoryDoc) => {
+  const { userId, location, items = [] } = categoryDoc.data();
+  const itemsRef = db.collection(ITEMS_COLLECTION);
+
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const item of items) {
+    const itemId = item.id || generateItemId();
+    batch.set(itemsRef.doc(itemId), {
+      ...item,
+      id: itemId,
+      userId,
+      location,
+      categoryId: categoryDoc.id,
+      addedAt: item.addedAt || admin.firestore.Timestamp.now(),
+    });
+    pending += 1;
+
+    // Firestore allows 500 writes per batch; the category update goes in the last one
+    if (pending >= MAX_BATCH_WRITES) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  batch.update(categoryDoc.ref, {
+    items: admin.firestore.FieldValue.delete(),
+    itemCount: items.length,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  console.log(`✅ Moved ${items.length} inspiration item(s) of location ${location} to their own documents`);
+  return items.length;
+};
+
+/**
+ * Get a user's category documents, moving any legacy items arrays out first
+ * @param {object} db - Firestore instance
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<Array<object>>} - Category document snapshots
+ */
+const getUserCategoryDocs = async (db, userId) => {
+  const categoriesRef = db.collection(COLLECTION_NAME);
+  const snapshot = await categoriesRef.where("userId", "==", userId).get();
+
+  const legacyDocs = snapshot.docs.filter((doc) => Array.isArray(doc.data().items));
+  if (legacyDocs.length === 0) {
+    return snapshot.docs;
+  }
+
+  for (const doc of legacyDocs) {
+    await migrateLegacyCategory(db, doc);
+  }
+
+  return (await categoriesRef.where("userId", "==", userId).get()).docs;
+};
+
 /**
  * Save or append content to location-based categories
  * @param {Array} contentData - Array of content items (from video or link summary)
@@ -147,7 +264,7 @@ const saveCategorizedContent = async (contentData, sourceType, sourceUrl = null,
 
     // Use only the primary (first) location to avoid duplicates
     const primaryLocation = locations.length > 0 ? locations[0] : "Uncategorized";
-    
+
     if (primaryLocation === "Uncategorized") {
       console.log("⚠️ No locations found, saving to 'Uncategorized'");
     } else {
@@ -156,71 +273,34 @@ const saveCategorizedContent = async (contentData, sourceType, sourceUrl = null,
 
     const db = getFirestore();
     const categoriesRef = db.collection(COLLECTION_NAME);
+    const itemsRef = db.collection(ITEMS_COLLECTION);
     const savedItems = [];
 
-    // Process only the primary location
-    const location = primaryLocation;
     // Normalize location name (capitalize first letter, lowercase rest) for storage
-    const normalizedLocation = location
-      .split(" ")
-      .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(" ");
+    const normalizedLocation = normalizeLocationName(primaryLocation);
 
-    // First, try exact match
-    let categoryQuery = await categoriesRef
-      .where("location", "==", normalizedLocation)
-      .where("userId", "==", userId)
-      .limit(1)
-      .get();
+    // Category documents only hold the location and item count, so reading all of them stays cheap
+    const categoryDocs = await getUserCategoryDocs(db, userId);
+    let categoryDoc = categoryDocs.find((doc) => doc.data().location === normalizedLocation);
 
-    let categoryDocRef;
-    let existingItems = [];
-    let existingLocation = normalizedLocation;
-    let matchedCategory = null;
-    let allUserCategoriesSnapshot = null;
-
-    if (!categoryQuery.empty) {
-      // Exact match found - use existing category
-      categoryDocRef = categoryQuery.docs[0].ref;
-      const existingData = categoryQuery.docs[0].data();
-      existingItems = existingData.items || [];
-      existingLocation = existingData.location || normalizedLocation;
-      console.log(`✅ Found existing category (exact match): ${existingLocation}`);
+    if (categoryDoc) {
+      console.log(`✅ Found existing category (exact match): ${categoryDoc.data().location}`);
     } else {
-      // No exact match - check for similar locations
       console.log(`🔍 No exact match found for "${normalizedLocation}", checking for similar locations...`);
-      
-      // Get all categories for this user to check for similar locations
-      allUserCategoriesSnapshot = await categoriesRef
-        .where("userId", "==", userId)
-        .get();
-      
-      allUserCategoriesSnapshot.forEach((doc) => {
-        const categoryData = doc.data();
-        const existingCatLocation = categoryData.location || "";
-        
-        if (areLocationsMatching(existingCatLocation, normalizedLocation)) {
-          matchedCategory = {
-            ref: doc.ref,
-            data: categoryData,
-            location: existingCatLocation,
-          };
-        }
-      });
+      categoryDoc = categoryDocs.find((doc) => areLocationsMatching(doc.data().location || "", normalizedLocation));
 
-      if (matchedCategory) {
-        // Similar location found - use existing category
-        categoryDocRef = matchedCategory.ref;
-        existingItems = matchedCategory.data.items || [];
-        existingLocation = matchedCategory.location;
-        console.log(`✅ Found existing category (similar match): "${existingLocation}" (matched with "${normalizedLocation}")`);
+      if (categoryDoc) {
+        console.log(
+          `✅ Found existing category (similar match): "${categoryDoc.data().location}" (matched with "${normalizedLocation}")`
+        );
       } else {
-        // No similar match - create new category
-        categoryDocRef = categoriesRef.doc();
         console.log(`🆕 Creating new category: ${normalizedLocation}`);
       }
     }
 
+    const categoryDocRef = categoryDoc ? categoryDoc.ref : categoriesRef.doc();
+    const locationToUse = (categoryDoc && categoryDoc.data().location) || normalizedLocation;
+
     // Add metadata and unique ID to each content item
     const enrichedItems = contentData.map((item) => ({
       ...item,
@@ -230,62 +310,43 @@ const saveCategorizedContent = async (contentData, sourceType, sourceUrl = null,
       addedAt: admin.firestore.Timestamp.now(),
     }));
 
-    // Merge with existing items (avoid duplicates based on title + sourceUrl)
-    // Also check if this sourceUrl already exists in ANY location for this user to prevent cross-location duplicates
-    // Reuse allUserCategoriesSnapshot if we already fetched it, otherwise fetch it
-    let allUserCategories = allUserCategoriesSnapshot;
-    if (!allUserCategories) {
-      allUserCategories = await categoriesRef
-        .where("userId", "==", userId)
-        .get();
-    }
-    
-    const allExistingItems = [];
-    allUserCategories.forEach((doc) => {
-      const items = doc.data().items || [];
-      allExistingItems.push(...items);
-    });
-
-    const newItems = enrichedItems.filter((newItem) => {
-      // Check against items in current location
-      const existsInCurrentLocation = existingItems.some(
-        (existingItem) =>
-          existingItem.title === newItem.title &&
-          existingItem.sourceUrl === newItem.sourceUrl
-      );
-      
-      // Check against items in other locations (prevent duplicate sourceUrl across locations)
-      const existsInOtherLocation = allExistingItems.some(
-        (existingItem) =>
-          existingItem.sourceUrl === newItem.sourceUrl &&
-          existingItem.title === newItem.title
-      );
-      
-      return !existsInCurrentLocation && !existsInOtherLocation;
-    });
+    // Skip items already saved from this source (same title + sourceUrl) in any location
+    const sameSourceSnapshot = await itemsRef
+      .where("userId", "==", userId)
+      .where("sourceUrl", "==", sourceUrl)
+      .get();
+    const existingTitles = new Set(sameSourceSnapshot.docs.map((doc) => doc.data().title));
+    const newItems = enrichedItems.filter((newItem) => !existingTitles.has(newItem.title));
 
     if (newItems.length > 0) {
-      const updatedItems = [...existingItems, ...newItems];
-      savedItems.push(...newItems);
+      const batch = db.batch();
 
-      // Update or create category document
-      // Use existingLocation if we found a match, otherwise use normalizedLocation
-      const locationToUse = existingLocation || normalizedLocation;
-      
-      await categoryDocRef.set(
+      newItems.forEach((item) => {
+        batch.set(itemsRef.doc(item.id), {
+          ...item,
+          userId,
+          location: locationToUse,
+          categoryId: categoryDocRef.id,
+        });
+      });
+
+      batch.set(
+        categoryDocRef,
         {
           userId,
           location: locationToUse,
-          items: updatedItems,
-          itemCount: updatedItems.length,
+          itemCount: admin.firestore.FieldValue.increment(newItems.length),
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          ...((categoryQuery.empty && !matchedCategory) && {
+          ...(!categoryDoc && {
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
           }),
         },
         { merge: true }
       );
 
+      await batch.commit();
+      savedItems.push(...newItems);
+
       console.log(
         `✅ Saved ${newItems.length} item(s) to category: ${locationToUse}`
       );
@@ -296,7 +357,7 @@ const saveCategorizedContent = async (contentData, sourceType, sourceUrl = null,
     }
 
     return {
-      locations: [existingLocation || normalizedLocation],
+      locations: [locationToUse],
       savedItems,
     };
   } catch (error) {
@@ -318,10 +379,7 @@ const getCategoryItems = async (location, userId) => {
     }
 
     const db = getFirestore();
-    const normalizedLocation = location
-      .split(" ")
-      .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(" ");
+    const normalizedLocation = normalizeLocationName(location);
 
     const categoryQuery = await db
       .collection(COLLECTION_NAME)
@@ -334,8 +392,18 @@ const getCategoryItems = async (location, userId) => {
       return [];
     }
 
-    const categoryData = categoryQuery.docs[0].data();
-    return categoryData.items || [];
+    const categoryDoc = categoryQuery.docs[0];
+    if (Array.isArray(categoryDoc.data().items)) {
+      await migrateLegacyCategory(db, categoryDoc);
+    }
+
+    const itemsSnapshot = await db
+      .collection(ITEMS_COLLECTION)
+      .where("userId", "==", userId)
+      .where("categoryId", "==", categoryDoc.id)
+      .get();
+
+    return itemsSnapshot.docs.map((doc) => formatInspirationItem(doc));
   } catch (error) {
     console.error("❌ Error getting category items:", error);
     throw error;
@@ -345,7 +413,7 @@ const getCategoryItems = async (location, userId) => {
 /**
  * Get all categories for a user
  * @param {string} userId - The user ID from Clerk
- * @returns {Promise<Array>} - Array of all category documents for the user
+ * @returns {Promise<Array>} - Array of all category documents for the user (location and item count, no items)
  */
 const getAllCategories = async (userId) => {
   try {
@@ -354,12 +422,9 @@ const getAllCategories = async (userId) => {
     }
 
     const db = getFirestore();
-    const categoriesSnapshot = await db
-      .collection(COLLECTION_NAME)
-      .where("userId", "==", userId)
-      .get();
+    const categoryDocs = await getUserCategoryDocs(db, userId);
 
-    return categoriesSnapshot.docs.map((doc) => ({
+    return categoryDocs.map((doc) => ({
       id: doc.id,
       location: doc.data().location,
       itemCount: doc.data().itemCount || 0,
@@ -371,6 +436,84 @@ const getAllCategories = async (userId) => {
   }
 };
 
+/**
+ * Group a page of items by location, keeping the page order
+ * @param {Array<object>} itemDocs - Inspiration item document snapshots
+ * @param {Map<string, object>} categoriesById - Category data by category ID
+ * @returns {Array<object>} - [{ id, location, items, createdAt, updatedAt }]
+ */
+const groupItemsByLocation = (itemDocs, categoriesById) => {
+  const groups = new Map();
+
+  itemDocs.forEach((doc) => {
+    const { categoryId, location } = doc.data();
+    if (!groups.has(categoryId)) {
+      const category = categoriesById.get(categoryId) || {};
+      groups.set(categoryId, {
+        id: categoryId,
+        location: category.location || location,
+        items: [],
+        createdAt: category.createdAt,
+        updatedAt: category.updatedAt,
+      });
+    }
+    groups.get(categoryId).items.push(formatInspirationItem(doc));
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Get a page of a user's inspiration items, newest first, grouped by location
+ * @param {string} userId - The user ID from Clerk
+ * @param {object} options
+ * @param {number} [options.limit] - Page size (default 50, max 100)
+ * @param {string} [options.cursor] - Item ID to continue after (nextCursor of the previous page)
+ * @param {string} [options.location] - Only items of this location
+ * @returns {Promise<object>} - { organizedByLocation, totalCategories, totalItems, nextCursor }
+ */
+const getInspirationsPage = async (userId, { limit, cursor, location } = {}) => {
+  try {
+    if (!userId) {
+      throw new Error("UserId is required to get inspirations");
+    }
+
+    const pageSize = getPageSize(limit);
+    const db = getFirestore();
+    const categoryDocs = await getUserCategoryDocs(db, userId);
+    const categoriesById = new Map(categoryDocs.map((doc) => [doc.id, doc.data()]));
+
+    let query = db.collection(ITEMS_COLLECTION).where("userId", "==", userId);
+    if (location) {
+      query = query.where("location", "==", location);
+    }
+    query = query.orderBy("addedAt", "desc");
+    if (cursor) {
+      query = query.startAfter(await getCursorDoc(db, userId, cursor));
+    }
+
+    const snapshot = await query.limit(pageSize + 1).get();
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    // Counts cover every item in the location, not just this page
+    const organizedByLocation = groupItemsByLocation(docs, categoriesById).map((group) => ({
+      ...group,
+      itemCount: categoriesById.get(group.id)?.itemCount || group.items.length,
+    }));
+    const totalItems = categoryDocs.reduce((sum, doc) => sum + (doc.data().itemCount || 0), 0);
+
+    return {
+      organizedByLocation,
+      totalCategories: categoryDocs.length,
+      totalItems,
+      nextCursor: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error("❌ Error getting inspirations page:", error);
+    throw error;
+  }
+};
+
 /**
  * Delete inspiration items by IDs (bulk deletion)
  * @param {Array<string>} itemIds - Array of IDs of inspiration items to delete
@@ -388,47 +531,55 @@ const deleteInspirationItems = async (itemIds, userId) => {
     }
 
     const db = getFirestore();
-    const categoriesRef = db.collection(COLLECTION_NAME);
+    const itemsRef = db.collection(ITEMS_COLLECTION);
 
-    // Find all categories for this user
-    const allUserCategories = await categoriesRef
-      .where("userId", "==", userId)
-      .get();
+    // Also moves legacy items arrays out, so their items can be found by ID
+    const categoryDocs = await getUserCategoryDocs(db, userId);
+    const categoriesById = new Map(categoryDocs.map((doc) => [doc.id, doc]));
 
-    const deletedItems = [];
-    const updatedCategories = [];
+    const uniqueIds = [...new Set(itemIds)];
+    const itemDocs = await db.getAll(...uniqueIds.map((id) => itemsRef.doc(id)));
+    const ownedDocs = itemDocs.filter((doc) => doc.exists && doc.data().userId === userId);
+
+    const deletedItems = ownedDocs.map((doc) => formatInspirationItem(doc));
     const notFoundIds = [];
-    const itemIdSet = new Set(itemIds); // For efficient lookup
 
-    // Process each category
-    for (const doc of allUserCategories.docs) {
-      const categoryData = doc.data();
-      const items = categoryData.items || [];
-      
-      // Find items in this category that match any of the IDs to delete
-      const itemsToDelete = items.filter((item) => item.id && itemIdSet.has(item.id));
-      const remainingItems = items.filter((item) => !item.id || !itemIdSet.has(item.id));
-      
-      if (itemsToDelete.length > 0) {
-        // Add to deleted items list
-        deletedItems.push(...itemsToDelete);
-        
-        // Update the category document
-        await doc.ref.update({
-          items: remainingItems,
-          itemCount: remainingItems.length,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
+    if (deletedItems.length === 0) {
+      throw new Error("None of the inspiration items were found");
+    }
 
-        updatedCategories.push({
-          id: doc.id,
-          location: categoryData.location,
-          itemCount: remainingItems.length,
-        });
+    // Count deletions per category to keep itemCount in step
+    const deletedPerCategory = new Map();
+    ownedDocs.forEach((doc) => {
+      const { categoryId } = doc.data();
+      deletedPerCategory.set(categoryId, (deletedPerCategory.get(categoryId) || 0) + 1);
+    });
+
+    const batch = db.batch();
+    ownedDocs.forEach((doc) => batch.delete(doc.ref));
 
-        console.log(`✅ Deleted ${itemsToDelete.length} inspiration item(s) from location: ${categoryData.location}`);
+    const updatedCategories = [];
+    deletedPerCategory.forEach((count, categoryId) => {
+      const categoryDoc = categoriesById.get(categoryId);
+      if (!categoryDoc) {
+        return;
       }
-    }
+
+      batch.update(categoryDoc.ref, {
+        itemCount: admin.firestore.FieldValue.increment(-count),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      updatedCategories.push({
+        id: categoryId,
+        location: categoryDoc.data().location,
+        itemCount: Math.max((categoryDoc.data().itemCount || 0) - count, 0),
+      });
+
+      console.log(`✅ Deleted ${count} inspiration item(s) from location: ${categoryDoc.data().location}`);
+    });
+
+    await batch.commit();
 
     // Check which IDs were not found
     const deletedIds = new Set(deletedItems.map((item) => item.id));
@@ -438,10 +589,6 @@ const deleteInspirationItems = async (itemIds, userId) => {
       }
     });
 
-    if (deletedItems.length === 0) {
-      throw new Error("None of the inspiration items were found");
-    }
-
     return {
       deletedItems,
       deletedCount: deletedItems.length,
@@ -471,42 +618,39 @@ const getInspirationItemsByIds = async (itemIds, userId) => {
     }
 
     const db = getFirestore();
-    const categoriesRef = db.collection(COLLECTION_NAME);
+    const itemsRef = db.collection(ITEMS_COLLECTION);
+    const uniqueIds = [...new Set(itemIds)];
+
+    const findItems = async () => {
+      const itemDocs = await db.getAll(...uniqueIds.map((id) => itemsRef.doc(id)));
+      return itemDocs
+        .filter((doc) => doc.exists && doc.data().userId === userId)
+        .map((doc) => ({
+          ...formatInspirationItem(doc),
+          categoryLocation: doc.data().location || "", // Add the location from the category
+        }));
+    };
 
-    // Find all categories for this user
-    const allUserCategories = await categoriesRef
-      .where("userId", "==", userId)
-      .get();
+    let foundItems = await findItems();
 
-    const itemIdSet = new Set(itemIds);
-    const foundItems = [];
-
-    // Search through all categories for matching items
-    for (const doc of allUserCategories.docs) {
-      const categoryData = doc.data();
-      const items = categoryData.items || [];
-      const categoryLocation = categoryData.location || "";
-
-      // Find items that match the requested IDs
-      items.forEach((item) => {
-        if (item.id && itemIdSet.has(item.id)) {
-          foundItems.push({
-            ...item,
-            categoryLocation, // Add the location from the category
-          });
-        }
-      });
+    // Items still inside a legacy category document only get their own document once moved out
+    if (foundItems.length < uniqueIds.length) {
+      await getUserCategoryDocs(db, userId);
+      foundItems = await findItems();
     }
 
+    // Keep the requested order
+    const itemsById = new Map(foundItems.map((item) => [item.id, item]));
+    const orderedItems = uniqueIds.filter((id) => itemsById.has(id)).map((id) => itemsById.get(id));
+
     // Check if all IDs were found
-    const foundIds = new Set(foundItems.map((item) => item.id));
-    const notFoundIds = itemIds.filter((id) => !foundIds.has(id));
+    const notFoundIds = itemIds.filter((id) => !itemsById.has(id));
 
     if (notFoundIds.length > 0) {
       console.warn(`⚠️ Some inspiration item IDs were not found: ${notFoundIds.join(", ")}`);
     }
 
-    return foundItems;
+    return orderedItems;
   } catch (error) {
     console.error("❌ Error getting inspiration items by IDs:", error);
     throw error;
@@ -600,8 +744,9 @@ const getActivityNamesFromTrips = async (userId, tripId = null) => {
     let tripsSnapshot;
     if (tripId) {
       // Get specific trip
+      const { getTripRole } = require("./tripMemberService");
       const tripDoc = await tripsRef.doc(tripId).get();
-      if (!tripDoc.exists || tripDoc.data().userId !== userId) {
+      if (!tripDoc.exists || !getTripRole(tripDoc.data(), userId)) {
         return new Set();
       }
       tripsSnapshot = { docs: [tripDoc] };
@@ -611,9 +756,10 @@ const getActivityNamesFromTrips = async (userId, tripId = null) => {
     }
     
     const activityNames = new Set();
+    const { loadTripData } = require("./tripItineraryStore");
+    const trips = await Promise.all(tripsSnapshot.docs.map((doc) => loadTripData(doc)));
     
-    tripsSnapshot.docs.forEach((doc) => {
-      const tripData = doc.data();
+    trips.forEach((tripData) => {
       const itinerary = tripData.itinerary || {};
       
       // Iterate through all days
@@ -643,99 +789,121 @@ const getActivityNamesFromTrips = async (userId, tripId = null) => {
 };
 
 /**
- * Filter inspiration items based on status, trip, and category
+ * Filter inspiration items based on status, trip, and category, one page at a time
  * @param {string} userId - The user ID from Clerk
  * @param {object} filters - Filter options
  * @param {string} filters.status - "Unassigned", "Assigned to trip", or "All Inspiration"
  * @param {string} filters.tripId - "all" or a specific trip ID
  * @param {string|null} filters.category - Category filter (Restaurant, Activity, Landmark, Shop, Accomodation, Other) or null for all
- * @returns {Promise<object>} - Filtered inspiration items organized by location
+ * @param {string|null} filters.location - Location filter or null for all
+ * @param {number} [filters.limit] - Page size (default 50, max 100)
+ * @param {string} [filters.cursor] - Item ID to continue after (nextCursor of the previous page)
+ * @returns {Promise<object>} - Filtered inspiration items of this page organized by location
  */
 const filterInspirations = async (userId, filters = {}) => {
   try {
     if (!userId) {
       throw new Error("UserId is required to filter inspirations");
     }
-    
-    const { status = "All Inspiration", tripId = "all", category = null } = filters;
-    
+
+    const {
+      status = "All Inspiration",
+      tripId = "all",
+      category = null,
+      location = null,
+      limit,
+      cursor,
+    } = filters;
+
     // Validate status filter
     const validStatuses = ["Unassigned", "Assigned to trip", "All Inspiration"];
     if (!validStatuses.includes(status)) {
       throw new Error(`Invalid status. Must be one of: ${validStatuses.join(", ")}`);
     }
-    
+
     // Validate category filter if provided
     // Note: Using "Accomodation" (one 'm') to match existing data from AI summary service
     const validCategories = ["Restaurant", "Activity", "Landmark", "Shop", "Accomodation", "Other"];
     if (category && !validCategories.includes(category)) {
       throw new Error(`Invalid category. Must be one of: ${validCategories.join(", ")}`);
     }
-    
-    // Get all inspirations for the user
-    const allCategories = await getAllCategories(userId);
-    
+
+    const pageSize = getPageSize(limit);
+    const db = getFirestore();
+    const categoryDocs = await getUserCategoryDocs(db, userId);
+    const categoriesById = new Map(categoryDocs.map((doc) => [doc.id, doc.data()]));
+
     // Get activity names from trips if we need to check assignment status
     let activityNamesSet = new Set();
     const checkAssignment = status === "Unassigned" || status === "Assigned to trip";
-    
+
     if (checkAssignment) {
       const specificTripId = tripId === "all" ? null : tripId;
       activityNamesSet = await getActivityNamesFromTrips(userId, specificTripId);
     }
-    
-    // Filter and organize inspirations
-    const filteredCategories = [];
-    let totalFilteredItems = 0;
-    
-    for (const categoryDoc of allCategories) {
-      const items = categoryDoc.items || [];
-      const filteredItems = [];
-      
-      for (const item of items) {
-        // Filter by category
-        if (category && item.category !== category) {
+
+    // Location and category are indexed; assignment status depends on the trips and is checked here
+    let query = db.collection(ITEMS_COLLECTION).where("userId", "==", userId);
+    if (location) {
+      query = query.where("location", "==", location);
+    }
+    if (category) {
+      query = query.where("category", "==", category);
+    }
+    query = query.orderBy("addedAt", "desc");
+
+    const matchesStatus = (item) => {
+      if (!checkAssignment) {
+        return true;
+      }
+      const itemTitle = (item.title || "").toLowerCase().trim();
+      const isAssigned = activityNamesSet.has(itemTitle);
+      return status === "Unassigned" ? !isAssigned : isAssigned;
+    };
+
+    // Scan in batches until the page is full, since the status filter can skip items
+    const matchedDocs = [];
+    let lastScanned = cursor ? await getCursorDoc(db, userId, cursor) : null;
+    let nextCursor = null;
+    let exhausted = false;
+
+    while (matchedDocs.length < pageSize && !exhausted) {
+      const batchQuery = lastScanned ? query.startAfter(lastScanned) : query;
+      const snapshot = await batchQuery.limit(FILTER_SCAN_SIZE).get();
+      exhausted = snapshot.docs.length < FILTER_SCAN_SIZE;
+
+      for (let index = 0; index < snapshot.docs.length; index++) {
+        const doc = snapshot.docs[index];
+        lastScanned = doc;
+
+        if (!matchesStatus(doc.data())) {
           continue;
         }
-        
-        // Filter by assignment status
-        if (checkAssignment) {
-          const itemTitle = (item.title || "").toLowerCase().trim();
-          const isAssigned = activityNamesSet.has(itemTitle);
-          
-          if (status === "Unassigned" && isAssigned) {
-            continue;
-          }
-          if (status === "Assigned to trip" && !isAssigned) {
-            continue;
-          }
+
+        matchedDocs.push(doc);
+        if (matchedDocs.length === pageSize) {
+          const moreToScan = index < snapshot.docs.length - 1 || !exhausted;
+          nextCursor = moreToScan ? doc.id : null;
+          break;
         }
-        
-        filteredItems.push(item);
-      }
-      
-      // Only include category if it has filtered items
-      if (filteredItems.length > 0) {
-        filteredCategories.push({
-          id: categoryDoc.id,
-          location: categoryDoc.location,
-          itemCount: filteredItems.length,
-          items: filteredItems,
-          createdAt: categoryDoc.createdAt,
-          updatedAt: categoryDoc.updatedAt,
-        });
-        totalFilteredItems += filteredItems.length;
       }
     }
-    
+
+    const filteredCategories = groupItemsByLocation(matchedDocs, categoriesById).map((group) => ({
+      ...group,
+      itemCount: group.items.length,
+    }));
+
     return {
       organizedByLocation: filteredCategories,
       totalCategories: filteredCategories.length,
-      totalItems: totalFilteredItems,
+      totalItems: matchedDocs.length,
+      nextCursor,
       filters: {
         status,
         tripId,
         category,
+        location,
       },
     };
   } catch (error) {
@@ -748,6 +916,8 @@ module.exports = {
   saveCategorizedContent,
   getCategoryItems,
   getAllCategories,
+  getInspirationsPage,
+  migrateLegacyCategory,
   deleteInspirationItems,
   getInspirationItemsByIds,
   formatInspirationItemsToActivities,
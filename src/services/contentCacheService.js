@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+
+/**
+ * Shared content analysis cache
+ *
+ * Analyzing a public video or article gives the same result whoever saves it, so results are
+ * stored once per canonical source URL and reused by every user:
+ *   contentAnalysisCache/{sha256("<kind>:<canonical url>")}
+ *   { kind: "video" | "link", url, version, data, hits, createdAt, expiresAt, lastHitAt? }
+ * Entries are misses once expiresAt has passed (CONTENT_CACHE_<KIND>_TTL_DAYS) or when their
+ * version differs from CONTENT_CACHE_VERSIONS; bump the version when a pipeline or its prompt
+ * changes so older results are recomputed.
+ *
+ * The cache never fails a request: lookup and write errors are logged and treated as misses.
+ */
+
+const COLLECTION_NAME = "contentAnalysisCache";
+
+const CONTENT_CACHE_VERSIONS = {
+  video: 1,
+  link: 1,
+};
+
+const DEFAULT_TTL_DAYS = {
+  video: 30,
+  link: 7,
+};
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|igsh|igshid|si|feature|is_from_webapp|sender_device|sender_web_id|share_\w+|_r|_t|mc_cid|mc_eid)$/i;
+
+/**
+ * Whether the cache is on (CONTENT_CACHE_ENABLED, default true)
+ * @returns {boolean}
+ */
+const isCacheEnabled = () => process.env.CONTENT_CACHE_ENABLED !== "false";
+
+/**
+ * How long entries of a kind stay fresh (CONTENT_CACHE_VIDEO_TTL_DAYS, CONTENT_CACHE_LINK_TTL_DAYS)
+ * @param {string} kind - "video" or "link"
+ * @returns {number} - Milliseconds
+ */
+const getTtlMs = (kind) => {
+  const days = Number(process.env[`CONTENT_CACHE_${kind.toUpperCase()}_TTL_DAYS`]);
+  return (days > 0 ? days : DEFAULT_TTL_DAYS[kind]) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Reduce the ways a URL gets shared to one form: https, no www./m. host prefix, no fragment,
+ * trailing slash or tracking parameters, remaining parameters sorted. YouTube short links and
+ * Shorts become watch?v= URLs, and Instagram /reels/ links become /reel/.
+ * @param {string} url - Source URL
+ * @returns {string|null} - Canonical URL, or null when the URL can't be parsed
+ */
+const canonicalizeUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || "").trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile)\./, "");
+  let pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+  const params = [...parsed.searchParams].filter(([key]) => !TRACKING_PARAMS.test(key));
+
+  if (host === "youtu.be" || (host === "youtube.com" && pathname.startsWith("/shorts/"))) {
+    const videoId = pathname.split("/").pop();
+    return `https://youtube.com/watch?v=${videoId}`;
+  }
+  if (host === "youtube.com" && pathname === "/watch") {
+    const videoId = parsed.searchParams.get("v");
+    if (videoId) return `https://youtube.com/watch?v=${videoId}`;
+  }
+  if (host === "instagram.com") {
+    pathname = pathname.replace(/^\/reels\//, "/reel/");
+  }
+
+  const query = params
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join("&");
+
+  return `https://${host}${pathname}${query ? `?${query}` : ""}`;
+};
+
+/**
+ * Get the cache document for a URL
+ * @param {string} kind - "video" or "link"
+ * @param {string} canonicalUrl - Output of canonicalizeUrl
+ * @returns {object} - Firestore document reference
+ */
+const getCacheRef = (kind, canonicalUrl) => {
+  const key = crypto.createHash("sha256").update(`${kind}:${canonicalUrl}`).digest("hex");
+  return getFirestore().collection(COLLECTION_NAME).doc(key);
+};
+
+/**
+ * Look up a fresh analysis of a URL
+ * @param {string} kind - "video" or "link"
+ * @param {string} url - Source URL, as shared
+ * @returns {Promise<object|null>} - The cached data, or null on a miss
+ */
+const getCachedAnalysis = async (kind, url) => {
+  const canonicalUrl = canonicalizeUrl(url);
+  if (!isCacheEnabled() || !canonicalUrl) {
+    return null;
+  }
+
+  try {
+    const docRef = getCacheRef(kind, canonicalUrl);
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const entry = doc.data();
+    if (entry.version !== CONTENT_CACHE_VERSIONS[kind] || entry.expiresAt?.toMillis() <= Date.now()) {
+      return null;
+    }
+
+    // Hit counts are only for monitoring; don't wait for them
+    docRef
+      .update({
+        hits: admin.firestore.FieldValue.increment(1),
+        lastHitAt: admin.firestore.FieldValue.serverTimestamp(),
+      })
+      .catch((error) => console.error("Failed to count content cache hit:", error.message));
+
+    console.log(`♻️ Content cache hit for ${kind} ${canonicalUrl}`);
+    return entry.data;
+  } catch (error) {
+    console.error(`⚠️ Content cache lookup failed for ${kind} ${canonicalUrl} (treating as a miss):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Store the analysis of a URL for other users to reuse
+ * @param {string} kind - "video" or "link"
+ * @param {string} url - Source URL, as shared
+ * @param {object} data - The analysis to cache
+ * @returns {Promise<boolean>} - True if the entry was written
+ */
+const saveCachedAnalysis = async (kind, url, data) => {
+  const canonicalUrl = canonicalizeUrl(url);
+  if (!isCacheEnabled() || !canonicalUrl) {
+    return false;
+  }
+
+  try {
+    await getCacheRef(kind, canonicalUrl).set({
+      kind,
+      url: canonicalUrl,
+      version: CONTENT_CACHE_VERSIONS[kind],
+      data,
+      hits: 0,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + getTtlMs(kind)),
+    });
+    return true;
+  } catch (error) {
+    console.error(`⚠️ Failed to cache ${kind} analysis of ${canonicalUrl}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  CONTENT_CACHE_VERSIONS,
+  canonicalizeUrl,
+  getCachedAnalysis,
+  saveCachedAnalysis,
+};
@@ -0,0 +1,359 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * Exchange-rate providers
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     getRates: async () => ({ base: "USD", rates: { EUR: 0.96, ... }, updatedAt }),
+ *   }
+ * Rates are units of each currency per one unit of base. Register extra providers with
+ * registerExchangeRateProvider and select one with EXCHANGE_RATE_PROVIDER. The file provider
+ * (EXCHANGE_RATES_FILE, default src/config/exchangeRates.json) is always available as a fallback.
+ */
+
+const DEFAULT_RATES_FILE = path.join(__dirname, "../config/exchangeRates.json");
+const DEFAULT_RATES = require(DEFAULT_RATES_FILE).rates;
+const DEFAULT_HOME_CURRENCY = "USD";
+const RATES_TTL_MS = (parseInt(process.env.EXCHANGE_RATES_TTL_MINUTES, 10) || 720) * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const CURRENCY_SYMBOLS = {
+  "US$": "USD",
+  "A$": "AUD",
+  "AU$": "AUD",
+  "C$": "CAD",
+  "CA$": "CAD",
+  "NZ$": "NZD",
+  "HK$": "HKD",
+  "S$": "SGD",
+  "R$": "BRL",
+  "MX$": "MXN",
+  "NT$": "TWD",
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₱": "PHP",
+  "₹": "INR",
+  "₩": "KRW",
+  "฿": "THB",
+  "₫": "VND",
+  "₺": "TRY",
+  "₪": "ILS",
+};
+
+// Currencies whose amounts are written without decimals, so any separator groups thousands
+const ZERO_DECIMAL_CURRENCIES = new Set(["JPY", "KRW", "VND", "IDR", "HUF", "TWD", "CLP", "ISK"]);
+
+// Amounts: digits grouped in threes ("1.500.000", "1 234,56") or plain ("1234.56")
+const AMOUNT_PATTERN = /\d{1,3}(?:[.,' ]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/g;
+
+const providers = {};
+let ratesCache = null;
+
+/**
+ * Normalize a numeric string that may use "," or "." as thousands/decimal separators
+ * @param {string} raw - e.g. "1,234.56", "1.234,56", "120,50", "1.500.000"
+ * @param {string|null} [currency] - ISO code the amount is in, if known
+ * @returns {number|null}
+ */
+const parseLocalizedNumber = (raw, currency = null) => {
+  let value = raw.replace(/[\s']/g, "");
+  const lastComma = value.lastIndexOf(",");
+  const lastDot = value.lastIndexOf(".");
+
+  if (lastComma > -1 && lastDot > -1) {
+    // Whichever separator comes last is the decimal separator
+    value = lastComma > lastDot
+      ? value.replace(/\./g, "").replace(",", ".")
+      : value.replace(/,/g, "");
+  } else if (lastComma > -1 || lastDot > -1) {
+    // "120,50" and "1.5" are decimals; "1,234", "1.234" and "1.500.000" group thousands
+    const separator = lastComma > -1 ? "," : ".";
+    const groups = value.split(separator);
+    const isThousands =
+      ZERO_DECIMAL_CURRENCIES.has(currency) ||
+      groups.length > 2 ||
+      groups[1].length === 3;
+    value = isThousands ? groups.join("") : groups.join(".");
+  }
+
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Normalize a currency code
+ * @param {string} code - e.g. "eur"
+ * @returns {string|null} - Upper-case ISO 4217 code, or null if it isn't three letters
+ */
+const normalizeCurrencyCode = (code) => {
+  if (!code || !/^[A-Za-z]{3}$/.test(String(code).trim())) return null;
+  return String(code).trim().toUpperCase();
+};
+
+/**
+ * Whether a three-letter code is a currency we have a rate for (the loaded table, else the rates file)
+ * @param {string} code - Upper-case code
+ * @returns {boolean}
+ */
+const isKnownCurrency = (code) => {
+  const rates = ratesCache?.table.rates || DEFAULT_RATES;
+  return Boolean(rates[code]);
+};
+
+/**
+ * Find the currency marker (ISO code or symbol) in a money string
+ * @param {string} text
+ * @returns {{currency: string, start: number, end: number}|null}
+ */
+const findCurrencyMarker = (text) => {
+  const codePattern = /(?<![A-Za-z])([A-Z]{3})(?![A-Za-z])/g;
+  for (const match of text.matchAll(codePattern)) {
+    if (isKnownCurrency(match[1])) {
+      return { currency: match[1], start: match.index, end: match.index + 3 };
+    }
+  }
+
+  // Longest symbols first so "A$" wins over "$"
+  const symbol = Object.keys(CURRENCY_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .find((s) => text.includes(s));
+  if (!symbol) return null;
+
+  const start = text.indexOf(symbol);
+  return { currency: CURRENCY_SYMBOLS[symbol], start, end: start + symbol.length };
+};
+
+/**
+ * Parse a money string into an amount and ISO currency code. When the string holds several
+ * numbers ("Total for 2 nights: EUR 300"), the one next to the currency is the amount.
+ * @param {string|number|object} value - e.g. "$1,234.56", "EUR 120", "120,50 €", 99, { amount, currency }
+ * @returns {{amount: number, currency: string|null}|null} - null if no amount can be found
+ */
+const parseMoney = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  if (typeof value === "number") {
+    return isFinite(value) ? { amount: value, currency: null } : null;
+  }
+
+  if (typeof value === "object") {
+    const amount = Number(value.amount);
+    if (!isFinite(amount)) return null;
+    return { amount, currency: normalizeCurrencyCode(value.currency) };
+  }
+
+  const text = String(value).trim();
+  const numbers = [...text.matchAll(AMOUNT_PATTERN)].map((match) => ({
+    raw: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+  if (numbers.length === 0) return null;
+
+  const marker = findCurrencyMarker(text);
+  const currency = marker ? marker.currency : null;
+  // Prefer the number right after the currency ("EUR 300", "$40"), then right before it ("300 €")
+  const adjacent = marker
+    ? numbers.find((n) => !text.slice(marker.end, n.start).trim() && n.start >= marker.end) ||
+      numbers.find((n) => !text.slice(n.end, marker.start).trim() && n.end <= marker.start)
+    : null;
+
+  const amount = parseLocalizedNumber((adjacent || numbers[0]).raw, currency);
+  if (amount === null) return null;
+
+  return { amount: Math.round(amount * 100) / 100, currency };
+};
+
+/**
+ * Local provider: reads a JSON rates table ({ base, rates, updatedAt }) from disk
+ * @param {string} filePath - Path to the rates file
+ * @returns {object} - Exchange-rate provider
+ */
+const createFileRatesProvider = (filePath) => ({
+  name: "file",
+  getRates: async () => {
+    const content = await fs.promises.readFile(filePath, "utf8");
+    return JSON.parse(content);
+  },
+});
+
+/**
+ * Remote provider: fetches { base | base_code, rates } JSON from a URL
+ * (works with open.er-api.com, openexchangerates.org and similar APIs)
+ * @param {string} url - Rates endpoint
+ * @returns {object} - Exchange-rate provider
+ */
+const createHttpRatesProvider = (url) => ({
+  name: "http",
+  getRates: async () => {
+    const { data } = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+    if (!data?.rates) {
+      throw new Error("Exchange rate response is missing rates");
+    }
+    return {
+      base: data.base || data.base_code,
+      rates: data.rates,
+      updatedAt: data.time_last_update_utc || data.timestamp || new Date().toISOString(),
+    };
+  },
+});
+
+/**
+ * Register (or replace) an exchange-rate provider
+ * @param {string} name - Provider name, matched against EXCHANGE_RATE_PROVIDER
+ * @param {object} provider - Object implementing getRates
+ */
+const registerExchangeRateProvider = (name, provider) => {
+  if (typeof provider?.getRates !== "function") {
+    throw new Error("Exchange rate provider must implement getRates");
+  }
+  providers[name] = { ...provider, name };
+  ratesCache = null;
+};
+
+registerExchangeRateProvider(
+  "file",
+  createFileRatesProvider(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE)
+);
+if (process.env.EXCHANGE_RATES_API_URL) {
+  registerExchangeRateProvider("http", createHttpRatesProvider(process.env.EXCHANGE_RATES_API_URL));
+}
+
+/**
+ * Get the configured provider (EXCHANGE_RATE_PROVIDER, else http when a URL is set, else file)
+ * @returns {object} - Exchange-rate provider
+ */
+const getExchangeRateProvider = () => {
+  const requested = process.env.EXCHANGE_RATE_PROVIDER;
+  if (requested && providers[requested]) return providers[requested];
+  if (requested) {
+    console.warn(`⚠️ Exchange rate provider "${requested}" is not registered, using fallback`);
+  }
+  return providers.http || providers.file;
+};
+
+/**
+ * Get the current exchange-rate table, cached for EXCHANGE_RATES_TTL_MINUTES.
+ * Falls back to the local file if the configured provider fails.
+ * @returns {Promise<{base: string, rates: object, updatedAt: string, provider: string}>}
+ */
+const getExchangeRates = async () => {
+  if (ratesCache && Date.now() - ratesCache.fetchedAt < RATES_TTL_MS) {
+    return ratesCache.table;
+  }
+
+  const provider = getExchangeRateProvider();
+  let table;
+  try {
+    table = { ...(await provider.getRates()), provider: provider.name };
+  } catch (error) {
+    if (provider.name === "file") throw error;
+    console.error(`Exchange rate provider "${provider.name}" failed, using rates file:`, error.message);
+    table = { ...(await providers.file.getRates()), provider: "file" };
+  }
+
+  const base = normalizeCurrencyCode(table.base);
+  if (!base || !table.rates) {
+    throw new Error("Exchange rate table must have a base currency and rates");
+  }
+  table.base = base;
+  table.rates = { ...table.rates, [base]: 1 };
+
+  ratesCache = { table, fetchedAt: Date.now() };
+  return table;
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount
+ * @param {string} fromCurrency - ISO code
+ * @param {string} toCurrency - ISO code
+ * @returns {Promise<number|null>} - Converted amount (2 decimals), or null if either rate is unknown
+ */
+const convertAmount = async (amount, fromCurrency, toCurrency) => {
+  const from = normalizeCurrencyCode(fromCurrency);
+  const to = normalizeCurrencyCode(toCurrency);
+  if (!from || !to || !isFinite(amount)) return null;
+  if (from === to) return Math.round(amount * 100) / 100;
+
+  const { rates } = await getExchangeRates();
+  if (!rates[from] || !rates[to]) return null;
+
+  return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+};
+
+/**
+ * Get the user's home currency from their travel preferences
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<string>} - ISO code (DEFAULT_HOME_CURRENCY env or USD when not set)
+ */
+const getHomeCurrency = async (userId) => {
+  const fallback = normalizeCurrencyCode(process.env.DEFAULT_HOME_CURRENCY) || DEFAULT_HOME_CURRENCY;
+  try {
+    const { getTravelPreferences } = require("./travelPreferenceService");
+    const preferences = await getTravelPreferences(userId);
+    return normalizeCurrencyCode(preferences?.homeCurrency) || fallback;
+  } catch (error) {
+    console.error("Error getting home currency, using default:", error.message);
+    return fallback;
+  }
+};
+
+/**
+ * Attach parsed and home-currency amounts to confirmations and total them
+ * @param {Array} confirmations - Confirmation documents
+ * @param {string} homeCurrency - ISO code to report in
+ * @returns {Promise<{confirmations: Array, totals: object}>}
+ */
+const withHomeCurrencyTotals = async (confirmations, homeCurrency) => {
+  let total = 0;
+  const unconverted = [];
+
+  const annotated = await Promise.all(
+    confirmations.map(async (confirmation) => {
+      const money = parseMoney(confirmation.confirmationData?.totalAmount);
+      if (!money) return confirmation;
+
+      // Amounts without a currency can't be converted safely
+      const homeAmount = money.currency
+        ? await convertAmount(money.amount, money.currency, homeCurrency)
+        : null;
+      if (homeAmount === null) {
+        unconverted.push({ id: confirmation.id, ...money });
+      } else {
+        total += homeAmount;
+      }
+
+      return {
+        ...confirmation,
+        amount: { ...money, homeAmount, homeCurrency },
+      };
+    })
+  );
+
+  return {
+    confirmations: annotated,
+    totals: {
+      currency: homeCurrency,
+      amount: Math.round(total * 100) / 100,
+      unconverted,
+    },
+  };
+};
+
+module.exports = {
+  parseMoney,
+  normalizeCurrencyCode,
+  registerExchangeRateProvider,
+  getExchangeRateProvider,
+  getExchangeRates,
+  convertAmount,
+  getHomeCurrency,
+  withHomeCurrencyTotals,
+};
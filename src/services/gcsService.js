@@ -6,7 +6,7 @@ const deleteFromGCS = async (filename) => {
   await bucket.file(filename).delete();
 };
 
-const uploadToGCS = async (downloadUrl, filename) => {
+const uploadToGCS = async (downloadUrl, filename, requestHeaders = {}) => {
   console.log("Download URL -->", downloadUrl);
 
   const bucket = storage.bucket(process.env.GCS_BUCKET);
@@ -22,7 +22,7 @@ const uploadToGCS = async (downloadUrl, filename) => {
   const totalStart = Date.now();
 
   const downloadStart = Date.now();
-  console.log("⬇️ Downloading TikTok video...");
+  console.log("⬇️ Downloading video...");
 
   const response = await axios.get(downloadUrl, {
     responseType: "stream",
@@ -32,6 +32,7 @@ const uploadToGCS = async (downloadUrl, filename) => {
       Accept: "video/mp4,video/*;q=0.9,*/*;q=0.8",
       Referer: "https://www.tiktok.com/",
       "Accept-Language": "en-US,en;q=0.9",
+      ...requestHeaders,
     },
   });
 
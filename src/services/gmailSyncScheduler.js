@@ -0,0 +1,100 @@
+const { getConnectedGmailUserIds } = require("./gmailTokenService");
+const { syncGmailForUser } = require("./gmailSyncService");
+const { runWithUsageContext } = require("./usageService");
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+let intervalHandle = null;
+let isRunning = false;
+
+/**
+ * Run one incremental sync pass over every connected mailbox.
+ * Mailboxes are synced one at a time so a large user base does not flood Gmail/OpenAI.
+ * @returns {Promise<object>} - { synced, failed, skipped }
+ */
+const runGmailSyncCycle = async () => {
+  if (isRunning) {
+    console.log("⏭️ Gmail sync cycle already running, skipping");
+    return { synced: 0, failed: 0, skipped: true };
+  }
+
+  isRunning = true;
+  let synced = 0;
+  let failed = 0;
+
+  try {
+    const userIds = await getConnectedGmailUserIds();
+    console.log(`📧 Gmail sync cycle started for ${userIds.length} mailbox(es)`);
+
+    for (const userId of userIds) {
+      try {
+        // Bill booking extraction to the mailbox owner
+        const result = await runWithUsageContext({ userId }, () =>
+          syncGmailForUser(userId, { incremental: true })
+        );
+        synced += 1;
+        if (result.savedConfirmations.length > 0) {
+          console.log(
+            `✅ Gmail sync saved ${result.savedConfirmations.length} confirmation(s) for user ${userId}`
+          );
+        }
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ Gmail sync failed for user ${userId}:`, error.message);
+      }
+    }
+
+    console.log(`📧 Gmail sync cycle finished: ${synced} synced, ${failed} failed`);
+    return { synced, failed, skipped: false };
+  } catch (error) {
+    console.error("Error running Gmail sync cycle:", error);
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the background Gmail sync scheduler.
+ * Controlled by GMAIL_SYNC_ENABLED ("false" disables) and GMAIL_SYNC_INTERVAL_MINUTES.
+ * @returns {boolean} - True if the scheduler was started
+ */
+const startGmailSyncScheduler = () => {
+  if (intervalHandle) return true;
+
+  if (process.env.GMAIL_SYNC_ENABLED === "false") {
+    console.log("⏸️ Gmail background sync disabled (GMAIL_SYNC_ENABLED=false)");
+    return false;
+  }
+
+  const intervalMinutes =
+    Number(process.env.GMAIL_SYNC_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  intervalHandle = setInterval(() => {
+    runGmailSyncCycle().catch((err) =>
+      console.error("Gmail sync cycle failed:", err)
+    );
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the scheduler
+  intervalHandle.unref();
+
+  console.log(`⏰ Gmail background sync scheduled every ${intervalMinutes} minute(s)`);
+  return true;
+};
+
+/**
+ * Stop the background Gmail sync scheduler
+ */
+const stopGmailSyncScheduler = () => {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+};
+
+module.exports = {
+  runGmailSyncCycle,
+  startGmailSyncScheduler,
+  stopGmailSyncScheduler,
+};
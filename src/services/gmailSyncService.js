@@ -0,0 +1,311 @@
+const { google } = require("googleapis");
+const admin = require("firebase-admin");
+const { extractBookingData } = require("./bookingExtractionService");
+const {
+  saveConfirmations,
+  findDuplicateConfirmationForUser,
+} = require("./travelConfirmationService");
+const {
+  getAuthorizedClient,
+  getGmailConnection,
+  updateGmailSyncState,
+} = require("./gmailTokenService");
+const { sendTravelConfirmationProcessedNotification } = require("./pushNotificationService");
+
+// Gmail API q parameter: after/before use YYYY/MM/DD per https://developers.google.com/workspace/gmail/api/guides/filtering
+const BOOKING_QUERY = `(subject:(booking OR reservation OR confirmation OR itinerary OR ticket OR booked OR "e-ticket" OR voucher OR receipt OR invoice OR "boarding pass" OR "check-in" OR "booking reference" OR "confirmation number" OR "reservation number" OR "your order" OR admission OR tour OR experience) OR from:(noreply OR reservations OR bookings OR tickets))`;
+const MAX_MESSAGES_PER_SYNC = 50;
+// Incremental syncs page through the booking query until every added message is found, up to this many results
+const MAX_INCREMENTAL_SCAN_MESSAGES = 1000;
+// Messages whose processing failed are retried on later syncs, this many times in total
+const MAX_MESSAGE_ATTEMPTS = 3;
+// Gmail's after: filter uses the message date, which can be earlier than when it reached the mailbox
+const INCREMENTAL_LOOKBACK_SECONDS = 24 * 60 * 60;
+
+// Helper: recursively extract plain text from Gmail message
+function extractPlainText(payload) {
+  let text = "";
+  if (!payload) return text;
+
+  if (payload.mimeType === "text/plain" && payload.body?.data) {
+    text += Buffer.from(payload.body.data, "base64").toString("utf-8");
+  }
+
+  if (payload.parts) {
+    for (const part of payload.parts) {
+      text += extractPlainText(part);
+    }
+  }
+
+  return text;
+}
+
+/** True if the confirmation has no meaningful booking data (would create an "empty" confirmation doc). */
+function isEmptyConfirmation(data) {
+  if (!data || typeof data !== "object") return true;
+  const s = (v) => (v && String(v).trim()) || "";
+  const hasId = s(data.bookingId);
+  const hasName =
+    s(data.hotelName) ||
+    s(data.restaurantName) ||
+    s(data.eventName) ||
+    s(data.airline) ||
+    s(data.rentalCompany) ||
+    s(data.carModel) ||
+    s(data.venue) ||
+    s(data.performer) ||
+    s(data.ticketType);
+  const hasSummary = s(data.summary);
+  return !(hasId || hasName || hasSummary);
+}
+
+/**
+ * List booking-related message IDs matching a date filter, newest first, one page at a time
+ * @param {object} gmail - Gmail API client
+ * @param {string} dateFilter - Gmail q date filter (e.g. " newer_than:7d")
+ * @param {object} options
+ * @param {number} [options.maxMessages] - Stop after this many IDs
+ * @param {function} [options.isDone] - (ids) => boolean; stop paging early once it returns true
+ * @returns {Promise<Array<string>>}
+ */
+const listBookingMessageIds = async (
+  gmail,
+  dateFilter,
+  { maxMessages = MAX_MESSAGES_PER_SYNC, isDone = () => false } = {}
+) => {
+  const messageIds = [];
+  let pageToken;
+
+  do {
+    const listRes = await gmail.users.messages.list({
+      userId: "me",
+      q: BOOKING_QUERY + dateFilter,
+      maxResults: Math.min(500, maxMessages - messageIds.length),
+      pageToken,
+    });
+    (listRes.data.messages || []).forEach((msg) => messageIds.push(msg.id));
+    pageToken = listRes.data.nextPageToken;
+  } while (pageToken && messageIds.length < maxMessages && !isDone(messageIds));
+
+  return messageIds;
+};
+
+/**
+ * List IDs of messages added since a Gmail historyId
+ * @param {object} gmail - Gmail API client
+ * @param {string} startHistoryId - historyId saved from the previous sync
+ * @returns {Promise<Set<string>>}
+ */
+const listMessageIdsAddedSince = async (gmail, startHistoryId) => {
+  const messageIds = new Set();
+  let pageToken;
+
+  do {
+    const historyRes = await gmail.users.history.list({
+      userId: "me",
+      startHistoryId,
+      historyTypes: ["messageAdded"],
+      pageToken,
+    });
+
+    (historyRes.data.history || []).forEach((entry) => {
+      (entry.messagesAdded || []).forEach(({ message }) => {
+        if (message?.id) messageIds.add(message.id);
+      });
+    });
+
+    pageToken = historyRes.data.nextPageToken;
+  } while (pageToken);
+
+  return messageIds;
+};
+
+/**
+ * Determine which messages to scan for a user
+ * - Explicit date range: Gmail search with after/before
+ * - Incremental: messages added since the stored historyId that also match the booking query
+ * - Otherwise (first sync or expired historyId): last 7 days
+ * @param {object} gmail - Gmail API client
+ * @param {object|null} connection - Stored Gmail connection
+ * @param {object} options - Sync options
+ * @returns {Promise<Array<string>>}
+ */
+const selectMessageIds = async (gmail, connection, { startDate, endDate, incremental }) => {
+  if (startDate && endDate) {
+    return listBookingMessageIds(
+      gmail,
+      ` after:${startDate.replace(/-/g, "/")} before:${endDate.replace(/-/g, "/")}`
+    );
+  }
+
+  if (incremental && connection?.historyId) {
+    try {
+      const addedIds = await listMessageIdsAddedSince(gmail, connection.historyId);
+      if (addedIds.size === 0) return [];
+
+      // history.list has no search filter, so intersect with the booking query
+      const lastSyncedSeconds = connection.lastSyncedAt?.seconds;
+      const dateFilter = lastSyncedSeconds
+        ? ` after:${lastSyncedSeconds - INCREMENTAL_LOOKBACK_SECONDS}`
+        : " newer_than:7d";
+      const bookingIds = await listBookingMessageIds(gmail, dateFilter, {
+        maxMessages: MAX_INCREMENTAL_SCAN_MESSAGES,
+        isDone: (ids) => ids.filter((id) => addedIds.has(id)).length === addedIds.size,
+      });
+      return bookingIds.filter((id) => addedIds.has(id));
+    } catch (error) {
+      // Gmail returns 404 when the historyId is too old; fall back to a normal scan
+      if (error.code !== 404) throw error;
+      console.log("⚠️ Gmail historyId expired, falling back to full scan");
+    }
+  }
+
+  return listBookingMessageIds(gmail, " newer_than:7d");
+};
+
+/**
+ * Sync a user's Gmail mailbox using their stored tokens and save new booking confirmations.
+ * The mailbox position (historyId) always moves on, so messages that fail to fetch or extract are kept
+ * on the connection as failedMessages ({ id, attempts }) and retried by later incremental syncs, up to
+ * MAX_MESSAGE_ATTEMPTS times. If saving the confirmations fails, the sync fails and the position stays put.
+ * @param {string} userId - The user ID from Clerk
+ * @param {object} options - Sync options
+ * @param {string} options.tripId - Optional trip ID to link confirmations to
+ * @param {string} options.startDate - Optional start date (YYYY-MM-DD)
+ * @param {string} options.endDate - Optional end date (YYYY-MM-DD)
+ * @param {boolean} options.incremental - Only scan messages added since the last sync (historyId)
+ * @returns {Promise<object>} - { messagesScanned, messagesFailed, validResults, savedConfirmations, duplicatedItems }
+ */
+const syncGmailForUser = async (
+  userId,
+  { tripId = null, startDate, endDate, incremental = false } = {}
+) => {
+  try {
+    const oauth2Client = await getAuthorizedClient(userId);
+    const connection = await getGmailConnection(userId);
+    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+    // Capture the mailbox position before scanning so mail arriving mid-sync is picked up next time
+    const profile = await gmail.users.getProfile({ userId: "me" });
+    const selectedIds = await selectMessageIds(gmail, connection, {
+      startDate,
+      endDate,
+      incremental,
+    });
+
+    // Retry messages that failed on earlier syncs
+    const previousAttempts = new Map(
+      (connection?.failedMessages || []).map(({ id, attempts }) => [id, attempts])
+    );
+    const messageIds = incremental
+      ? [...new Set([...selectedIds, ...previousAttempts.keys()])]
+      : selectedIds;
+
+    // extractBookingData returns an array of bookings per email (empty array if none found)
+    const allExtracted = [];
+    const failedMessages = [];
+
+    for (const messageId of messageIds) {
+      try {
+        const fullEmail = await gmail.users.messages.get({
+          userId: "me",
+          id: messageId,
+          format: "full",
+        });
+
+        const emailText = extractPlainText(fullEmail.data.payload);
+        if (!emailText.trim()) continue;
+
+        const items = await extractBookingData(emailText);
+        const list = Array.isArray(items) ? items : items ? [items] : [];
+        list.forEach((structuredData) => {
+          allExtracted.push({ emailId: messageId, structuredData });
+        });
+      } catch (error) {
+        // Continue with the next email; this one is retried on a later sync
+        console.error(`Error processing email ${messageId}:`, error);
+        const attempts = (previousAttempts.get(messageId) || 0) + 1;
+        if (attempts < MAX_MESSAGE_ATTEMPTS) {
+          failedMessages.push({ id: messageId, attempts });
+        } else {
+          console.error(`Giving up on email ${messageId} after ${attempts} attempts`);
+        }
+      }
+    }
+
+    // A full scan doesn't retry, so keep earlier failures for the next incremental sync
+    if (!incremental) {
+      const failedIds = new Set(failedMessages.map(({ id }) => id));
+      previousAttempts.forEach((attempts, id) => {
+        if (!failedIds.has(id)) failedMessages.push({ id, attempts });
+      });
+    }
+
+    // Only keep confirmations that have meaningful data (avoid saving "empty" docs)
+    const validResults = allExtracted.filter(
+      ({ structuredData }) => !isEmptyConfirmation(structuredData)
+    );
+
+    // AI duplicate detection: collect duplicates and only save non-duplicates
+    const duplicatedItems = [];
+    const confirmationsToSave = [];
+    for (const { structuredData: confirmation } of validResults) {
+      const { isDuplicate, duplicateDocuments } = await findDuplicateConfirmationForUser(
+        userId,
+        confirmation
+      );
+      if (isDuplicate && duplicateDocuments.length > 0) {
+        duplicatedItems.push(...duplicateDocuments);
+      } else {
+        confirmationsToSave.push(confirmation);
+      }
+    }
+
+    // Save only non-duplicate confirmations to Firestore; a failure fails the sync so nothing is skipped
+    const savedConfirmations =
+      confirmationsToSave.length > 0
+        ? await saveConfirmations(userId, confirmationsToSave, tripId || null)
+        : [];
+    console.log(`✅ Saved ${savedConfirmations.length} confirmations to Firestore`);
+
+    if (savedConfirmations.length > 0) {
+      const categories = confirmationsToSave.map((d) => d.category).filter(Boolean);
+      const mostCommonCategory = categories.length > 0 ? categories[0] : "travel";
+      sendTravelConfirmationProcessedNotification(userId, savedConfirmations.length, mostCommonCategory)
+        .catch((err) => console.error("Failed to send confirmation notification:", err));
+    }
+
+    await updateGmailSyncState(userId, {
+      historyId: profile.data.historyId,
+      lastSyncedAt: admin.firestore.Timestamp.now(),
+      lastSyncError: null,
+      failedMessages,
+    });
+
+    return {
+      messagesScanned: messageIds.length,
+      messagesFailed: failedMessages.length,
+      validResults,
+      savedConfirmations,
+      duplicatedItems,
+    };
+  } catch (error) {
+    console.error("Error syncing Gmail for user:", error);
+
+    // invalid_grant means the refresh token was revoked or expired; the user must reconnect
+    const isRevoked = error.response?.data?.error === "invalid_grant" || error.message === "invalid_grant";
+    if (!error.message.includes("not connected")) {
+      await updateGmailSyncState(userId, {
+        lastSyncError: error.message,
+        ...(isRevoked && { status: "reauth_required" }),
+      }).catch((err) => console.error("Failed to record Gmail sync error:", err));
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  syncGmailForUser,
+  isEmptyConfirmation,
+};
@@ -0,0 +1,319 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { google } = require("googleapis");
+
+const CONNECTIONS_COLLECTION = "gmailConnections";
+const OAUTH_STATES_COLLECTION = "gmailOAuthStates";
+
+const GMAIL_SCOPES = ["https://www.googleapis.com/auth/gmail.readonly"];
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const ENCRYPTION_ALGORITHM = "aes-256-gcm";
+
+/**
+ * Create a fresh OAuth2 client (one per user/request to avoid sharing credentials)
+ * @returns {OAuth2Client}
+ */
+const createOAuth2Client = () => {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+};
+
+/**
+ * Derive the 32-byte encryption key from GMAIL_TOKEN_ENCRYPTION_KEY
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () => {
+  const secret = process.env.GMAIL_TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error("GMAIL_TOKEN_ENCRYPTION_KEY is not configured");
+  }
+  // Hash the secret so any sufficiently random string can be used as the key
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a token payload with AES-256-GCM
+ * @param {object} payload - Token object to encrypt
+ * @returns {string} - "iv:authTag:ciphertext" encoded in base64
+ */
+const encryptTokens = (payload) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf8"),
+    cipher.final(),
+  ]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, ciphertext].map((buf) => buf.toString("base64")).join(":");
+};
+
+/**
+ * Decrypt a token payload produced by encryptTokens
+ * @param {string} encrypted - Encrypted token string
+ * @returns {object} - Decrypted token object
+ */
+const decryptTokens = (encrypted) => {
+  const [iv, authTag, ciphertext] = encrypted
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+};
+
+/**
+ * Create an OAuth state bound to a Clerk user and build the Gmail consent URL
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<string>} - Google consent screen URL
+ */
+const createGmailAuthUrl = async (userId) => {
+  try {
+    const db = getFirestore();
+    const state = crypto.randomBytes(24).toString("hex");
+
+    await db.collection(OAUTH_STATES_COLLECTION).doc(state).set({
+      userId,
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + OAUTH_STATE_TTL_MS),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return createOAuth2Client().generateAuthUrl({
+      access_type: "offline",
+      scope: GMAIL_SCOPES,
+      prompt: "consent",
+      state,
+    });
+  } catch (error) {
+    console.error("Error creating Gmail auth URL:", error);
+    throw error;
+  }
+};
+
+/**
+ * Validate and consume an OAuth state (single use)
+ * @param {string} state - The state returned by Google
+ * @returns {Promise<string>} - The user ID the state was issued for
+ */
+const consumeOAuthState = async (state) => {
+  try {
+    if (!state) {
+      throw new Error("Invalid OAuth state");
+    }
+
+    const db = getFirestore();
+    const stateRef = db.collection(OAUTH_STATES_COLLECTION).doc(state);
+
+    // Read and delete in one transaction so two concurrent callbacks can't both redeem the state
+    const { userId, expiresAt } = await db.runTransaction(async (transaction) => {
+      const stateDoc = await transaction.get(stateRef);
+
+      if (!stateDoc.exists) {
+        throw new Error("Invalid OAuth state");
+      }
+
+      // Deleted even when expired so a state can never be replayed
+      transaction.delete(stateRef);
+      return stateDoc.data();
+    });
+
+    if (expiresAt && expiresAt.toMillis() < Date.now()) {
+      throw new Error("OAuth state has expired");
+    }
+
+    return userId;
+  } catch (error) {
+    console.error("Error consuming OAuth state:", error);
+    throw error;
+  }
+};
+
+/**
+ * Store (encrypted) Gmail tokens for a user. Merges with existing tokens so a
+ * refresh that omits refresh_token does not wipe it.
+ * @param {string} userId - The user ID from Clerk
+ * @param {object} tokens - Google OAuth tokens (access_token, refresh_token, expiry_date, ...)
+ * @returns {Promise<void>}
+ */
+const saveGmailTokens = async (userId, tokens) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(CONNECTIONS_COLLECTION).doc(userId);
+    const doc = await docRef.get();
+
+    let existingTokens = {};
+    if (doc.exists && doc.data().encryptedTokens) {
+      existingTokens = decryptTokens(doc.data().encryptedTokens);
+    }
+
+    const mergedTokens = { ...existingTokens };
+    Object.entries(tokens || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        mergedTokens[key] = value;
+      }
+    });
+
+    const data = {
+      userId,
+      encryptedTokens: encryptTokens(mergedTokens),
+      status: "connected",
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (!doc.exists) {
+      data.createdAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    await docRef.set(data, { merge: true });
+  } catch (error) {
+    console.error("Error saving Gmail tokens:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the stored Gmail connection for a user (tokens are not included)
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<object|null>} - Connection metadata or null if not connected
+ */
+const getGmailConnection = async (userId) => {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(CONNECTIONS_COLLECTION).doc(userId).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    // Never expose the encrypted tokens outside this service
+    const { encryptedTokens, ...connection } = doc.data();
+    return { id: doc.id, ...connection };
+  } catch (error) {
+    console.error("Error getting Gmail connection:", error);
+    throw error;
+  }
+};
+
+/**
+ * Build an authorized OAuth2 client for a user from the stored tokens.
+ * Refreshed tokens are persisted automatically.
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<OAuth2Client>}
+ */
+const getAuthorizedClient = async (userId) => {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(CONNECTIONS_COLLECTION).doc(userId).get();
+
+    if (!doc.exists || !doc.data().encryptedTokens) {
+      throw new Error("Gmail is not connected for this user");
+    }
+
+    const oauth2Client = createOAuth2Client();
+    oauth2Client.setCredentials(decryptTokens(doc.data().encryptedTokens));
+
+    // googleapis emits "tokens" whenever it refreshes the access token
+    oauth2Client.on("tokens", (tokens) => {
+      saveGmailTokens(userId, tokens).catch((err) =>
+        console.error("Failed to persist refreshed Gmail tokens:", err)
+      );
+    });
+
+    return oauth2Client;
+  } catch (error) {
+    console.error("Error getting authorized Gmail client:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update sync bookkeeping (historyId, lastSyncedAt, status) for a connection
+ * @param {string} userId - The user ID from Clerk
+ * @param {object} updates - Fields to merge into the connection doc
+ * @returns {Promise<void>}
+ */
+const updateGmailSyncState = async (userId, updates) => {
+  try {
+    const db = getFirestore();
+    await db.collection(CONNECTIONS_COLLECTION).doc(userId).set(
+      {
+        ...updates,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  } catch (error) {
+    console.error("Error updating Gmail sync state:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user IDs of all connected Gmail mailboxes
+ * @returns {Promise<Array<string>>}
+ */
+const getConnectedGmailUserIds = async () => {
+  try {
+    const db = getFirestore();
+    const snapshot = await db
+      .collection(CONNECTIONS_COLLECTION)
+      .where("status", "==", "connected")
+      .get();
+
+    return snapshot.docs.map((doc) => doc.id);
+  } catch (error) {
+    console.error("Error getting connected Gmail users:", error);
+    throw error;
+  }
+};
+
+/**
+ * Disconnect Gmail for a user: revoke the token at Google and delete the stored connection
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<boolean>} - True if a connection was removed, false if none existed
+ */
+const deleteGmailConnection = async (userId) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(CONNECTIONS_COLLECTION).doc(userId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return false;
+    }
+
+    if (doc.data().encryptedTokens) {
+      try {
+        const tokens = decryptTokens(doc.data().encryptedTokens);
+        const tokenToRevoke = tokens.refresh_token || tokens.access_token;
+        if (tokenToRevoke) {
+          await createOAuth2Client().revokeToken(tokenToRevoke);
+        }
+      } catch (revokeError) {
+        // Still delete locally even if Google rejects the revoke (e.g. already revoked)
+        console.error("Failed to revoke Gmail token:", revokeError.message);
+      }
+    }
+
+    await docRef.delete();
+    return true;
+  } catch (error) {
+    console.error("Error deleting Gmail connection:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createGmailAuthUrl,
+  consumeOAuthState,
+  createOAuth2Client,
+  saveGmailTokens,
+  getGmailConnection,
+  getAuthorizedClient,
+  updateGmailSyncState,
+  getConnectedGmailUserIds,
+  deleteGmailConnection,
+};
@@ -1,12 +1,7 @@
-const OpenAI = require("openai");
-const axios = require("axios");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { generateImage } = require("./llmGateway");
 
 /**
- * Generate a trip cover photo using DALL-E
+ * Generate a trip cover photo with the image model
  * @param {string} destination - The trip destination
  * @returns {Promise<Buffer>} - The generated image as a buffer
  */
@@ -21,28 +16,14 @@ const generateTripCoverPhoto = async (destination) => {
     console.log(`🎨 Generating cover photo for destination: ${destination}`);
     console.log(`📝 Prompt: ${prompt}`);
 
-    const response = await openai.images.generate({
-      model: "dall-e-3",
-      prompt: prompt,
-      n: 1,
+    const { image: imageBuffer, model } = await generateImage("cover-photo", {
+      prompt,
       size: "1024x1024",
       quality: "hd",
       style: "vivid",
     });
 
-    const imageUrl = response.data[0].url;
-
-    if (!imageUrl) {
-      throw new Error("Failed to generate image URL from DALL-E");
-    }
-
-    console.log("⬇️ Downloading generated image...");
-    const imageResponse = await axios.get(imageUrl, {
-      responseType: "arraybuffer",
-    });
-
-    const imageBuffer = Buffer.from(imageResponse.data, "binary");
-    console.log(`✅ Image generated and downloaded (${imageBuffer.length} bytes)`);
+    console.log(`✅ Image generated with ${model} (${imageBuffer.length} bytes)`);
 
     return imageBuffer;
   } catch (error) {
@@ -0,0 +1,377 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const { VIDEO_PIPELINE_STAGES } = require("./videoInspirationService");
+const { releaseFeatureRequest } = require("./usageService");
+
+const COLLECTION_NAME = "inspirationJobs";
+
+const JOB_TYPES = { VIDEO_ANALYSIS: "video_analysis" };
+const JOB_STATUSES = ["queued", "processing", "completed", "failed"];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_DELAY_SECONDS = 30;
+// A processing job whose lock has expired is assumed to belong to a crashed worker
+const JOB_LOCK_MINUTES = 15;
+
+/**
+ * Max attempts per job (INSPIRATION_JOB_MAX_ATTEMPTS)
+ * @returns {number}
+ */
+const getMaxAttempts = () =>
+  parseInt(process.env.INSPIRATION_JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+/**
+ * Exponential backoff before the next attempt: base, 2x base, 4x base, ...
+ * @param {number} attempts - Attempts made so far (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelayMs = (attempts) => {
+  const baseSeconds =
+    parseInt(process.env.INSPIRATION_JOB_RETRY_BASE_SECONDS, 10) || DEFAULT_RETRY_BASE_DELAY_SECONDS;
+  return baseSeconds * 1000 * 2 ** Math.max(0, attempts - 1);
+};
+
+/**
+ * Give a failed job's quota reservation back to its owner (logged, never thrown)
+ * @param {string} jobId - The job document ID
+ * @param {object} data - The job document data
+ * @returns {Promise<void>}
+ */
+const releaseJobQuota = async (jobId, data) => {
+  if (!data.quota) return;
+  await releaseFeatureRequest(data.userId, data.quota.feature, data.quota.period).catch((error) =>
+    console.error(`Failed to release quota of inspiration job ${jobId}:`, error.message)
+  );
+};
+
+/**
+ * Build the initial per-stage progress list
+ * @returns {Array<object>}
+ */
+const buildInitialStages = () =>
+  VIDEO_PIPELINE_STAGES.map((name) => ({ name, status: "pending" }));
+
+/**
+ * Shape a job document for API responses (timestamps as ISO strings)
+ * @param {object} doc - Firestore document snapshot
+ * @returns {object}
+ */
+const formatJob = (doc) => {
+  const data = doc.data();
+  const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+  return {
+    id: doc.id,
+    ...data,
+    stages: (data.stages || []).map((stage) => ({
+      ...stage,
+      startedAt: toIso(stage.startedAt),
+      completedAt: toIso(stage.completedAt),
+    })),
+    nextAttemptAt: toIso(data.nextAttemptAt),
+    lockedUntil: toIso(data.lockedUntil),
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+    completedAt: toIso(data.completedAt),
+  };
+};
+
+/**
+ * Queue a video analysis job
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} url - Video URL
+ * @param {string} platform - Video source adapter name
+ * @param {object} options
+ * @param {object|null} [options.quota] - Quota reservation ({ feature, period }) to give back if the job fails
+ * @returns {Promise<object>} - The created job
+ */
+const createVideoAnalysisJob = async (userId, url, platform, { quota = null } = {}) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc();
+
+    await docRef.set({
+      userId,
+      type: JOB_TYPES.VIDEO_ANALYSIS,
+      url,
+      platform,
+      status: "queued",
+      stage: null,
+      stages: buildInitialStages(),
+      progress: 0,
+      attempts: 0,
+      maxAttempts: getMaxAttempts(),
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      lockedUntil: null,
+      result: null,
+      error: null,
+      quota,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return formatJob(await docRef.get());
+  } catch (error) {
+    console.error("Error creating video analysis job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a job owned by the user
+ * @param {string} jobId - The job document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<object>} - The job
+ */
+const getJobById = async (jobId, userId) => {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(COLLECTION_NAME).doc(jobId).get();
+
+    if (!doc.exists) {
+      throw new Error("Job not found");
+    }
+
+    if (doc.data().userId !== userId) {
+      throw new Error("Unauthorized: You don't have access to this job");
+    }
+
+    return formatJob(doc);
+  } catch (error) {
+    console.error("Error getting inspiration job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Atomically claim the next runnable job: a queued job whose retry time has passed,
+ * or a processing job whose worker lock has expired.
+ * An expired job that has already used all its attempts (its worker kept crashing) is failed instead.
+ * Needs composite indexes on inspirationJobs (status, nextAttemptAt) and (status, lockedUntil).
+ * @returns {Promise<object|null>} - The claimed job, or null if nothing is runnable
+ */
+const claimNextJob = async () => {
+  try {
+    const db = getFirestore();
+    const now = admin.firestore.Timestamp.now();
+    const collection = db.collection(COLLECTION_NAME);
+
+    const candidates = [
+      collection
+        .where("status", "==", "queued")
+        .where("nextAttemptAt", "<=", now)
+        .orderBy("nextAttemptAt")
+        .limit(1),
+      collection
+        .where("status", "==", "processing")
+        .where("lockedUntil", "<=", now)
+        .orderBy("lockedUntil")
+        .limit(1),
+    ];
+
+    for (const query of candidates) {
+      let outcome = "failed";
+      let docRef;
+
+      // Keep looking in this query while the candidates found are exhausted jobs being failed
+      while (outcome === "failed") {
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        docRef = snapshot.docs[0].ref;
+        outcome = await db.runTransaction(async (transaction) => {
+          const doc = await transaction.get(docRef);
+          const data = doc.data();
+          const queued = data.status === "queued" && data.nextAttemptAt.toMillis() <= now.toMillis();
+          const lockExpired =
+            data.status === "processing" && data.lockedUntil && data.lockedUntil.toMillis() <= now.toMillis();
+
+          // Another worker got there first
+          if (!queued && !lockExpired) return "taken";
+
+          const attempts = data.attempts || 0;
+          if (lockExpired && attempts >= (data.maxAttempts || getMaxAttempts())) {
+            transaction.update(docRef, {
+              status: "failed",
+              stages: (data.stages || []).map((entry) =>
+                entry.name === data.stage ? { ...entry, status: "failed" } : entry
+              ),
+              lockedUntil: null,
+              error: {
+                message: "Job did not finish before its worker lock expired",
+                stage: data.stage || null,
+                attempt: attempts,
+              },
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return "failed";
+          }
+
+          transaction.update(docRef, {
+            status: "processing",
+            attempts: attempts + 1,
+            stages: buildInitialStages(),
+            progress: 0,
+            lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + JOB_LOCK_MINUTES * 60 * 1000),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          return "claimed";
+        });
+
+        if (outcome === "failed") {
+          console.error(`Inspiration job ${docRef.id} failed: worker lock expired after its last attempt`);
+          await releaseJobQuota(docRef.id, (await docRef.get()).data());
+        }
+      }
+
+      if (outcome === "claimed") {
+        return formatJob(await docRef.get());
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error("Error claiming inspiration job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a pipeline stage as started (and the previous stages as done)
+ * @param {string} jobId - The job document ID
+ * @param {string} stage - Stage name from VIDEO_PIPELINE_STAGES
+ * @returns {Promise<void>}
+ */
+const updateJobStage = async (jobId, stage) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(jobId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Job not found");
+    }
+
+    const stageIndex = VIDEO_PIPELINE_STAGES.indexOf(stage);
+    const now = admin.firestore.Timestamp.now();
+    const stages = (doc.data().stages || buildInitialStages()).map((entry, index) => {
+      if (index < stageIndex && entry.status !== "completed") {
+        return { ...entry, status: "completed", completedAt: now };
+      }
+      if (index === stageIndex) {
+        return { ...entry, status: "in_progress", startedAt: now };
+      }
+      return entry;
+    });
+
+    await docRef.update({
+      stage,
+      stages,
+      progress: Math.round((stageIndex / VIDEO_PIPELINE_STAGES.length) * 100),
+      // Each stage can take minutes (annotateVideo); extend the lock as we go
+      lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + JOB_LOCK_MINUTES * 60 * 1000),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error("Error updating inspiration job stage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a job as completed
+ * @param {string} jobId - The job document ID
+ * @param {Array} items - Saved inspiration items
+ * @returns {Promise<void>}
+ */
+const completeJob = async (jobId, items) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(jobId);
+    const doc = await docRef.get();
+    const now = admin.firestore.Timestamp.now();
+
+    const stages = (doc.data()?.stages || buildInitialStages()).map((entry) =>
+      entry.status === "completed" ? entry : { ...entry, status: "completed", completedAt: now }
+    );
+
+    await docRef.update({
+      status: "completed",
+      stage: null,
+      stages,
+      progress: 100,
+      lockedUntil: null,
+      error: null,
+      result: {
+        itemCount: Array.isArray(items) ? items.length : 0,
+        items: Array.isArray(items) ? items : [],
+      },
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error("Error completing inspiration job:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a failed attempt: requeue with exponential backoff, or fail the job
+ * once maxAttempts is reached
+ * @param {string} jobId - The job document ID
+ * @param {Error} jobError - The error that ended the attempt
+ * @returns {Promise<{willRetry: boolean, nextAttemptAt: Date|null}>}
+ */
+const failJobAttempt = async (jobId, jobError) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(jobId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Job not found");
+    }
+
+    const data = doc.data();
+    const attempts = data.attempts || 1;
+    const willRetry = attempts < (data.maxAttempts || getMaxAttempts());
+    const nextAttemptAt = willRetry ? new Date(Date.now() + getRetryDelayMs(attempts)) : null;
+
+    const stages = (data.stages || []).map((entry) =>
+      entry.name === data.stage ? { ...entry, status: "failed" } : entry
+    );
+
+    await docRef.update({
+      status: willRetry ? "queued" : "failed",
+      stages,
+      lockedUntil: null,
+      nextAttemptAt: willRetry ? admin.firestore.Timestamp.fromDate(nextAttemptAt) : data.nextAttemptAt,
+      error: {
+        message: jobError.message,
+        stage: data.stage || null,
+        attempt: attempts,
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (!willRetry) {
+      await releaseJobQuota(jobId, data);
+    }
+
+    return { willRetry, nextAttemptAt };
+  } catch (error) {
+    console.error("Error recording inspiration job failure:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  createVideoAnalysisJob,
+  getJobById,
+  claimNextJob,
+  updateJobStage,
+  completeJob,
+  failJobAttempt,
+};
@@ -0,0 +1,143 @@
+const {
+  JOB_TYPES,
+  claimNextJob,
+  updateJobStage,
+  completeJob,
+  failJobAttempt,
+} = require("./inspirationJobService");
+const { getVideoSourceAdapter } = require("./videoSourceService");
+const { processVideoInspiration } = require("./videoInspirationService");
+const { runWithUsageContext } = require("./usageService");
+
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+
+let intervalHandle = null;
+let isRunning = false;
+
+/**
+ * Run one claimed job through its pipeline and record the outcome
+ * @param {object} job - Claimed job (status "processing")
+ * @returns {Promise<boolean>} - True if the job completed
+ */
+const processInspirationJob = async (job) => {
+  try {
+    if (job.type !== JOB_TYPES.VIDEO_ANALYSIS) {
+      throw new Error(`Unsupported job type: ${job.type}`);
+    }
+
+    const adapter = getVideoSourceAdapter(job.url);
+    if (!adapter) {
+      throw new Error("Unsupported video URL");
+    }
+
+    console.log(`🧵 Processing inspiration job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    // Bill the analysis to the job's user; the worker runs outside any request
+    const items = await runWithUsageContext({ userId: job.userId }, () =>
+      processVideoInspiration(job.url, job.userId, adapter, {
+        jobId: job.id,
+        onStage: (stage) => updateJobStage(job.id, stage),
+      })
+    );
+
+    await completeJob(job.id, items);
+    console.log(`✅ Inspiration job ${job.id} completed`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Inspiration job ${job.id} failed:`, error.message);
+    const { willRetry, nextAttemptAt } = await failJobAttempt(job.id, error);
+    if (willRetry) {
+      console.log(`🔁 Inspiration job ${job.id} will retry at ${nextAttemptAt.toISOString()}`);
+    }
+    return false;
+  }
+};
+
+/**
+ * Drain runnable jobs one at a time (video analysis is heavy; don't run them side by side)
+ * @returns {Promise<object>} - { processed, completed, skipped }
+ */
+const runInspirationJobWorker = async () => {
+  if (isRunning) {
+    return { processed: 0, completed: 0, skipped: true };
+  }
+
+  isRunning = true;
+  let processed = 0;
+  let completed = 0;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      processed += 1;
+      if (await processInspirationJob(job)) completed += 1;
+      job = await claimNextJob();
+    }
+
+    return { processed, completed, skipped: false };
+  } catch (error) {
+    console.error("Error running inspiration job worker:", error);
+    throw error;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Wake the worker right away (e.g. after a job is queued) instead of waiting for the next poll
+ */
+const triggerInspirationJobWorker = () => {
+  if (process.env.INSPIRATION_JOB_WORKER_ENABLED === "false") return;
+  setImmediate(() => {
+    runInspirationJobWorker().catch((err) =>
+      console.error("Inspiration job worker run failed:", err)
+    );
+  });
+};
+
+/**
+ * Start the in-process job worker.
+ * Controlled by INSPIRATION_JOB_WORKER_ENABLED ("false" disables) and
+ * INSPIRATION_JOB_POLL_INTERVAL_SECONDS.
+ * @returns {boolean} - True if the worker was started
+ */
+const startInspirationJobWorker = () => {
+  if (intervalHandle) return true;
+
+  if (process.env.INSPIRATION_JOB_WORKER_ENABLED === "false") {
+    console.log("⏸️ Inspiration job worker disabled (INSPIRATION_JOB_WORKER_ENABLED=false)");
+    return false;
+  }
+
+  const intervalSeconds =
+    Number(process.env.INSPIRATION_JOB_POLL_INTERVAL_SECONDS) || DEFAULT_POLL_INTERVAL_SECONDS;
+
+  intervalHandle = setInterval(() => {
+    runInspirationJobWorker().catch((err) =>
+      console.error("Inspiration job worker run failed:", err)
+    );
+  }, intervalSeconds * 1000);
+
+  // Don't keep the process alive just for the worker
+  intervalHandle.unref();
+
+  console.log(`⏰ Inspiration job worker polling every ${intervalSeconds} second(s)`);
+  return true;
+};
+
+/**
+ * Stop the in-process job worker
+ */
+const stopInspirationJobWorker = () => {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+};
+
+module.exports = {
+  processInspirationJob,
+  runInspirationJobWorker,
+  triggerInspirationJobWorker,
+  startInspirationJobWorker,
+  stopInspirationJobWorker,
+};
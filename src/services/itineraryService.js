@@ -1,61 +1,136 @@
-const OpenAI = require("openai");
+const { completeJSON } = require("./llmGateway");
+const { itinerarySchema, itineraryDaySchema, itineraryDaysSchema } = require("./llmSchemas");
+const {
+  normalizeLegs,
+  buildLegDayPlan,
+  describeLegsForPrompt,
+  applyLegsToItinerary,
+} = require("./tripLegService");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string|null}
+ */
+const formatDate = (date) =>
+  date instanceof Date && !isNaN(date) ? date.toISOString().split("T")[0] : null;
 
 /**
- * Generate an itinerary sized to the provided start/end dates or duration.
+ * Work out the dates and number of days to generate from the trip's dates, duration or legs
  * @param {object} selectedTrip - The selected trip suggestion data
- * @returns {Promise<object>} - Object containing itinerary with per-day activities
+ * @returns {object} - { legs, dayCount, computedStart, startDateStr, endDateStr, dayPlan }
  */
-const generateItinerary = async (selectedTrip) => {
-  try {
-    const toDate = (value) => (value ? new Date(value) : null);
-    const formatDate = (date) =>
-      date instanceof Date && !isNaN(date) ? date.toISOString().split("T")[0] : null;
+const resolveItineraryDates = (selectedTrip) => {
+  const toDate = (value) => (value ? new Date(value) : null);
+
+  // Multi-destination trips: the legs also supply dates when none are set
+  const legs = normalizeLegs(selectedTrip.legs);
+  const startDateInput = selectedTrip.start_date || selectedTrip.startDate || legs[0]?.startDate;
+  const endDateInput = selectedTrip.end_date || selectedTrip.endDate || legs[legs.length - 1]?.endDate;
+  const durationInput = selectedTrip.durationDays || selectedTrip.duration || selectedTrip.days;
+
+  const startDate = toDate(startDateInput);
+  const endDate = toDate(endDateInput);
+  const durationDays = Number.isFinite(Number(durationInput)) ? Number(durationInput) : null;
+
+  let computedStart = startDate;
+  let computedEnd = endDate;
+  let dayCount = 3;
+
+  if (startDate && endDate) {
+    const diffMs = endDate - startDate;
+    const diffDays = Math.max(1, Math.round(diffMs / (1000 * 60 * 60 * 24)) + 1);
+    dayCount = diffDays;
+  } else if (startDate && durationDays) {
+    computedStart = startDate;
+    computedEnd = new Date(startDate);
+    computedEnd.setDate(startDate.getDate() + durationDays - 1);
+    dayCount = durationDays;
+  } else if (durationDays) {
+    // No dates; use a sensible default window ~2 weeks out
+    const seed = new Date();
+    seed.setDate(seed.getDate() + 14);
+    computedStart = seed;
+    computedEnd = new Date(seed);
+    computedEnd.setDate(seed.getDate() + durationDays - 1);
+    dayCount = durationDays;
+  } else {
+    // fallback to 4-day default window
+    const seed = new Date();
+    seed.setDate(seed.getDate() + 14);
+    computedStart = seed;
+    computedEnd = new Date(seed);
+    computedEnd.setDate(seed.getDate() + 3);
+    dayCount = 4;
+  }
 
-    const startDateInput = selectedTrip.start_date || selectedTrip.startDate;
-    const endDateInput = selectedTrip.end_date || selectedTrip.endDate;
-    const durationInput = selectedTrip.durationDays || selectedTrip.duration || selectedTrip.days;
+  const startDateStr = formatDate(computedStart || startDate) || formatDate(startDate) || "";
+  const endDateStr = formatDate(computedEnd || endDate) || formatDate(endDate) || "";
 
-    const startDate = toDate(startDateInput);
-    const endDate = toDate(endDateInput);
-    const durationDays = Number.isFinite(Number(durationInput)) ? Number(durationInput) : null;
+  const dayPlan = legs.length > 0 ? buildLegDayPlan(legs, startDateStr, dayCount) : [];
 
-    let computedStart = startDate;
-    let computedEnd = endDate;
-    let dayCount = 3;
+  return { legs, dayCount, computedStart: computedStart || startDate, startDateStr, endDateStr, dayPlan };
+};
 
-    if (startDate && endDate) {
-      const diffMs = endDate - startDate;
-      const diffDays = Math.max(1, Math.round(diffMs / (1000 * 60 * 60 * 24)) + 1);
-      dayCount = diffDays;
-    } else if (startDate && durationDays) {
-      computedStart = startDate;
-      computedEnd = new Date(startDate);
-      computedEnd.setDate(startDate.getDate() + durationDays - 1);
-      dayCount = durationDays;
-    } else if (durationDays) {
-      // No dates; use a sensible default window ~2 weeks out
-      const seed = new Date();
-      seed.setDate(seed.getDate() + 14);
-      computedStart = seed;
-      computedEnd = new Date(seed);
-      computedEnd.setDate(seed.getDate() + durationDays - 1);
-      dayCount = durationDays;
+/**
+ * Clean up generated activities: make sure each has a valid timeBlock, tag it as AI-generated
+ * and keep estimatedCost only when it's usable
+ * @param {Array} activities - Activities as returned by the model
+ * @returns {Array} - Normalized activities
+ */
+const normalizeGeneratedActivities = (activities) =>
+  activities.map((activity) => {
+    // If timeBlock is missing, try to infer from time field
+    if (!activity.timeBlock && activity.time) {
+      const timeStr = activity.time.toLowerCase();
+      if (timeStr.includes("morning") || timeStr.includes("am") && !timeStr.includes("pm")) {
+        activity.timeBlock = "morning";
+      } else if (timeStr.includes("afternoon") || (timeStr.includes("pm") && !timeStr.includes("am"))) {
+        activity.timeBlock = "afternoon";
+      } else if (timeStr.includes("evening") || timeStr.includes("night")) {
+        activity.timeBlock = "evening";
+      } else {
+        // Default to morning if can't determine
+        activity.timeBlock = "morning";
+      }
+    } else if (!activity.timeBlock) {
+      // Default to morning if no time info
+      activity.timeBlock = "morning";
+    }
+
+    // Ensure timeBlock is valid
+    if (!["morning", "afternoon", "evening"].includes(activity.timeBlock)) {
+      activity.timeBlock = "morning";
+    }
+
+    // Add sourceType for AI-generated activities
+    activity.sourceType = "ai";
+
+    // Keep estimatedCost only when it's a usable { amount, currency }
+    const costAmount = Number(activity.estimatedCost?.amount);
+    if (activity.estimatedCost && isFinite(costAmount) && costAmount >= 0) {
+      activity.estimatedCost = {
+        amount: costAmount,
+        currency: activity.estimatedCost.currency
+          ? String(activity.estimatedCost.currency).toUpperCase()
+          : null,
+      };
     } else {
-      // fallback to 4-day default window
-      const seed = new Date();
-      seed.setDate(seed.getDate() + 14);
-      computedStart = seed;
-      computedEnd = new Date(seed);
-      computedEnd.setDate(seed.getDate() + 3);
-      dayCount = 4;
+      delete activity.estimatedCost;
     }
 
-    const startDateStr = formatDate(computedStart || startDate) || formatDate(startDate) || "";
-    const endDateStr = formatDate(computedEnd || endDate) || formatDate(endDate) || "";
+    return activity;
+  });
+
+/**
+ * Generate an itinerary sized to the provided start/end dates or duration.
+ * @param {object} selectedTrip - The selected trip suggestion data
+ * @returns {Promise<object>} - Object containing itinerary with per-day activities
+ */
+const generateItinerary = async (selectedTrip) => {
+  try {
+    const { dayCount, startDateStr, endDateStr, dayPlan } = resolveItineraryDates(selectedTrip);
+    const legsText = describeLegsForPrompt(dayPlan);
 
     const tripInfo = JSON.stringify(selectedTrip, null, 2);
 
@@ -68,7 +143,7 @@ Dates and duration:
 - start_date: ${startDateStr || "unset"}
 - end_date: ${endDateStr || "unset"}
 - total_days to produce: ${dayCount}
-
+${legsText}
 Create a comprehensive itinerary with specific activities for EACH day (day1 to day${dayCount}). Each day should have:
 - A variety of activities that match the trip's vibe/theme (${selectedTrip.vibe || selectedTrip.theme || "mixed"})
 - Realistic timing and locations
@@ -87,6 +162,7 @@ For each activity, provide:
 - description: A brief description (1-2 sentences)
 - type: One of: "attraction", "restaurant", "activity", "transport", "accommodation", "other"
 - location: The location/address if relevant
+- estimatedCost: Estimated cost for the whole party as { "amount": number, "currency": "ISO 4217 code" } in the local currency (amount 0 if free)
 
 Return ONLY a valid JSON object in this exact format (no markdown, no explanations):
 {
@@ -97,14 +173,14 @@ Return ONLY a valid JSON object in this exact format (no markdown, no explanatio
     "date": "YYYY-MM-DD",
     "summary": "short overview of the day",
     "activities": [
-      { "name": "string", "timeBlock": "morning", "time": "optional specific time", "description": "string", "type": "attraction", "location": "string" }
+      { "name": "string", "timeBlock": "morning", "time": "optional specific time", "description": "string", "type": "attraction", "location": "string", "estimatedCost": { "amount": 25, "currency": "EUR" } }
     ]
   },
   "day2": {
     "date": "YYYY-MM-DD",
     "summary": "short overview of the day",
     "activities": [
-      { "name": "string", "timeBlock": "afternoon", "description": "string", "type": "attraction", "location": "string" }
+      { "name": "string", "timeBlock": "afternoon", "description": "string", "type": "attraction", "location": "string", "estimatedCost": { "amount": 0, "currency": "EUR" } }
     ]
   },
   "...": {}
@@ -117,75 +193,166 @@ Rules:
 - All activities MUST have a timeBlock field ("morning", "afternoon", or "evening").
 - Only include the "time" field if there's a specific time requirement (e.g., reservation, flight).`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: parsed } = await completeJSON("itinerary-generation", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.7,
+      schema: itinerarySchema(dayCount),
     });
 
-    try {
-      let content = response.choices[0].message.content.trim();
+    // The schema requires the requested days; a longer total_days must still come with its days
+    const expectedDays = parsed.total_days;
+    for (let i = 1; i <= expectedDays; i++) {
+      const dayKey = `day${i}`;
+      const day = parsed[dayKey];
+      if (!day || !Array.isArray(day.activities)) {
+        throw new Error(`Invalid response structure from AI - missing ${dayKey} activities`);
+      }
 
-      content = content
-        .replace(/```json\s*/g, "")
-        .replace(/```/g, "")
-        .trim();
+      day.activities = normalizeGeneratedActivities(day.activities);
+    }
 
-      const parsed = JSON.parse(content);
+    if (dayPlan.length > 0) {
+      applyLegsToItinerary(parsed, dayPlan);
+    }
 
-      // Validate the structure
-      if (!parsed.total_days || typeof parsed.total_days !== "number") {
-        throw new Error("Invalid response structure from AI - missing total_days");
-      }
+    return parsed;
+  } catch (error) {
+    console.error("Error generating itinerary:", error);
+    throw error;
+  }
+};
 
-      const expectedDays = parsed.total_days;
-      for (let i = 1; i <= expectedDays; i++) {
-        const dayKey = `day${i}`;
-        const day = parsed[dayKey];
-        if (!day || !Array.isArray(day.activities)) {
-          throw new Error(`Invalid response structure from AI - missing ${dayKey} activities`);
-        }
+/**
+ * Lay out an itinerary's days (dates, leg cities, transfers) without any generated activities,
+ * so days can be generated one at a time with generateItineraryDay
+ * @param {object} selectedTrip - The selected trip suggestion data
+ * @returns {object} - { start_date, end_date, total_days, day1: { date, summary, activities: [] }, ... }
+ */
+const planItinerary = (selectedTrip) => {
+  const { dayCount, computedStart, startDateStr, endDateStr, dayPlan } = resolveItineraryDates(selectedTrip);
+
+  const itinerary = {
+    start_date: startDateStr,
+    end_date: endDateStr,
+    total_days: dayCount,
+  };
+
+  const start = computedStart || new Date();
+  for (let i = 1; i <= dayCount; i++) {
+    const dayDate = new Date(start);
+    dayDate.setDate(start.getDate() + (i - 1));
+    itinerary[`day${i}`] = {
+      date: formatDate(dayDate),
+      summary: "",
+      activities: [],
+    };
+  }
 
-        // Ensure all activities have timeBlock field and add sourceType
-        day.activities = day.activities.map((activity) => {
-          // If timeBlock is missing, try to infer from time field
-          if (!activity.timeBlock && activity.time) {
-            const timeStr = activity.time.toLowerCase();
-            if (timeStr.includes("morning") || timeStr.includes("am") && !timeStr.includes("pm")) {
-              activity.timeBlock = "morning";
-            } else if (timeStr.includes("afternoon") || (timeStr.includes("pm") && !timeStr.includes("am"))) {
-              activity.timeBlock = "afternoon";
-            } else if (timeStr.includes("evening") || timeStr.includes("night")) {
-              activity.timeBlock = "evening";
-            } else {
-              // Default to morning if can't determine
-              activity.timeBlock = "morning";
-            }
-          } else if (!activity.timeBlock) {
-            // Default to morning if no time info
-            activity.timeBlock = "morning";
-          }
+  return dayPlan.length > 0 ? applyLegsToItinerary(itinerary, dayPlan) : itinerary;
+};
 
-          // Ensure timeBlock is valid
-          if (!["morning", "afternoon", "evening"].includes(activity.timeBlock)) {
-            activity.timeBlock = "morning";
-          }
+/**
+ * Generate the activities for a single day of a planned itinerary
+ * @param {object} selectedTrip - The selected trip suggestion data
+ * @param {object} itinerary - The itinerary from planItinerary, with any days generated so far
+ * @param {number} dayNumber - The day to generate
+ * @returns {Promise<object>} - The day: { date, summary, activities, legId?, city?, transfer? }
+ */
+const generateItineraryDay = async (selectedTrip, itinerary, dayNumber) => {
+  try {
+    const dayKey = `day${dayNumber}`;
+    const plannedDay = itinerary[dayKey];
+    if (!plannedDay) {
+      throw new Error(`Invalid day number: ${dayNumber}`);
+    }
 
-          // Add sourceType for AI-generated activities
-          activity.sourceType = "ai";
+    const { dayCount, dayPlan } = resolveItineraryDates(selectedTrip);
+    const planDay = dayPlan.find((entry) => entry.dayNumber === dayNumber);
 
-          return activity;
-        });
-      }
+    // Earlier days are already generated; keep the model from repeating them
+    const earlierActivities = [];
+    for (let i = 1; i < dayNumber; i++) {
+      (itinerary[`day${i}`]?.activities || [])
+        .filter((activity) => activity.legTransfer !== true)
+        .forEach((activity) => earlierActivities.push(`- Day ${i}: ${activity.name}`));
+    }
+
+    let cityText = "";
+    if (planDay?.transfer) {
+      cityText = `- transfer day: travelling from ${planDay.transfer.from} to ${planDay.transfer.to}, plan a lighter day in ${planDay.transfer.to}\n`;
+    } else if (planDay?.city) {
+      cityText = `- base city: ${planDay.city}\n`;
+    }
+
+    const tripInfo = JSON.stringify(selectedTrip, null, 2);
+
+    const prompt = `You are an expert travel planner. Generate the activities for ONE day of the following trip:
+
+Trip Details:
+${tripInfo}
+
+Day to produce:
+- day: ${dayNumber} of ${dayCount}
+- date: ${plannedDay.date || "unset"}
+${cityText}${earlierActivities.length > 0 ? `\nAlready planned on earlier days (do NOT repeat these):\n${earlierActivities.join("\n")}\n` : ""}
+The day should have:
+- A variety of activities that match the trip's vibe/theme (${selectedTrip.vibe || selectedTrip.theme || "mixed"})
+- Realistic timing and locations
+- Mix of must-see attractions, local experiences, and meals
+- Activities that align with the destination and trip highlights
+
+IMPORTANT: Organize activities by time blocks (morning, afternoon, evening) instead of exact times:
+- Morning: 6:00 AM - 12:00 PM
+- Afternoon: 12:00 PM - 6:00 PM
+- Evening: 6:00 PM - 12:00 AM
+
+For each activity, provide:
+- name: The name of the activity/place
+- timeBlock: One of "morning", "afternoon", or "evening" (REQUIRED)
+- time: Optional specific time if needed (e.g., "9:00 AM" for a specific reservation, otherwise omit)
+- description: A brief description (1-2 sentences)
+- type: One of: "attraction", "restaurant", "activity", "transport", "accommodation", "other"
+- location: The location/address if relevant
+- estimatedCost: Estimated cost for the whole party as { "amount": number, "currency": "ISO 4217 code" } in the local currency (amount 0 if free)
+
+Return ONLY a valid JSON object in this exact format (no markdown, no explanations):
+{
+  "date": "${plannedDay.date || "YYYY-MM-DD"}",
+  "summary": "short overview of the day",
+  "activities": [
+    { "name": "string", "timeBlock": "morning", "time": "optional specific time", "description": "string", "type": "attraction", "location": "string", "estimatedCost": { "amount": 25, "currency": "EUR" } }
+  ]
+}
 
-      return parsed;
-    } catch (err) {
-      console.error("❌ JSON parsing failed:", err);
-      console.log("Raw content:", response.choices[0].message.content);
-      throw new Error("Failed to parse AI response");
+Rules:
+- Each time block (morning, afternoon, evening) should have 1-2 activities.
+- All activities MUST have a timeBlock field ("morning", "afternoon", or "evening").
+- Only include the "time" field if there's a specific time requirement (e.g., reservation, flight).`;
+
+    const { data: day } = await completeJSON("itinerary-day", {
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.7,
+      schema: itineraryDaySchema,
+    });
+
+    const generatedDay = {
+      ...plannedDay,
+      date: plannedDay.date || day.date,
+      summary: day.summary || "",
+      activities: [
+        ...(plannedDay.activities || []).filter((activity) => activity.legTransfer === true),
+        ...normalizeGeneratedActivities(day.activities),
+      ],
+    };
+
+    // Keeps the planned transfer activity (and its ID) on transfer days
+    if (dayPlan.length > 0) {
+      applyLegsToItinerary({ [dayKey]: generatedDay }, dayPlan);
     }
+
+    return generatedDay;
   } catch (error) {
-    console.error("Error generating itinerary:", error);
+    console.error(`Error generating itinerary day ${dayNumber}:`, error);
     throw error;
   }
 };
@@ -196,9 +363,18 @@ Rules:
  * @param {Array<string>} confirmationIds - Optional array of confirmation IDs
  * @param {Array<string>} inspirationIds - Optional array of inspiration IDs
  * @param {string} userId - The user ID for fetching confirmations and inspirations
+ * @param {object} options
+ * @param {Array<object>} [options.templateDays] - Days of a template the trip is seeded from ({ summary, activities });
+ *   the bookings and inspirations are planned around them, and the caller lays them on with seedItineraryFromTemplate
  * @returns {Promise<object>} - Object containing itinerary with per-day activities
  */
-const generateItineraryWithCollaboration = async (tripData, confirmationIds = [], inspirationIds = [], userId) => {
+const generateItineraryWithCollaboration = async (
+  tripData,
+  confirmationIds = [],
+  inspirationIds = [],
+  userId,
+  { templateDays = [] } = {}
+) => {
   try {
     const { getUserConfirmations, formatConfirmationToActivity, determineDayFromConfirmation } = require("./travelConfirmationService");
     const { getInspirationItemsByIds, formatInspirationItemsToActivities } = require("./categorizationService");
@@ -207,8 +383,9 @@ const generateItineraryWithCollaboration = async (tripData, confirmationIds = []
     const formatDate = (date) =>
       date instanceof Date && !isNaN(date) ? date.toISOString().split("T")[0] : null;
 
-    const startDateInput = tripData.start_date || tripData.startDate;
-    const endDateInput = tripData.end_date || tripData.endDate;
+    const legs = normalizeLegs(tripData.legs);
+    const startDateInput = tripData.start_date || tripData.startDate || legs[0]?.startDate;
+    const endDateInput = tripData.end_date || tripData.endDate || legs[legs.length - 1]?.endDate;
     const durationInput = tripData.durationDays || tripData.duration || tripData.days;
 
     const startDate = toDate(startDateInput);
@@ -246,6 +423,7 @@ const generateItineraryWithCollaboration = async (tripData, confirmationIds = []
 
     const startDateStr = formatDate(computedStart || startDate) || formatDate(startDate) || "";
     const endDateStr = formatDate(computedEnd || endDate) || formatDate(endDate) || "";
+    const dayPlan = legs.length > 0 ? buildLegDayPlan(legs, startDateStr, dayCount) : [];
 
     // Get confirmations if IDs provided
     let confirmations = [];
@@ -314,7 +492,7 @@ const generateItineraryWithCollaboration = async (tripData, confirmationIds = []
         };
       }
 
-      return emptyItinerary;
+      return dayPlan.length > 0 ? applyLegsToItinerary(emptyItinerary, dayPlan) : emptyItinerary;
     }
 
     let confirmationsText = "";
@@ -333,6 +511,19 @@ const generateItineraryWithCollaboration = async (tripData, confirmationIds = []
       });
     }
 
+    let templateText = "";
+    const templatePlan = (templateDays || []).slice(0, dayCount);
+    if (templatePlan.some((day) => (day?.activities || []).length > 0)) {
+      templateText =
+        "\n\nTEMPLATE PLAN (already on the itinerary - do NOT repeat these activities; place the bookings and inspirations around them, on days and time blocks that fit):\n";
+      templatePlan.forEach((day, index) => {
+        const activities = (day?.activities || []).map(
+          (activity) => `${activity.name} (${activity.timeBlock || "morning"})`
+        );
+        templateText += `- Day ${index + 1}: ${activities.length > 0 ? activities.join(", ") : "free"}\n`;
+      });
+    }
+
     const tripInfoText = JSON.stringify({
       trip_name: tripData.trip_name || tripData.name || "",
       destination: tripData.destination || "",
@@ -346,15 +537,15 @@ const generateItineraryWithCollaboration = async (tripData, confirmationIds = []
 
 Trip Details:
 ${tripInfoText}
-${confirmationsText}${inspirationsText}
+${confirmationsText}${inspirationsText}${templateText}
 Dates and duration:
 - start_date: ${startDateStr || "unset"}
 - end_date: ${endDateStr || "unset"}
 - total_days to produce: ${dayCount}
-
+${describeLegsForPrompt(dayPlan)}
 IMPORTANT RULES:
 1. Include ALL confirmations listed above on their specified days and times
-2. Include ALL inspirations listed above - use your expertise to determine the best day (1-${dayCount}) and time block (morning/afternoon/evening) for each inspiration based on the trip context, destination, and trip details
+2. Include ALL inspirations listed above - use your expertise to determine the best day (1-${dayCount}) and time block (morning/afternoon/evening) for each inspiration based on the trip context, destination, and trip details${dayPlan.length > 0 ? " (put each inspiration on a day whose base city matches its location)" : ""}
 3. DO NOT generate any additional activities beyond the confirmations and inspirations provided
 4. Keep activities arrays empty for days that don't have confirmations or inspirations
 
@@ -397,116 +588,244 @@ Rules:
 - Only include the "time" field if there's a specific time requirement (e.g., reservation, flight).
 - Keep activities arrays empty for days without confirmations/inspirations.`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data: parsed } = await completeJSON("itinerary-collaboration", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.7,
+      schema: itinerarySchema(),
     });
 
-    try {
-      let content = response.choices[0].message.content.trim();
-
-      content = content
-        .replace(/```json\s*/g, "")
-        .replace(/```/g, "")
-        .trim();
+    const expectedDays = parsed.total_days;
 
-      const parsed = JSON.parse(content);
-
-      // Validate the structure
-      if (!parsed.total_days || typeof parsed.total_days !== "number") {
-        throw new Error("Invalid response structure from AI - missing total_days");
+    const start = computedStart || startDate || new Date();
+    for (let i = 1; i <= expectedDays; i++) {
+      const dayKey = `day${i}`;
+      if (!parsed[dayKey]) {
+        const dayDate = new Date(start);
+        dayDate.setDate(start.getDate() + (i - 1));
+        parsed[dayKey] = {
+          date: formatDate(dayDate),
+          summary: "",
+          activities: [],
+        };
+      } else {
+        if (!Array.isArray(parsed[dayKey].activities)) {
+          parsed[dayKey].activities = [];
+        }
       }
 
-      const expectedDays = parsed.total_days;
+      // Ensure all activities have timeBlock and sourceType
+      parsed[dayKey].activities = parsed[dayKey].activities.map((activity) => {
+        // If timeBlock is missing, try to infer from time field
+        if (!activity.timeBlock && activity.time) {
+          const timeStr = activity.time.toLowerCase();
+          if (timeStr.includes("morning") || (timeStr.includes("am") && !timeStr.includes("pm"))) {
+            activity.timeBlock = "morning";
+          } else if (timeStr.includes("afternoon") || (timeStr.includes("pm") && !timeStr.includes("am"))) {
+            activity.timeBlock = "afternoon";
+          } else if (timeStr.includes("evening") || timeStr.includes("night")) {
+            activity.timeBlock = "evening";
+          } else {
+            activity.timeBlock = "morning";
+          }
+        } else if (!activity.timeBlock) {
+          activity.timeBlock = "morning";
+        }
+
+        // Ensure timeBlock is valid
+        if (!["morning", "afternoon", "evening"].includes(activity.timeBlock)) {
+          activity.timeBlock = "morning";
+        }
 
-      const start = computedStart || startDate || new Date();
-      for (let i = 1; i <= expectedDays; i++) {
-        const dayKey = `day${i}`;
-        if (!parsed[dayKey]) {
-          const dayDate = new Date(start);
-          dayDate.setDate(start.getDate() + (i - 1));
-          parsed[dayKey] = {
-            date: formatDate(dayDate),
-            summary: "",
-            activities: [],
-          };
+        // Determine sourceType by matching with our confirmations/inspirations
+        // First check if it matches a confirmation
+        const matchesConfirmation = confirmationActivities.some(
+          ({ activity: confActivity }) => confActivity.name === activity.name
+        );
+        
+        if (matchesConfirmation) {
+          activity.sourceType = "confirmation";
+          activity.isFixed = true;
+          // Find and add sourceId from confirmation
+          const matchingConf = confirmationActivities.find(
+            ({ activity: confActivity }) => confActivity.name === activity.name
+          );
+          if (matchingConf) {
+            activity.sourceId = matchingConf.activity.sourceId;
+          }
         } else {
-          if (!Array.isArray(parsed[dayKey].activities)) {
-            parsed[dayKey].activities = [];
+          // Otherwise it's an inspiration
+          activity.sourceType = "inspiration";
+          // Find and add sourceId from inspiration
+          const matchingInsp = inspirationActivities.find(
+            (inspActivity) => inspActivity.name === activity.name
+          );
+          if (matchingInsp && matchingInsp.sourceId) {
+            activity.sourceId = matchingInsp.sourceId;
           }
         }
 
-        // Ensure all activities have timeBlock and sourceType
-        parsed[dayKey].activities = parsed[dayKey].activities.map((activity) => {
-          // If timeBlock is missing, try to infer from time field
-          if (!activity.timeBlock && activity.time) {
-            const timeStr = activity.time.toLowerCase();
-            if (timeStr.includes("morning") || (timeStr.includes("am") && !timeStr.includes("pm"))) {
-              activity.timeBlock = "morning";
-            } else if (timeStr.includes("afternoon") || (timeStr.includes("pm") && !timeStr.includes("am"))) {
-              activity.timeBlock = "afternoon";
-            } else if (timeStr.includes("evening") || timeStr.includes("night")) {
-              activity.timeBlock = "evening";
-            } else {
-              activity.timeBlock = "morning";
-            }
-          } else if (!activity.timeBlock) {
-            activity.timeBlock = "morning";
-          }
+        // Ensure isFixed is set for confirmations
+        if (activity.sourceType === "confirmation" && activity.isFixed === undefined) {
+          activity.isFixed = true;
+        }
+
+        return activity;
+      });
+    }
+
+    if (dayPlan.length > 0) {
+      applyLegsToItinerary(parsed, dayPlan);
+    }
+
+    return parsed;
+  } catch (error) {
+    console.error("Error generating itinerary with collaboration:", error);
+    throw error;
+  }
+};
+
+/**
+ * Generate activities for days added to an existing trip.
+ * Activities already on the trip or swapped out by the travelers are listed in the prompt,
+ * and any suggestion that repeats one of them (by name) is dropped afterwards.
+ * @param {object} trip - The trip object
+ * @param {Array<{dayNumber: number, date: string, activities: Array}>} days - Days to fill, with any activities already placed on them
+ * @returns {Promise<object>} - { [dayNumber]: { summary, activities } }
+ */
+const generateActivitiesForDays = async (trip, days) => {
+  try {
+    if (!days || days.length === 0) {
+      return {};
+    }
+
+    const itinerary = trip.itinerary || {};
+    const scheduledNames = new Set();
+    Object.keys(itinerary).forEach((key) => {
+      if (key.startsWith("day")) {
+        (itinerary[key]?.activities || []).forEach((activity) => {
+          if (activity.name) scheduledNames.add(activity.name.toLowerCase().trim());
+        });
+      }
+    });
+    days.forEach((day) =>
+      (day.activities || []).forEach((activity) => {
+        if (activity.name) scheduledNames.add(activity.name.toLowerCase().trim());
+      })
+    );
+
+    // Activities the travelers swapped out for an alternative
+    const { getRejectedActivityNames } = require("./activityRecommendationService");
+    const rejectedNames = getRejectedActivityNames(trip);
+
+    const tripInfo = {
+      destination: trip.selectedTrip?.destination || "destination",
+      vibe: trip.selectedTrip?.vibe || trip.selectedTrip?.theme || "mixed",
+      budget: trip.selectedTrip?.budget || "mid",
+      travelers: trip.selectedTrip?.travelers || 1,
+    };
+
+    const daysText = days
+      .map((day) => {
+        const fixed = (day.activities || [])
+          .map((activity) => `${activity.name} (${activity.timeBlock || "morning"})`)
+          .join(", ");
+        return `- day${day.dayNumber} (${day.date})${fixed ? ` - already booked: ${fixed}` : ""}`;
+      })
+      .join("\n");
+
+    const prompt = `You are an expert travel planner. A trip has been extended and needs activities for its new days.
+
+Trip Context:
+- Destination: ${tripInfo.destination}
+- Vibe: ${tripInfo.vibe}
+- Budget: ${tripInfo.budget}
+- Travelers: ${tripInfo.travelers}
+
+Days to plan:
+${daysText}
+
+Activities Already Scheduled on the trip (DO NOT duplicate):
+${Array.from(scheduledNames).join(", ") || "none"}
+
+Activities the Travelers Turned Down (DO NOT suggest):
+${Array.from(rejectedNames).join(", ") || "none"}
+
+For each day, plan 3-5 activities spread across the time blocks (morning, afternoon, evening) around anything already booked that day. For each activity, provide:
+- name: The name of the activity/place
+- timeBlock: One of "morning", "afternoon", or "evening" (REQUIRED)
+- time: Optional specific time if needed (otherwise omit)
+- description: A brief description (1-2 sentences)
+- type: One of: "attraction", "restaurant", "activity", "transport", "accommodation", "other"
+- location: The location/address if relevant
+- estimatedCost: Estimated cost for the whole party as { "amount": number, "currency": "ISO 4217 code" } in the local currency (amount 0 if free)
+
+Return ONLY a valid JSON object keyed by day in this exact format (no markdown, no explanations):
+{
+  "day${days[0].dayNumber}": {
+    "summary": "short overview of the day",
+    "activities": [
+      { "name": "string", "timeBlock": "morning", "description": "string", "type": "attraction", "location": "string", "estimatedCost": { "amount": 25, "currency": "EUR" } }
+    ]
+  }
+}
+
+Rules:
+- Include exactly these days: ${days.map((day) => `day${day.dayNumber}`).join(", ")}
+- Do not repeat any activity from the "Already Scheduled" list or across the new days
+- Do not include the already booked activities in your output`;
+
+    const { data: parsed } = await completeJSON("itinerary-new-days", {
+      messages: [{ role: "user", content: prompt }],
+      temperature: 0.7,
+      schema: itineraryDaysSchema,
+    });
 
-          // Ensure timeBlock is valid
+    const result = {};
+
+    days.forEach(({ dayNumber }) => {
+      const day = parsed[`day${dayNumber}`] || {};
+      const activities = (Array.isArray(day.activities) ? day.activities : [])
+        .filter((activity) => {
+          const key = (activity.name || "").toLowerCase().trim();
+          if (!key || scheduledNames.has(key) || rejectedNames.has(key)) return false;
+          scheduledNames.add(key);
+          return true;
+        })
+        .map((activity) => {
           if (!["morning", "afternoon", "evening"].includes(activity.timeBlock)) {
             activity.timeBlock = "morning";
           }
+          activity.sourceType = "ai";
 
-          // Determine sourceType by matching with our confirmations/inspirations
-          // First check if it matches a confirmation
-          const matchesConfirmation = confirmationActivities.some(
-            ({ activity: confActivity }) => confActivity.name === activity.name
-          );
-          
-          if (matchesConfirmation) {
-            activity.sourceType = "confirmation";
-            activity.isFixed = true;
-            // Find and add sourceId from confirmation
-            const matchingConf = confirmationActivities.find(
-              ({ activity: confActivity }) => confActivity.name === activity.name
-            );
-            if (matchingConf) {
-              activity.sourceId = matchingConf.activity.sourceId;
-            }
+          const costAmount = Number(activity.estimatedCost?.amount);
+          if (activity.estimatedCost && isFinite(costAmount) && costAmount >= 0) {
+            activity.estimatedCost = {
+              amount: costAmount,
+              currency: activity.estimatedCost.currency
+                ? String(activity.estimatedCost.currency).toUpperCase()
+                : null,
+            };
           } else {
-            // Otherwise it's an inspiration
-            activity.sourceType = "inspiration";
-            // Find and add sourceId from inspiration
-            const matchingInsp = inspirationActivities.find(
-              (inspActivity) => inspActivity.name === activity.name
-            );
-            if (matchingInsp && matchingInsp.sourceId) {
-              activity.sourceId = matchingInsp.sourceId;
-            }
-          }
-
-          // Ensure isFixed is set for confirmations
-          if (activity.sourceType === "confirmation" && activity.isFixed === undefined) {
-            activity.isFixed = true;
+            delete activity.estimatedCost;
           }
 
           return activity;
         });
-      }
 
-      return parsed;
-    } catch (err) {
-      console.error("❌ JSON parsing failed:", err);
-      console.log("Raw content:", response.choices[0].message.content);
-      throw new Error("Failed to parse AI response");
-    }
+      result[dayNumber] = { summary: day.summary || "", activities };
+    });
+
+    return result;
   } catch (error) {
-    console.error("Error generating itinerary with collaboration:", error);
+    console.error("Error generating activities for new days:", error);
     throw error;
   }
 };
 
-module.exports = { generateItinerary, generateItineraryWithCollaboration };
+module.exports = {
+  generateItinerary,
+  planItinerary,
+  generateItineraryDay,
+  generateItineraryWithCollaboration,
+  generateActivitiesForDays,
+};
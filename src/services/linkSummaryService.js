@@ -1,9 +1,7 @@
 const axios = require("axios");
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { completeJSON } = require("./llmGateway");
+const { linkSummarySchema } = require("./llmSchemas");
+const { getCachedAnalysis, saveCachedAnalysis } = require("./contentCacheService");
 
 // Remove scripts/styles and collapse HTML into readable text
 const htmlToText = (html) => {
@@ -36,6 +34,12 @@ const summarizeLinkContent = async (url) => {
     throw new Error("URL is required");
   }
 
+  // Popular articles get saved by many users; reuse the summary made for the first one
+  const cached = await getCachedAnalysis("link", url);
+  if (cached) {
+    return { ...cached, sourceUrl: url };
+  }
+
   const pageText = await fetchPageText(url);
 
   console.log("pageText", JSON.stringify(pageText));
@@ -66,31 +70,22 @@ Rules:
 - If the content isn't strongly travel-related, infer the most relevant activities or leave suggestedActivities empty.
 - Do not invent details not implied by the content.`;
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
+  const { data: parsed } = await completeJSON("link-summary", {
     messages: [{ role: "user", content: prompt }],
     temperature: 0.5,
+    schema: linkSummarySchema,
   });
 
-  try {
-    let content = response.choices[0].message.content.trim();
-    content = content.replace(/```json\s*/g, "").replace(/```/g, "").trim();
-    const parsed = JSON.parse(content);
-
-    // ensure required fields exist even if model omits some
-    return {
-      sourceUrl: parsed.sourceUrl || url,
-      summary: parsed.summary || "",
-      keyPoints: Array.isArray(parsed.keyPoints) ? parsed.keyPoints : [],
-      suggestedActivities: Array.isArray(parsed.suggestedActivities)
-        ? parsed.suggestedActivities
-        : [],
-    };
-  } catch (err) {
-    console.error("❌ Failed to parse link summary JSON:", err);
-    console.log("Raw content:", response.choices[0].message.content);
-    throw new Error("Failed to parse AI response");
-  }
+  const linkData = {
+    sourceUrl: parsed.sourceUrl || url,
+    summary: parsed.summary,
+    keyPoints: parsed.keyPoints || [],
+    suggestedActivities: parsed.suggestedActivities,
+  };
+
+  await saveCachedAnalysis("link", url, linkData);
+
+  return linkData;
 };
 
 module.exports = { summarizeLinkContent };
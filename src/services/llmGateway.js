@@ -0,0 +1,495 @@
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+const { validateAgainstSchema } = require("./llmSchemas");
+const { recordUsage } = require("./usageService");
+
+/**
+ * LLM gateway
+ *
+ * Every model call names a task (see LLM_TASKS); the task decides the model, timeout and retry
+ * budget, and LLM_PROVIDER decides which provider serves it. Per-task overrides come from
+ * LLM_<TASK>_MODEL, LLM_<TASK>_TIMEOUT_MS and LLM_<TASK>_MAX_RETRIES (task name upper-cased,
+ * dashes as underscores), global ones from LLM_TIMEOUT_MS and LLM_MAX_RETRIES.
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     complete: async ({ task, model, messages, temperature, responseFormat, timeoutMs }) =>
+ *       ({ content, model, usage: { promptTokens, completionTokens, totalTokens } }),
+ *     generateImage: async ({ task, model, prompt, size, quality, style, timeoutMs }) =>
+ *       ({ image: Buffer, model }),
+ *   }
+ * messages use the chat format ({ role, content }, content being a string or text/image_url parts);
+ * responseFormat is "json" to ask for a JSON object, or undefined for free text.
+ * Register extra providers with registerLLMProvider. "openai" is the default; "mock" answers
+ * from JSON fixtures so the API runs offline.
+ *
+ * completeJSON parses the reply and validates it against a JSON Schema (see llmSchemas). A reply
+ * that doesn't conform is sent back to the model with the validation errors, up to
+ * LLM_<TASK>_MAX_REPAIRS / LLM_MAX_REPAIRS times, before an LLMOutputError is thrown.
+ *
+ * Each successful call (repair rounds included) is metered for the current user (see usageService).
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_MAX_REPAIRS = 1;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [408, 409, 429];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "../config/llmFixtures");
+
+// Default model and limits per task; anything not set uses the defaults above
+const LLM_TASKS = {
+  "itinerary-generation": { model: "gpt-4o-mini" },
+  "itinerary-day": { model: "gpt-4o-mini" },
+  "itinerary-collaboration": { model: "gpt-4o-mini" },
+  "itinerary-new-days": { model: "gpt-4o-mini" },
+  "arrange-inspiration": { model: "gpt-4o-mini" },
+  "arrange-confirmation": { model: "gpt-4o-mini" },
+  "day-reshuffle": { model: "gpt-4o-mini" },
+  "activity-alternatives": { model: "gpt-4o-mini" },
+  "cost-estimates": { model: "gpt-4o-mini" },
+  "trip-suggestions": { model: "gpt-4o-mini" },
+  "booking-extraction-text": { model: "gpt-4o-mini" },
+  "booking-extraction-image": { model: "gpt-4o", timeoutMs: 90000 },
+  "confirmation-duplicates": { model: "gpt-4o-mini", timeoutMs: 30000 },
+  "video-summary": { model: "gpt-4o-mini" },
+  "link-summary": { model: "gpt-4o-mini" },
+  "location-extraction": { model: "gpt-4o-mini", timeoutMs: 30000 },
+  "cover-photo": { model: "dall-e-3", timeoutMs: 120000, maxRetries: 1 },
+};
+
+const providers = {};
+
+/**
+ * Model output that still isn't valid JSON for the task's schema after the repair attempts
+ */
+class LLMOutputError extends Error {
+  /**
+   * @param {string} task - Task name
+   * @param {Array<string>} errors - Parse/validation errors of the last reply
+   * @param {string} content - The last reply, as returned by the model
+   */
+  constructor(task, errors, content) {
+    super(`AI response for "${task}" did not match the expected format: ${errors.slice(0, 3).join("; ")}`);
+    this.name = "LLMOutputError";
+    this.task = task;
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+/**
+ * Read a numeric setting for a task, falling back to the global setting and then the default
+ * @param {string} task - Task name
+ * @param {string} suffix - Setting suffix (e.g. "TIMEOUT_MS")
+ * @param {number} fallback - Value when neither env var is a valid number
+ * @returns {number}
+ */
+const numericSetting = (task, suffix, fallback) => {
+  const candidates = [
+    process.env[`LLM_${task.toUpperCase().replace(/-/g, "_")}_${suffix}`],
+    process.env[`LLM_${suffix}`],
+  ];
+  for (const candidate of candidates) {
+    const value = Number(candidate);
+    if (candidate !== undefined && candidate !== "" && Number.isInteger(value) && value >= 0) {
+      return value;
+    }
+  }
+  return fallback;
+};
+
+/**
+ * Resolve model, timeout and retry budget for a task
+ * @param {string} task - Task name (a key of LLM_TASKS)
+ * @returns {{task: string, model: string, timeoutMs: number, maxRetries: number, maxRepairs: number}}
+ */
+const getTaskConfig = (task) => {
+  const defaults = LLM_TASKS[task];
+  if (!defaults) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+
+  return {
+    task,
+    model: process.env[`LLM_${task.toUpperCase().replace(/-/g, "_")}_MODEL`] || defaults.model,
+    // A zero timeout would fail every call, so it falls back to the default
+    timeoutMs: numericSetting(task, "TIMEOUT_MS", defaults.timeoutMs || DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: numericSetting(task, "MAX_RETRIES", defaults.maxRetries ?? DEFAULT_MAX_RETRIES),
+    maxRepairs: numericSetting(task, "MAX_REPAIRS", defaults.maxRepairs ?? DEFAULT_MAX_REPAIRS),
+  };
+};
+
+/**
+ * Flatten chat messages into plain text (image parts are skipped)
+ * @param {Array<object>} messages - Chat messages
+ * @returns {string}
+ */
+const messagesToText = (messages = []) =>
+  messages
+    .map(({ content }) =>
+      Array.isArray(content)
+        ? content
+            .filter((part) => part.type === "text")
+            .map((part) => part.text)
+            .join("\n")
+        : content || ""
+    )
+    .join("\n");
+
+/**
+ * Rough token count (~4 characters per token), used where the provider reports no usage
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+/**
+ * OpenAI provider. The client is created on first use, so the app starts without OPENAI_API_KEY
+ * when another provider is selected.
+ * @param {string} apiKey - OpenAI API key
+ * @returns {object} - LLM provider
+ */
+const createOpenAIProvider = (apiKey) => {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey });
+    }
+    return client;
+  };
+
+  return {
+    name: "openai",
+    complete: async ({ model, messages, temperature, responseFormat, timeoutMs }) => {
+      const completion = await getClient().chat.completions.create(
+        {
+          model,
+          messages,
+          temperature,
+          ...(responseFormat === "json" && { response_format: { type: "json_object" } }),
+        },
+        // Retries are handled by the gateway so every provider behaves the same
+        { timeout: timeoutMs, maxRetries: 0 }
+      );
+
+      return {
+        content: completion.choices[0]?.message?.content || "",
+        model: completion.model || model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0,
+          totalTokens: completion.usage?.total_tokens || 0,
+        },
+      };
+    },
+    generateImage: async ({ model, prompt, size, quality, style, timeoutMs }) => {
+      const response = await getClient().images.generate(
+        { model, prompt, n: 1, size, quality, style, response_format: "b64_json" },
+        { timeout: timeoutMs, maxRetries: 0 }
+      );
+
+      const encoded = response.data?.[0]?.b64_json;
+      if (!encoded) {
+        throw new Error(`Image generation returned no image for model ${model}`);
+      }
+      return { image: Buffer.from(encoded, "base64"), model };
+    },
+  };
+};
+
+/**
+ * Mock provider: answers from `<task>.json` fixtures in fixturesDir.
+ *
+ * A fixture is { "responses": [...] } for chat tasks or { "image": "<base64>" } for image tasks.
+ * Each response is { "match"?: string, "content"?: string | object, "error"?: { status, message } };
+ * the first one whose match is found in the message text (case-insensitive) wins, and one without
+ * match always matches. Object content is returned as JSON; error makes the call fail with that
+ * status, which is how fixtures exercise retries and the services' fallbacks. A top-level
+ * "description" is ignored and documents the fixture.
+ * @param {string} fixturesDir - Directory holding the fixtures
+ * @returns {object} - LLM provider
+ */
+const createMockProvider = (fixturesDir) => {
+  const loadFixture = (task) => {
+    const file = path.join(fixturesDir, `${task}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No mock LLM fixture for task "${task}" (${file})`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  };
+
+  return {
+    name: "mock",
+    complete: async ({ task, model, messages }) => {
+      const prompt = messagesToText(messages);
+      const searchable = prompt.toLowerCase();
+      const response = (loadFixture(task).responses || []).find(
+        (candidate) => !candidate.match || searchable.includes(candidate.match.toLowerCase())
+      );
+
+      if (!response) {
+        throw new Error(`No mock LLM response matches the prompt for task "${task}"`);
+      }
+      if (response.error) {
+        const error = new Error(response.error.message || `Mock LLM error for task "${task}"`);
+        error.status = response.error.status;
+        throw error;
+      }
+
+      const content =
+        typeof response.content === "string" ? response.content : JSON.stringify(response.content ?? "");
+      const promptTokens = estimateTokens(prompt);
+      const completionTokens = estimateTokens(content);
+
+      return {
+        content,
+        model,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      };
+    },
+    generateImage: async ({ task, model }) => {
+      const { image } = loadFixture(task);
+      if (!image) {
+        throw new Error(`Mock LLM fixture for task "${task}" has no image`);
+      }
+      return { image: Buffer.from(image, "base64"), model };
+    },
+  };
+};
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Provider name, matched against LLM_PROVIDER
+ * @param {object} provider - Object implementing complete and generateImage
+ */
+const registerLLMProvider = (name, provider) => {
+  if (typeof provider?.complete !== "function" || typeof provider?.generateImage !== "function") {
+    throw new Error("LLM provider must implement complete and generateImage");
+  }
+  providers[name] = { ...provider, name };
+};
+
+registerLLMProvider("openai", createOpenAIProvider(process.env.OPENAI_API_KEY));
+registerLLMProvider("mock", createMockProvider(process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR));
+
+/**
+ * Get the configured LLM provider (LLM_PROVIDER, else openai)
+ * @returns {object} - LLM provider
+ */
+const getLLMProvider = () => {
+  const requested = process.env.LLM_PROVIDER;
+  if (requested && providers[requested]) return providers[requested];
+  if (requested) {
+    console.warn(`⚠️ LLM provider "${requested}" is not registered, using openai`);
+  }
+  return providers.openai;
+};
+
+/**
+ * Whether a failed call is worth retrying (rate limits, server errors, timeouts, dropped connections)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  if (error.timedOut) return true;
+  if (typeof error.status === "number") {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+  return error.name === "APIConnectionError" || error.name === "APIConnectionTimeoutError";
+};
+
+/**
+ * Reject if the call takes longer than timeoutMs
+ * @param {Promise} promise - The provider call
+ * @param {number} timeoutMs
+ * @param {string} task - Task name, for the error message
+ * @returns {Promise}
+ */
+const withTimeout = (promise, timeoutMs, task) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM task "${task}" timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run a provider call with the task's timeout, retrying retryable failures with exponential backoff
+ * @param {object} config - Task config from getTaskConfig
+ * @param {object} provider - LLM provider
+ * @param {Function} call - (provider) => Promise
+ * @returns {Promise}
+ */
+const runWithRetries = async (config, provider, call) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(call(provider), config.timeoutMs, config.task);
+    } catch (error) {
+      if (attempt >= config.maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      const delayMs = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(
+        `⚠️ LLM task "${config.task}" failed on ${provider.name} (${error.message}), retrying in ${delayMs}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+};
+
+/**
+ * Run a chat completion for a task
+ * @param {string} task - Task name (a key of LLM_TASKS)
+ * @param {object} request
+ * @param {Array<object>} request.messages - Chat messages
+ * @param {number} [request.temperature]
+ * @param {string} [request.responseFormat] - "json" to request a JSON object
+ * @returns {Promise<{content: string, model: string, provider: string, usage: object}>}
+ */
+const completeChat = async (task, { messages, temperature, responseFormat } = {}) => {
+  const config = getTaskConfig(task);
+  const provider = getLLMProvider();
+
+  try {
+    const result = await runWithRetries(config, provider, (p) =>
+      p.complete({ task, model: config.model, messages, temperature, responseFormat, timeoutMs: config.timeoutMs })
+    );
+
+    // Metering must not hold up or fail the call
+    recordUsage({ task, provider: provider.name, model: result.model || config.model, usage: result.usage })
+      .catch((error) => console.error(`Failed to record usage of LLM task "${task}":`, error.message));
+
+    return { ...result, content: result.content || "", provider: provider.name };
+  } catch (error) {
+    console.error(`Error running LLM task "${task}" on ${provider.name}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Parse a JSON reply, tolerating markdown code fences around it
+ * @param {string} content - Model reply
+ * @returns {*} - Parsed value
+ */
+const parseModelJSON = (content) =>
+  JSON.parse(
+    (content || "")
+      .trim()
+      .replace(/^```(?:json)?\s*/i, "")
+      .replace(/\s*```$/, "")
+      .trim()
+  );
+
+/**
+ * Add up token usage across attempts
+ * @param {object} total - Usage so far
+ * @param {object} [usage] - Usage of one attempt
+ * @returns {object}
+ */
+const addUsage = (total, usage = {}) => ({
+  promptTokens: total.promptTokens + (usage.promptTokens || 0),
+  completionTokens: total.completionTokens + (usage.completionTokens || 0),
+  totalTokens: total.totalTokens + (usage.totalTokens || 0),
+});
+
+/**
+ * Run a chat completion that must return JSON matching a schema. Non-conforming replies are sent
+ * back with the validation errors for a bounded number of repair rounds.
+ * @param {string} task - Task name (a key of LLM_TASKS)
+ * @param {object} request
+ * @param {Array<object>} request.messages - Chat messages
+ * @param {object} request.schema - JSON Schema the reply must match (see llmSchemas)
+ * @param {number} [request.temperature]
+ * @param {string} [request.responseFormat] - "json" to request a JSON object
+ * @returns {Promise<{data: *, content: string, model: string, provider: string, usage: object, repairs: number}>}
+ * @throws {LLMOutputError} - When the reply still doesn't conform after the last repair round
+ */
+const completeJSON = async (task, { messages, schema, temperature, responseFormat } = {}) => {
+  const { maxRepairs } = getTaskConfig(task);
+  const conversation = [...messages];
+  let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (let repairs = 0; ; repairs++) {
+    const result = await completeChat(task, { messages: conversation, temperature, responseFormat });
+    usage = addUsage(usage, result.usage);
+
+    let data;
+    let errors;
+    try {
+      data = parseModelJSON(result.content);
+      errors = validateAgainstSchema(schema, data);
+    } catch (parseError) {
+      errors = [`response is not valid JSON (${parseError.message})`];
+    }
+
+    if (errors.length === 0) {
+      return { ...result, data, usage, repairs };
+    }
+
+    if (repairs >= maxRepairs) {
+      console.error(`❌ LLM task "${task}" returned non-conforming output:`, errors, result.content);
+      throw new LLMOutputError(task, errors, result.content);
+    }
+
+    console.warn(`⚠️ LLM task "${task}" output failed validation, asking for a repair:`, errors);
+    conversation.push(
+      { role: "assistant", content: result.content },
+      {
+        role: "user",
+        content: `Your response does not match the required format:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Return ONLY the corrected JSON (no markdown, no explanations), matching this JSON Schema:
+${JSON.stringify(schema)}`,
+      }
+    );
+  }
+};
+
+/**
+ * Generate one image for a task
+ * @param {string} task - Task name (a key of LLM_TASKS)
+ * @param {object} request
+ * @param {string} request.prompt - Image prompt
+ * @param {string} [request.size]
+ * @param {string} [request.quality]
+ * @param {string} [request.style]
+ * @returns {Promise<{image: Buffer, model: string, provider: string}>}
+ */
+const generateImage = async (task, { prompt, size, quality, style } = {}) => {
+  const config = getTaskConfig(task);
+  const provider = getLLMProvider();
+
+  try {
+    const result = await runWithRetries(config, provider, (p) =>
+      p.generateImage({ task, model: config.model, prompt, size, quality, style, timeoutMs: config.timeoutMs })
+    );
+
+    // Metering must not hold up or fail the call
+    recordUsage({ task, provider: provider.name, model: result.model || config.model, images: 1, quality })
+      .catch((error) => console.error(`Failed to record usage of LLM task "${task}":`, error.message));
+
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.error(`Error running LLM task "${task}" on ${provider.name}:`, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  LLM_TASKS,
+  LLMOutputError,
+  registerLLMProvider,
+  getLLMProvider,
+  getTaskConfig,
+  completeChat,
+  completeJSON,
+  generateImage,
+};
@@ -0,0 +1,299 @@
+/**
+ * JSON Schemas for structured model output, and a validator for the subset of JSON Schema they use:
+ * type (string or array of types, "integer" included), enum, required, properties,
+ * patternProperties, additionalProperties (boolean or schema), items, minItems, maxItems,
+ * minLength, minimum and anyOf.
+ *
+ * Schemas only pin down what the services rely on; fields they normalize themselves
+ * (timeBlock spelling, missing descriptions) stay loose so a repair round isn't spent on them.
+ */
+
+const MAX_REPORTED_ERRORS = 10;
+
+const nullableString = { type: ["string", "null"] };
+
+/**
+ * Name the JSON type of a value the way JSON Schema does
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Collect the ways a value fails a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path of the value, used in messages
+ * @param {Array<string>} errors - Accumulator
+ * @returns {Array<string>}
+ */
+const collectErrors = (schema, value, path, errors) => {
+  if (errors.length >= MAX_REPORTED_ERRORS) return errors;
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((option) => collectErrors(option, value, path, []));
+    if (results.some((optionErrors) => optionErrors.length === 0)) {
+      return errors;
+    }
+    // Report against the option of the same type (e.g. the object shape for an object), if any
+    const sameType = schema.anyOf.findIndex((option) => [].concat(option.type).includes(typeOf(value)));
+    errors.push(...(sameType >= 0 ? results[sameType] : [`${path}: does not match any of the allowed shapes`]));
+    return errors.slice(0, MAX_REPORTED_ERRORS);
+  }
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    // Integers are numbers too
+    if (!allowed.includes(actual) && !(actual === "integer" && allowed.includes("number"))) {
+      errors.push(`${path}: expected ${allowed.join(" or ")}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: expected at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => collectErrors(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (schema.properties?.[key]) {
+        collectErrors(schema.properties[key], child, childPath, errors);
+        return;
+      }
+
+      const patternSchema = Object.entries(schema.patternProperties || {}).find(([pattern]) =>
+        new RegExp(pattern).test(key)
+      );
+      if (patternSchema) {
+        collectErrors(patternSchema[1], child, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        collectErrors(schema.additionalProperties, child, childPath, errors);
+      }
+    });
+  }
+
+  return errors.slice(0, MAX_REPORTED_ERRORS);
+};
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Parsed model output
+ * @returns {Array<string>} - Error messages (empty when the value conforms)
+ */
+const validateAgainstSchema = (schema, value) => collectErrors(schema, value, "$", []);
+
+// One itinerary activity, as generated or rearranged
+const activitySchema = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    id: { type: ["string", "number"] },
+    name: { type: "string", minLength: 1 },
+    timeBlock: nullableString,
+    time: nullableString,
+    description: nullableString,
+    type: nullableString,
+    location: nullableString,
+    sourceType: nullableString,
+    sourceId: nullableString,
+    estimatedCost: { type: ["object", "null"] },
+  },
+};
+
+// One itinerary day: { date, summary, activities }
+const itineraryDaySchema = {
+  type: "object",
+  required: ["activities"],
+  properties: {
+    date: nullableString,
+    summary: nullableString,
+    activities: { type: "array", items: activitySchema },
+  },
+};
+
+/**
+ * Full itinerary: { start_date, end_date, total_days, day1, day2, ... }
+ * @param {number} [requiredDays] - Days that must be present (day1..dayN)
+ * @returns {object} - JSON Schema
+ */
+const itinerarySchema = (requiredDays = 0) => ({
+  type: "object",
+  required: ["total_days", ...Array.from({ length: requiredDays }, (_, index) => `day${index + 1}`)],
+  properties: {
+    start_date: nullableString,
+    end_date: nullableString,
+    total_days: { type: "integer", minimum: 1 },
+  },
+  patternProperties: { "^day\\d+$": itineraryDaySchema },
+});
+
+// Activities for added days: { day4: { activities }, day5: { activities } }
+const itineraryDaysSchema = {
+  type: "object",
+  patternProperties: { "^day\\d+$": itineraryDaySchema },
+};
+
+// A day's activities after arranging, reshuffling or suggesting alternatives
+const activityListSchema = {
+  type: "array",
+  items: activitySchema,
+};
+
+const BOOKING_CATEGORIES = ["flight", "hotel", "car", "restaurant", "event", "activity", "unknown"];
+
+// One booking from the extraction templates; template fields are strings except the counts
+const bookingSchema = {
+  type: "object",
+  required: ["category"],
+  properties: {
+    category: { type: "string", enum: BOOKING_CATEGORIES },
+    bookingId: nullableString,
+    masterReference: nullableString,
+    customerName: nullableString,
+    email: nullableString,
+    summary: nullableString,
+    totalAmount: { type: ["string", "number", "null"] },
+    numberOfGuests: { type: ["number", "null"] },
+    numberOfTickets: { type: ["number", "null"] },
+    numberOfParticipants: { type: ["number", "null"] },
+  },
+  additionalProperties: { type: ["string", "number", "boolean", "null"] },
+};
+
+const bookingListSchema = {
+  type: "array",
+  items: bookingSchema,
+};
+
+// Extraction may answer with one booking or a list of them
+const bookingOrListSchema = {
+  anyOf: [bookingSchema, bookingListSchema],
+};
+
+const duplicateCheckSchema = {
+  type: "object",
+  required: ["isDuplicate", "duplicateIds"],
+  properties: {
+    isDuplicate: { type: "boolean" },
+    duplicateIds: { type: "array", items: { type: ["string", "number"] } },
+  },
+};
+
+// One inspiration item (a venue from a video, an activity from a link)
+const inspirationItemSchema = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: nullableString,
+    category: nullableString,
+  },
+};
+
+const videoSummarySchema = {
+  type: "object",
+  required: ["venues"],
+  properties: {
+    venues: { type: "array", items: inspirationItemSchema },
+  },
+};
+
+const linkSummarySchema = {
+  type: "object",
+  required: ["summary", "suggestedActivities"],
+  properties: {
+    sourceUrl: nullableString,
+    summary: { type: "string" },
+    keyPoints: { type: "array", items: { type: "string" } },
+    suggestedActivities: { type: "array", items: inspirationItemSchema },
+  },
+};
+
+const tripSuggestionsSchema = {
+  type: "object",
+  required: ["suggestions"],
+  properties: {
+    suggestions: {
+      type: "array",
+      minItems: 3,
+      maxItems: 3,
+      items: {
+        type: "object",
+        required: ["name", "destination", "start_date", "end_date", "description", "theme", "highlights"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          destination: { type: "string", minLength: 1 },
+          start_date: { type: "string", minLength: 1 },
+          end_date: { type: "string", minLength: 1 },
+          description: { type: "string", minLength: 1 },
+          theme: { type: "string", minLength: 1 },
+          highlights: { type: "array", minItems: 1, items: { type: "string" } },
+          dateNotes: nullableString,
+        },
+      },
+    },
+  },
+};
+
+// Cost estimates keyed by activity ID: { "<id>": { amount, currency } }
+const costEstimatesSchema = {
+  type: "object",
+  additionalProperties: {
+    type: "object",
+    required: ["amount", "currency"],
+    properties: {
+      amount: { type: "number", minimum: 0 },
+      currency: { type: "string", minLength: 1 },
+    },
+  },
+};
+
+module.exports = {
+  validateAgainstSchema,
+  itinerarySchema,
+  itineraryDaySchema,
+  itineraryDaysSchema,
+  activityListSchema,
+  bookingOrListSchema,
+  duplicateCheckSchema,
+  videoSummarySchema,
+  linkSummarySchema,
+  tripSuggestionsSchema,
+  costEstimatesSchema,
+};
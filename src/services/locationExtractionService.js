@@ -1,8 +1,4 @@
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { completeChat } = require("./llmGateway");
 
 /**
  * Extract primary locations from AI summary data
@@ -54,13 +50,12 @@ Examples of valid locations:
 Output format: "City/Place, Country" or "" if no location found`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await completeChat("location-extraction", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.2, // Lower temperature for more consistent location extraction
     });
 
-    let content = response.choices[0].message.content.trim();
+    let content = response.content.trim();
     // Remove markdown formatting if present
     content = content.replace(/```json\s*/g, "").replace(/```/g, "").replace(/"/g, "").trim();
 
@@ -113,12 +113,14 @@ const sendTripItineraryCreatedNotification = async (
  * @param {string} userId - The user ID
  * @param {number} itemCount - Number of inspiration items saved
  * @param {string} sourceType - Source type (e.g., "video", "link")
+ * @param {object} extraData - Additional data payload fields (e.g., { jobId })
  * @returns {Promise<boolean>} - True if sent successfully
  */
 const sendInspirationProcessedNotification = async (
   userId,
   itemCount,
   sourceType = "inspiration",
+  extraData = {},
 ) => {
   const sourceLabel =
     sourceType === "video"
@@ -137,6 +139,7 @@ const sendInspirationProcessedNotification = async (
     {
       itemCount: String(itemCount),
       sourceType: sourceType,
+      ...extraData,
     },
     "inspiration",
   );
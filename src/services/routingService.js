@@ -0,0 +1,260 @@
+const axios = require("axios");
+
+/**
+ * Routing providers
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     geocode: async (query) => ({ lat, lng, formattedAddress }) | null,
+ *     getTravelTime: async (origin, destination, { mode }) =>
+ *       ({ distanceMeters, durationMinutes, mode }),
+ *   }
+ * origin/destination are { lat, lng }. Register extra providers with registerRoutingProvider
+ * and select one with ROUTING_PROVIDER. The haversine provider is always available as a fallback;
+ * it only geocodes (through OpenStreetMap Nominatim) when GEOCODING_ENABLED=true.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+// Straight-line distance underestimates real routes; inflate it for a more honest estimate
+const DETOUR_FACTOR = 1.3;
+const WALKING_SPEED_KMH = 4.8;
+const URBAN_TRANSIT_SPEED_KMH = 22;
+const MAX_WALKING_DISTANCE_METERS = 1500;
+const REQUEST_TIMEOUT_MS = 10000;
+// Nominatim's usage policy allows at most one request per second
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+const GEOCODE_CACHE_MAX_ENTRIES = Number(process.env.GEOCODE_CACHE_MAX_ENTRIES) || 1000;
+const GEOCODE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const providers = {};
+// Least recently used first (Map keeps insertion order); entries are { result, expiresAt }
+const geocodeCache = new Map();
+let nominatimQueue = Promise.resolve();
+let lastNominatimRequestAt = 0;
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {{lat: number, lng: number}} origin
+ * @param {{lat: number, lng: number}} destination
+ * @returns {number} - Distance in meters
+ */
+const haversineDistanceMeters = (origin, destination) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(destination.lat - origin.lat);
+  const dLng = toRad(destination.lng - origin.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(origin.lat)) * Math.cos(toRad(destination.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimate a travel leg from straight-line distance (walk short hops, transit otherwise)
+ * @param {{lat: number, lng: number}} origin
+ * @param {{lat: number, lng: number}} destination
+ * @returns {{distanceMeters: number, durationMinutes: number, mode: string}}
+ */
+const estimateTravelTime = (origin, destination) => {
+  const distanceMeters = Math.round(haversineDistanceMeters(origin, destination) * DETOUR_FACTOR);
+  const mode = distanceMeters <= MAX_WALKING_DISTANCE_METERS ? "walking" : "transit";
+  const speedKmh = mode === "walking" ? WALKING_SPEED_KMH : URBAN_TRANSIT_SPEED_KMH;
+  const durationMinutes = Math.max(1, Math.round((distanceMeters / 1000 / speedKmh) * 60));
+  return { distanceMeters, durationMinutes, mode };
+};
+
+/**
+ * Run Nominatim requests one at a time, at most one per NOMINATIM_MIN_INTERVAL_MS across the instance
+ * @param {function} request - () => Promise
+ * @returns {Promise<*>} - The request's result
+ */
+const throttleNominatim = (request) => {
+  const run = nominatimQueue.then(async () => {
+    const waitMs = lastNominatimRequestAt + NOMINATIM_MIN_INTERVAL_MS - Date.now();
+    if (waitMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+    lastNominatimRequestAt = Date.now();
+    return request();
+  });
+  nominatimQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Local provider: haversine travel estimates, OpenStreetMap Nominatim for geocoding
+ * (opt in with GEOCODING_ENABLED=true; otherwise activities are only located by their coordinates)
+ */
+const haversineProvider = {
+  name: "haversine",
+  geocode: async (query) => {
+    if (process.env.GEOCODING_ENABLED !== "true") return null;
+
+    const { data } = await throttleNominatim(() =>
+      axios.get("https://nominatim.openstreetmap.org/search", {
+        params: { q: query, format: "json", limit: 1 },
+        headers: { "User-Agent": process.env.GEOCODING_USER_AGENT || "nomad-navigator-be" },
+        timeout: REQUEST_TIMEOUT_MS,
+      })
+    );
+
+    if (!Array.isArray(data) || data.length === 0) return null;
+    return {
+      lat: parseFloat(data[0].lat),
+      lng: parseFloat(data[0].lon),
+      formattedAddress: data[0].display_name,
+    };
+  },
+  getTravelTime: async (origin, destination) => estimateTravelTime(origin, destination),
+};
+
+/**
+ * Google Maps provider (Geocoding + Distance Matrix APIs)
+ * @param {string} apiKey - Google Maps API key
+ * @returns {object} - Routing provider
+ */
+const createGoogleMapsProvider = (apiKey) => ({
+  name: "google",
+  geocode: async (query) => {
+    const { data } = await axios.get("https://maps.googleapis.com/maps/api/geocode/json", {
+      params: { address: query, key: apiKey },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    if (data.status !== "OK" || !data.results?.length) return null;
+    const { location } = data.results[0].geometry;
+    return {
+      lat: location.lat,
+      lng: location.lng,
+      formattedAddress: data.results[0].formatted_address,
+    };
+  },
+  getTravelTime: async (origin, destination, { mode = "transit" } = {}) => {
+    const { data } = await axios.get("https://maps.googleapis.com/maps/api/distancematrix/json", {
+      params: {
+        origins: `${origin.lat},${origin.lng}`,
+        destinations: `${destination.lat},${destination.lng}`,
+        mode,
+        key: apiKey,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    const element = data.rows?.[0]?.elements?.[0];
+    if (data.status !== "OK" || element?.status !== "OK") {
+      throw new Error(`Google Distance Matrix error: ${element?.status || data.status}`);
+    }
+
+    return {
+      distanceMeters: element.distance.value,
+      durationMinutes: Math.max(1, Math.round(element.duration.value / 60)),
+      mode,
+    };
+  },
+});
+
+/**
+ * Register (or replace) a routing provider
+ * @param {string} name - Provider name, matched against ROUTING_PROVIDER
+ * @param {object} provider - Object implementing geocode and getTravelTime
+ */
+const registerRoutingProvider = (name, provider) => {
+  if (typeof provider?.geocode !== "function" || typeof provider?.getTravelTime !== "function") {
+    throw new Error("Routing provider must implement geocode and getTravelTime");
+  }
+  providers[name] = { ...provider, name };
+};
+
+registerRoutingProvider("haversine", haversineProvider);
+if (process.env.GOOGLE_MAPS_API_KEY) {
+  registerRoutingProvider("google", createGoogleMapsProvider(process.env.GOOGLE_MAPS_API_KEY));
+}
+
+/**
+ * Get the configured routing provider (ROUTING_PROVIDER, else google when a key is set, else haversine)
+ * @returns {object} - Routing provider
+ */
+const getRoutingProvider = () => {
+  const requested = process.env.ROUTING_PROVIDER;
+  if (requested && providers[requested]) return providers[requested];
+  if (requested) {
+    console.warn(`⚠️ Routing provider "${requested}" is not registered, using fallback`);
+  }
+  return providers.google || providers.haversine;
+};
+
+/**
+ * Read a cached geocoding result, marking it as recently used
+ * @param {string} key - Normalized query
+ * @returns {{result: object|null}|undefined} - undefined on a miss
+ */
+const readGeocodeCache = (key) => {
+  const entry = geocodeCache.get(key);
+  if (!entry) return undefined;
+
+  geocodeCache.delete(key);
+  if (entry.expiresAt <= Date.now()) return undefined;
+  geocodeCache.set(key, entry);
+  return entry;
+};
+
+/**
+ * Cache a geocoding result, evicting the least recently used entry when the cache is full
+ * @param {string} key - Normalized query
+ * @param {object|null} result - Geocoding result (null when nothing matched)
+ */
+const writeGeocodeCache = (key, result) => {
+  geocodeCache.delete(key);
+  if (geocodeCache.size >= GEOCODE_CACHE_MAX_ENTRIES) {
+    geocodeCache.delete(geocodeCache.keys().next().value);
+  }
+  geocodeCache.set(key, { result, expiresAt: Date.now() + GEOCODE_CACHE_TTL_MS });
+};
+
+/**
+ * Geocode a free-text place, with a bounded in-memory cache (GEOCODE_CACHE_MAX_ENTRIES, 24h TTL)
+ * @param {string} query - Place name/address (include the city for better results)
+ * @returns {Promise<{lat: number, lng: number, formattedAddress: string}|null>}
+ */
+const geocodePlace = async (query) => {
+  if (!query || !query.trim()) return null;
+  const key = query.trim().toLowerCase();
+  const cached = readGeocodeCache(key);
+  if (cached) return cached.result;
+
+  try {
+    const result = await getRoutingProvider().geocode(query);
+    writeGeocodeCache(key, result);
+    return result;
+  } catch (error) {
+    // Don't cache failures so a transient outage doesn't stick
+    console.error(`Error geocoding "${query}":`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Travel time between two coordinates, falling back to the haversine estimate if the provider fails
+ * @param {{lat: number, lng: number}} origin
+ * @param {{lat: number, lng: number}} destination
+ * @param {object} options - { mode }
+ * @returns {Promise<{distanceMeters: number, durationMinutes: number, mode: string, provider: string}>}
+ */
+const getTravelTime = async (origin, destination, options = {}) => {
+  const provider = getRoutingProvider();
+  try {
+    const leg = await provider.getTravelTime(origin, destination, options);
+    return { ...leg, provider: provider.name };
+  } catch (error) {
+    console.error(`Routing provider "${provider.name}" failed, using haversine estimate:`, error.message);
+    return { ...estimateTravelTime(origin, destination), provider: "haversine" };
+  }
+};
+
+module.exports = {
+  registerRoutingProvider,
+  getRoutingProvider,
+  geocodePlace,
+  getTravelTime,
+  estimateTravelTime,
+};
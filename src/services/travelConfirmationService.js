@@ -1,14 +1,20 @@
 const { getFirestore } = require("../config/database");
 const admin = require("firebase-admin");
-const OpenAI = require("openai");
+const { completeJSON } = require("./llmGateway");
+const { duplicateCheckSchema } = require("./llmSchemas");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const DUPLICATE_CHECK_MODEL = "gpt-4o-mini";
 const COLLECTION_NAME = "travelConfirmations";
 
+/**
+ * Link a trip's hotel bookings to its legs after confirmations are linked to it (no-op without legs)
+ * @param {string} tripId - The trip document ID
+ * @returns {Promise<boolean>}
+ */
+const syncTripHotels = (tripId) => {
+  const { syncHotelConfirmationsToLegs } = require("./tripLegService");
+  return syncHotelConfirmationsToLegs(tripId);
+};
+
 /**
  * Save a travel confirmation to Firestore
  * @param {string} userId - The user ID from Clerk
@@ -30,6 +36,9 @@ const saveConfirmation = async (userId, confirmationData, tripId = null) => {
     };
 
     const docRef = await confirmationsRef.add(confirmationDoc);
+    if (tripId) {
+      await syncTripHotels(tripId);
+    }
 
     // Return the saved data
     const savedDoc = await docRef.get();
@@ -76,6 +85,9 @@ const saveConfirmations = async (userId, confirmationsData, tripId = null) => {
     });
 
     await batch.commit();
+    if (tripId && savedConfirmations.length > 0) {
+      await syncTripHotels(tripId);
+    }
 
     // Convert timestamps to actual values for response
     return savedConfirmations;
@@ -167,8 +179,7 @@ ${JSON.stringify(confirmationsSample, null, 2)}
 `;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: DUPLICATE_CHECK_MODEL,
+    const { data } = await completeJSON("confirmation-duplicates", {
       messages: [
         {
           role: "system",
@@ -178,30 +189,13 @@ ${JSON.stringify(confirmationsSample, null, 2)}
         { role: "user", content: prompt },
       ],
       temperature: 0,
+      schema: duplicateCheckSchema,
     });
 
-    const rawContent = completion.choices[0].message.content.trim();
-    const cleaned = rawContent
-      .replace(/```json\s*/gi, "")
-      .replace(/```/g, "")
-      .trim();
-
-    try {
-      const parsed = JSON.parse(cleaned);
-      if (
-        typeof parsed.isDuplicate === "boolean" &&
-        Array.isArray(parsed.duplicateIds)
-      ) {
-        return {
-          isDuplicate: parsed.isDuplicate,
-          duplicateIds: parsed.duplicateIds.map((id) => String(id)),
-        };
-      }
-    } catch (parseError) {
-      console.error("Failed to parse AI duplicate check response:", parseError, cleaned);
-    }
-
-    return { isDuplicate: false, duplicateIds: [] };
+    return {
+      isDuplicate: data.isDuplicate,
+      duplicateIds: data.duplicateIds.map((id) => String(id)),
+    };
   } catch (error) {
     console.error("Error running AI duplicate check:", error);
     return { isDuplicate: false, duplicateIds: [] };
@@ -230,18 +224,25 @@ const findDuplicateConfirmationForUser = async (userId, confirmationData) => {
 };
 
 /**
- * Get all confirmations for a specific trip
+ * Get all confirmations for a specific trip, including those linked by other trip members
  * @param {string} tripId - The trip document ID
  * @param {string} userId - The user ID from Clerk (for authorization)
  * @returns {Promise<Array<object>>} - Array of confirmation documents
  */
 const getTripConfirmations = async (tripId, userId) => {
   try {
+    const { getTripById } = require("./tripService");
+
+    // Verify the user is a member of this trip
+    const trip = await getTripById(tripId, userId);
+    if (!trip) {
+      throw new Error("Trip not found");
+    }
+
     const db = getFirestore();
     const confirmationsRef = db.collection(COLLECTION_NAME);
     const snapshot = await confirmationsRef
       .where("tripId", "==", tripId)
-      .where("userId", "==", userId)
       .get();
 
     if (snapshot.empty) {
@@ -290,6 +291,7 @@ const linkConfirmationToTrip = async (confirmationId, tripId, userId) => {
     };
 
     await confirmationRef.update(updateData);
+    await syncTripHotels(tripId);
 
     // Return the updated data
     const updatedDoc = await confirmationRef.get();
@@ -346,6 +348,9 @@ const linkConfirmationsToTrip = async (confirmationIds, tripId, userId) => {
     }
 
     await batch.commit();
+    if (updatedConfirmations.length > 0) {
+      await syncTripHotels(tripId);
+    }
     return updatedConfirmations;
   } catch (error) {
     console.error("Error linking confirmations to trip:", error);
@@ -444,6 +449,9 @@ const linkConfirmationsToTripWithDays = async (confirmationIds, tripId, days, us
     }
 
     await batch.commit();
+    if (updatedConfirmations.length > 0) {
+      await syncTripHotels(tripId);
+    }
     return updatedConfirmations;
   } catch (error) {
     console.error("Error linking confirmations to trip with days:", error);
@@ -452,14 +460,20 @@ const linkConfirmationsToTripWithDays = async (confirmationIds, tripId, days, us
 };
 
 /**
- * Filter confirmations by assignment status and category
+ * Filter confirmations by assignment status, category and amount
  * @param {string} userId - The user ID from Clerk
  * @param {object} options
  * @param {"all"|"assigned"|"unassigned"} [options.assignment="all"] - Filter by assignment to trips
  * @param {string} [options.category="all"] - Filter by category (all, flight, hotel, car, restaurant, activity, other)
+ * @param {number} [options.minAmount] - Minimum totalAmount in the home currency
+ * @param {number} [options.maxAmount] - Maximum totalAmount in the home currency
+ * @param {string} [options.homeCurrency] - Currency for the amount filters (defaults to the user's home currency)
  * @returns {Promise<Array<object>>} - Array of filtered confirmation documents
  */
-const filterConfirmations = async (userId, { assignment = "all", category = "all" } = {}) => {
+const filterConfirmations = async (
+  userId,
+  { assignment = "all", category = "all", minAmount, maxAmount, homeCurrency } = {}
+) => {
   try {
     const confirmations = await getUserConfirmations(userId);
 
@@ -497,7 +511,27 @@ const filterConfirmations = async (userId, { assignment = "all", category = "all
       return confirmationCategory === targetCategory;
     });
 
-    return filtered;
+    const min = minAmount !== undefined && minAmount !== "" ? Number(minAmount) : null;
+    const max = maxAmount !== undefined && maxAmount !== "" ? Number(maxAmount) : null;
+    if ((min !== null && isNaN(min)) || (max !== null && isNaN(max))) {
+      throw new Error("Invalid amount filter");
+    }
+    if (min === null && max === null) {
+      return filtered;
+    }
+
+    // Amount filters compare in the home currency; confirmations that can't be converted are excluded
+    const { getHomeCurrency, withHomeCurrencyTotals } = require("./currencyService");
+    const currency = homeCurrency || (await getHomeCurrency(userId));
+    const { confirmations: withAmounts } = await withHomeCurrencyTotals(filtered, currency);
+
+    return withAmounts.filter((conf) => {
+      const homeAmount = conf.amount?.homeAmount;
+      if (homeAmount === null || homeAmount === undefined) return false;
+      if (min !== null && homeAmount < min) return false;
+      if (max !== null && homeAmount > max) return false;
+      return true;
+    });
   } catch (error) {
     console.error("Error filtering confirmations:", error);
     throw error;
@@ -11,6 +11,15 @@ const COLLECTION_NAME_2 = "travelPreferences-Setting";
  */
 const saveTravelPreferences = async (userId, preferences) => {
   try {
+    if (preferences.homeCurrency !== undefined) {
+      const { normalizeCurrencyCode } = require("./currencyService");
+      const homeCurrency = normalizeCurrencyCode(preferences.homeCurrency);
+      if (!homeCurrency) {
+        throw new Error("Invalid home currency. Must be a 3-letter ISO 4217 code");
+      }
+      preferences = { ...preferences, homeCurrency };
+    }
+
     const db = getFirestore();
     const docRef = db.collection(COLLECTION_NAME).doc(userId);
 
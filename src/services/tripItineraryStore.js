@@ -0,0 +1,209 @@
+/**
+ * Trip itinerary storage
+ *
+ * Days and activities are stored outside the trip document so long trips stay under
+ * Firestore's 1 MiB document limit and small edits only rewrite what changed:
+ *   trips/{tripId}                        itinerary: { start_date, end_date, ... } (non-day keys only)
+ *                                         itineraryStorage: "subcollections"
+ *   trips/{tripId}/days/{dayKey}          day fields (date, summary, travel, versionHistory, ...) + dayNumber
+ *   trips/{tripId}/activities/{docId}     activity fields + dayKey + position
+ * Callers keep working with the familiar nested `itinerary` object: load it with loadTripData and
+ * write it back with writeItinerary. Trips written before this layout keep their days inline
+ * until their next write (or until src/scripts/migrateItineraryToSubcollections.js moves them).
+ */
+
+const DAYS_SUBCOLLECTION = "days";
+const ACTIVITIES_SUBCOLLECTION = "activities";
+const STORAGE_LAYOUT = "subcollections";
+// Firestore commits at most 500 writes at once; leave room for the trip document and the caller's own writes
+const MAX_ITINERARY_WRITES = 490;
+
+/**
+ * Check whether a key is a day key (day1, day2, ...)
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isDayKey = (key) => /^day\d+$/.test(key);
+
+/**
+ * Check whether a trip's days live in subcollections
+ * @param {object} tripData - Trip document data
+ * @returns {boolean}
+ */
+const usesSubcollections = (tripData) => tripData?.itineraryStorage === STORAGE_LAYOUT;
+
+/**
+ * Serialize a document value with object keys sorted, so equal data compares equal however it was built
+ * (Firestore reads and objects rebuilt with spreads order their keys differently)
+ * @param {*} value - Document data
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? "null" : stableStringify(item))).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    // Timestamps, GeoPoints and FieldValue sentinels are class instances; keep the class in the key
+    const type = value.constructor && value.constructor !== Object ? value.constructor.name : "";
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `${type}{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Split an itinerary into its trip-document part, day docs and activity docs
+ * @param {object} itinerary - Nested itinerary (day1..dayN plus metadata keys)
+ * @returns {{meta: object, days: Map<string, object>, activities: Map<string, object>}}
+ */
+const splitItinerary = (itinerary = {}) => {
+  const meta = {};
+  const days = new Map();
+  const activities = new Map();
+
+  Object.entries(itinerary || {}).forEach(([key, value]) => {
+    if (!isDayKey(key)) {
+      meta[key] = value;
+      return;
+    }
+
+    const { activities: dayActivities, ...day } = value || {};
+    days.set(key, { ...day, dayNumber: parseInt(key.slice(3), 10) });
+
+    (Array.isArray(dayActivities) ? dayActivities : []).forEach((activity, position) => {
+      // Activity IDs are unique per trip in practice; the day prefix and position guard against legacy duplicates
+      let docId = `${key}_${activity.id || `position${position}`}`;
+      if (activities.has(docId)) {
+        docId = `${docId}_${position}`;
+      }
+      activities.set(docId, { ...activity, dayKey: key, position });
+    });
+  });
+
+  return { meta, days, activities };
+};
+
+/**
+ * Rebuild the nested itinerary from day and activity docs
+ * @param {object} meta - Non-day itinerary keys from the trip document
+ * @param {Array<object>} dayDocs - Day document data
+ * @param {Array<object>} activityDocs - Activity document data
+ * @returns {object} - Nested itinerary
+ */
+const joinItinerary = (meta, dayDocs, activityDocs) => {
+  const itinerary = { ...(meta || {}) };
+
+  dayDocs
+    .slice()
+    .sort((a, b) => a.dayNumber - b.dayNumber)
+    .forEach(({ dayNumber, ...day }) => {
+      itinerary[`day${dayNumber}`] = { ...day, activities: [] };
+    });
+
+  activityDocs
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .forEach(({ dayKey, position, ...activity }) => {
+      if (itinerary[dayKey]) {
+        itinerary[dayKey].activities.push(activity);
+      }
+    });
+
+  return itinerary;
+};
+
+/**
+ * Get a trip document's data with its itinerary assembled from the subcollections
+ * @param {object} doc - Trip document snapshot (must exist)
+ * @param {object|null} transaction - Read through this transaction when given
+ * @returns {Promise<object>} - Trip data with the nested itinerary
+ */
+const loadTripData = async (doc, transaction = null) => {
+  const tripData = doc.data();
+  if (!usesSubcollections(tripData)) {
+    return tripData;
+  }
+
+  const read = (query) => (transaction ? transaction.get(query) : query.get());
+  const [daysSnapshot, activitiesSnapshot] = await Promise.all([
+    read(doc.ref.collection(DAYS_SUBCOLLECTION)),
+    read(doc.ref.collection(ACTIVITIES_SUBCOLLECTION)),
+  ]);
+
+  return {
+    ...tripData,
+    itinerary: joinItinerary(
+      tripData.itinerary,
+      daysSnapshot.docs.map((dayDoc) => dayDoc.data()),
+      activitiesSnapshot.docs.map((activityDoc) => activityDoc.data())
+    ),
+  };
+};
+
+/**
+ * Queue the writes that store an itinerary, touching only the days and activities that changed.
+ * The caller must also apply the returned fields to the trip document with the same writer.
+ * Throws when more than MAX_ITINERARY_WRITES documents would change, since Firestore would reject the commit.
+ * @param {object} writer - Firestore transaction or write batch (set/delete)
+ * @param {object} docRef - Trip document reference
+ * @param {object|null} tripData - Trip data as loaded by loadTripData (null for a new trip)
+ * @param {object} itinerary - The full itinerary to store (undefined values already removed)
+ * @returns {{itinerary: object, itineraryStorage: string}} - Fields for the trip document
+ */
+const writeItinerary = (writer, docRef, tripData, itinerary) => {
+  // Inline (not yet migrated) trips have nothing in the subcollections yet
+  const previous = splitItinerary(usesSubcollections(tripData) ? tripData.itinerary : {});
+  const next = splitItinerary(itinerary);
+
+  // Collect the changes first so an oversized write fails before anything is queued
+  const writes = [];
+  const syncDocs = (collectionName, previousDocs, nextDocs) => {
+    const collectionRef = docRef.collection(collectionName);
+    nextDocs.forEach((data, docId) => {
+      const previousData = previousDocs.get(docId);
+      if (!previousData || stableStringify(previousData) !== stableStringify(data)) {
+        writes.push(() => writer.set(collectionRef.doc(docId), data));
+      }
+    });
+    previousDocs.forEach((data, docId) => {
+      if (!nextDocs.has(docId)) {
+        writes.push(() => writer.delete(collectionRef.doc(docId)));
+      }
+    });
+  };
+
+  syncDocs(DAYS_SUBCOLLECTION, previous.days, next.days);
+  syncDocs(ACTIVITIES_SUBCOLLECTION, previous.activities, next.activities);
+
+  if (writes.length > MAX_ITINERARY_WRITES) {
+    throw new Error(
+      `Itinerary change too large to save at once: ${writes.length} day/activity documents (max ${MAX_ITINERARY_WRITES})`
+    );
+  }
+  writes.forEach((write) => write());
+
+  return {
+    itinerary: next.meta,
+    itineraryStorage: STORAGE_LAYOUT,
+  };
+};
+
+/**
+ * Get the reference of a day document
+ * @param {object} docRef - Trip document reference
+ * @param {string} dayKey - day1, day2, ...
+ * @returns {object}
+ */
+const getDayRef = (docRef, dayKey) => docRef.collection(DAYS_SUBCOLLECTION).doc(dayKey);
+
+module.exports = {
+  DAYS_SUBCOLLECTION,
+  ACTIVITIES_SUBCOLLECTION,
+  usesSubcollections,
+  loadTripData,
+  writeItinerary,
+  getDayRef,
+};
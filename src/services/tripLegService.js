@@ -0,0 +1,458 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { getTripForMember, assertTripRole } = require("./tripMemberService");
+const { recordTripVersion } = require("./tripVersionService");
+const {
+  ensureActivitiesHaveIds,
+  removeUndefinedValues,
+  convertCoverPhotoUrl,
+  withNextRevisions,
+  assertExpectedRevision,
+} = require("./tripService");
+const { loadTripData, writeItinerary } = require("./tripItineraryStore");
+
+/**
+ * Trip legs
+ *
+ * A multi-destination trip stores its legs on selectedTrip.legs:
+ *   {
+ *     id: string,
+ *     city: string,
+ *     country?: string,
+ *     startDate: "YYYY-MM-DD",   // arrival day
+ *     endDate: "YYYY-MM-DD",     // departure day (may equal the next leg's startDate)
+ *     accommodation: { name, address, confirmationId, checkInDate, checkOutDate } | null,
+ *   }
+ * The first day of every leg after the first is a transfer day: travel from the previous
+ * leg's city in the morning, then plan the rest of the day in the new city.
+ */
+
+const TRIPS_COLLECTION = "trips";
+const CONFIRMATIONS_COLLECTION = "travelConfirmations";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a date value to YYYY-MM-DD
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === "string" && DATE_PATTERN.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split("T")[0];
+};
+
+/**
+ * Validate and normalize a legs array (sorted by startDate, with IDs)
+ * @param {Array} legs - Legs from the request or the trip
+ * @returns {Array} - Normalized legs (empty if none)
+ */
+const normalizeLegs = (legs) => {
+  if (legs === undefined || legs === null) {
+    return [];
+  }
+  if (!Array.isArray(legs)) {
+    throw new Error("Invalid legs: must be an array");
+  }
+
+  const normalized = legs.map((leg, index) => {
+    if (!leg || typeof leg.city !== "string" || leg.city.trim().length === 0) {
+      throw new Error(`Invalid legs: leg ${index + 1} needs a city`);
+    }
+    const startDate = toDateString(leg.startDate);
+    const endDate = toDateString(leg.endDate);
+    if (!startDate || !endDate) {
+      throw new Error(`Invalid legs: leg ${index + 1} needs startDate and endDate (YYYY-MM-DD)`);
+    }
+    if (endDate < startDate) {
+      throw new Error(`Invalid legs: leg ${index + 1} ends before it starts`);
+    }
+
+    const accommodation = leg.accommodation && typeof leg.accommodation === "object"
+      ? {
+          name: leg.accommodation.name || null,
+          address: leg.accommodation.address || null,
+          confirmationId: leg.accommodation.confirmationId || null,
+          checkInDate: toDateString(leg.accommodation.checkInDate),
+          checkOutDate: toDateString(leg.accommodation.checkOutDate),
+        }
+      : null;
+
+    return {
+      id: leg.id || crypto.randomBytes(8).toString("hex"),
+      city: leg.city.trim(),
+      country: leg.country ? String(leg.country).trim() : null,
+      startDate,
+      endDate,
+      accommodation,
+    };
+  });
+
+  normalized.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  // Consecutive legs may share the transfer day, but can't overlap beyond it
+  normalized.slice(1).forEach((leg, index) => {
+    const previous = normalized[index];
+    if (leg.startDate < previous.endDate) {
+      throw new Error(`Invalid legs: ${previous.city} and ${leg.city} overlap`);
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Work out the base city for every day of the trip
+ * @param {Array} legs - Normalized legs
+ * @param {string} startDate - Trip start date (YYYY-MM-DD)
+ * @param {number} dayCount - Number of days
+ * @returns {Array<{dayNumber: number, date: string, legId: string|null, city: string|null, transfer: object|null}>}
+ */
+const buildLegDayPlan = (legs, startDate, dayCount) => {
+  const plan = [];
+  for (let dayNumber = 1; dayNumber <= dayCount; dayNumber++) {
+    const date = new Date(`${startDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + dayNumber - 1);
+    const dateString = date.toISOString().split("T")[0];
+
+    // On a shared transfer day the arriving leg wins
+    let legIndex = -1;
+    legs.forEach((leg, index) => {
+      if (leg.startDate <= dateString && dateString <= leg.endDate) legIndex = index;
+    });
+    const leg = legs[legIndex];
+
+    plan.push({
+      dayNumber,
+      date: dateString,
+      legId: leg ? leg.id : null,
+      city: leg ? leg.city : null,
+      transfer:
+        leg && legIndex > 0 && leg.startDate === dateString
+          ? { fromLegId: legs[legIndex - 1].id, from: legs[legIndex - 1].city, to: leg.city }
+          : null,
+    });
+  }
+  return plan;
+};
+
+/**
+ * Describe the per-day base cities for an itinerary prompt
+ * @param {Array} dayPlan - Output of buildLegDayPlan
+ * @returns {string} - Prompt section ("" when there are no legs)
+ */
+const describeLegsForPrompt = (dayPlan) => {
+  if (!dayPlan.some((day) => day.city)) {
+    return "";
+  }
+
+  const lines = dayPlan.map((day) => {
+    if (day.transfer) {
+      return `- day${day.dayNumber} (${day.date}): TRANSFER DAY ${day.transfer.from} → ${day.transfer.to}. the journey is added automatically in the morning (do NOT add it); afternoon and evening are in ${day.transfer.to}, keep them light`;
+    }
+    return `- day${day.dayNumber} (${day.date}): ${day.city || "no base city set"}`;
+  });
+
+  return `\n\nMULTI-DESTINATION TRIP - every activity must be in that day's base city:\n${lines.join("\n")}\n`;
+};
+
+/**
+ * Label itinerary days with their leg/city and make sure transfer days have a travel activity
+ * @param {object} itinerary - Itinerary with day1..dayN
+ * @param {Array} dayPlan - Output of buildLegDayPlan
+ * @returns {object} - The same itinerary, updated
+ */
+const applyLegsToItinerary = (itinerary, dayPlan) => {
+  dayPlan.forEach((planDay) => {
+    const day = itinerary[`day${planDay.dayNumber}`];
+    if (!day) return;
+
+    if (!Array.isArray(day.activities)) {
+      day.activities = [];
+    }
+
+    if (planDay.city) {
+      day.legId = planDay.legId;
+      day.city = planDay.city;
+    } else {
+      delete day.legId;
+      delete day.city;
+    }
+
+    if (!planDay.transfer) {
+      delete day.transfer;
+      day.activities = day.activities.filter((activity) => activity.legTransfer !== true);
+      return;
+    }
+
+    day.transfer = planDay.transfer;
+    const transferActivity = {
+      name: `Travel from ${planDay.transfer.from} to ${planDay.transfer.to}`,
+      description: `Transfer day: check out in ${planDay.transfer.from} and travel to ${planDay.transfer.to}.`,
+      type: "transport",
+      location: planDay.transfer.to,
+    };
+    const existingIndex = day.activities.findIndex((activity) => activity.legTransfer === true);
+    if (existingIndex !== -1) {
+      // Keep the activity's ID and placement, refresh the cities
+      day.activities[existingIndex] = { ...day.activities[existingIndex], ...transferActivity };
+    } else {
+      day.activities.unshift({
+        ...transferActivity,
+        timeBlock: "morning",
+        sourceType: "ai",
+        legTransfer: true,
+      });
+    }
+  });
+
+  return itinerary;
+};
+
+/**
+ * Match hotel confirmations to legs by check-in date, falling back to the city name
+ * @param {Array} legs - Normalized legs
+ * @param {Array} confirmations - Confirmation documents ({ id, confirmationData })
+ * @returns {{legs: Array, links: Array<{confirmationId: string, legId: string}>}}
+ */
+const matchHotelConfirmationsToLegs = (legs, confirmations) => {
+  const links = [];
+  const updatedLegs = legs.map((leg) => ({ ...leg }));
+
+  confirmations.forEach((confirmation) => {
+    const data = confirmation.confirmationData || {};
+    const category = (data.category || "").toLowerCase();
+    if (!category.includes("hotel") && !category.includes("accommodation")) return;
+
+    const checkInDate = toDateString(data.checkInDate);
+    const place = [data.location, data.hotelName, data.address].filter(Boolean).join(" ").toLowerCase();
+
+    const leg =
+      (checkInDate &&
+        updatedLegs.find((entry) => entry.startDate <= checkInDate && checkInDate < entry.endDate)) ||
+      (checkInDate && updatedLegs.find((entry) => entry.startDate === checkInDate)) ||
+      updatedLegs.find((entry) => place && place.includes(entry.city.toLowerCase()));
+    if (!leg) return;
+
+    leg.accommodation = {
+      name: data.hotelName || null,
+      address: data.location || data.address || null,
+      confirmationId: confirmation.id,
+      checkInDate,
+      checkOutDate: toDateString(data.checkOutDate),
+    };
+    links.push({ confirmationId: confirmation.id, legId: leg.id });
+  });
+
+  return { legs: updatedLegs, links };
+};
+
+/**
+ * Hotel bookings that belong to a trip: linked to it by tripId or placed on its itinerary
+ * @param {object} tripData - Trip document data, with its itinerary loaded
+ * @param {string} tripId - The trip document ID
+ * @param {Array} ownerConfirmations - The trip owner's confirmations
+ * @returns {Array}
+ */
+const getTripConfirmations = (tripData, tripId, ownerConfirmations) => {
+  const itinerary = tripData.itinerary || {};
+  const itinerarySourceIds = new Set();
+  Object.keys(itinerary)
+    .filter((key) => /^day\d+$/.test(key))
+    .forEach((key) =>
+      (itinerary[key]?.activities || []).forEach((activity) => {
+        if (activity.sourceType === "confirmation" && activity.sourceId) {
+          itinerarySourceIds.add(activity.sourceId);
+        }
+      })
+    );
+  return ownerConfirmations.filter(
+    (confirmation) => confirmation.tripId === tripId || itinerarySourceIds.has(confirmation.id)
+  );
+};
+
+/**
+ * Get the trip's start date and day count from selectedTrip/legs/itinerary
+ * @param {object} tripData - Trip document data
+ * @returns {{startDate: string|null, dayCount: number}}
+ */
+const getTripSpan = (tripData) => {
+  const selectedTrip = tripData.selectedTrip || {};
+  const legs = selectedTrip.legs || [];
+  const dayKeys = Object.keys(tripData.itinerary || {}).filter((key) => /^day\d+$/.test(key));
+  const startDate =
+    toDateString(selectedTrip.start_date || selectedTrip.startDate) ||
+    tripData.itinerary?.day1?.date ||
+    legs[0]?.startDate ||
+    null;
+  return { startDate: toDateString(startDate), dayCount: dayKeys.length };
+};
+
+/**
+ * Set the legs of a trip, relabel its days and link hotel confirmations to legs.
+ * Existing activities are kept; regenerate a day to re-plan it for its new city.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {Array} legs - New legs (empty array removes them)
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions (see tripService parseIfMatch)
+ * @returns {Promise<object>} - The updated trip document
+ */
+const updateTripLegs = async (tripId, userId, legs, { expectedRevision = null } = {}) => {
+  try {
+    const normalizedLegs = normalizeLegs(legs);
+    const { docRef, tripData: ownerTrip } = await getTripForMember(tripId, userId, "editor");
+    const { getUserConfirmations } = require("./travelConfirmationService");
+    const ownerConfirmations = await getUserConfirmations(ownerTrip.userId);
+
+    const db = getFirestore();
+    let tripData;
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      tripData = await loadTripData(doc, transaction);
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const itinerary = { ...(tripData.itinerary || {}) };
+      const confirmations = getTripConfirmations(tripData, tripId, ownerConfirmations);
+
+      const { legs: linkedLegs, links } = matchHotelConfirmationsToLegs(normalizedLegs, confirmations);
+      const { startDate, dayCount } = getTripSpan({ ...tripData, selectedTrip: { ...tripData.selectedTrip, legs: linkedLegs } });
+
+      Object.keys(itinerary)
+        .filter((key) => /^day\d+$/.test(key))
+        .forEach((key) => {
+          itinerary[key] = { ...itinerary[key], activities: [...(itinerary[key].activities || [])] };
+        });
+      if (startDate) {
+        applyLegsToItinerary(itinerary, buildLegDayPlan(linkedLegs, startDate, dayCount));
+      }
+
+      Object.keys(itinerary)
+        .filter((key) => /^day\d+$/.test(key))
+        .forEach((key) => {
+          itinerary[key].activities = ensureActivitiesHaveIds(itinerary[key].activities);
+        });
+
+      const selectedTrip = { ...(tripData.selectedTrip || {}), legs: linkedLegs };
+      if (linkedLegs.length > 0 && !tripData.selectedTrip?.destination) {
+        selectedTrip.destination = linkedLegs.map((leg) => leg.city).join(" → ");
+      }
+
+      const { itinerary: revisedItinerary, revision } = withNextRevisions(tripData, itinerary);
+      transaction.update(docRef, {
+        selectedTrip: removeUndefinedValues(selectedTrip),
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(revisedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const linkedIds = new Set(links.map((link) => link.confirmationId));
+      links.forEach(({ confirmationId, legId }) => {
+        transaction.update(db.collection(CONFIRMATIONS_COLLECTION).doc(confirmationId), {
+          legId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      // Unlink hotels whose leg went away
+      confirmations
+        .filter((confirmation) => confirmation.legId && !linkedIds.has(confirmation.id))
+        .forEach((confirmation) => {
+          transaction.update(db.collection(CONFIRMATIONS_COLLECTION).doc(confirmation.id), {
+            legId: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        });
+    });
+
+    const updatedDoc = await db.collection(TRIPS_COLLECTION).doc(tripId).get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "legs", { before: tripData, after: updatedData });
+    return await convertCoverPhotoUrl({ id: updatedDoc.id, ...updatedData });
+  } catch (error) {
+    console.error("Error updating trip legs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Link a trip's hotel confirmations to its legs; call it after bookings are linked to the trip or
+ * the trip is created. Trips without legs are left alone, and the itinerary isn't touched.
+ * Failures are logged, not thrown, so saving or linking a booking never fails because of it.
+ * @param {string} tripId - The trip document ID
+ * @returns {Promise<boolean>} - True if a leg or confirmation was updated
+ */
+const syncHotelConfirmationsToLegs = async (tripId) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(TRIPS_COLLECTION).doc(tripId);
+    const tripDoc = await docRef.get();
+    if (!tripDoc.exists || !(tripDoc.data().selectedTrip?.legs || []).length) {
+      return false;
+    }
+
+    const { getUserConfirmations } = require("./travelConfirmationService");
+    const ownerConfirmations = await getUserConfirmations(tripDoc.data().userId);
+    let changed = false;
+
+    await db.runTransaction(async (transaction) => {
+      changed = false;
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) return;
+
+      const tripData = await loadTripData(doc, transaction);
+      const legs = tripData.selectedTrip?.legs || [];
+      if (legs.length === 0) return;
+
+      const confirmations = getTripConfirmations(tripData, tripId, ownerConfirmations);
+      const { legs: linkedLegs, links } = matchHotelConfirmationsToLegs(legs, confirmations);
+      const confirmationsById = new Map(confirmations.map((confirmation) => [confirmation.id, confirmation]));
+      const changedLinks = links.filter(
+        ({ confirmationId, legId }) => confirmationsById.get(confirmationId).legId !== legId
+      );
+      const legsChanged = JSON.stringify(linkedLegs) !== JSON.stringify(legs);
+      if (!legsChanged && changedLinks.length === 0) return;
+
+      changed = true;
+      if (legsChanged) {
+        transaction.update(docRef, {
+          "selectedTrip.legs": linkedLegs,
+          revision: admin.firestore.FieldValue.increment(1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      changedLinks.forEach(({ confirmationId, legId }) => {
+        transaction.update(db.collection(CONFIRMATIONS_COLLECTION).doc(confirmationId), {
+          legId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    });
+
+    return changed;
+  } catch (error) {
+    console.error(`Error linking hotel confirmations to the legs of trip ${tripId}:`, error);
+    return false;
+  }
+};
+
+module.exports = {
+  normalizeLegs,
+  buildLegDayPlan,
+  describeLegsForPrompt,
+  applyLegsToItinerary,
+  matchHotelConfirmationsToLegs,
+  updateTripLegs,
+  syncHotelConfirmationsToLegs,
+};
@@ -0,0 +1,382 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+
+const TRIPS_COLLECTION = "trips";
+const INVITATIONS_COLLECTION = "tripInvitations";
+
+const TRIP_ROLES = ["owner", "editor", "viewer"];
+const INVITABLE_ROLES = ["editor", "viewer"];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const INVITATION_TTL_DAYS = Number(process.env.TRIP_INVITATION_TTL_DAYS || 7);
+
+/**
+ * Generate a random invitation token
+ * @returns {string} - Unique token string
+ */
+const generateInvitationToken = () => {
+  return crypto.randomBytes(24).toString("hex");
+};
+
+/**
+ * Get the role a user holds on a trip
+ * The trip creator (trip.userId) is always the owner, even on trips created before members existed.
+ * @param {object} tripData - The raw trip document data
+ * @param {string} userId - The user ID from Clerk
+ * @returns {string|null} - "owner", "editor", "viewer" or null if the user is not a member
+ */
+const getTripRole = (tripData, userId) => {
+  if (!tripData || !userId) {
+    return null;
+  }
+
+  if (tripData.userId === userId) {
+    return "owner";
+  }
+
+  const member = (tripData.members || {})[userId];
+  if (member && TRIP_ROLES.includes(member.role)) {
+    return member.role;
+  }
+
+  return null;
+};
+
+/**
+ * Verify that a user holds at least the required role on a trip
+ * @param {object} tripData - The raw trip document data
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} requiredRole - Minimum role needed ("viewer", "editor" or "owner")
+ * @returns {string} - The user's role on the trip
+ */
+const assertTripRole = (tripData, userId, requiredRole = "viewer") => {
+  const role = getTripRole(tripData, userId);
+
+  if (!role) {
+    throw new Error("Unauthorized: User is not a member of this trip");
+  }
+
+  if (ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+    throw new Error(`Unauthorized: This action requires the ${requiredRole} role on this trip`);
+  }
+
+  return role;
+};
+
+/**
+ * Load a trip document and verify the user's role on it. Only the trip document is read, so
+ * tripData has no days; callers that need the itinerary pass doc to loadTripData (tripItineraryStore).
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {Promise<{docRef: object, doc: object, tripData: object, role: string}>}
+ */
+const getTripForMember = async (tripId, userId, requiredRole = "viewer") => {
+  const db = getFirestore();
+  const docRef = db.collection(TRIPS_COLLECTION).doc(tripId);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    throw new Error("Trip not found");
+  }
+
+  // Roles live on the trip document (userId, members)
+  const tripData = doc.data();
+  const role = assertTripRole(tripData, userId, requiredRole);
+
+  return { docRef, doc, tripData, role };
+};
+
+/**
+ * Convert a Firestore timestamp to an ISO string
+ * @param {object|string|null} value - Firestore timestamp or plain value
+ * @returns {string|null}
+ */
+const toIsoString = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate().toISOString() : value;
+};
+
+/**
+ * List the members of a trip, including the owner
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<Array<object>>} - Array of members with their roles
+ */
+const getTripMembers = async (tripId, userId) => {
+  try {
+    const { tripData } = await getTripForMember(tripId, userId, "viewer");
+
+    const members = [
+      {
+        userId: tripData.userId,
+        role: "owner",
+        addedAt: toIsoString(tripData.createdAt),
+      },
+    ];
+
+    Object.entries(tripData.members || {}).forEach(([memberId, member]) => {
+      members.push({
+        userId: memberId,
+        role: member.role,
+        invitedBy: member.invitedBy || null,
+        addedAt: toIsoString(member.addedAt),
+      });
+    });
+
+    return members;
+  } catch (error) {
+    console.error("Error getting trip members:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create an invitation to join a trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be the trip owner)
+ * @param {object} options
+ * @param {string} options.role - Role granted on acceptance ("editor" or "viewer")
+ * @param {string|null} [options.email] - Optional email of the invitee, for display only
+ * @returns {Promise<object>} - The saved invitation including its token
+ */
+const createInvitation = async (tripId, userId, { role, email = null } = {}) => {
+  try {
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${INVITABLE_ROLES.join(", ")}`);
+    }
+
+    await getTripForMember(tripId, userId, "owner");
+
+    const db = getFirestore();
+    const token = generateInvitationToken();
+    const invitationRef = db.collection(INVITATIONS_COLLECTION).doc(token);
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITATION_TTL_DAYS);
+
+    const invitation = {
+      tripId,
+      role,
+      email: email || null,
+      invitedBy: userId,
+      status: "pending",
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await invitationRef.set(invitation);
+
+    return {
+      token,
+      tripId,
+      role,
+      email: invitation.email,
+      status: invitation.status,
+      expiresAt: expiresAt.toISOString(),
+    };
+  } catch (error) {
+    console.error("Error creating trip invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Load a pending invitation inside a transaction and make sure it can still be answered
+ * @param {object} transaction - Firestore transaction
+ * @param {string} tripId - The trip document ID
+ * @param {string} token - The invitation token
+ * @returns {Promise<{invitationRef: object, invitation: object}>}
+ */
+const getPendingInvitation = async (transaction, tripId, token) => {
+  const db = getFirestore();
+  const invitationRef = db.collection(INVITATIONS_COLLECTION).doc(token);
+  const invitationDoc = await transaction.get(invitationRef);
+
+  if (!invitationDoc.exists || invitationDoc.data().tripId !== tripId) {
+    throw new Error("Invitation not found");
+  }
+
+  const invitation = invitationDoc.data();
+
+  if (invitation.status !== "pending") {
+    throw new Error(`Invitation is no longer pending (status: ${invitation.status})`);
+  }
+
+  const expiresAt = invitation.expiresAt?.toDate ? invitation.expiresAt.toDate() : null;
+  if (expiresAt && expiresAt < new Date()) {
+    throw new Error("Invitation has expired");
+  }
+
+  return { invitationRef, invitation };
+};
+
+/**
+ * Accept an invitation and add the user to the trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} token - The invitation token
+ * @param {string} userId - The user ID from Clerk accepting the invitation
+ * @returns {Promise<object>} - The new membership
+ */
+const acceptInvitation = async (tripId, token, userId) => {
+  try {
+    const db = getFirestore();
+    const tripRef = db.collection(TRIPS_COLLECTION).doc(tripId);
+
+    // Check and accept in one transaction so the same invitation can't be accepted twice
+    const role = await db.runTransaction(async (transaction) => {
+      const { invitationRef, invitation } = await getPendingInvitation(transaction, tripId, token);
+      const tripDoc = await transaction.get(tripRef);
+
+      if (!tripDoc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      const tripData = tripDoc.data();
+      if (getTripRole(tripData, userId)) {
+        throw new Error("User is already a member of this trip");
+      }
+
+      transaction.update(tripRef, {
+        [`members.${userId}`]: {
+          role: invitation.role,
+          invitedBy: invitation.invitedBy,
+          addedAt: admin.firestore.Timestamp.now(),
+        },
+        memberIds: admin.firestore.FieldValue.arrayUnion(userId),
+        revision: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      transaction.update(invitationRef, {
+        status: "accepted",
+        respondedBy: userId,
+        respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return invitation.role;
+    });
+
+    return {
+      tripId,
+      userId,
+      role,
+    };
+  } catch (error) {
+    console.error("Error accepting trip invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Decline an invitation
+ * @param {string} tripId - The trip document ID
+ * @param {string} token - The invitation token
+ * @param {string} userId - The user ID from Clerk declining the invitation
+ * @returns {Promise<object>} - The declined invitation summary
+ */
+const declineInvitation = async (tripId, token, userId) => {
+  try {
+    const db = getFirestore();
+
+    // Same transaction pattern as acceptInvitation so an accept and a decline can't both win
+    await db.runTransaction(async (transaction) => {
+      const { invitationRef } = await getPendingInvitation(transaction, tripId, token);
+
+      transaction.update(invitationRef, {
+        status: "declined",
+        respondedBy: userId,
+        respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    return {
+      tripId,
+      token,
+      status: "declined",
+    };
+  } catch (error) {
+    console.error("Error declining trip invitation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Change the role of an existing member
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be the trip owner)
+ * @param {string} memberId - The member whose role should change
+ * @param {string} role - The new role ("editor" or "viewer")
+ * @returns {Promise<object>} - The updated membership
+ */
+const updateMemberRole = async (tripId, userId, memberId, role) => {
+  try {
+    if (!INVITABLE_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${INVITABLE_ROLES.join(", ")}`);
+    }
+
+    const { docRef, tripData } = await getTripForMember(tripId, userId, "owner");
+
+    if (!(tripData.members || {})[memberId]) {
+      throw new Error("Member not found");
+    }
+
+    await docRef.update({
+      [`members.${memberId}.role`]: role,
+      revision: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { tripId, userId: memberId, role };
+  } catch (error) {
+    console.error("Error updating trip member role:", error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a member from a trip. Owners can remove anyone; members can remove themselves.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk performing the removal
+ * @param {string} memberId - The member to remove
+ * @returns {Promise<object>} - The removed membership summary
+ */
+const removeMember = async (tripId, userId, memberId) => {
+  try {
+    const requiredRole = userId === memberId ? "viewer" : "owner";
+    const { docRef, tripData } = await getTripForMember(tripId, userId, requiredRole);
+
+    if (tripData.userId === memberId) {
+      throw new Error("The trip owner cannot be removed");
+    }
+
+    if (!(tripData.members || {})[memberId]) {
+      throw new Error("Member not found");
+    }
+
+    await docRef.update({
+      [`members.${memberId}`]: admin.firestore.FieldValue.delete(),
+      memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+      revision: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { tripId, userId: memberId, removed: true };
+  } catch (error) {
+    console.error("Error removing trip member:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  TRIP_ROLES,
+  getTripRole,
+  assertTripRole,
+  getTripForMember,
+  getTripMembers,
+  createInvitation,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember,
+};
@@ -2,6 +2,9 @@ const { getFirestore } = require("../config/database");
 const admin = require("firebase-admin");
 const crypto = require("crypto");
 const { getSignedUrl } = require("./gcsService");
+const { assertTripRole, getTripRole } = require("./tripMemberService");
+const { recordTripVersion } = require("./tripVersionService");
+const { loadTripData, writeItinerary, usesSubcollections, getDayRef } = require("./tripItineraryStore");
 
 const COLLECTION_NAME = "trips";
 
@@ -73,6 +76,23 @@ const ensureActivitiesHaveIds = (activities) => {
   return activities.map((activity) => normalizeActivity({ ...activity }));
 };
 
+/**
+ * Apply the trip's scheduling mode to a day's activities.
+ * In "exact" mode every activity gets startTime/endTime/durationMinutes and overlaps
+ * with fixed activities are returned as structured conflicts; otherwise activities pass through.
+ * @param {object} tripData - The trip document data
+ * @param {Array} activities - Normalized day activities
+ * @returns {{activities: Array, conflicts: Array|undefined}}
+ */
+const applySchedulingMode = (tripData, activities) => {
+  if (tripData.schedulingMode !== "exact") {
+    return { activities, conflicts: undefined };
+  }
+
+  const { scheduleDayExactTimes } = require("./autoArrangementService");
+  return scheduleDayExactTimes(activities);
+};
+
 /**
  * Convert coverPhotoUrl from gs:// to signed HTTP URL if present
  * @param {object} trip - The trip object
@@ -89,15 +109,99 @@ const convertCoverPhotoUrl = async (trip) => {
   return trip;
 };
 
+/**
+ * Build the ETag for a trip from its revision number. Every write to the trip document bumps
+ * the revision (itinerary writes through withNextRevisions, others with an increment).
+ * @param {object} trip - Trip document data
+ * @returns {string} - Quoted strong ETag, e.g. "12"
+ */
+const buildTripETag = (trip) => `"${trip?.revision || 0}"`;
+
+/**
+ * Parse an If-Match header into revision preconditions.
+ * Accepts the trip ETag ("12") and/or day tags ("day2:5") so that edits to different days
+ * don't conflict; several tags may be given, comma separated.
+ * @param {string|undefined} header - The If-Match header value
+ * @returns {{tripRevisions: Array<number>, dayRevisions: object}|null} - null when there is no precondition
+ */
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === "*") {
+    return null;
+  }
+
+  const expected = { tripRevisions: [], dayRevisions: {} };
+  header.split(",").forEach((rawTag) => {
+    const tag = rawTag.trim().replace(/^W\//, "").replace(/^"|"$/g, "");
+    const dayMatch = tag.match(/^day(\d+):(\d+)$/);
+    if (dayMatch) {
+      expected.dayRevisions[parseInt(dayMatch[1], 10)] = parseInt(dayMatch[2], 10);
+    } else if (/^\d+$/.test(tag)) {
+      expected.tripRevisions.push(parseInt(tag, 10));
+    } else {
+      throw new Error(`Invalid If-Match header: ${rawTag.trim()}`);
+    }
+  });
+  return expected;
+};
+
+/**
+ * Check If-Match preconditions against the stored trip
+ * @param {object} tripData - Trip document data (read inside the transaction)
+ * @param {object|null} expectedRevision - Output of parseIfMatch
+ * @throws {Error} - "Revision conflict: ..." when the trip or a day has moved on
+ */
+const assertExpectedRevision = (tripData, expectedRevision) => {
+  if (!expectedRevision) return;
+
+  const tripRevision = tripData.revision || 0;
+  if (expectedRevision.tripRevisions.length > 0 && !expectedRevision.tripRevisions.includes(tripRevision)) {
+    throw new Error(
+      `Revision conflict: trip is at revision ${tripRevision}, not ${expectedRevision.tripRevisions.join(" or ")}`
+    );
+  }
+
+  Object.entries(expectedRevision.dayRevisions).forEach(([dayNumber, revision]) => {
+    const dayRevision = tripData.itinerary?.[`day${dayNumber}`]?.revision || 0;
+    if (dayRevision !== revision) {
+      throw new Error(`Revision conflict: day ${dayNumber} is at revision ${dayRevision}, not ${revision}`);
+    }
+  });
+};
+
+/**
+ * Bump the trip revision and the revision of every day whose content changed
+ * @param {object} tripData - Trip document data before the change
+ * @param {object} updatedItinerary - Itinerary about to be written
+ * @returns {{itinerary: object, revision: number}} - Fields to write
+ */
+const withNextRevisions = (tripData, updatedItinerary) => {
+  const currentItinerary = tripData.itinerary || {};
+  const itinerary = { ...updatedItinerary };
+
+  Object.keys(itinerary)
+    .filter((key) => /^day\d+$/.test(key))
+    .forEach((dayKey) => {
+      const { revision: currentRevision = 0, ...currentDay } = currentItinerary[dayKey] || {};
+      const { revision, ...day } = itinerary[dayKey] || {};
+      const changed =
+        JSON.stringify(removeUndefinedValues(day)) !== JSON.stringify(removeUndefinedValues(currentDay));
+      itinerary[dayKey] = { ...day, revision: currentRevision + (changed ? 1 : 0) };
+    });
+
+  return { itinerary, revision: (tripData.revision || 0) + 1 };
+};
+
 /**
  * Save a new trip with itinerary to Firestore
  * @param {string} userId - The user ID from Clerk
  * @param {object} selectedTrip - The selected trip suggestion data
  * @param {object} itinerary - The generated 3-day itinerary
  * @param {string|null} coverPhotoUrl - The GCS URL of the generated cover photo (optional)
+ * @param {object} options - Optional extras
+ * @param {number} options.generatingDays - Save the itinerary as a plan whose days are still being generated (see saveGeneratedDay)
  * @returns {Promise<object>} - The saved trip document
  */
-const saveTrip = async (userId, selectedTrip, itinerary, coverPhotoUrl = null) => {
+const saveTrip = async (userId, selectedTrip, itinerary, coverPhotoUrl = null, { generatingDays } = {}) => {
   try {
     const db = getFirestore();
     const tripsRef = db.collection(COLLECTION_NAME);
@@ -117,10 +221,13 @@ const saveTrip = async (userId, selectedTrip, itinerary, coverPhotoUrl = null) =
     // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
     const cleanedItinerary = removeUndefinedValues(itineraryWithIds);
 
+    // Days and activities go to subcollections, written in the same batch as the trip
+    const docRef = tripsRef.doc();
+    const batch = db.batch();
     const tripData = {
       userId,
       selectedTrip,
-      itinerary: cleanedItinerary,
+      ...writeItinerary(batch, docRef, null, cleanedItinerary),
       status: "draft",
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -131,13 +238,20 @@ const saveTrip = async (userId, selectedTrip, itinerary, coverPhotoUrl = null) =
       tripData.coverPhotoUrl = coverPhotoUrl;
     }
 
-    const docRef = await tripsRef.add(tripData);
+    if (generatingDays) {
+      tripData.generation = { status: "generating", completedDays: 0, totalDays: generatingDays };
+    }
+
+    batch.set(docRef, tripData);
+    await batch.commit();
 
     // Return the saved data
     const savedDoc = await docRef.get();
+    const savedData = await loadTripData(savedDoc);
+    await recordTripVersion(docRef.id, userId, "create", { before: null, after: savedData });
     const savedTrip = {
       id: savedDoc.id,
-      ...savedDoc.data(),
+      ...savedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -149,7 +263,130 @@ const saveTrip = async (userId, selectedTrip, itinerary, coverPhotoUrl = null) =
 };
 
 /**
- * Get all trips for a user
+ * Save one generated day of a trip created with saveTrip's generatingDays option
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {number} dayNumber - The day that was generated
+ * @param {object} day - The generated day ({ date, summary, activities, ... })
+ * @returns {Promise<object>} - The updated trip document
+ */
+const saveGeneratedDay = async (tripId, userId, dayNumber, day) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      const tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+
+      const dayKey = `day${dayNumber}`;
+      const currentItinerary = tripData.itinerary || {};
+
+      // Keep anything added to the planned day while it was being generated, after the generated activities
+      const generatedIds = new Set(day.activities.map((activity) => activity.id).filter(Boolean));
+      const existingActivities = (currentItinerary[dayKey]?.activities || []).filter(
+        (activity) => !generatedIds.has(activity.id) && activity.legTransfer !== true
+      );
+
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentItinerary[dayKey],
+          ...day,
+          activities: ensureActivitiesHaveIds([...day.activities, ...existingActivities]),
+        },
+      });
+
+      const generation = tripData.generation || {};
+
+      // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        generation: { ...generation, completedDays: (generation.completedDays || 0) + 1 },
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...(await loadTripData(updatedDoc)),
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error saving generated day:", error);
+    throw error;
+  }
+};
+
+/**
+ * Mark day-by-day generation of a trip as finished and record the result in version history
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {object} options
+ * @param {string} options.status - "complete" or "failed"
+ * @param {string|null} options.coverPhotoUrl - The GCS URL of the generated cover photo (optional)
+ * @param {object|null} options.before - The trip as saved before any day was generated, to diff against
+ * @returns {Promise<object>} - The updated trip document
+ */
+const finishTripGeneration = async (tripId, userId, { status, coverPhotoUrl = null, before = null }) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Trip not found");
+    }
+
+    const tripData = doc.data();
+
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
+
+    const updateData = {
+      generation: { ...tripData.generation, status },
+      revision: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (coverPhotoUrl) {
+      updateData.coverPhotoUrl = coverPhotoUrl;
+    }
+
+    await docRef.update(updateData);
+
+    // One version for all the generated days, on top of the empty plan saved as "create"
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "generate", { before, after: updatedData });
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error finishing trip generation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get all trips for a user, including trips shared with them
  * @param {string} userId - The user ID from Clerk
  * @returns {Promise<Array>} - Array of trip documents
  */
@@ -157,17 +394,27 @@ const getUserTrips = async (userId) => {
   try {
     const db = getFirestore();
     const tripsRef = db.collection(COLLECTION_NAME);
-    const snapshot = await tripsRef.where("userId", "==", userId).get();
-
-    if (snapshot.empty) {
+    const [ownedSnapshot, sharedSnapshot] = await Promise.all([
+      tripsRef.where("userId", "==", userId).get(),
+      tripsRef.where("memberIds", "array-contains", userId).get(),
+    ]);
+
+    // Deduplicate in case a trip shows up in both queries
+    const docsById = new Map();
+    [...ownedSnapshot.docs, ...sharedSnapshot.docs].forEach((doc) => {
+      docsById.set(doc.id, doc);
+    });
+
+    if (docsById.size === 0) {
       return [];
     }
 
     const trips = await Promise.all(
-      snapshot.docs.map(async (doc) => {
+      Array.from(docsById.values()).map(async (doc) => {
         const tripData = {
           id: doc.id,
-          ...doc.data(),
+          ...(await loadTripData(doc)),
+          userRole: getTripRole(doc.data(), userId),
         };
 
         // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -198,16 +445,15 @@ const getTripById = async (tripId, userId) => {
       return null;
     }
 
-    const tripData = doc.data();
+    const tripData = await loadTripData(doc);
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+    // Verify the user is a member of this trip
+    const userRole = assertTripRole(tripData, userId, "viewer");
 
     const trip = {
       id: doc.id,
       ...tripData,
+      userRole,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -224,58 +470,79 @@ const getTripById = async (tripId, userId) => {
  * @param {string} userId - The user ID from Clerk (for authorization)
  * @param {number} dayNumber - The day number (1, 2, or 3)
  * @param {Array} activities - The new activities array
+ * @param {object} options - Optional extras
+ * @param {object} options.travel - Transit legs/travel summary from planDayTravel (dropped if omitted, or if it
+ *   no longer matches the saved order, since the legs would be stale)
+ * @param {string} options.action - Version history action for the change (defaults to "manual_edit")
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
  * @returns {Promise<object>} - The updated trip document
  */
-const updateDayActivities = async (tripId, userId, dayNumber, activities) => {
+const updateDayActivities = async (
+  tripId,
+  userId,
+  dayNumber,
+  activities,
+  { travel, action = "manual_edit", expectedRevision = null } = {}
+) => {
   try {
     const db = getFirestore();
     const docRef = db.collection(COLLECTION_NAME).doc(tripId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      throw new Error("Trip not found");
-    }
-
-    const tripData = doc.data();
-
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
-
-    const dayKey = `day${dayNumber}`;
-
-    // Get current itinerary or initialize it
-    const currentItinerary = tripData.itinerary || {};
-    const currentDay = currentItinerary[dayKey] || {};
+    let tripData;
 
-    // Ensure all activities have IDs and clean undefined values
-    const activitiesWithIds = ensureActivitiesHaveIds(activities);
+    // Read-modify-write in a transaction so concurrent edits can't overwrite each other
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
 
-    // Update the activities for the specific day
-    const updatedItinerary = {
-      ...currentItinerary,
-      [dayKey]: {
-        ...currentDay,
-        activities: activitiesWithIds,
-      },
-    };
-
-    // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
-    const cleanedItinerary = removeUndefinedValues(updatedItinerary);
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
 
-    const updateData = {
-      itinerary: cleanedItinerary,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const dayKey = `day${dayNumber}`;
+
+      // Get current itinerary or initialize it
+      const currentItinerary = tripData.itinerary || {};
+      const currentDay = currentItinerary[dayKey] || {};
+
+      // Ensure all activities have IDs and clean undefined values
+      const activitiesWithIds = ensureActivitiesHaveIds(activities);
+      const { activities: scheduledActivities, conflicts } = applySchedulingMode(
+        tripData,
+        activitiesWithIds
+      );
+      const { isTravelCurrent } = require("./autoArrangementService");
+
+      // Update the activities for the specific day
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentDay,
+          activities: scheduledActivities,
+          scheduleConflicts: conflicts,
+          travel: isTravelCurrent(travel, scheduledActivities) ? travel : undefined,
+        },
+      });
 
-    await docRef.update(updateData);
+      // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, action, { before: tripData, after: updatedData });
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -292,60 +559,77 @@ const updateDayActivities = async (tripId, userId, dayNumber, activities) => {
  * @param {string} userId - The user ID from Clerk (for authorization)
  * @param {number} dayNumber - The day number (1, 2, or 3)
  * @param {Array} newActivities - The new activities to add
+ * @param {object} options - Optional extras
+ * @param {string} options.action - Version history action for the change (defaults to "manual_edit")
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
  * @returns {Promise<object>} - The updated trip document
  */
-const addDayActivities = async (tripId, userId, dayNumber, newActivities) => {
+const addDayActivities = async (
+  tripId,
+  userId,
+  dayNumber,
+  newActivities,
+  { action = "manual_edit", expectedRevision = null } = {}
+) => {
   try {
     const db = getFirestore();
     const docRef = db.collection(COLLECTION_NAME).doc(tripId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      throw new Error("Trip not found");
-    }
-
-    const tripData = doc.data();
-
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
-
-    const dayKey = `day${dayNumber}`;
-    const currentItinerary = tripData.itinerary || {};
-    const currentDay = currentItinerary[dayKey] || {};
-    const currentActivities = currentDay.activities || [];
-
-    // Ensure new activities have IDs
-    const newActivitiesWithIds = ensureActivitiesHaveIds(newActivities);
+    let tripData;
 
-    // Combine existing activities with new ones
-    const updatedActivities = [...currentActivities, ...newActivitiesWithIds];
-
-    // Update the itinerary structure
-    const updatedItinerary = {
-      ...currentItinerary,
-      [dayKey]: {
-        ...currentDay,
-        activities: updatedActivities,
-      },
-    };
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
 
-    // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
-    const cleanedItinerary = removeUndefinedValues(updatedItinerary);
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
 
-    const updateData = {
-      itinerary: cleanedItinerary,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const dayKey = `day${dayNumber}`;
+      const currentItinerary = tripData.itinerary || {};
+      const currentDay = currentItinerary[dayKey] || {};
+      const currentActivities = currentDay.activities || [];
+
+      // Ensure new activities have IDs
+      const newActivitiesWithIds = ensureActivitiesHaveIds(newActivities);
+
+      // Combine existing activities with new ones
+      const { activities: updatedActivities, conflicts } = applySchedulingMode(tripData, [
+        ...currentActivities,
+        ...newActivitiesWithIds,
+      ]);
+
+      // Update the itinerary structure
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentDay,
+          activities: updatedActivities,
+          scheduleConflicts: conflicts,
+          // The day's stops changed, so the old transit legs no longer apply
+          travel: undefined,
+        },
+      });
 
-    await docRef.update(updateData);
+      // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, action, { before: tripData, after: updatedData });
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -362,16 +646,27 @@ const addDayActivities = async (tripId, userId, dayNumber, newActivities) => {
  * @param {string} userId - The user ID from Clerk (for authorization)
  * @param {number} dayNumber - The day number (1, 2, 3, etc.)
  * @param {Array} formattedActivities - The formatted activities from inspiration items
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
  * @returns {Promise<object>} - The updated trip document
  */
-const addInspirationItemsToTrip = async (tripId, userId, dayNumber, formattedActivities) => {
+const addInspirationItemsToTrip = async (
+  tripId,
+  userId,
+  dayNumber,
+  formattedActivities,
+  { expectedRevision = null } = {}
+) => {
   try {
     if (!formattedActivities || !Array.isArray(formattedActivities) || formattedActivities.length === 0) {
       throw new Error("Formatted activities array is required and must not be empty");
     }
 
     // Use the existing addDayActivities function
-    return await addDayActivities(tripId, userId, dayNumber, formattedActivities);
+    return await addDayActivities(tripId, userId, dayNumber, formattedActivities, {
+      action: "inspiration_add",
+      expectedRevision,
+    });
   } catch (error) {
     console.error("Error adding inspiration items to trip:", error);
     throw error;
@@ -385,9 +680,18 @@ const addInspirationItemsToTrip = async (tripId, userId, dayNumber, formattedAct
  * @param {number} dayNumber - The day number (1, 2, 3, etc.)
  * @param {string} activityId - The ID of the activity to update
  * @param {object} updatedActivityData - The updated activity data
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
  * @returns {Promise<object>} - The updated trip document
  */
-const updateActivity = async (tripId, userId, dayNumber, activityId, updatedActivityData) => {
+const updateActivity = async (
+  tripId,
+  userId,
+  dayNumber,
+  activityId,
+  updatedActivityData,
+  { expectedRevision = null } = {}
+) => {
   try {
     if (!activityId) {
       throw new Error("Activity ID is required");
@@ -395,69 +699,206 @@ const updateActivity = async (tripId, userId, dayNumber, activityId, updatedActi
 
     const db = getFirestore();
     const docRef = db.collection(COLLECTION_NAME).doc(tripId);
-    const doc = await docRef.get();
+    let tripData;
 
-    if (!doc.exists) {
-      throw new Error("Trip not found");
-    }
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
 
-    const tripData = doc.data();
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+      tripData = await loadTripData(doc, transaction);
 
-    const dayKey = `day${dayNumber}`;
-    const currentItinerary = tripData.itinerary || {};
-    const currentDay = currentItinerary[dayKey] || {};
-    const currentActivities = currentDay.activities || [];
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
 
-    // Find the activity index
-    const activityIndex = currentActivities.findIndex((activity) => activity.id === activityId);
+      const dayKey = `day${dayNumber}`;
+      const currentItinerary = tripData.itinerary || {};
+      const currentDay = currentItinerary[dayKey] || {};
+      const currentActivities = currentDay.activities || [];
 
-    if (activityIndex === -1) {
-      throw new Error("Activity not found");
-    }
+      // Find the activity index
+      const activityIndex = currentActivities.findIndex((activity) => activity.id === activityId);
 
-    // Update the activity, preserving the ID
-    const updatedActivities = [...currentActivities];
-    updatedActivities[activityIndex] = {
-      ...updatedActivities[activityIndex],
-      ...updatedActivityData,
-      id: activityId, // Ensure ID is preserved
-    };
+      if (activityIndex === -1) {
+        throw new Error("Activity not found");
+      }
 
-    // Update the itinerary structure
-    const updatedItinerary = {
-      ...currentItinerary,
-      [dayKey]: {
-        ...currentDay,
-        activities: updatedActivities,
-      },
-    };
+      // Update the activity, preserving the ID
+      const mergedActivities = [...currentActivities];
+      mergedActivities[activityIndex] = {
+        ...mergedActivities[activityIndex],
+        ...updatedActivityData,
+        id: activityId, // Ensure ID is preserved
+      };
+      const { activities: updatedActivities, conflicts } = applySchedulingMode(
+        tripData,
+        mergedActivities
+      );
+
+      // Update the itinerary structure
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentDay,
+          activities: updatedActivities,
+          scheduleConflicts: conflicts,
+          // The day's stops changed, so the old transit legs no longer apply
+          travel: undefined,
+        },
+      });
 
-    // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
-    const cleanedItinerary = removeUndefinedValues(updatedItinerary);
+      // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
 
-    const updateData = {
-      itinerary: cleanedItinerary,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "manual_edit", { before: tripData, after: updatedData });
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
     };
 
-    await docRef.update(updateData);
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error updating activity:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace an activity with one of its alternatives, in place.
+ * The replacement gets a new ID but keeps the activity's position, time block and time;
+ * the replaced activity is remembered in the trip's rejectedActivities so it isn't suggested again.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {number} dayNumber - The day number (1, 2, 3, etc.)
+ * @param {string} activityId - The ID of the activity to replace
+ * @param {object} alternative - The chosen alternative (name, description, type, location, ...)
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
+ * @returns {Promise<object>} - The updated trip document
+ */
+const applyActivityAlternative = async (
+  tripId,
+  userId,
+  dayNumber,
+  activityId,
+  alternative,
+  { expectedRevision = null } = {}
+) => {
+  try {
+    if (!alternative || typeof alternative !== "object" || !String(alternative.name || "").trim()) {
+      throw new Error("Invalid alternative. A name is required");
+    }
+
+    const { MAX_REJECTED_ACTIVITIES } = require("./activityRecommendationService");
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+    let tripData;
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const dayKey = `day${dayNumber}`;
+      const currentItinerary = tripData.itinerary || {};
+      const currentDay = currentItinerary[dayKey] || {};
+      const currentActivities = currentDay.activities || [];
+
+      const activityIndex = currentActivities.findIndex((activity) => activity.id === activityId);
+      if (activityIndex === -1) {
+        throw new Error("Activity not found");
+      }
+
+      const replacedActivity = currentActivities[activityIndex];
+      if (replacedActivity.sourceType === "confirmation") {
+        throw new Error("Invalid activity. Booked activities from travel confirmations can't be swapped");
+      }
+
+      // Only the alternative's content is taken; the slot stays the replaced activity's
+      const { id, alternativeToken, isFixed, sourceId, ...alternativeContent } = alternative;
+      const replacement = normalizeActivity({
+        ...alternativeContent,
+        name: String(alternative.name).trim(),
+        timeBlock: replacedActivity.timeBlock,
+        time: replacedActivity.time,
+        sourceType: alternativeContent.sourceType || "ai",
+      });
+
+      const mergedActivities = [...currentActivities];
+      mergedActivities[activityIndex] = replacement;
+      const { activities: updatedActivities, conflicts } = applySchedulingMode(tripData, mergedActivities);
+
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentDay,
+          activities: updatedActivities,
+          scheduleConflicts: conflicts,
+          // The day's stops changed, so the old transit legs no longer apply
+          travel: undefined,
+        },
+      });
+
+      // Remember the replaced activity (most recent last, one entry per name)
+      const rejectedName = (replacedActivity.name || "").toLowerCase().trim();
+      const rejectedActivities = (tripData.rejectedActivities || [])
+        .filter((rejected) => (rejected.name || "").toLowerCase().trim() !== rejectedName)
+        .concat(
+          rejectedName
+            ? [
+                removeUndefinedValues({
+                  name: replacedActivity.name,
+                  dayNumber,
+                  replacedBy: replacement.name,
+                  rejectedBy: userId,
+                  rejectedAt: new Date().toISOString(),
+                }),
+              ]
+            : []
+        )
+        .slice(-MAX_REJECTED_ACTIVITIES);
+
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        rejectedActivities,
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "swap_alternative", { before: tripData, after: updatedData });
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
     return await convertCoverPhotoUrl(updatedTrip);
   } catch (error) {
-    console.error("Error updating activity:", error);
+    console.error("Error applying activity alternative:", error);
     throw error;
   }
 };
@@ -487,13 +928,12 @@ const updateTripStatus = async (tripId, userId, status) => {
 
     const tripData = doc.data();
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+    // Archiving is reserved for the owner; other status changes only need edit access
+    assertTripRole(tripData, userId, status === "archive" ? "owner" : "editor");
 
     const updateData = {
       status,
+      revision: admin.firestore.FieldValue.increment(1),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
@@ -501,9 +941,10 @@ const updateTripStatus = async (tripId, userId, status) => {
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -520,9 +961,11 @@ const updateTripStatus = async (tripId, userId, status) => {
  * @param {string} userId - The user ID from Clerk (for authorization)
  * @param {number} dayNumber - The day number (1, 2, 3, etc.)
  * @param {string} activityId - The ID of the activity to delete
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
  * @returns {Promise<object>} - The updated trip document
  */
-const deleteActivity = async (tripId, userId, dayNumber, activityId) => {
+const deleteActivity = async (tripId, userId, dayNumber, activityId, { expectedRevision = null } = {}) => {
   try {
     if (!activityId) {
       throw new Error("Activity ID is required");
@@ -530,56 +973,60 @@ const deleteActivity = async (tripId, userId, dayNumber, activityId) => {
 
     const db = getFirestore();
     const docRef = db.collection(COLLECTION_NAME).doc(tripId);
-    const doc = await docRef.get();
-
-    if (!doc.exists) {
-      throw new Error("Trip not found");
-    }
+    let tripData;
 
-    const tripData = doc.data();
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
 
-    const dayKey = `day${dayNumber}`;
-    const currentItinerary = tripData.itinerary || {};
-    const currentDay = currentItinerary[dayKey] || {};
-    const currentActivities = currentDay.activities || [];
+      tripData = await loadTripData(doc, transaction);
 
-    // Filter out the activity to delete
-    const updatedActivities = currentActivities.filter((activity) => activity.id !== activityId);
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
 
-    // Check if activity was found
-    if (updatedActivities.length === currentActivities.length) {
-      throw new Error("Activity not found");
-    }
+      const dayKey = `day${dayNumber}`;
+      const currentItinerary = tripData.itinerary || {};
+      const currentDay = currentItinerary[dayKey] || {};
+      const currentActivities = currentDay.activities || [];
 
-    // Update the itinerary structure
-    const updatedItinerary = {
-      ...currentItinerary,
-      [dayKey]: {
-        ...currentDay,
-        activities: updatedActivities,
-      },
-    };
+      // Filter out the activity to delete
+      const updatedActivities = currentActivities.filter((activity) => activity.id !== activityId);
 
-    // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
-    const cleanedItinerary = removeUndefinedValues(updatedItinerary);
+      // Check if activity was found
+      if (updatedActivities.length === currentActivities.length) {
+        throw new Error("Activity not found");
+      }
 
-    const updateData = {
-      itinerary: cleanedItinerary,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+      // Update the itinerary structure
+      const { itinerary: updatedItinerary, revision } = withNextRevisions(tripData, {
+        ...currentItinerary,
+        [dayKey]: {
+          ...currentDay,
+          activities: updatedActivities,
+          // The day's stops changed, so the old transit legs no longer apply
+          travel: undefined,
+        },
+      });
 
-    await docRef.update(updateData);
+      // Clean undefined values from itinerary before saving (Firestore doesn't allow undefined)
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(updatedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "manual_edit", { before: tripData, after: updatedData });
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -590,6 +1037,21 @@ const deleteActivity = async (tripId, userId, dayNumber, activityId) => {
   }
 };
 
+/**
+ * Prepend a snapshot of a day's activities to its version history (the last 2 are kept)
+ * @param {object|undefined} day - The day as currently stored
+ * @returns {Array} - The new versionHistory
+ */
+const addDayVersion = (day) =>
+  [
+    {
+      activities: JSON.parse(JSON.stringify(day?.activities || [])), // Deep copy
+      // Timestamp.now() because serverTimestamp() can't be used inside arrays
+      createdAt: admin.firestore.Timestamp.now(),
+    },
+    ...(day?.versionHistory || []),
+  ].slice(0, 2);
+
 /**
  * Save current activities to version history (max 2 versions)
  * @param {string} tripId - The trip document ID
@@ -608,12 +1070,10 @@ const saveToVersionHistory = async (tripId, userId, dayNumber, currentActivities
       throw new Error("Trip not found");
     }
 
-    const tripData = doc.data();
+    const tripData = await loadTripData(doc);
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
 
     const dayKey = `day${dayNumber}`;
     const currentItinerary = tripData.itinerary || {};
@@ -631,24 +1091,23 @@ const saveToVersionHistory = async (tripId, userId, dayNumber, currentActivities
     // Add new version and keep only the last 2 versions
     const updatedVersionHistory = [newVersion, ...existingVersionHistory].slice(0, 2);
 
-    // Update the day with new version history
-    const updatedItinerary = {
-      ...currentItinerary,
-      [dayKey]: {
-        ...currentDay,
-        versionHistory: updatedVersionHistory,
-      },
-    };
-
-    // Clean undefined values from itinerary before saving
-    const cleanedItinerary = removeUndefinedValues(updatedItinerary);
-
-    const updateData = {
-      itinerary: cleanedItinerary,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    await docRef.update(updateData);
+    // Only touch this day's history so concurrent itinerary edits aren't overwritten
+    if (usesSubcollections(tripData)) {
+      await getDayRef(docRef, dayKey).set(
+        { dayNumber: parseInt(dayNumber, 10), versionHistory: updatedVersionHistory },
+        { merge: true }
+      );
+      await docRef.update({
+        revision: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      await docRef.update({
+        [`itinerary.${dayKey}.versionHistory`]: updatedVersionHistory,
+        revision: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
   } catch (error) {
     console.error("Error saving to version history:", error);
     throw error;
@@ -665,7 +1124,10 @@ const saveToVersionHistory = async (tripId, userId, dayNumber, currentActivities
  */
 const regenerateDayActivities = async (tripId, userId, dayNumber, excludeActivityIds = []) => {
   try {
-    const { regenerateDayActivities: regenerateActivities } = require("./autoArrangementService");
+    const {
+      regenerateDayActivities: regenerateActivities,
+      planDayTravel,
+    } = require("./autoArrangementService");
     
     // Get the trip
     const trip = await getTripById(tripId, userId);
@@ -686,9 +1148,10 @@ const regenerateDayActivities = async (tripId, userId, dayNumber, excludeActivit
 
     // Regenerate activities using the auto-arrangement service
     const regeneratedActivities = await regenerateActivities(trip, dayNumber, excludeActivityIds);
+    const { activities, travel } = await planDayTravel(trip, regeneratedActivities);
 
-    // Update the day with regenerated activities
-    return await updateDayActivities(tripId, userId, dayNumber, regeneratedActivities);
+    // Update the day with regenerated activities and their transit legs
+    return await updateDayActivities(tripId, userId, dayNumber, activities, { travel, action: "regenerate" });
   } catch (error) {
     console.error("Error regenerating day activities:", error);
     throw error;
@@ -769,7 +1232,7 @@ const rollbackToVersion = async (tripId, userId, dayNumber, versionNumber) => {
     }
 
     // Restore the activities from the selected version
-    return await updateDayActivities(tripId, userId, dayNumber, activitiesToRestore);
+    return await updateDayActivities(tripId, userId, dayNumber, activitiesToRestore, { action: "restore" });
   } catch (error) {
     console.error("Error rolling back to version:", error);
     throw error;
@@ -792,6 +1255,84 @@ const deleteTrip = async (tripId, userId) => {
   }
 };
 
+/**
+ * Switch a trip between time-block and exact-time scheduling.
+ * Switching to "exact" schedules every day immediately so conflicts surface right away.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {string} schedulingMode - "timeBlock" or "exact"
+ * @param {object} options - Optional extras
+ * @param {object|null} options.expectedRevision - If-Match preconditions from parseIfMatch
+ * @returns {Promise<object>} - The updated trip document
+ */
+const updateTripSchedulingMode = async (tripId, userId, schedulingMode, { expectedRevision = null } = {}) => {
+  try {
+    const { SCHEDULING_MODES } = require("./autoArrangementService");
+
+    if (!SCHEDULING_MODES.includes(schedulingMode)) {
+      throw new Error(`Invalid scheduling mode. Must be one of: ${SCHEDULING_MODES.join(", ")}`);
+    }
+
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      const tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const currentItinerary = tripData.itinerary || {};
+      const updatedItinerary = { ...currentItinerary };
+
+      Object.keys(currentItinerary).forEach((dayKey) => {
+        if (!dayKey.startsWith("day")) return;
+        const day = currentItinerary[dayKey] || {};
+        const { activities, conflicts } = applySchedulingMode(
+          { ...tripData, schedulingMode },
+          day.activities || []
+        );
+        // Drop stale conflicts when leaving exact mode
+        const { scheduleConflicts, ...dayWithoutConflicts } = day;
+        updatedItinerary[dayKey] = {
+          ...dayWithoutConflicts,
+          activities,
+          ...(conflicts && { scheduleConflicts: conflicts }),
+        };
+      });
+
+      const { itinerary, revision } = withNextRevisions(tripData, updatedItinerary);
+      transaction.update(docRef, {
+        schedulingMode,
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(itinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error updating trip scheduling mode:", error);
+    throw error;
+  }
+};
+
 /**
  * Update trip name
  * @param {string} tripId - The trip document ID
@@ -815,10 +1356,8 @@ const updateTripName = async (tripId, userId, tripName) => {
 
     const tripData = doc.data();
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
 
     // Update the selectedTrip.name field
     const updatedSelectedTrip = {
@@ -828,6 +1367,7 @@ const updateTripName = async (tripId, userId, tripName) => {
 
     const updateData = {
       selectedTrip: updatedSelectedTrip,
+      revision: admin.firestore.FieldValue.increment(1),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
@@ -835,9 +1375,10 @@ const updateTripName = async (tripId, userId, tripName) => {
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -848,6 +1389,50 @@ const updateTripName = async (tripId, userId, tripName) => {
   }
 };
 
+/**
+ * Update the budget amount the user set for a trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {object} budgetAmount - { amount: number, currency: string|null }
+ * @returns {Promise<object>} - The updated trip document
+ */
+const updateTripBudgetAmount = async (tripId, userId, budgetAmount) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Trip not found");
+    }
+
+    const tripData = doc.data();
+
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
+
+    await docRef.update({
+      budgetAmount: removeUndefinedValues(budgetAmount),
+      revision: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error updating trip budget amount:", error);
+    throw error;
+  }
+};
+
 /**
  * Update trip cover photo URL by generating a new cover photo based on trip name
  * @param {string} tripId - The trip document ID
@@ -871,13 +1456,12 @@ const updateTripCoverPhotoUrl = async (tripId, userId, coverPhotoUrl) => {
 
     const tripData = doc.data();
 
-    // Verify the trip belongs to the user
-    if (tripData.userId !== userId) {
-      throw new Error("Unauthorized: Trip does not belong to this user");
-    }
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
 
     const updateData = {
       coverPhotoUrl: coverPhotoUrl.trim(),
+      revision: admin.firestore.FieldValue.increment(1),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
@@ -885,9 +1469,10 @@ const updateTripCoverPhotoUrl = async (tripId, userId, coverPhotoUrl) => {
 
     // Return the updated data
     const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
     const updatedTrip = {
       id: updatedDoc.id,
-      ...updatedDoc.data(),
+      ...updatedData,
     };
 
     // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
@@ -898,14 +1483,755 @@ const updateTripCoverPhotoUrl = async (tripId, userId, coverPhotoUrl) => {
   }
 };
 
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidDateString = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(new Date(`${value}T00:00:00Z`).getTime()) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateString - Start date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDaysToDate = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Get itinerary day keys in day order (day1, day2, ..., day10)
+ * @param {object} itinerary - Trip itinerary
+ * @returns {Array<string>}
+ */
+const getSortedDayKeys = (itinerary) =>
+  Object.keys(itinerary || {})
+    .filter((key) => /^day\d+$/.test(key))
+    .sort((a, b) => parseInt(a.replace("day", ""), 10) - parseInt(b.replace("day", ""), 10));
+
+/**
+ * Copy an itinerary's days into a date-free list that can be laid onto new dates.
+ * Confirmation activities (bookings belong to the original trip), version history,
+ * conflicts and travel legs are dropped; activity IDs are stripped.
+ * @param {object} itinerary - Trip itinerary
+ * @returns {Array<{summary: string, activities: Array}>}
+ */
+const copyItineraryDays = (itinerary) =>
+  getSortedDayKeys(itinerary).map((dayKey) => {
+    const day = itinerary[dayKey] || {};
+    return {
+      summary: day.summary || "",
+      activities: (day.activities || [])
+        .filter((activity) => activity.sourceType !== "confirmation")
+        .map(({ id, ...activity }) => activity),
+    };
+  });
+
+/**
+ * Build an itinerary from copied days, starting on a new date.
+ * Every activity gets a fresh ID.
+ * @param {Array<{summary: string, activities: Array}>} days - Output of copyItineraryDays
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @returns {object} - Itinerary ({ start_date, end_date, total_days, day1, ... })
+ */
+const buildItineraryFromDays = (days, startDate) => {
+  const itinerary = {
+    start_date: startDate,
+    end_date: addDaysToDate(startDate, Math.max(0, days.length - 1)),
+    total_days: days.length,
+  };
+
+  days.forEach((day, index) => {
+    itinerary[`day${index + 1}`] = {
+      date: addDaysToDate(startDate, index),
+      summary: day.summary || "",
+      activities: ensureActivitiesHaveIds(
+        (day.activities || []).map((activity) => ({ ...activity, id: generateActivityId() }))
+      ),
+    };
+  });
+
+  return itinerary;
+};
+
+/**
+ * Move a multi-destination trip's legs by as many days as the trip start moved.
+ * Legs that now start after the trip are dropped, and the last leg runs to the new end of the trip.
+ * @param {Array} legs - selectedTrip.legs
+ * @param {string|null} previousStartDate - Old first day (YYYY-MM-DD); legs don't move when unknown
+ * @param {string} startDate - New first day (YYYY-MM-DD)
+ * @param {string} endDate - New last day (YYYY-MM-DD)
+ * @returns {Array} - The shifted legs
+ */
+const shiftLegs = (legs, previousStartDate, startDate, endDate) => {
+  const offsetDays = isValidDateString(previousStartDate)
+    ? Math.round(
+        (new Date(`${startDate}T00:00:00Z`) - new Date(`${previousStartDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24)
+      )
+    : 0;
+  const shifted = legs
+    .map((leg) => ({
+      ...leg,
+      startDate: addDaysToDate(leg.startDate, offsetDays),
+      endDate: addDaysToDate(leg.endDate, offsetDays),
+    }))
+    .filter((leg) => leg.startDate <= endDate);
+  if (shifted.length > 0) {
+    shifted[shifted.length - 1].endDate = endDate;
+  }
+  return shifted;
+};
+
+/**
+ * Relabel an itinerary's days with their legs (base city, transfer days) after the legs moved
+ * @param {object} itinerary - Itinerary with day1..dayN, updated in place
+ * @param {Array} legs - Shifted legs
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {number} dayCount - Number of days
+ */
+const applyShiftedLegs = (itinerary, legs, startDate, dayCount) => {
+  const { buildLegDayPlan, applyLegsToItinerary } = require("./tripLegService");
+  applyLegsToItinerary(itinerary, buildLegDayPlan(legs, startDate, dayCount));
+  getSortedDayKeys(itinerary).forEach((dayKey) => {
+    itinerary[dayKey].activities = ensureActivitiesHaveIds(itinerary[dayKey].activities);
+  });
+};
+
+/**
+ * Set new dates on a trip's selectedTrip, keeping whichever date keys it already uses
+ * (start_date/end_date from collaboration, startDate/endDate from suggestions)
+ * @param {object} selectedTrip - Current selectedTrip
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {number} totalDays - Number of days
+ * @returns {object} - Updated copy of selectedTrip
+ */
+const withTripDates = (selectedTrip, startDate, endDate, totalDays) => {
+  const updated = { ...(selectedTrip || {}) };
+  const usesCamelCase = updated.startDate !== undefined && updated.start_date === undefined;
+  updated[usesCamelCase ? "startDate" : "start_date"] = startDate;
+  updated[usesCamelCase ? "endDate" : "end_date"] = endDate;
+  if (updated.durationDays !== undefined) {
+    updated.durationDays = totalDays;
+  }
+  return updated;
+};
+
+/**
+ * Copy a trip's details and itinerary into a new trip owned by the user, on new dates.
+ * Legs of a multi-destination trip move by the same number of days.
+ * @param {string} tripId - The trip document ID to copy
+ * @param {string} userId - The user ID from Clerk (any member can clone)
+ * @param {object} options
+ * @param {string} options.startDate - First day of the copy (YYYY-MM-DD)
+ * @param {string} [options.destination] - New destination name
+ * @param {string} [options.name] - New trip name
+ * @returns {Promise<object>} - The new trip document
+ */
+const cloneTrip = async (tripId, userId, { startDate, destination, name } = {}) => {
+  try {
+    if (!isValidDateString(startDate)) {
+      throw new Error("Invalid startDate. Use YYYY-MM-DD");
+    }
+
+    const db = getFirestore();
+    const sourceDoc = await db.collection(COLLECTION_NAME).doc(tripId).get();
+
+    if (!sourceDoc.exists) {
+      throw new Error("Trip not found");
+    }
+
+    const sourceData = await loadTripData(sourceDoc);
+
+    // Verify the user is a member of the trip being copied
+    assertTripRole(sourceData, userId, "viewer");
+
+    const itinerary = buildItineraryFromDays(copyItineraryDays(sourceData.itinerary), startDate);
+    const selectedTrip = withTripDates(
+      sourceData.selectedTrip,
+      itinerary.start_date,
+      itinerary.end_date,
+      itinerary.total_days
+    );
+
+    // Multi-destination trips: the legs move with the trip and relabel the copied days
+    if (Array.isArray(selectedTrip.legs) && selectedTrip.legs.length > 0) {
+      const sourceStartDate =
+        sourceData.selectedTrip?.start_date || sourceData.selectedTrip?.startDate || sourceData.itinerary?.start_date;
+      selectedTrip.legs = shiftLegs(selectedTrip.legs, sourceStartDate, itinerary.start_date, itinerary.end_date);
+      applyShiftedLegs(itinerary, selectedTrip.legs, itinerary.start_date, itinerary.total_days);
+    }
+
+    getSortedDayKeys(itinerary).forEach((dayKey) => {
+      const { activities, conflicts } = applySchedulingMode(sourceData, itinerary[dayKey].activities);
+      itinerary[dayKey].activities = activities;
+      if (conflicts && conflicts.length > 0) {
+        itinerary[dayKey].scheduleConflicts = conflicts;
+      }
+    });
+
+    if (destination && typeof destination === "string" && destination.trim()) {
+      selectedTrip.destination = destination.trim();
+    }
+    if (name && typeof name === "string" && name.trim()) {
+      selectedTrip.name = name.trim();
+    }
+
+    const docRef = db.collection(COLLECTION_NAME).doc();
+    const batch = db.batch();
+    const tripData = removeUndefinedValues({
+      userId,
+      selectedTrip,
+      ...writeItinerary(batch, docRef, null, removeUndefinedValues(itinerary)),
+      status: "draft",
+      schedulingMode: sourceData.schedulingMode,
+      budgetAmount: sourceData.budgetAmount,
+      coverPhotoUrl: sourceData.coverPhotoUrl,
+      clonedFromTripId: tripId,
+    });
+    tripData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+    tripData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    batch.set(docRef, tripData);
+    await batch.commit();
+
+    // Return the saved data
+    const savedDoc = await docRef.get();
+    const savedData = await loadTripData(savedDoc);
+    await recordTripVersion(docRef.id, userId, "create", { before: null, after: savedData });
+    const savedTrip = {
+      id: savedDoc.id,
+      ...savedData,
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(savedTrip);
+  } catch (error) {
+    console.error("Error cloning trip:", error);
+    throw error;
+  }
+};
+
+// determineDayFromConfirmation only places bookings within the first 30 days
+const MAX_TRIP_DAYS = 30;
+
+/**
+ * Move a trip to new dates, growing or shrinking the itinerary to match.
+ * Days keep their position (day 1 stays day 1) and get new dates. Linked confirmations are
+ * re-placed on the day their booking date now falls on. Fixed activities on removed days
+ * move to the last remaining day; other activities on removed days are dropped. Bookings
+ * that fall outside the new dates are taken off the itinerary and reported as conflicts.
+ * Added days are filled with AI-suggested activities that don't repeat existing ones.
+ * Legs of a multi-destination trip move by the same number of days.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {object} options
+ * @param {string} options.startDate - New first day (YYYY-MM-DD)
+ * @param {string} options.endDate - New last day (YYYY-MM-DD)
+ * @param {boolean} [options.fillNewDays=true] - Generate activities for added days
+ * @param {object|null} [options.expectedRevision] - If-Match preconditions from parseIfMatch
+ * @returns {Promise<{trip: object, dateChange: object}>} - The updated trip and a report of what moved
+ */
+const changeTripDates = async (
+  tripId,
+  userId,
+  { startDate, endDate, fillNewDays = true, expectedRevision = null } = {}
+) => {
+  try {
+    if (!isValidDateString(startDate)) {
+      throw new Error("Invalid startDate. Use YYYY-MM-DD");
+    }
+    if (!isValidDateString(endDate)) {
+      throw new Error("Invalid endDate. Use YYYY-MM-DD");
+    }
+
+    const dayCount =
+      Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (1000 * 60 * 60 * 24)) + 1;
+    if (dayCount < 1) {
+      throw new Error("Invalid date range: endDate must be on or after startDate");
+    }
+    if (dayCount > MAX_TRIP_DAYS) {
+      throw new Error(`Invalid date range: trips can be at most ${MAX_TRIP_DAYS} days`);
+    }
+
+    const {
+      getTripConfirmations,
+      determineDayFromConfirmation,
+      extractDateFromConfirmation,
+      formatConfirmationToActivity,
+    } = require("./travelConfirmationService");
+    const { generateActivitiesForDays } = require("./itineraryService");
+
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Trip not found");
+    }
+
+    const tripData = await loadTripData(doc);
+
+    // Verify the user can edit this trip
+    assertTripRole(tripData, userId, "editor");
+    assertExpectedRevision(tripData, expectedRevision);
+
+    const currentItinerary = tripData.itinerary || {};
+    const oldDayKeys = getSortedDayKeys(currentItinerary);
+    const oldDayCount = oldDayKeys.length
+      ? parseInt(oldDayKeys[oldDayKeys.length - 1].replace("day", ""), 10)
+      : 0;
+    const selectedTrip = withTripDates(tripData.selectedTrip, startDate, endDate, dayCount);
+    const confirmations = await getTripConfirmations(tripId, userId);
+    const confirmationsById = new Map(confirmations.map((confirmation) => [confirmation.id, confirmation]));
+
+    const dateChange = {
+      previous: {
+        startDate: tripData.selectedTrip?.start_date || tripData.selectedTrip?.startDate || null,
+        endDate: tripData.selectedTrip?.end_date || tripData.selectedTrip?.endDate || null,
+        totalDays: oldDayCount,
+      },
+      current: { startDate, endDate, totalDays: dayCount },
+      addedDays: [],
+      removedDays: [],
+      movedActivities: [],
+      droppedActivities: [],
+      conflicts: [],
+    };
+
+    // Lay out day1..dayN on the new dates, starting from the current activities
+    const placed = {};
+    for (let dayNumber = 1; dayNumber <= dayCount; dayNumber++) {
+      const currentDay = currentItinerary[`day${dayNumber}`];
+      if (!currentDay) {
+        dateChange.addedDays.push(dayNumber);
+      }
+      placed[dayNumber] = [...(currentDay?.activities || [])];
+    }
+
+    const confirmationDays = new Map();
+    // toDay null takes the activity off the itinerary
+    const placeActivity = (activity, fromDay, toDay, reason) => {
+      if (fromDay === toDay) return;
+      if (placed[fromDay]) {
+        placed[fromDay] = placed[fromDay].filter((entry) => entry !== activity);
+      }
+      if (toDay) {
+        placed[toDay].push(activity);
+        dateChange.movedActivities.push({ activityId: activity.id, name: activity.name, fromDay, toDay, reason });
+      }
+    };
+
+    oldDayKeys.forEach((dayKey) => {
+      const fromDay = parseInt(dayKey.replace("day", ""), 10);
+      if (fromDay > dayCount) {
+        dateChange.removedDays.push(fromDay);
+      }
+
+      (currentItinerary[dayKey]?.activities || []).forEach((activity) => {
+        if (activity.sourceType === "confirmation") {
+          const confirmation = confirmationsById.get(activity.sourceId);
+          const targetDay = confirmation
+            ? determineDayFromConfirmation(confirmation, { selectedTrip })
+            : null;
+
+          if (targetDay && targetDay <= dayCount) {
+            placeActivity(activity, fromDay, targetDay, "booking_date");
+            confirmationDays.set(activity.sourceId, targetDay);
+          } else if (confirmation && extractDateFromConfirmation(confirmation)) {
+            // The booking is dated, just not within the trip any more
+            placeActivity(activity, fromDay, null);
+            dateChange.conflicts.push({
+              type: "booking_outside_trip_dates",
+              activityId: activity.id,
+              confirmationId: activity.sourceId,
+              name: activity.name,
+              fromDay,
+              bookingDate: extractDateFromConfirmation(confirmation).toISOString().split("T")[0],
+            });
+            confirmationDays.set(activity.sourceId, null);
+          } else {
+            // No usable booking date: keep it where it was, or on the last day if that day is gone
+            const toDay = Math.min(fromDay, dayCount);
+            placeActivity(activity, fromDay, toDay, "removed_day");
+            if (activity.sourceId) confirmationDays.set(activity.sourceId, toDay);
+          }
+          return;
+        }
+
+        if (fromDay <= dayCount) return;
+
+        if (activity.isFixed === true) {
+          placeActivity(activity, fromDay, dayCount, "removed_day");
+        } else {
+          dateChange.droppedActivities.push({ activityId: activity.id, name: activity.name, fromDay });
+        }
+      });
+    });
+
+    // Linked bookings that aren't on the itinerary still get their day recomputed
+    confirmations.forEach((confirmation) => {
+      if (confirmationDays.has(confirmation.id)) return;
+      const targetDay = determineDayFromConfirmation(confirmation, { selectedTrip });
+      if (targetDay && targetDay <= dayCount) {
+        confirmationDays.set(confirmation.id, targetDay);
+      } else if (extractDateFromConfirmation(confirmation)) {
+        confirmationDays.set(confirmation.id, null);
+        dateChange.conflicts.push({
+          type: "booking_outside_trip_dates",
+          activityId: null,
+          confirmationId: confirmation.id,
+          name: formatConfirmationToActivity(confirmation).name || confirmation.id,
+          fromDay: (confirmation.days || [])[0] || null,
+          bookingDate: extractDateFromConfirmation(confirmation).toISOString().split("T")[0],
+        });
+      }
+    });
+
+    // Fill added days with new activities
+    if (fillNewDays && dateChange.addedDays.length > 0) {
+      try {
+        const generated = await generateActivitiesForDays(
+          { ...tripData, selectedTrip },
+          dateChange.addedDays.map((dayNumber) => ({
+            dayNumber,
+            date: addDaysToDate(startDate, dayNumber - 1),
+            activities: placed[dayNumber],
+          }))
+        );
+        dateChange.addedDays.forEach((dayNumber) => {
+          placed[dayNumber] = [...placed[dayNumber], ...(generated[dayNumber]?.activities || [])];
+        });
+        dateChange.generatedSummaries = Object.fromEntries(
+          dateChange.addedDays.map((dayNumber) => [dayNumber, generated[dayNumber]?.summary || ""])
+        );
+      } catch (error) {
+        console.error("⚠️ Error filling added days (continuing with empty days):", error.message);
+        dateChange.fillFailed = true;
+      }
+    }
+
+    // Build the new itinerary, snapshotting any existing day whose activities changed
+    const updatedItinerary = {};
+    Object.keys(currentItinerary)
+      .filter((key) => !/^day\d+$/.test(key))
+      .forEach((key) => {
+        updatedItinerary[key] = currentItinerary[key];
+      });
+    if (currentItinerary.start_date !== undefined) updatedItinerary.start_date = startDate;
+    if (currentItinerary.end_date !== undefined) updatedItinerary.end_date = endDate;
+    if (currentItinerary.total_days !== undefined) updatedItinerary.total_days = dayCount;
+
+    for (let dayNumber = 1; dayNumber <= dayCount; dayNumber++) {
+      const dayKey = `day${dayNumber}`;
+      const currentDay = currentItinerary[dayKey];
+      const date = addDaysToDate(startDate, dayNumber - 1);
+      const previousIds = (currentDay?.activities || []).map((activity) => activity.id).join(",");
+      const activitiesChanged = placed[dayNumber].map((activity) => activity.id).join(",") !== previousIds;
+
+      if (currentDay && !activitiesChanged) {
+        updatedItinerary[dayKey] = { ...currentDay, date };
+        continue;
+      }
+
+      const { activities, conflicts } = applySchedulingMode(
+        tripData,
+        ensureActivitiesHaveIds(placed[dayNumber])
+      );
+      const versionHistory =
+        currentDay && (currentDay.activities || []).length > 0
+          ? addDayVersion(currentDay)
+          : currentDay?.versionHistory;
+
+      updatedItinerary[dayKey] = {
+        ...(currentDay || {}),
+        date,
+        summary: currentDay?.summary || dateChange.generatedSummaries?.[dayNumber] || "",
+        activities,
+        versionHistory,
+        scheduleConflicts: conflicts,
+        // The order changed, so the old transit legs no longer apply
+        travel: undefined,
+      };
+    }
+    delete dateChange.generatedSummaries;
+
+    // Multi-destination trips: shift the legs with the trip and relabel the days
+    if (Array.isArray(selectedTrip.legs) && selectedTrip.legs.length > 0) {
+      selectedTrip.legs = shiftLegs(selectedTrip.legs, dateChange.previous.startDate, startDate, endDate);
+      applyShiftedLegs(updatedItinerary, selectedTrip.legs, startDate, dayCount);
+    }
+
+    const { itinerary: revisedItinerary, revision } = withNextRevisions(tripData, updatedItinerary);
+
+    // Added days are generated outside the transaction, so the write only goes through if
+    // nobody changed the trip since it was read above
+    await db.runTransaction(async (transaction) => {
+      const latestDoc = await transaction.get(docRef);
+
+      if (!latestDoc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      assertExpectedRevision(latestDoc.data(), { tripRevisions: [tripData.revision || 0], dayRevisions: {} });
+
+      transaction.update(docRef, {
+        selectedTrip,
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(revisedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      // Keep each linked confirmation's day in step with the itinerary
+      const confirmationsRef = db.collection("travelConfirmations");
+      confirmationDays.forEach((day, confirmationId) => {
+        const confirmation = confirmationsById.get(confirmationId);
+        if (!confirmation) return;
+        const days = day ? [day] : [];
+        if (JSON.stringify(confirmation.days || []) === JSON.stringify(days)) return;
+        transaction.update(confirmationsRef.doc(confirmationId), {
+          days,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+    });
+
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "date_change", { before: tripData, after: updatedData });
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
+    };
+
+    return {
+      trip: await convertCoverPhotoUrl(updatedTrip),
+      dateChange,
+    };
+  } catch (error) {
+    console.error("Error changing trip dates:", error);
+    throw error;
+  }
+};
+
+const TIME_BLOCK_ORDER = ["morning", "afternoon", "evening"];
+
+/**
+ * Insert an activity into a day's list at a position within its time block
+ * @param {Array} activities - The day's activities (without the moved activity)
+ * @param {object} activity - Activity to insert (timeBlock already set)
+ * @param {number|undefined} position - 0-based position among activities in the same time block (end of block if omitted)
+ * @returns {Array} - New activities array
+ */
+const insertIntoTimeBlock = (activities, activity, position) => {
+  const blockIndexes = activities
+    .map((entry, index) => (entry.timeBlock === activity.timeBlock ? index : -1))
+    .filter((index) => index !== -1);
+
+  let insertAt;
+  if (position !== undefined && position < blockIndexes.length) {
+    insertAt = blockIndexes[position];
+  } else if (blockIndexes.length > 0) {
+    insertAt = blockIndexes[blockIndexes.length - 1] + 1;
+  } else {
+    // Empty block: go before the first activity of a later block
+    const blockRank = TIME_BLOCK_ORDER.indexOf(activity.timeBlock);
+    const laterIndex = activities.findIndex(
+      (entry) => TIME_BLOCK_ORDER.indexOf(entry.timeBlock) > blockRank
+    );
+    insertAt = laterIndex === -1 ? activities.length : laterIndex;
+  }
+
+  return [...activities.slice(0, insertAt), activity, ...activities.slice(insertAt)];
+};
+
+/**
+ * Move an activity to another day and/or position, keeping its ID, sourceId and isFixed.
+ * Both affected days are snapshotted into their version history in the same write. Confirmation
+ * activities can only move to the day their booking date falls on.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @param {string} activityId - The activity ID
+ * @param {object} options
+ * @param {number} options.toDay - Destination day number
+ * @param {number} [options.fromDay] - Current day number (looked up if omitted)
+ * @param {string} [options.timeBlock] - Destination time block (defaults to the activity's current one)
+ * @param {number} [options.position] - 0-based position within the time block (defaults to the end)
+ * @param {object|null} [options.expectedRevision] - If-Match preconditions from parseIfMatch
+ * @returns {Promise<object>} - The updated trip document
+ */
+const moveActivity = async (
+  tripId,
+  userId,
+  activityId,
+  { toDay, fromDay, timeBlock, position, expectedRevision = null } = {}
+) => {
+  try {
+    if (!Number.isInteger(toDay) || toDay < 1) {
+      throw new Error("Invalid toDay. Must be a positive integer");
+    }
+    if (fromDay !== undefined && (!Number.isInteger(fromDay) || fromDay < 1)) {
+      throw new Error("Invalid fromDay. Must be a positive integer");
+    }
+    if (timeBlock !== undefined && !TIME_BLOCK_ORDER.includes(timeBlock)) {
+      throw new Error(`Invalid timeBlock. Must be one of: ${TIME_BLOCK_ORDER.join(", ")}`);
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      throw new Error("Invalid position. Must be a non-negative integer");
+    }
+
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(tripId);
+    let tripData;
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      tripData = await loadTripData(doc, transaction);
+
+      // Verify the user can edit this trip
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const itinerary = tripData.itinerary || {};
+      const sourceDayNumber =
+        fromDay ||
+        getSortedDayKeys(itinerary)
+          .map((dayKey) => parseInt(dayKey.replace("day", ""), 10))
+          .find((dayNumber) =>
+            (itinerary[`day${dayNumber}`].activities || []).some((activity) => activity.id === activityId)
+          );
+      const sourceActivities = itinerary[`day${sourceDayNumber}`]?.activities || [];
+      const activity = sourceActivities.find((entry) => entry.id === activityId);
+
+      if (!activity) {
+        throw new Error("Activity not found");
+      }
+
+      if (!itinerary[`day${toDay}`]) {
+        throw new Error(`Invalid toDay. Trip has no day ${toDay}`);
+      }
+
+      // A booking has to stay on the day it's booked for
+      let confirmationRef = null;
+      if (activity.sourceType === "confirmation" && activity.sourceId && toDay !== sourceDayNumber) {
+        const { determineDayFromConfirmation } = require("./travelConfirmationService");
+        confirmationRef = db.collection("travelConfirmations").doc(activity.sourceId);
+        const confirmationDoc = await transaction.get(confirmationRef);
+        if (confirmationDoc.exists) {
+          const bookedDay = determineDayFromConfirmation(
+            { id: confirmationDoc.id, ...confirmationDoc.data() },
+            tripData
+          );
+          if (bookedDay && bookedDay !== toDay) {
+            throw new Error(
+              `Cannot move booking: "${activity.name}" is booked for day ${bookedDay}, not day ${toDay}`
+            );
+          }
+        } else {
+          confirmationRef = null;
+        }
+      }
+
+      const targetTimeBlock = timeBlock || activity.timeBlock || "morning";
+      const movedActivity = { ...activity, timeBlock: targetTimeBlock };
+      if (targetTimeBlock !== activity.timeBlock) {
+        // A clock time from the old block would pin it back there
+        delete movedActivity.time;
+        delete movedActivity.startTime;
+        delete movedActivity.endTime;
+      }
+
+      const remaining = sourceActivities.filter((entry) => entry.id !== activityId);
+      const updatedDays = {};
+
+      if (toDay === sourceDayNumber) {
+        updatedDays[sourceDayNumber] = insertIntoTimeBlock(remaining, movedActivity, position);
+      } else {
+        updatedDays[sourceDayNumber] = remaining;
+        updatedDays[toDay] = insertIntoTimeBlock(
+          itinerary[`day${toDay}`].activities || [],
+          movedActivity,
+          position
+        );
+      }
+
+      const updatedItinerary = { ...itinerary };
+      Object.entries(updatedDays).forEach(([dayNumber, activities]) => {
+        const dayKey = `day${dayNumber}`;
+        const { activities: scheduledActivities, conflicts } = applySchedulingMode(
+          tripData,
+          ensureActivitiesHaveIds(activities)
+        );
+        updatedItinerary[dayKey] = {
+          ...itinerary[dayKey],
+          activities: scheduledActivities,
+          scheduleConflicts: conflicts,
+          // Snapshot the day before changing it
+          versionHistory: addDayVersion(itinerary[dayKey]),
+          // The order changed, so the old transit legs no longer apply
+          travel: undefined,
+        };
+      });
+
+      const { itinerary: revisedItinerary, revision } = withNextRevisions(tripData, updatedItinerary);
+      transaction.update(docRef, {
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(revisedItinerary)),
+        revision,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (confirmationRef) {
+        transaction.update(confirmationRef, {
+          days: [toDay],
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+    });
+
+    // Return the updated data
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await recordTripVersion(tripId, userId, "move", { before: tripData, after: updatedData });
+    const updatedTrip = {
+      id: updatedDoc.id,
+      ...updatedData,
+    };
+
+    // Convert coverPhotoUrl from gs:// to signed HTTP URL if present
+    return await convertCoverPhotoUrl(updatedTrip);
+  } catch (error) {
+    console.error("Error moving activity:", error);
+    throw error;
+  }
+};
+
 module.exports = {
+  buildTripETag,
+  parseIfMatch,
+  assertExpectedRevision,
+  withNextRevisions,
   saveTrip,
+  saveGeneratedDay,
+  finishTripGeneration,
   getUserTrips,
   getTripById,
   updateDayActivities,
   addDayActivities,
   addInspirationItemsToTrip,
   updateActivity,
+  applyActivityAlternative,
   deleteActivity,
   updateTripStatus,
   regenerateDayActivities,
@@ -913,6 +2239,18 @@ module.exports = {
   rollbackToVersion,
   deleteTrip,
   updateTripName,
+  updateTripSchedulingMode,
+  updateTripBudgetAmount,
   updateTripCoverPhotoUrl,
+  cloneTrip,
+  changeTripDates,
+  moveActivity,
+  isValidDateString,
+  removeUndefinedValues,
+  ensureActivitiesHaveIds,
+  convertCoverPhotoUrl,
+  getSortedDayKeys,
+  copyItineraryDays,
+  buildItineraryFromDays,
 };
 
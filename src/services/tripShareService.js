@@ -0,0 +1,390 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { getSignedUrl } = require("./gcsService");
+const { getTripForMember } = require("./tripMemberService");
+const { loadTripData } = require("./tripItineraryStore");
+
+const COLLECTION_NAME = "tripShareLinks";
+const TRIPS_COLLECTION = "trips";
+const CONFIRMATIONS_COLLECTION = "travelConfirmations";
+
+// Only these activity fields are exposed on public pages
+const PUBLIC_ACTIVITY_FIELDS = [
+  "id",
+  "name",
+  "timeBlock",
+  "time",
+  "startTime",
+  "endTime",
+  "durationMinutes",
+  "description",
+  "type",
+  "location",
+  "isFixed",
+];
+const PUBLIC_SELECTED_TRIP_FIELDS = [
+  "name",
+  "title",
+  "destination",
+  "description",
+  "highlights",
+  "startDate",
+  "endDate",
+  "start_date",
+  "end_date",
+  "duration",
+];
+// Confirmation fields that identify the traveller or the booking
+const SENSITIVE_CONFIRMATION_FIELDS = [
+  "bookingId",
+  "confirmationNumber",
+  "masterReference",
+  "customerName",
+  "passengerName",
+  "guestName",
+  "email",
+  "phone",
+];
+const TIME_BLOCK_ORDER = ["morning", "afternoon", "evening"];
+
+/**
+ * Shape a share link document for API responses
+ * @param {object} doc - Firestore document snapshot
+ * @returns {object}
+ */
+const formatShareLink = (doc) => {
+  const data = doc.data();
+  const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+  return {
+    token: doc.id,
+    tripId: data.tripId,
+    createdBy: data.createdBy,
+    createdAt: toIso(data.createdAt),
+    expiresAt: toIso(data.expiresAt),
+    revokedAt: toIso(data.revokedAt),
+    isActive: !data.revokedAt && (!data.expiresAt || data.expiresAt.toMillis() > Date.now()),
+  };
+};
+
+/**
+ * Create a share link for a trip
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {object} options
+ * @param {number} [options.expiresInDays] - Days until the link stops working (no expiry if omitted)
+ * @returns {Promise<object>} - The share link
+ */
+const createShareLink = async (tripId, userId, { expiresInDays } = {}) => {
+  try {
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!isFinite(days) || days <= 0) {
+        throw new Error("Invalid expiresInDays. Must be a positive number");
+      }
+    }
+
+    await getTripForMember(tripId, userId, "editor");
+
+    const db = getFirestore();
+    const token = crypto.randomBytes(24).toString("hex");
+    const docRef = db.collection(COLLECTION_NAME).doc(token);
+
+    await docRef.set({
+      tripId,
+      createdBy: userId,
+      expiresAt: expiresInDays
+        ? admin.firestore.Timestamp.fromMillis(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null,
+      revokedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return formatShareLink(await docRef.get());
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    throw error;
+  }
+};
+
+/**
+ * List share links for a trip (active and inactive)
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @returns {Promise<Array>} - Share links, newest first
+ */
+const getShareLinks = async (tripId, userId) => {
+  try {
+    await getTripForMember(tripId, userId, "editor");
+
+    const db = getFirestore();
+    const snapshot = await db.collection(COLLECTION_NAME).where("tripId", "==", tripId).get();
+
+    return snapshot.docs
+      .map(formatShareLink)
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  } catch (error) {
+    console.error("Error getting share links:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link so it stops working immediately
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {string} token - Share token
+ * @returns {Promise<object>} - The revoked share link
+ */
+const revokeShareLink = async (tripId, userId, token) => {
+  try {
+    await getTripForMember(tripId, userId, "editor");
+
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc(token);
+    const doc = await docRef.get();
+
+    if (!doc.exists || doc.data().tripId !== tripId) {
+      throw new Error("Share link not found");
+    }
+
+    if (!doc.data().revokedAt) {
+      await docRef.update({
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        revokedBy: userId,
+      });
+    }
+
+    return formatShareLink(await docRef.get());
+  } catch (error) {
+    console.error("Error revoking share link:", error);
+    throw error;
+  }
+};
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Strip private fields from a trip so it can be shown publicly.
+ * Activities keep only PUBLIC_ACTIVITY_FIELDS, and any booking IDs or traveller
+ * names from the trip's confirmations are masked in the remaining text.
+ * @param {string} tripId - The trip document ID
+ * @param {object} tripData - Raw trip document data
+ * @param {Array} confirmations - Raw confirmation documents linked to the trip
+ * @returns {object} - Public itinerary (coverPhotoUrl still as stored)
+ */
+const buildPublicTrip = (tripId, tripData, confirmations) => {
+  const sensitiveValues = confirmations
+    .flatMap((confirmation) =>
+      SENSITIVE_CONFIRMATION_FIELDS.map((field) => confirmation.confirmationData?.[field])
+    )
+    .filter((value) => typeof value === "string" && value.trim().length >= 3)
+    .map((value) => value.trim());
+  const sensitivePattern = sensitiveValues.length
+    ? new RegExp(sensitiveValues.map(escapeRegExp).join("|"), "gi")
+    : null;
+  const mask = (value) =>
+    typeof value === "string" && sensitivePattern ? value.replace(sensitivePattern, "•••") : value;
+
+  const selectedTrip = {};
+  PUBLIC_SELECTED_TRIP_FIELDS.forEach((field) => {
+    if (tripData.selectedTrip?.[field] !== undefined) {
+      selectedTrip[field] = tripData.selectedTrip[field];
+    }
+  });
+
+  const itinerary = {};
+  Object.entries(tripData.itinerary || {}).forEach(([dayKey, day]) => {
+    if (!dayKey.startsWith("day") || !day) return;
+    itinerary[dayKey] = {
+      date: day.date || null,
+      summary: mask(day.summary || ""),
+      activities: (day.activities || []).map((activity) => {
+        const publicActivity = {};
+        PUBLIC_ACTIVITY_FIELDS.forEach((field) => {
+          if (activity[field] !== undefined) publicActivity[field] = mask(activity[field]);
+        });
+        return publicActivity;
+      }),
+    };
+  });
+
+  return {
+    id: tripId,
+    name: selectedTrip.name || selectedTrip.title || selectedTrip.destination || "Trip",
+    selectedTrip,
+    schedulingMode: tripData.schedulingMode || "timeBlock",
+    itinerary,
+    coverPhotoUrl: tripData.coverPhotoUrl || null,
+  };
+};
+
+/**
+ * Resolve a share token to a public, read-only view of the trip
+ * @param {string} token - Share token from the URL
+ * @returns {Promise<object>} - Public itinerary with a signed cover photo URL
+ */
+const getSharedTrip = async (token) => {
+  try {
+    const db = getFirestore();
+    const shareDoc = await db.collection(COLLECTION_NAME).doc(token).get();
+
+    if (!shareDoc.exists) {
+      throw new Error("Share link not found");
+    }
+
+    const share = shareDoc.data();
+    if (share.revokedAt || (share.expiresAt && share.expiresAt.toMillis() <= Date.now())) {
+      throw new Error("Share link not found");
+    }
+
+    const tripDoc = await db.collection(TRIPS_COLLECTION).doc(share.tripId).get();
+    // Deleting a trip only archives it; its share links must stop working too
+    if (!tripDoc.exists || tripDoc.data().status === "archive") {
+      throw new Error("Share link not found");
+    }
+
+    const confirmationsSnapshot = await db
+      .collection(CONFIRMATIONS_COLLECTION)
+      .where("tripId", "==", share.tripId)
+      .get();
+
+    const publicTrip = buildPublicTrip(
+      tripDoc.id,
+      await loadTripData(tripDoc),
+      confirmationsSnapshot.docs.map((doc) => doc.data())
+    );
+
+    if (publicTrip.coverPhotoUrl) {
+      try {
+        publicTrip.coverPhotoUrl = await getSignedUrl(publicTrip.coverPhotoUrl);
+      } catch (error) {
+        console.error("Error converting cover photo URL:", error);
+        publicTrip.coverPhotoUrl = null;
+      }
+    }
+
+    return {
+      ...publicTrip,
+      expiresAt: share.expiresAt ? share.expiresAt.toDate().toISOString() : null,
+    };
+  } catch (error) {
+    console.error("Error getting shared trip:", error);
+    throw error;
+  }
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Render a public trip as a standalone HTML page
+ * @param {object} sharedTrip - Result of getSharedTrip
+ * @returns {string} - HTML document
+ */
+const renderSharedTripHtml = (sharedTrip) => {
+  const { name, selectedTrip, itinerary, coverPhotoUrl } = sharedTrip;
+  const startDate = selectedTrip.startDate || selectedTrip.start_date;
+  const endDate = selectedTrip.endDate || selectedTrip.end_date;
+  const subtitle = [selectedTrip.destination, startDate && endDate ? `${startDate} – ${endDate}` : startDate]
+    .filter(Boolean)
+    .join(" · ");
+
+  const dayKeys = Object.keys(itinerary)
+    .filter((key) => !isNaN(parseInt(key.replace("day", ""), 10)))
+    .sort((a, b) => parseInt(a.replace("day", ""), 10) - parseInt(b.replace("day", ""), 10));
+
+  const daysHtml = dayKeys
+    .map((dayKey) => {
+      const day = itinerary[dayKey];
+      const dayNumber = dayKey.replace("day", "");
+      const blocksHtml = TIME_BLOCK_ORDER.map((block) => {
+        const activities = day.activities.filter((a) => (a.timeBlock || "morning") === block);
+        if (activities.length === 0) return "";
+        const items = activities
+          .map((activity) => {
+            const time = activity.startTime
+              ? `${activity.startTime}${activity.endTime ? `–${activity.endTime}` : ""}`
+              : activity.time || "";
+            return `
+            <li>
+              <div class="activity-name">${escapeHtml(activity.name)}${time ? ` <span class="time">${escapeHtml(time)}</span>` : ""}</div>
+              ${activity.description ? `<p>${escapeHtml(activity.description)}</p>` : ""}
+              ${activity.location ? `<p class="location">📍 ${escapeHtml(activity.location)}</p>` : ""}
+            </li>`;
+          })
+          .join("");
+        return `
+          <h3>${block.charAt(0).toUpperCase() + block.slice(1)}</h3>
+          <ul>${items}</ul>`;
+      }).join("");
+
+      return `
+      <section class="day">
+        <h2>Day ${escapeHtml(dayNumber)}${day.date ? ` <span class="date">${escapeHtml(day.date)}</span>` : ""}</h2>
+        ${day.summary ? `<p class="summary">${escapeHtml(day.summary)}</p>` : ""}
+        ${blocksHtml || "<p>No activities planned.</p>"}
+      </section>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(name)}</title>
+  <meta property="og:title" content="${escapeHtml(name)}" />
+  ${subtitle ? `<meta property="og:description" content="${escapeHtml(subtitle)}" />` : ""}
+  ${coverPhotoUrl ? `<meta property="og:image" content="${escapeHtml(coverPhotoUrl)}" />` : ""}
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; background: #f4f4f4; color: #222; }
+    .cover { width: 100%; max-height: 320px; object-fit: cover; display: block; }
+    main { max-width: 760px; margin: 0 auto; padding: 24px; }
+    h1 { color: #2b7de9; margin-bottom: 4px; }
+    .subtitle { color: #666; margin-top: 0; }
+    .day { background: white; border-radius: 8px; padding: 16px 20px; margin: 16px 0; }
+    .date, .time { color: #888; font-size: 0.85em; font-weight: normal; }
+    h3 { color: #2b7de9; font-size: 1em; margin-bottom: 4px; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    li { padding: 8px 0; border-bottom: 1px solid #eee; }
+    li:last-child { border-bottom: none; }
+    .activity-name { font-weight: bold; }
+    p { margin: 4px 0; }
+    .location { color: #666; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  ${coverPhotoUrl ? `<img class="cover" src="${escapeHtml(coverPhotoUrl)}" alt="" />` : ""}
+  <main>
+    <h1>${escapeHtml(name)}</h1>
+    ${subtitle ? `<p class="subtitle">${escapeHtml(subtitle)}</p>` : ""}
+    ${daysHtml || "<p>This itinerary is empty.</p>"}
+  </main>
+</body>
+</html>`;
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedTrip,
+  renderSharedTripHtml,
+};
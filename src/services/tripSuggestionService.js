@@ -1,10 +1,7 @@
-const OpenAI = require("openai");
+const { completeJSON } = require("./llmGateway");
+const { tripSuggestionsSchema } = require("./llmSchemas");
 const { getTravelPreferences } = require("./travelPreferenceService");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 /**
  * Generate trip suggestions tailored to the request form + saved preferences.
  * Each suggestion follows a consistent shape for the UI.
@@ -82,47 +79,13 @@ Return ONLY a valid JSON object in this exact format (no markdown, no explanatio
   ]
 }`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const { data } = await completeJSON("trip-suggestions", {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.8,
+      schema: tripSuggestionsSchema,
     });
 
-    try {
-      let content = response.choices[0].message.content.trim();
-
-      content = content
-        .replace(/```json\s*/g, "")
-        .replace(/```/g, "")
-        .trim();
-
-      const parsed = JSON.parse(content);
-
-      if (!parsed.suggestions || !Array.isArray(parsed.suggestions) || parsed.suggestions.length !== 3) {
-        throw new Error("Invalid response structure from AI");
-      }
-
-      parsed.suggestions.forEach((s, idx) => {
-        if (
-          !s.name ||
-          !s.destination ||
-          !s.start_date ||
-          !s.end_date ||
-          !s.description ||
-          !s.theme ||
-          !Array.isArray(s.highlights) ||
-          s.highlights.length === 0
-        ) {
-          throw new Error(`Suggestion ${idx + 1} missing required fields`);
-        }
-      });
-
-      return parsed;
-    } catch (err) {
-      console.error("❌ JSON parsing failed:", err);
-      console.log("Raw content:", response.choices[0].message.content);
-      throw new Error("Failed to parse AI response");
-    }
+    return data;
   } catch (error) {
     console.error("Error generating trip suggestions:", error);
     throw error;
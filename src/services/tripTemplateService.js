@@ -0,0 +1,200 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const { getTripForMember } = require("./tripMemberService");
+const { copyItineraryDays, buildItineraryFromDays, getSortedDayKeys } = require("./tripService");
+const { loadTripData } = require("./tripItineraryStore");
+
+const COLLECTION_NAME = "tripTemplates";
+
+// Trip details worth reusing; dates, names of people and booking data are left behind
+const TEMPLATE_TRIP_FIELDS = ["destination", "description", "travelers", "budget", "vibe"];
+const TIME_BLOCK_ORDER = ["morning", "afternoon", "evening"];
+
+/**
+ * Shape a template document for API responses
+ * @param {object} doc - Firestore document snapshot
+ * @returns {object}
+ */
+const formatTemplate = (doc) => {
+  const data = doc.data();
+  const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+  };
+};
+
+/**
+ * Save a trip's itinerary to the user's template library
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (any member can save a template)
+ * @param {object} options
+ * @param {string} [options.name] - Template name (defaults to the trip name)
+ * @param {string} [options.description] - Template description
+ * @returns {Promise<object>} - The created template
+ */
+const createTemplateFromTrip = async (tripId, userId, { name, description } = {}) => {
+  try {
+    const { doc } = await getTripForMember(tripId, userId, "viewer");
+    const tripData = await loadTripData(doc);
+    const selectedTrip = tripData.selectedTrip || {};
+
+    const tripDetails = {};
+    TEMPLATE_TRIP_FIELDS.forEach((field) => {
+      if (selectedTrip[field] !== undefined) tripDetails[field] = selectedTrip[field];
+    });
+
+    const days = copyItineraryDays(tripData.itinerary);
+    if (days.length === 0) {
+      throw new Error("Trip has no itinerary to save as a template");
+    }
+
+    const db = getFirestore();
+    const docRef = db.collection(COLLECTION_NAME).doc();
+
+    await docRef.set({
+      userId,
+      name: (typeof name === "string" && name.trim()) || selectedTrip.name || selectedTrip.destination || "Untitled template",
+      description: typeof description === "string" ? description.trim() : selectedTrip.description || "",
+      sourceTripId: tripId,
+      tripDetails,
+      schedulingMode: tripData.schedulingMode || "timeBlock",
+      durationDays: days.length,
+      days,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return formatTemplate(await docRef.get());
+  } catch (error) {
+    console.error("Error creating trip template:", error);
+    throw error;
+  }
+};
+
+/**
+ * List the user's templates (without the day-by-day activities)
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<Array>} - Templates, newest first
+ */
+const getUserTemplates = async (userId) => {
+  try {
+    const db = getFirestore();
+    const snapshot = await db.collection(COLLECTION_NAME).where("userId", "==", userId).get();
+
+    return snapshot.docs
+      .map((doc) => {
+        const { days, ...template } = formatTemplate(doc);
+        return {
+          ...template,
+          activityCount: (days || []).reduce((sum, day) => sum + (day.activities || []).length, 0),
+        };
+      })
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  } catch (error) {
+    console.error("Error getting trip templates:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a template owned by the user
+ * @param {string} templateId - The template document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<object>} - The template
+ */
+const getTemplateById = async (templateId, userId) => {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(COLLECTION_NAME).doc(templateId).get();
+
+    if (!doc.exists) {
+      throw new Error("Template not found");
+    }
+
+    if (doc.data().userId !== userId) {
+      throw new Error("Unauthorized: You don't have access to this template");
+    }
+
+    return formatTemplate(doc);
+  } catch (error) {
+    console.error("Error getting trip template:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a template owned by the user
+ * @param {string} templateId - The template document ID
+ * @param {string} userId - The user ID from Clerk (for authorization)
+ * @returns {Promise<void>}
+ */
+const deleteTemplate = async (templateId, userId) => {
+  try {
+    await getTemplateById(templateId, userId);
+
+    const db = getFirestore();
+    await db.collection(COLLECTION_NAME).doc(templateId).delete();
+  } catch (error) {
+    console.error("Error deleting trip template:", error);
+    throw error;
+  }
+};
+
+/**
+ * Lay a template's activities onto an itinerary generated around it (generateItineraryWithCollaboration
+ * with templateDays), day by day. Each day is re-ordered by time block, template activities first within
+ * a block. The itinerary keeps its own dates and length; template days past the end are dropped, and a
+ * template activity the generation placed anyway (same sourceId or name on that day) is not added twice.
+ * @param {object} template - Template from getTemplateById
+ * @param {object} itinerary - Itinerary from generateItineraryWithCollaboration
+ * @returns {object} - The seeded itinerary
+ */
+const seedItineraryFromTemplate = (template, itinerary) => {
+  const dayKeys = getSortedDayKeys(itinerary);
+  const startDate = itinerary[dayKeys[0]]?.date || itinerary.start_date;
+  const templateItinerary = buildItineraryFromDays(
+    (template.days || []).slice(0, dayKeys.length),
+    startDate || new Date().toISOString().split("T")[0]
+  );
+
+  const blockRank = (activity) => {
+    const rank = TIME_BLOCK_ORDER.indexOf(activity.timeBlock);
+    return rank === -1 ? 0 : rank;
+  };
+
+  dayKeys.forEach((dayKey) => {
+    const templateDay = templateItinerary[dayKey];
+    if (!templateDay) return;
+
+    const day = itinerary[dayKey];
+    const existing = Array.isArray(day.activities) ? day.activities : [];
+    // The generated copy of an activity wins over the template's
+    const isDuplicate = (activity) =>
+      existing.some(
+        (other) =>
+          (activity.sourceId && other.sourceId === activity.sourceId) ||
+          (other.name || "").trim().toLowerCase() === (activity.name || "").trim().toLowerCase()
+      );
+
+    // Array sort is stable, so each block keeps the template's order followed by the generated order
+    day.activities = [...templateDay.activities.filter((activity) => !isDuplicate(activity)), ...existing].sort(
+      (a, b) => blockRank(a) - blockRank(b)
+    );
+    if (!day.summary) {
+      day.summary = templateDay.summary;
+    }
+  });
+
+  return itinerary;
+};
+
+module.exports = {
+  createTemplateFromTrip,
+  getUserTemplates,
+  getTemplateById,
+  deleteTemplate,
+  seedItineraryFromTemplate,
+};
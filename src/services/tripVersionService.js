@@ -0,0 +1,536 @@
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const { getTripForMember, assertTripRole } = require("./tripMemberService");
+
+/**
+ * Trip version history
+ *
+ * Every change to a trip's itinerary is recorded in trips/{tripId}/versions:
+ *   {
+ *     authorId: string,
+ *     action: one of VERSION_ACTIONS,
+ *     name: string | null,         // set by users to mark a snapshot worth keeping
+ *     snapshot: { itinerary, selectedTrip },   // the trip *after* the change
+ *     diff: { days: [...], addedDays, removedDays, totals },
+ *     restoredFromVersionId?: string,
+ *     createdAt: Timestamp,
+ *   }
+ * There is no limit on the number of versions. The per-day versionHistory field on the
+ * trip document is still kept for the quick two-step undo of GET /trips/:id/days/:day/versions.
+ */
+
+const TRIPS_COLLECTION = "trips";
+const CONFIRMATIONS_COLLECTION = "travelConfirmations";
+const VERSIONS_SUBCOLLECTION = "versions";
+
+const VERSION_ACTIONS = [
+  "create",
+  "generate",
+  "regenerate",
+  "inspiration_add",
+  "confirmation_link",
+  "manual_edit",
+  "swap_alternative",
+  "move",
+  "date_change",
+  "legs",
+  "cost_estimate",
+  "snapshot",
+  "restore",
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_NAME_LENGTH = 100;
+
+// Activity fields that only reflect scheduling bookkeeping, not a user-visible change
+const IGNORED_ACTIVITY_FIELDS = ["scheduleConflict"];
+
+/**
+ * Get the day keys (day1..dayN) of an itinerary, in day order
+ * @param {object} itinerary
+ * @returns {Array<string>}
+ */
+const getDayKeys = (itinerary) =>
+  Object.keys(itinerary || {})
+    .filter((key) => /^day\d+$/.test(key))
+    .sort((a, b) => parseInt(a.slice(3), 10) - parseInt(b.slice(3), 10));
+
+/**
+ * Build the stored snapshot of a trip (per-day versionHistory is left out; it is history itself)
+ * @param {object} tripData - Trip document data
+ * @returns {{itinerary: object, selectedTrip: object}}
+ */
+const buildSnapshot = (tripData) => {
+  const itinerary = { ...(tripData?.itinerary || {}) };
+  getDayKeys(itinerary).forEach((dayKey) => {
+    const { versionHistory, ...day } = itinerary[dayKey] || {};
+    itinerary[dayKey] = day;
+  });
+  return {
+    itinerary,
+    selectedTrip: tripData?.selectedTrip || {},
+  };
+};
+
+/**
+ * Compare two values by their JSON form (Firestore Timestamps serialize consistently)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Work out which activities were added, removed or changed between two itineraries
+ * @param {object} beforeItinerary - Itinerary before the change ({} for a new trip)
+ * @param {object} afterItinerary - Itinerary after the change
+ * @returns {object} - { days: [{dayNumber, added, removed, changed}], addedDays, removedDays, totals }
+ */
+const diffItineraries = (beforeItinerary = {}, afterItinerary = {}) => {
+  const beforeKeys = getDayKeys(beforeItinerary);
+  const afterKeys = getDayKeys(afterItinerary);
+  const toDayNumber = (dayKey) => parseInt(dayKey.slice(3), 10);
+
+  const summarize = (activity) => ({
+    id: activity.id || null,
+    name: activity.name || null,
+  });
+
+  const days = [];
+  [...new Set([...beforeKeys, ...afterKeys])]
+    .sort((a, b) => toDayNumber(a) - toDayNumber(b))
+    .forEach((dayKey) => {
+      const before = beforeItinerary[dayKey]?.activities || [];
+      const after = afterItinerary[dayKey]?.activities || [];
+      const beforeById = new Map(before.map((activity) => [activity.id, activity]));
+      const afterIds = new Set(after.map((activity) => activity.id));
+
+      const added = after.filter((activity) => !beforeById.has(activity.id)).map(summarize);
+      const removed = before.filter((activity) => !afterIds.has(activity.id)).map(summarize);
+      const changed = [];
+      after.forEach((activity, index) => {
+        const previous = beforeById.get(activity.id);
+        if (!previous) return;
+
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(activity)])]
+          .filter((field) => !IGNORED_ACTIVITY_FIELDS.includes(field))
+          .filter((field) => !isSameValue(previous[field], activity[field]))
+          .sort();
+        const moved = before.indexOf(previous) !== index;
+        if (fields.length === 0 && !moved) return;
+
+        changed.push({
+          ...summarize(activity),
+          fields,
+          changes: fields.map((field) => ({
+            field,
+            from: previous[field] ?? null,
+            to: activity[field] ?? null,
+          })),
+          ...(moved ? { reordered: true } : {}),
+        });
+      });
+
+      const summaryChanged = !isSameValue(beforeItinerary[dayKey]?.summary, afterItinerary[dayKey]?.summary);
+      if (added.length || removed.length || changed.length || summaryChanged) {
+        days.push({
+          dayNumber: toDayNumber(dayKey),
+          added,
+          removed,
+          changed,
+          ...(summaryChanged ? { summaryChanged: true } : {}),
+        });
+      }
+    });
+
+  return {
+    days,
+    addedDays: afterKeys.filter((key) => !beforeKeys.includes(key)).map(toDayNumber),
+    removedDays: beforeKeys.filter((key) => !afterKeys.includes(key)).map(toDayNumber),
+    totals: days.reduce(
+      (totals, day) => ({
+        added: totals.added + day.added.length,
+        removed: totals.removed + day.removed.length,
+        changed: totals.changed + day.changed.length,
+      }),
+      { added: 0, removed: 0, changed: 0 }
+    ),
+  };
+};
+
+/**
+ * Shape a version document for API responses
+ * @param {object} doc - Firestore document snapshot
+ * @param {object} options
+ * @param {boolean} options.includeSnapshot - Include the full trip snapshot
+ * @returns {object}
+ */
+const formatVersion = (doc, { includeSnapshot = false } = {}) => {
+  const { snapshot, createdAt, ...data } = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    name: data.name || null,
+    createdAt: createdAt?.toDate ? createdAt.toDate().toISOString() : createdAt || null,
+    ...(includeSnapshot ? { snapshot } : {}),
+  };
+};
+
+/**
+ * Record a version of a trip after a change.
+ * The first time an existing trip gets a version, its state before the change is stored too,
+ * so the change can be undone. History is best effort: the change itself is already saved,
+ * so a failure here is logged and null is returned.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user who made the change
+ * @param {string} action - One of VERSION_ACTIONS
+ * @param {object} options
+ * @param {object|null} options.before - Trip document data before the change (null for a new trip)
+ * @param {object} options.after - Trip document data after the change
+ * @param {string} [options.name] - Name for the version
+ * @param {string} [options.restoredFromVersionId] - Version that was restored
+ * @returns {Promise<object|null>} - The recorded version (without the snapshot)
+ */
+const recordTripVersion = async (tripId, userId, action, { before = null, after, name, restoredFromVersionId } = {}) => {
+  try {
+    if (!VERSION_ACTIONS.includes(action)) {
+      throw new Error(`Invalid version action: ${action}`);
+    }
+
+    const db = getFirestore();
+    const versionsRef = db.collection(TRIPS_COLLECTION).doc(tripId).collection(VERSIONS_SUBCOLLECTION);
+
+    if (before && action !== "snapshot") {
+      const existing = await versionsRef.limit(1).get();
+      if (existing.empty) {
+        // Trips created before version history existed: keep where they started from
+        await versionsRef.add({
+          authorId: before.userId || userId,
+          action: "create",
+          name: null,
+          snapshot: buildSnapshot(before),
+          diff: diffItineraries({}, before.itinerary),
+          createdAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1),
+        });
+      }
+    }
+
+    const version = {
+      authorId: userId,
+      action,
+      name: typeof name === "string" && name.trim() ? name.trim().slice(0, MAX_NAME_LENGTH) : null,
+      snapshot: buildSnapshot(after),
+      diff: diffItineraries(before?.itinerary || {}, after?.itinerary),
+      createdAt: admin.firestore.Timestamp.now(),
+    };
+    if (restoredFromVersionId) {
+      version.restoredFromVersionId = restoredFromVersionId;
+    }
+
+    const docRef = await versionsRef.add(version);
+    return formatVersion(await docRef.get());
+  } catch (error) {
+    console.error("Error recording trip version:", error);
+    return null;
+  }
+};
+
+/**
+ * List a trip's versions, newest first (snapshots are left out)
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (any member)
+ * @param {object} options
+ * @param {number} [options.limit] - Page size (default 20, max 100)
+ * @param {string} [options.cursor] - Version ID to continue after (nextCursor of the previous page)
+ * @returns {Promise<{versions: Array, nextCursor: string|null}>}
+ */
+const getTripVersions = async (tripId, userId, { limit, cursor } = {}) => {
+  try {
+    await getTripForMember(tripId, userId, "viewer");
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const db = getFirestore();
+    const versionsRef = db.collection(TRIPS_COLLECTION).doc(tripId).collection(VERSIONS_SUBCOLLECTION);
+
+    let query = versionsRef.orderBy("createdAt", "desc");
+    if (cursor) {
+      const cursorDoc = await versionsRef.doc(cursor).get();
+      if (!cursorDoc.exists) {
+        throw new Error("Invalid cursor");
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(pageSize + 1).get();
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    return {
+      versions: docs.map((doc) => formatVersion(doc)),
+      nextCursor: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+    };
+  } catch (error) {
+    console.error("Error getting trip versions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get one version of a trip, including its snapshot
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (any member)
+ * @param {string} versionId - The version document ID
+ * @returns {Promise<object>}
+ */
+const getTripVersion = async (tripId, userId, versionId) => {
+  try {
+    await getTripForMember(tripId, userId, "viewer");
+
+    const db = getFirestore();
+    const doc = await db
+      .collection(TRIPS_COLLECTION)
+      .doc(tripId)
+      .collection(VERSIONS_SUBCOLLECTION)
+      .doc(versionId)
+      .get();
+
+    if (!doc.exists) {
+      throw new Error("Version not found");
+    }
+
+    return formatVersion(doc, { includeSnapshot: true });
+  } catch (error) {
+    console.error("Error getting trip version:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save the trip as it is now as a named version
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {string} name - Version name
+ * @returns {Promise<object>} - The created version
+ */
+const createNamedSnapshot = async (tripId, userId, name) => {
+  try {
+    if (typeof name !== "string" || name.trim().length === 0) {
+      throw new Error("Invalid name: a non-empty name is required");
+    }
+
+    const { loadTripData } = require("./tripItineraryStore");
+    const { doc } = await getTripForMember(tripId, userId, "editor");
+    const tripData = await loadTripData(doc);
+    const version = await recordTripVersion(tripId, userId, "snapshot", {
+      before: tripData,
+      after: tripData,
+      name,
+    });
+    if (!version) {
+      throw new Error("Failed to save snapshot");
+    }
+
+    return version;
+  } catch (error) {
+    console.error("Error creating named snapshot:", error);
+    throw error;
+  }
+};
+
+/**
+ * Name (or rename) a version; an empty name clears it
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {string} versionId - The version document ID
+ * @param {string|null} name - New name
+ * @returns {Promise<object>} - The updated version (without the snapshot)
+ */
+const nameTripVersion = async (tripId, userId, versionId, name) => {
+  try {
+    if (name !== null && name !== undefined && typeof name !== "string") {
+      throw new Error("Invalid name: must be a string or null");
+    }
+
+    await getTripForMember(tripId, userId, "editor");
+
+    const db = getFirestore();
+    const versionRef = db
+      .collection(TRIPS_COLLECTION)
+      .doc(tripId)
+      .collection(VERSIONS_SUBCOLLECTION)
+      .doc(versionId);
+    const doc = await versionRef.get();
+
+    if (!doc.exists) {
+      throw new Error("Version not found");
+    }
+
+    await versionRef.update({
+      name: name && name.trim() ? name.trim().slice(0, MAX_NAME_LENGTH) : null,
+    });
+
+    return formatVersion(await versionRef.get());
+  } catch (error) {
+    console.error("Error naming trip version:", error);
+    throw error;
+  }
+};
+
+/**
+ * Point the trip's linked confirmations at the days their activities are on after a restore,
+ * since date changes, budget grouping and leg linking read a confirmation's days
+ * (confirmations without an activity on the itinerary keep their days)
+ * @param {object} db - Firestore instance
+ * @param {string} tripId - The trip document ID
+ * @param {object} itinerary - The restored itinerary
+ * @returns {Promise<void>}
+ */
+const syncConfirmationDays = async (db, tripId, itinerary) => {
+  const daysByConfirmation = new Map();
+  getDayKeys(itinerary).forEach((dayKey) => {
+    const dayNumber = parseInt(dayKey.replace("day", ""), 10);
+    (itinerary[dayKey]?.activities || []).forEach((activity) => {
+      if (activity.sourceType !== "confirmation" || !activity.sourceId) return;
+      const days = daysByConfirmation.get(activity.sourceId) || new Set();
+      days.add(dayNumber);
+      daysByConfirmation.set(activity.sourceId, days);
+    });
+  });
+  if (daysByConfirmation.size === 0) return;
+
+  const snapshot = await db.collection(CONFIRMATIONS_COLLECTION).where("tripId", "==", tripId).get();
+  const batch = db.batch();
+  let changed = 0;
+
+  snapshot.docs.forEach((doc) => {
+    if (!daysByConfirmation.has(doc.id)) return;
+    const days = [...daysByConfirmation.get(doc.id)].sort((a, b) => a - b);
+    if (JSON.stringify(doc.data().days || []) === JSON.stringify(days)) return;
+    batch.update(doc.ref, {
+      days,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    changed += 1;
+  });
+
+  if (changed > 0) {
+    await batch.commit();
+  }
+};
+
+/**
+ * Restore a trip, or one of its days, from a version.
+ * Restoring the whole trip brings back the itinerary and trip details (dates, legs) of the version;
+ * restoring a day brings back that day's activities, summary and travel but keeps its current date.
+ * Linked confirmations are moved to the days their restored activities are on.
+ * The restore is itself recorded as a new version, so it can be undone.
+ * @param {string} tripId - The trip document ID
+ * @param {string} userId - The user ID from Clerk (must be an editor or owner)
+ * @param {string} versionId - The version document ID
+ * @param {object} options
+ * @param {number} [options.dayNumber] - Restore only this day
+ * @param {object|null} [options.expectedRevision] - If-Match preconditions (see tripService parseIfMatch)
+ * @returns {Promise<object>} - The updated trip document
+ */
+const restoreTripVersion = async (tripId, userId, versionId, { dayNumber, expectedRevision = null } = {}) => {
+  try {
+    const { removeUndefinedValues, convertCoverPhotoUrl, withNextRevisions, assertExpectedRevision } =
+      require("./tripService");
+    const { loadTripData, writeItinerary } = require("./tripItineraryStore");
+
+    if (dayNumber !== undefined && dayNumber !== null && (!Number.isInteger(dayNumber) || dayNumber < 1)) {
+      throw new Error("Invalid dayNumber: must be a positive integer");
+    }
+
+    const db = getFirestore();
+    const docRef = db.collection(TRIPS_COLLECTION).doc(tripId);
+    let tripData;
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        throw new Error("Trip not found");
+      }
+
+      tripData = await loadTripData(doc, transaction);
+      assertTripRole(tripData, userId, "editor");
+      assertExpectedRevision(tripData, expectedRevision);
+
+      const versionDoc = await transaction.get(docRef.collection(VERSIONS_SUBCOLLECTION).doc(versionId));
+
+      if (!versionDoc.exists) {
+        throw new Error("Version not found");
+      }
+
+      const { snapshot } = versionDoc.data();
+      const currentItinerary = tripData.itinerary || {};
+      const updateData = {
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      if (dayNumber) {
+        const dayKey = `day${dayNumber}`;
+        if (!currentItinerary[dayKey]) {
+          throw new Error(`Day ${dayNumber} not found in trip`);
+        }
+        if (!snapshot.itinerary?.[dayKey]) {
+          throw new Error(`Day ${dayNumber} not found in version`);
+        }
+
+        const { date, ...restoredDay } = snapshot.itinerary[dayKey];
+        updateData.itinerary = {
+          ...currentItinerary,
+          [dayKey]: {
+            ...restoredDay,
+            date: currentItinerary[dayKey].date ?? date,
+            // The quick undo history stays with the day
+            versionHistory: currentItinerary[dayKey].versionHistory,
+          },
+        };
+      } else {
+        const restoredItinerary = { ...snapshot.itinerary };
+        getDayKeys(restoredItinerary).forEach((dayKey) => {
+          restoredItinerary[dayKey] = {
+            ...restoredItinerary[dayKey],
+            versionHistory: currentItinerary[dayKey]?.versionHistory,
+          };
+        });
+        updateData.itinerary = restoredItinerary;
+        updateData.selectedTrip = snapshot.selectedTrip || tripData.selectedTrip;
+      }
+
+      const { itinerary, revision } = withNextRevisions(tripData, updateData.itinerary);
+      transaction.update(docRef, {
+        ...updateData,
+        ...writeItinerary(transaction, docRef, tripData, removeUndefinedValues(itinerary)),
+        revision,
+      });
+    });
+
+    const updatedDoc = await docRef.get();
+    const updatedData = await loadTripData(updatedDoc);
+    await syncConfirmationDays(db, tripId, updatedData.itinerary || {});
+    await recordTripVersion(tripId, userId, "restore", {
+      before: tripData,
+      after: updatedData,
+      restoredFromVersionId: versionId,
+    });
+
+    return await convertCoverPhotoUrl({ id: updatedDoc.id, ...updatedData });
+  } catch (error) {
+    console.error("Error restoring trip version:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  VERSION_ACTIONS,
+  diffItineraries,
+  recordTripVersion,
+  getTripVersions,
+  getTripVersion,
+  createNamedSnapshot,
+  nameTripVersion,
+  restoreTripVersion,
+};
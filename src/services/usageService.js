@@ -0,0 +1,397 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { getFirestore } = require("../config/database");
+const admin = require("firebase-admin");
+const pricing = require("../config/aiPricing.json");
+
+/**
+ * AI usage metering
+ *
+ * Every model call made on behalf of a user is written to the aiUsage ledger (feature, task,
+ * model, tokens, estimated cost) and added to the user's monthly summary in
+ * aiUsageMonthly/{userId}_{YYYY-MM}. The user comes from the usage context, which the usageQuota
+ * middleware opens for each authenticated request and background workers open with
+ * runWithUsageContext; calls made outside a context aren't metered.
+ *
+ * Plans cap how many times a month each quota feature may be requested. The usageQuota
+ * middleware reserves a request before handling it and gives it back if the request fails.
+ * A user's plan is read from userPlans/{userId} ({ plan: "premium" }) and defaults to "free".
+ */
+
+const LEDGER_COLLECTION = "aiUsage";
+const MONTHLY_COLLECTION = "aiUsageMonthly";
+const PLANS_COLLECTION = "userPlans";
+
+const DEFAULT_PLAN = "free";
+
+// Feature each task is billed to; tasks not listed are billed to "other"
+const TASK_FEATURES = {
+  "itinerary-generation": "itinerary",
+  "itinerary-day": "itinerary",
+  "itinerary-collaboration": "itinerary",
+  "itinerary-new-days": "itinerary",
+  "day-reshuffle": "day-regeneration",
+  "activity-alternatives": "activity-alternatives",
+  "video-intelligence": "video-analysis",
+  "video-summary": "video-analysis",
+  "cover-photo": "cover-photo",
+  "link-summary": "link-summary",
+  "trip-suggestions": "trip-suggestions",
+  "arrange-inspiration": "arrangement",
+  "arrange-confirmation": "arrangement",
+  "cost-estimates": "cost-estimates",
+  "booking-extraction-text": "booking-extraction",
+  "booking-extraction-image": "booking-extraction",
+  "confirmation-duplicates": "booking-extraction",
+  "location-extraction": "location-extraction",
+};
+
+/**
+ * Read a per-plan quota override, e.g. AI_QUOTA_FREE_DAY_REGENERATION
+ * @param {string} plan - Plan name
+ * @param {string} feature - Feature name
+ * @param {number} fallback
+ * @returns {number}
+ */
+const quotaSetting = (plan, feature, fallback) => {
+  const raw = process.env[`AI_QUOTA_${plan.toUpperCase()}_${feature.toUpperCase().replace(/-/g, "_")}`];
+  const value = Number(raw);
+  return raw !== undefined && raw !== "" && value >= 0 ? value : fallback;
+};
+
+// Monthly request quotas per plan and feature
+const PLANS = {
+  free: {
+    itinerary: quotaSetting("free", "itinerary", 5),
+    "day-regeneration": quotaSetting("free", "day-regeneration", 20),
+    "activity-alternatives": quotaSetting("free", "activity-alternatives", 30),
+    "video-analysis": quotaSetting("free", "video-analysis", 10),
+    "cover-photo": quotaSetting("free", "cover-photo", 5),
+  },
+  premium: {
+    itinerary: quotaSetting("premium", "itinerary", 100),
+    "day-regeneration": quotaSetting("premium", "day-regeneration", 300),
+    "activity-alternatives": quotaSetting("premium", "activity-alternatives", 500),
+    "video-analysis": quotaSetting("premium", "video-analysis", 200),
+    "cover-photo": quotaSetting("premium", "cover-photo", 50),
+  },
+};
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with model calls billed to a user
+ * @param {object} context - { userId }
+ * @param {Function} fn - Called inside the context
+ * @returns {*} - Whatever fn returns
+ */
+const runWithUsageContext = (context, fn) => usageContext.run(context, fn);
+
+/**
+ * Get the usage context of the current request or job
+ * @returns {object|null}
+ */
+const getUsageContext = () => usageContext.getStore() || null;
+
+/**
+ * Calendar month (UTC) usage is counted in
+ * @param {Date} [date]
+ * @returns {string} - YYYY-MM
+ */
+const getUsagePeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * When a usage period's quotas reset
+ * @param {string} period - YYYY-MM
+ * @returns {Date} - Start of the following month (UTC)
+ */
+const getPeriodResetAt = (period) => {
+  const [year, month] = period.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 1));
+};
+
+/**
+ * Estimate the cost of one call from the price list (src/config/aiPricing.json). Models are
+ * matched by longest prefix, so dated snapshots (gpt-4o-mini-2024-07-18) use their family's price.
+ * @param {string} model - Model name
+ * @param {object} amounts - { promptTokens, completionTokens, images, quality, minutes }
+ * @returns {number} - Estimated cost in USD (0 for unpriced models)
+ */
+const estimateCostUsd = (model, { promptTokens = 0, completionTokens = 0, images = 0, quality, minutes = 0 } = {}) => {
+  const name = String(model || "").toLowerCase();
+  const priced = Object.keys(pricing.models)
+    .filter((key) => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!priced) {
+    console.warn(`⚠️ No price for model "${model}"; recording its usage at zero cost`);
+    return 0;
+  }
+
+  const price = pricing.models[priced];
+  let cost = 0;
+  cost += (promptTokens * (price.promptPerMillionTokens || 0)) / 1e6;
+  cost += (completionTokens * (price.completionPerMillionTokens || 0)) / 1e6;
+  if (price.perImage) {
+    cost += images * (price.perImage[quality] || price.perImage.standard);
+  }
+  cost += minutes * (price.perMinute || 0);
+
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+/**
+ * Get the monthly summary document reference
+ * @param {object} db - Firestore instance
+ * @param {string} userId
+ * @param {string} period - YYYY-MM
+ * @returns {object}
+ */
+const getMonthlyRef = (db, userId, period) => db.collection(MONTHLY_COLLECTION).doc(`${userId}_${period}`);
+
+/**
+ * Record one metered call in the ledger and the user's monthly summary
+ * @param {object} entry
+ * @param {string} entry.task - LLM task (or "video-intelligence")
+ * @param {string} entry.provider - Provider that served the call
+ * @param {string} entry.model - Model that served the call
+ * @param {object} [entry.usage] - { promptTokens, completionTokens, totalTokens }
+ * @param {number} [entry.images] - Images generated
+ * @param {string} [entry.quality] - Image quality ("standard" or "hd")
+ * @param {number} [entry.minutes] - Minutes of video analyzed
+ * @returns {Promise<object|null>} - The ledger entry, or null when there is no user to bill
+ */
+const recordUsage = async ({ task, provider, model, usage = {}, images = 0, quality, minutes = 0 }) => {
+  const context = getUsageContext();
+  if (!context?.userId) {
+    return null;
+  }
+
+  try {
+    const db = getFirestore();
+    const { increment, serverTimestamp } = admin.firestore.FieldValue;
+    const period = getUsagePeriod();
+    const feature = TASK_FEATURES[task] || "other";
+
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const totalTokens = usage.totalTokens || promptTokens + completionTokens;
+    const estimatedCostUsd = estimateCostUsd(model, { promptTokens, completionTokens, images, quality, minutes });
+
+    const entry = {
+      userId: context.userId,
+      feature,
+      task,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      images,
+      minutes,
+      estimatedCostUsd,
+      period,
+    };
+
+    const increments = () => ({
+      calls: increment(1),
+      promptTokens: increment(promptTokens),
+      completionTokens: increment(completionTokens),
+      totalTokens: increment(totalTokens),
+      images: increment(images),
+      minutes: increment(minutes),
+      estimatedCostUsd: increment(estimatedCostUsd),
+    });
+
+    const batch = db.batch();
+    batch.set(db.collection(LEDGER_COLLECTION).doc(), { ...entry, createdAt: serverTimestamp() });
+    batch.set(
+      getMonthlyRef(db, context.userId, period),
+      {
+        userId: context.userId,
+        period,
+        features: { [feature]: increments() },
+        totals: increments(),
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    );
+    await batch.commit();
+
+    return entry;
+  } catch (error) {
+    console.error("Error recording AI usage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's plan name
+ * @param {string} userId - The user ID from Clerk
+ * @returns {Promise<string>} - A key of PLANS
+ */
+const getUserPlan = async (userId) => {
+  try {
+    const db = getFirestore();
+    const doc = await db.collection(PLANS_COLLECTION).doc(userId).get();
+    const plan = doc.exists ? doc.data().plan : null;
+    return PLANS[plan] ? plan : DEFAULT_PLAN;
+  } catch (error) {
+    console.error("Error getting user plan:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's usage summary for a month
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} period - YYYY-MM
+ * @returns {Promise<object>} - { features, totals } (empty when nothing was used)
+ */
+const getMonthlyUsage = async (userId, period) => {
+  try {
+    const db = getFirestore();
+    const doc = await getMonthlyRef(db, userId, period).get();
+    const data = doc.exists ? doc.data() : {};
+    return { features: data.features || {}, totals: data.totals || {} };
+  } catch (error) {
+    console.error("Error getting monthly AI usage:", error);
+    throw error;
+  }
+};
+
+/**
+ * Reserve one request of a feature's monthly quota. The check and the increment run in one
+ * transaction, so parallel requests can't overshoot the quota.
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} feature - Quota feature
+ * @returns {Promise<object>} - { plan, feature, period, limit, used, remaining, resetAt, reserved }
+ */
+const reserveFeatureRequest = async (userId, feature) => {
+  try {
+    const db = getFirestore();
+    const period = getUsagePeriod();
+    const monthlyRef = getMonthlyRef(db, userId, period);
+    const planRef = db.collection(PLANS_COLLECTION).doc(userId);
+
+    return await db.runTransaction(async (transaction) => {
+      const [planDoc, monthlyDoc] = await Promise.all([transaction.get(planRef), transaction.get(monthlyRef)]);
+      const planName = planDoc.exists ? planDoc.data().plan : null;
+      const plan = PLANS[planName] ? planName : DEFAULT_PLAN;
+      const limit = PLANS[plan][feature];
+      const usedBefore = (monthlyDoc.exists && monthlyDoc.data().features?.[feature]?.requests) || 0;
+      const reserved = usedBefore < limit;
+      const used = reserved ? usedBefore + 1 : usedBefore;
+
+      if (reserved) {
+        transaction.set(
+          monthlyRef,
+          {
+            userId,
+            period,
+            features: { [feature]: { requests: used } },
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+      }
+
+      return {
+        plan,
+        feature,
+        period,
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetAt: getPeriodResetAt(period),
+        reserved,
+      };
+    });
+  } catch (error) {
+    console.error("Error reserving feature request:", error);
+    throw error;
+  }
+};
+
+/**
+ * Give back a request reserved with reserveFeatureRequest (the request failed)
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} feature - Quota feature
+ * @param {string} period - YYYY-MM the request was reserved in
+ * @returns {Promise<void>}
+ */
+const releaseFeatureRequest = async (userId, feature, period) => {
+  try {
+    const db = getFirestore();
+
+    await getMonthlyRef(db, userId, period).set(
+      {
+        features: { [feature]: { requests: admin.firestore.FieldValue.increment(-1) } },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  } catch (error) {
+    console.error("Error releasing feature request:", error);
+    throw error;
+  }
+};
+
+/**
+ * Round a summed cost back to a readable number (increments accumulate float error)
+ * @param {object} totals - Usage totals
+ * @returns {object}
+ */
+const roundCost = (totals) =>
+  totals.estimatedCostUsd === undefined
+    ? totals
+    : { ...totals, estimatedCostUsd: Math.round(totals.estimatedCostUsd * 1e6) / 1e6 };
+
+/**
+ * Build the usage report for GET /api/usage
+ * @param {string} userId - The user ID from Clerk
+ * @param {string} [period] - YYYY-MM (defaults to the current month)
+ * @returns {Promise<object>} - { plan, period, resetAt, quotas, features, totals }
+ */
+const getUsageReport = async (userId, period = getUsagePeriod()) => {
+  try {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      throw new Error("Invalid period. Use YYYY-MM");
+    }
+
+    const [plan, usage] = await Promise.all([getUserPlan(userId), getMonthlyUsage(userId, period)]);
+
+    const quotas = {};
+    Object.entries(PLANS[plan]).forEach(([feature, limit]) => {
+      const used = usage.features[feature]?.requests || 0;
+      quotas[feature] = { limit, used, remaining: Math.max(0, limit - used) };
+    });
+
+    return {
+      plan,
+      period,
+      resetAt: getPeriodResetAt(period).toISOString(),
+      quotas,
+      features: Object.fromEntries(
+        Object.entries(usage.features).map(([feature, totals]) => [feature, roundCost(totals)])
+      ),
+      totals: roundCost(usage.totals),
+    };
+  } catch (error) {
+    console.error("Error building AI usage report:", error);
+    throw error;
+  }
+};
+
+module.exports = {
+  PLANS,
+  TASK_FEATURES,
+  runWithUsageContext,
+  getUsageContext,
+  getUsagePeriod,
+  estimateCostUsd,
+  recordUsage,
+  reserveFeatureRequest,
+  releaseFeatureRequest,
+  getUserPlan,
+  getUsageReport,
+};
@@ -1,5 +1,6 @@
 const { videoClient } = require("../config/googleClient.js");
 const util = require("util");
+const { recordUsage } = require("./usageService");
 
 const analyzeVideo = async (gcsUri) => {
   // const request = {
@@ -29,6 +30,17 @@ const analyzeVideo = async (gcsUri) => {
     );
 
     const annotations = result.annotationResults?.[0];
+
+    // Video Intelligence bills per started minute of video
+    const endOffset = annotations?.segment?.endTimeOffset;
+    const seconds = Number(endOffset?.seconds || 0) + (endOffset?.nanos || 0) / 1e9;
+    recordUsage({
+      task: "video-intelligence",
+      provider: "google",
+      model: "video-intelligence",
+      minutes: Math.max(1, Math.ceil(seconds / 60)),
+    }).catch((error) => console.error("Failed to record video analysis usage:", error.message));
+
     if (!annotations) {
       console.warn("⚠️ No annotations found in the result.");
       return { labels: [], texts: [],transcript: [] };
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const { uploadToGCS, deleteFromGCS } = require("./gcsService");
+const { analyzeVideo } = require("./videoAIService");
+const { generateAISummary } = require("./aiSummaryService");
+const { saveCategorizedContent } = require("./categorizationService");
+const { sendInspirationProcessedNotification } = require("./pushNotificationService");
+const { getCachedAnalysis, saveCachedAnalysis } = require("./contentCacheService");
+
+// Pipeline stages in order, reported through the onStage callback
+const VIDEO_PIPELINE_STAGES = ["fetching", "uploading", "analyzing", "summarizing", "saving"];
+
+/**
+ * Run the inspiration pipeline for a short-form video:
+ * adapter.getVideo → uploadToGCS → analyzeVideo → generateAISummary → saveCategorizedContent
+ * When another user has already analyzed the same video (see contentCacheService), the cached
+ * summary is reused and only saveCategorizedContent runs.
+ * @param {string} url - Video URL
+ * @param {string} userId - The user ID from Clerk
+ * @param {object} adapter - Video source adapter (see videoSourceService)
+ * @param {object} options
+ * @param {function} [options.onStage] - Awaited with each stage name before it starts (see VIDEO_PIPELINE_STAGES)
+ * @param {string} [options.jobId] - Job ID to include in the completion push notification
+ * @returns {Promise<Array>} - Saved inspiration items (or the raw summary if categorization failed)
+ */
+const processVideoInspiration = async (url, userId, adapter, { onStage, jobId } = {}) => {
+  let gcsUri = null;
+  // Random suffix: uploads from different users in the same millisecond must not share a file
+  const filename = `${adapter.name}_${Date.now()}_${crypto.randomBytes(6).toString("hex")}.mp4`;
+  const enterStage = async (stage) => {
+    if (onStage) await onStage(stage);
+  };
+
+  try {
+    let summary;
+    const cached = await getCachedAnalysis("video", url);
+
+    if (cached) {
+      console.log("♻️ Reusing cached video analysis...");
+      summary = cached.summary;
+    } else {
+      await enterStage("fetching");
+      console.log(`🎥 Fetching ${adapter.name} video info...`);
+      const { downloadUrl, description, downloadHeaders } = await adapter.getVideo(url);
+
+      await enterStage("uploading");
+      console.log("⬇️ Downloading & uploading video to GCS...");
+      gcsUri = await uploadToGCS(downloadUrl, filename, downloadHeaders);
+
+      await enterStage("analyzing");
+      console.log("🧠 Analyzing video content...");
+      const { labels, texts, transcript } = await analyzeVideo(gcsUri);
+
+      await enterStage("summarizing");
+      console.log("✨ Generating AI summary...");
+      summary = await generateAISummary(labels, texts, transcript, description);
+      console.log("✅ Done creating AI summary...");
+
+      // An empty summary may just be a failed summary call; don't hand it to other users
+      if (summary.length > 0) {
+        await saveCachedAnalysis("video", url, {
+          labels,
+          texts,
+          transcript,
+          description: description || null,
+          summary,
+        });
+      }
+    }
+
+    // Auto-categorize and save content by location
+    await enterStage("saving");
+    console.log("📂 Auto-categorizing content by location...");
+    let responseData = summary;
+    try {
+      const categorizationResult = await saveCategorizedContent(
+        summary.map((item) => ({ ...item, platform: adapter.name })),
+        "video",
+        url,
+        userId
+      );
+      console.log("✅ Content categorized and saved:", categorizationResult);
+      // Use savedItems with IDs if available, otherwise fall back to original summary
+      responseData = categorizationResult.savedItems && categorizationResult.savedItems.length > 0
+        ? categorizationResult.savedItems
+        : summary;
+
+      // Send push notification (fire and forget - don't wait for it)
+      const itemCount = categorizationResult.savedItems?.length || summary.length || 0;
+      if (itemCount > 0) {
+        sendInspirationProcessedNotification(userId, itemCount, "video", jobId ? { jobId } : {})
+          .catch((error) => {
+            // Log error but don't fail the request
+            console.error("Failed to send push notification:", error);
+          });
+      }
+    } catch (categorizationError) {
+      console.error("⚠️ Error during categorization (continuing anyway):", categorizationError.message);
+    }
+
+    return responseData;
+  } finally {
+    if (gcsUri) {
+      console.log("🗑️ Deleting video from GCS...");
+      try {
+        await deleteFromGCS(filename);
+        console.log("✅ GCS cleanup successful.");
+      } catch (cleanupErr) {
+        console.error("❌ Failed to clean up GCS file:", cleanupErr.message);
+      }
+    }
+  }
+};
+
+module.exports = { VIDEO_PIPELINE_STAGES, processVideoInspiration };
@@ -0,0 +1,184 @@
+const axios = require("axios");
+const { getTikTokVideo } = require("./tiktokService");
+
+/**
+ * Video source adapters
+ *
+ * An adapter is a plain object:
+ *   {
+ *     name: string,                       // "tiktok", "instagram", "youtube", ...
+ *     patterns: RegExp[],                 // URLs the adapter handles
+ *     getVideo: async (url) => ({ downloadUrl, description, downloadHeaders? }),
+ *   }
+ * downloadHeaders are sent when the video file is fetched (some CDNs check Referer).
+ * Register extra adapters with registerVideoSourceAdapter; the first adapter whose
+ * pattern matches the URL is used.
+ */
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const adapters = [];
+
+/**
+ * Read an Open Graph meta tag from an HTML page
+ * @param {string} html
+ * @param {string} property - e.g. "og:video"
+ * @returns {string|null}
+ */
+const readMetaTag = (html, property) => {
+  const match =
+    html.match(new RegExp(`<meta[^>]+property=["']${property}["'][^>]+content=["']([^"']+)["']`, "i")) ||
+    html.match(new RegExp(`<meta[^>]+content=["']([^"']+)["'][^>]+property=["']${property}["']`, "i"));
+  if (!match) return null;
+  return match[1]
+    .replace(/&amp;/g, "&")
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;|&#x27;/g, "'");
+};
+
+/**
+ * Resolve a direct video URL through a cobalt-compatible downloader API (VIDEO_DOWNLOADER_API_URL)
+ * @param {string} url - Public post URL
+ * @returns {Promise<string>} - Direct download URL
+ */
+const resolveWithDownloaderApi = async (url) => {
+  const apiUrl = process.env.VIDEO_DOWNLOADER_API_URL;
+  if (!apiUrl) {
+    throw new Error("VIDEO_DOWNLOADER_API_URL is not configured");
+  }
+
+  const { data } = await axios.post(
+    apiUrl,
+    { url, videoQuality: "720" },
+    {
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...(process.env.VIDEO_DOWNLOADER_API_KEY && {
+          Authorization: `Api-Key ${process.env.VIDEO_DOWNLOADER_API_KEY}`,
+        }),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    }
+  );
+
+  // "picker" responses list several media items (e.g. carousels); take the first video
+  const downloadUrl =
+    data?.url || data?.picker?.find((item) => item.type === "video")?.url || null;
+  if (!downloadUrl) {
+    throw new Error(`Video downloader could not resolve the video (${data?.error?.code || data?.status || "unknown"})`);
+  }
+  return downloadUrl;
+};
+
+const tiktokAdapter = {
+  name: "tiktok",
+  patterns: [/^https?:\/\/([a-z0-9-]+\.)?tiktok\.com\//i],
+  getVideo: async (url) => {
+    const { downloadUrl, description } = await getTikTokVideo(url);
+    return {
+      downloadUrl,
+      description,
+      downloadHeaders: { Referer: "https://www.tiktok.com/" },
+    };
+  },
+};
+
+const instagramAdapter = {
+  name: "instagram",
+  patterns: [/^https?:\/\/(www\.)?instagram\.com\/(reels?|p|tv)\/[\w-]+/i],
+  getVideo: async (url) => {
+    // Public reels expose og:video/og:description to link-preview crawlers
+    const { data: html } = await axios.get(url, {
+      headers: {
+        "User-Agent": "facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)",
+        Accept: "text/html",
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    const description = readMetaTag(html || "", "og:description") || readMetaTag(html || "", "og:title");
+    let downloadUrl = readMetaTag(html || "", "og:video:secure_url") || readMetaTag(html || "", "og:video");
+
+    if (!downloadUrl) {
+      downloadUrl = await resolveWithDownloaderApi(url);
+    }
+
+    return {
+      downloadUrl,
+      description,
+      downloadHeaders: { Referer: "https://www.instagram.com/" },
+    };
+  },
+};
+
+const youtubeShortsAdapter = {
+  name: "youtube",
+  // Shorts only: watch and youtu.be links can be hours long and would all be downloaded and analyzed
+  patterns: [/^https?:\/\/(www\.|m\.)?youtube\.com\/shorts\/[\w-]+/i],
+  getVideo: async (url) => {
+    // oEmbed gives the title without an API key; the video file needs the downloader API
+    let description = null;
+    try {
+      const { data } = await axios.get("https://www.youtube.com/oembed", {
+        params: { url, format: "json" },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      description = [data?.title, data?.author_name && `by ${data.author_name}`]
+        .filter(Boolean)
+        .join(" ");
+    } catch (error) {
+      console.error("⚠️ Failed to fetch YouTube oEmbed data:", error.message);
+    }
+
+    const downloadUrl = await resolveWithDownloaderApi(url);
+    return {
+      downloadUrl,
+      description,
+      downloadHeaders: { Referer: "https://www.youtube.com/" },
+    };
+  },
+};
+
+/**
+ * Register a video source adapter (later registrations with the same name replace earlier ones)
+ * @param {object} adapter - Object with name, patterns and getVideo
+ */
+const registerVideoSourceAdapter = (adapter) => {
+  if (!adapter?.name || !Array.isArray(adapter.patterns) || typeof adapter.getVideo !== "function") {
+    throw new Error("Video source adapter must have a name, patterns and getVideo");
+  }
+  const existingIndex = adapters.findIndex((a) => a.name === adapter.name);
+  if (existingIndex >= 0) {
+    adapters[existingIndex] = adapter;
+  } else {
+    adapters.push(adapter);
+  }
+};
+
+registerVideoSourceAdapter(tiktokAdapter);
+registerVideoSourceAdapter(instagramAdapter);
+registerVideoSourceAdapter(youtubeShortsAdapter);
+
+/**
+ * Find the adapter for a video URL
+ * @param {string} url - Video URL
+ * @returns {object|null} - Matching adapter or null if the platform isn't supported
+ */
+const getVideoSourceAdapter = (url) => {
+  if (!url || typeof url !== "string") return null;
+  const trimmed = url.trim();
+  return adapters.find((adapter) => adapter.patterns.some((pattern) => pattern.test(trimmed))) || null;
+};
+
+/**
+ * Names of the registered platforms
+ * @returns {Array<string>}
+ */
+const getSupportedVideoPlatforms = () => adapters.map((adapter) => adapter.name);
+
+module.exports = {
+  registerVideoSourceAdapter,
+  getVideoSourceAdapter,
+  getSupportedVideoPlatforms,
+};
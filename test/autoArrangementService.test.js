@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { scheduleDayExactTimes, parseTimeToMinutes } = require("../src/services/autoArrangementService");
+
+test("scheduleDayExactTimes reports overlaps between flexible timed activities", () => {
+  const { conflicts } = scheduleDayExactTimes([
+    { id: "walk", name: "Walk", time: "10:00", durationMinutes: 120 },
+    { id: "brunch", name: "Brunch", time: "11:00", durationMinutes: 60 },
+  ]);
+
+  assert.deepStrictEqual(
+    conflicts.map(({ type, activityId, conflictingActivityId }) => ({ type, activityId, conflictingActivityId })),
+    [{ type: "overlap", activityId: "brunch", conflictingActivityId: "walk" }]
+  );
+});
+
+test("scheduleDayExactTimes keeps times parseable and reports activities past midnight", () => {
+  const { activities, conflicts } = scheduleDayExactTimes([
+    { id: "club", name: "Club", time: "23:00", durationMinutes: 180 },
+    { id: "show", name: "Late show", timeBlock: "evening", durationMinutes: 300 },
+  ]);
+
+  activities.forEach((activity) => {
+    assert.notStrictEqual(parseTimeToMinutes(activity.startTime), null);
+    assert.notStrictEqual(parseTimeToMinutes(activity.endTime), null);
+  });
+  assert.strictEqual(activities.find((activity) => activity.id === "club").endTime, "23:59");
+  assert.deepStrictEqual(
+    conflicts.filter((conflict) => conflict.type === "exceeds_day").map((conflict) => conflict.activityId),
+    ["club", "show"]
+  );
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseMoney } = require("../src/services/currencyService");
+
+test("parseMoney reads dots followed by three digits as thousands separators", () => {
+  assert.deepStrictEqual(parseMoney("IDR 1.500.000"), { amount: 1500000, currency: "IDR" });
+  assert.deepStrictEqual(parseMoney("VND 2.500.000"), { amount: 2500000, currency: "VND" });
+  assert.deepStrictEqual(parseMoney("€1.240"), { amount: 1240, currency: "EUR" });
+  assert.deepStrictEqual(parseMoney("1.234"), { amount: 1234, currency: null });
+});
+
+test("parseMoney keeps decimal separators", () => {
+  assert.deepStrictEqual(parseMoney("$1,234.56"), { amount: 1234.56, currency: "USD" });
+  assert.deepStrictEqual(parseMoney("1.234,56 €"), { amount: 1234.56, currency: "EUR" });
+  assert.deepStrictEqual(parseMoney("120,50 €"), { amount: 120.5, currency: "EUR" });
+  assert.deepStrictEqual(parseMoney("$12.5"), { amount: 12.5, currency: "USD" });
+  assert.deepStrictEqual(parseMoney("JPY 1,500"), { amount: 1500, currency: "JPY" });
+});
+
+test("parseMoney takes the number next to the currency", () => {
+  assert.deepStrictEqual(parseMoney("Total for 2 nights: EUR 300"), { amount: 300, currency: "EUR" });
+  assert.deepStrictEqual(parseMoney("3 x $40"), { amount: 40, currency: "USD" });
+  assert.deepStrictEqual(parseMoney("2 nights, 450 EUR"), { amount: 450, currency: "EUR" });
+});
+
+test("parseMoney resolves prefixed dollar symbols and only known currency codes", () => {
+  assert.deepStrictEqual(parseMoney("MX$ 200"), { amount: 200, currency: "MXN" });
+  assert.deepStrictEqual(parseMoney("A$99"), { amount: 99, currency: "AUD" });
+  assert.deepStrictEqual(parseMoney("THE TOTAL 80 EUR"), { amount: 80, currency: "EUR" });
+  assert.deepStrictEqual(parseMoney("ROOM 120"), { amount: 120, currency: null });
+});
+
+test("parseMoney accepts numbers and objects", () => {
+  assert.deepStrictEqual(parseMoney(99), { amount: 99, currency: null });
+  assert.deepStrictEqual(parseMoney({ amount: "45", currency: "gbp" }), { amount: 45, currency: "GBP" });
+  assert.strictEqual(parseMoney("free"), null);
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The mock provider reads its fixtures directory when the gateway loads
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+process.env.LLM_MOCK_FIXTURES_DIR = fixturesDir;
+delete process.env.LLM_MAX_REPAIRS;
+delete process.env.LLM_MAX_RETRIES;
+
+const {
+  LLMOutputError,
+  registerLLMProvider,
+  getLLMProvider,
+  completeJSON,
+} = require("../src/services/llmGateway");
+
+const REPAIR_PROMPT = "does not match the required format";
+const schema = {
+  type: "object",
+  required: ["city", "days"],
+  properties: {
+    city: { type: "string" },
+    days: { type: "integer" },
+  },
+};
+
+/**
+ * Write the mock fixture for a task
+ * @param {string} task - Task name
+ * @param {Array<object>} responses - Fixture responses
+ */
+const writeFixture = (task, responses) => {
+  fs.writeFileSync(path.join(fixturesDir, `${task}.json`), JSON.stringify({ responses }));
+};
+
+// Counts the calls that reach the mock provider
+let calls = 0;
+process.env.LLM_PROVIDER = "mock";
+const mockProvider = getLLMProvider();
+registerLLMProvider("counting-mock", {
+  ...mockProvider,
+  complete: (request) => {
+    calls += 1;
+    return mockProvider.complete(request);
+  },
+});
+process.env.LLM_PROVIDER = "counting-mock";
+
+test.beforeEach(() => {
+  calls = 0;
+});
+
+test.after(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test("completeJSON returns a conforming fixture reply without repairs", async () => {
+  writeFixture("cost-estimates", [{ content: { city: "Lisbon", days: 3 } }]);
+
+  const result = await completeJSON("cost-estimates", {
+    messages: [{ role: "user", content: "Plan Lisbon" }],
+    schema,
+  });
+
+  assert.deepStrictEqual(result.data, { city: "Lisbon", days: 3 });
+  assert.strictEqual(result.repairs, 0);
+  assert.strictEqual(result.provider, "counting-mock");
+  assert.strictEqual(calls, 1);
+});
+
+test("completeJSON sends a non-conforming reply back for repair", async () => {
+  writeFixture("day-reshuffle", [
+    { match: REPAIR_PROMPT, content: { city: "Porto", days: 2 } },
+    { content: { city: "Porto", days: "two" } },
+  ]);
+
+  const result = await completeJSON("day-reshuffle", {
+    messages: [{ role: "user", content: "Plan Porto" }],
+    schema,
+  });
+
+  assert.deepStrictEqual(result.data, { city: "Porto", days: 2 });
+  assert.strictEqual(result.repairs, 1);
+  assert.strictEqual(calls, 2);
+});
+
+test("completeJSON repairs replies that are not JSON at all", async () => {
+  writeFixture("activity-alternatives", [
+    { match: REPAIR_PROMPT, content: "```json\n{\"city\": \"Faro\", \"days\": 1}\n```" },
+    { content: "Sure! Faro is lovely for a day." },
+  ]);
+
+  const result = await completeJSON("activity-alternatives", {
+    messages: [{ role: "user", content: "Plan Faro" }],
+    schema,
+  });
+
+  assert.deepStrictEqual(result.data, { city: "Faro", days: 1 });
+  assert.strictEqual(result.repairs, 1);
+});
+
+test("completeJSON throws LLMOutputError once the repair rounds are used up", async () => {
+  writeFixture("trip-suggestions", [{ content: { city: "Braga" } }]);
+  process.env.LLM_TRIP_SUGGESTIONS_MAX_REPAIRS = "2";
+
+  try {
+    await assert.rejects(
+      completeJSON("trip-suggestions", {
+        messages: [{ role: "user", content: "Plan Braga" }],
+        schema,
+      }),
+      (error) => {
+        assert.ok(error instanceof LLMOutputError);
+        assert.strictEqual(error.task, "trip-suggestions");
+        assert.ok(error.errors.some((message) => message.includes("days")));
+        assert.strictEqual(error.content, JSON.stringify({ city: "Braga" }));
+        return true;
+      }
+    );
+    // The first reply plus two repair rounds
+    assert.strictEqual(calls, 3);
+  } finally {
+    delete process.env.LLM_TRIP_SUGGESTIONS_MAX_REPAIRS;
+  }
+});